@@ -0,0 +1,30 @@
+<?php
+
+namespace App\Console\Commands;
+
+use App\Services\IdeaClusteringService;
+use Illuminate\Console\Command;
+
+class ClusterIdeasCommand extends Command
+{
+    protected $signature = 'ideas:cluster';
+
+    protected $description = 'Recompute near-duplicate idea clusters synchronously';
+
+    public function handle(IdeaClusteringService $clusteringService): int
+    {
+        $startTime = microtime(true);
+
+        $result = $clusteringService->cluster();
+
+        $this->info(sprintf(
+            'Grouped %d of %d ideas into %d clusters in %.1fs',
+            $result['clustered_ideas'],
+            $result['ideas'],
+            $result['clusters'],
+            microtime(true) - $startTime
+        ));
+
+        return self::SUCCESS;
+    }
+}
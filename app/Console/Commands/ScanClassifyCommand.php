@@ -291,6 +291,7 @@ private function storeClassification(Post $post, array $results, int $expectedPr
     {
         $classification = Classification::create([
             'post_id' => $post->id,
+            'scan_id' => $post->scan_id,
             'expected_provider_count' => $expectedProviderCount,
         ]);
 
@@ -311,7 +312,7 @@ private function storeClassification(Post $post, array $results, int $expectedPr
             ]);
         }
 
-        $classification->load('results');
+        $classification->load('scanResults');
 
         return $classification;
     }
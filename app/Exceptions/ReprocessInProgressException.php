@@ -0,0 +1,14 @@
+<?php
+
+namespace App\Exceptions;
+
+use RuntimeException;
+
+/**
+ * Thrown by ScanService::startScan while a re-run is writing ideas and
+ * results for the subreddit's posts. No scan is created.
+ */
+class ReprocessInProgressException extends RuntimeException
+{
+    //
+}
@@ -0,0 +1,19 @@
+<?php
+
+namespace App\Exceptions;
+
+use RuntimeException;
+
+/**
+ * Thrown by ScanService::startScan when the estimated cost goes over a
+ * blocking per-scan budget. No scan is created.
+ */
+class ScanBudgetExceededException extends RuntimeException
+{
+    public function __construct(
+        string $message,
+        public readonly array $estimate,
+    ) {
+        parent::__construct($message);
+    }
+}
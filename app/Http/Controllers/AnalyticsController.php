@@ -0,0 +1,40 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\AnalyticsRequest;
+use App\Services\IdeaAnalyticsService;
+use Carbon\CarbonImmutable;
+use Inertia\Inertia;
+use Inertia\Response;
+
+class AnalyticsController extends Controller
+{
+    /**
+     * Range shown when the page is opened without dates.
+     */
+    private const DEFAULT_RANGE_WEEKS = 12;
+
+    public function __construct(
+        private IdeaAnalyticsService $analyticsService,
+    ) {}
+
+    /**
+     * Display cross-subreddit trends for a date range.
+     */
+    public function index(AnalyticsRequest $request): Response
+    {
+        $validated = $request->validated();
+
+        $to = isset($validated['date_to'])
+            ? CarbonImmutable::parse($validated['date_to'])
+            : CarbonImmutable::today();
+        $from = isset($validated['date_from'])
+            ? CarbonImmutable::parse($validated['date_from'])
+            : $to->subWeeks(self::DEFAULT_RANGE_WEEKS)->addDay();
+
+        return Inertia::render('Analytics', [
+            'analytics' => $this->analyticsService->summarize($from, $to),
+        ]);
+    }
+}
@@ -0,0 +1,73 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\SaveClassificationLabelRequest;
+use App\Models\Classification;
+use App\Services\ClassificationLabelService;
+use Illuminate\Http\JsonResponse;
+use Symfony\Component\HttpFoundation\StreamedResponse;
+
+class ClassificationLabelController extends Controller
+{
+    public function __construct(
+        private ClassificationLabelService $labelService,
+    ) {}
+
+    /**
+     * Override a post's classification decision, optionally sending the post
+     * to extraction. The decision is kept even if extraction cannot start.
+     */
+    public function update(SaveClassificationLabelRequest $request, Classification $classification): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $label = $this->labelService->label($classification, $validated['decision'], $validated['reason']);
+
+        if (! ($validated['force_extraction'] ?? false)) {
+            return response()->json([
+                'label' => $label,
+                'message' => 'Decision saved',
+            ]);
+        }
+
+        try {
+            $label = $this->labelService->forceExtraction($label);
+        } catch (\RuntimeException $e) {
+            return response()->json([
+                'label' => $label,
+                'extraction_started' => false,
+                'message' => "Decision saved, but extraction did not start: {$e->getMessage()}",
+            ]);
+        }
+
+        return response()->json([
+            'label' => $label,
+            'extraction_started' => true,
+            'message' => 'Decision saved, extraction started',
+        ]);
+    }
+
+    public function destroy(Classification $classification): JsonResponse
+    {
+        $this->labelService->remove($classification);
+
+        return response()->json([
+            'message' => 'Override removed',
+        ]);
+    }
+
+    /**
+     * Download every labelled post as JSON Lines.
+     */
+    public function export(): StreamedResponse
+    {
+        return response()->streamDownload(function () {
+            foreach ($this->labelService->exportLines() as $line) {
+                echo $line."\n";
+            }
+        }, 'classification-labels-'.now()->format('Y-m-d').'.jsonl', [
+            'Content-Type' => 'application/x-ndjson',
+        ]);
+    }
+}
@@ -0,0 +1,47 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Models\Idea;
+use App\Models\Subreddit;
+use Illuminate\Http\JsonResponse;
+
+class CommandPaletteController extends Controller
+{
+    /**
+     * Maximum number of starred ideas offered in the palette.
+     */
+    private const STARRED_LIMIT = 200;
+
+    /**
+     * Lightweight index of navigable entities for the command palette.
+     */
+    public function __invoke(): JsonResponse
+    {
+        $subreddits = Subreddit::query()
+            ->orderBy('name')
+            ->get(['id', 'name'])
+            ->map(fn (Subreddit $subreddit) => [
+                'id' => $subreddit->id,
+                'name' => $subreddit->name,
+                'full_name' => $subreddit->full_name,
+            ]);
+
+        $starredIdeas = Idea::query()
+            ->starred()
+            ->with(['post:id,subreddit_id', 'post.subreddit:id,name'])
+            ->orderByDesc('starred_at')
+            ->limit(self::STARRED_LIMIT)
+            ->get(['id', 'post_id', 'idea_title'])
+            ->map(fn (Idea $idea) => [
+                'id' => $idea->id,
+                'idea_title' => $idea->idea_title,
+                'subreddit' => $idea->post?->subreddit?->name,
+            ]);
+
+        return response()->json([
+            'subreddits' => $subreddits,
+            'starred_ideas' => $starredIdeas,
+        ]);
+    }
+}
@@ -0,0 +1,17 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use Illuminate\Http\JsonResponse;
+
+class CsrfTokenController extends Controller
+{
+    /**
+     * Current session's CSRF token, so the frontend can recover from a 419
+     * after the session behind the page's meta tag expired.
+     */
+    public function __invoke(): JsonResponse
+    {
+        return response()->json(['token' => csrf_token()]);
+    }
+}
@@ -5,11 +5,16 @@
 use App\Models\Idea;
 use App\Models\Scan;
 use App\Models\Subreddit;
+use App\Services\ScanBatchService;
 use Inertia\Inertia;
 use Inertia\Response;
 
 class DashboardController extends Controller
 {
+    public function __construct(
+        private ScanBatchService $batchService,
+    ) {}
+
     public function index(): Response
     {
         // Eager load active scans to avoid N+1
@@ -48,9 +53,16 @@ public function index(): Response
             'starred_count' => Idea::where('is_starred', true)->count(),
         ];
 
+        $activeBatch = $this->batchService->getActiveBatch();
+
         return Inertia::render('Dashboard', [
             'subreddits' => $subreddits,
             'stats' => $stats,
+            'active_batch' => $activeBatch ? $this->batchService->getBatchStatus($activeBatch) : null,
+            'scan_defaults' => [
+                'default_timeframe_weeks' => config('reddit.fetch.default_timeframe_weeks'),
+                'rescan_timeframe_weeks' => config('reddit.fetch.rescan_timeframe_weeks'),
+            ],
         ]);
     }
 }
@@ -2,15 +2,28 @@
 
 namespace App\Http\Controllers;
 
+use App\Http\Requests\BulkStarIdeasRequest;
 use App\Http\Requests\ListIdeasRequest;
+use App\Http\Requests\UpdateIdeaRequest;
 use App\Models\Idea;
 use App\Models\Subreddit;
+use Illuminate\Database\Eloquent\Builder;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Http\RedirectResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Carbon;
 use Inertia\Inertia;
 use Inertia\Response;
 
 class IdeaController extends Controller
 {
+    /**
+     * Number of ideas the comparison view lines up.
+     */
+    private const MIN_COMPARE = 2;
+
+    private const MAX_COMPARE = 4;
+
     /**
      * Get ideas for a subreddit (JSON for AJAX loading).
      */
@@ -21,49 +34,127 @@ public function index(ListIdeasRequest $request, Subreddit $subreddit): JsonResp
         $query = Idea::query()
             ->fromSubreddit($subreddit->id)
             ->with([
-                'post:id,reddit_id,title,permalink,upvotes,num_comments',
+                'post:id,reddit_id,title,permalink,upvotes,num_comments,subreddit_id',
+                'post.subreddit:id,name',
                 'post.classification:id,post_id,combined_score,final_decision,expected_provider_count,classified_at',
-                'post.classification.results:id,classification_id,provider_name,verdict,confidence,completed',
+                'post.classification.scanResults:id,classification_id,provider_name,verdict,confidence,completed',
             ]);
 
-        // Apply filters
-        if (isset($validated['min_score'])) {
-            $query->minScore($validated['min_score']);
+        if (($validated['starred_only'] ?? false) === true) {
+            $query->starred();
         }
 
-        if (isset($validated['min_complexity'])) {
-            $query->minComplexity($validated['min_complexity']);
+        $this->applyListFilters($query, $validated);
+
+        return $this->listResponse($query, $validated, 'score_overall');
+    }
+
+    /**
+     * Display starred ideas page.
+     */
+    public function starred(): Response
+    {
+        return Inertia::render('Starred');
+    }
+
+    /**
+     * Display a side-by-side comparison of 2–4 ideas (`?ids=1,2,3`).
+     */
+    public function compare(Request $request): Response|RedirectResponse
+    {
+        $ids = collect(explode(',', (string) $request->query('ids', '')))
+            ->map(fn (string $id) => trim($id))
+            ->filter(fn (string $id) => ctype_digit($id))
+            ->map(fn (string $id) => (int) $id)
+            ->unique()
+            ->take(self::MAX_COMPARE)
+            ->values();
+
+        $ideas = Idea::query()
+            ->whereIn('id', $ids)
+            ->with(['post:id,title,permalink,subreddit_id', 'post.subreddit:id,name'])
+            ->get()
+            ->sortBy(fn (Idea $idea) => $ids->search($idea->id))
+            ->values();
+
+        if ($ideas->count() < self::MIN_COMPARE) {
+            return redirect()
+                ->route('ideas.starred')
+                ->with('error', 'Pick '.self::MIN_COMPARE.'–'.self::MAX_COMPARE.' ideas to compare.');
         }
 
+        return Inertia::render('Compare', [
+            'ideas' => $ideas,
+        ]);
+    }
+
+    /**
+     * Get all starred ideas (JSON for AJAX).
+     */
+    public function starredList(ListIdeasRequest $request): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $query = Idea::query()
+            ->starred()
+            ->with([
+                'post:id,reddit_id,title,permalink,upvotes,num_comments,subreddit_id',
+                'post.subreddit:id,name',
+                'post.classification:id,post_id,combined_score,final_decision,expected_provider_count,classified_at',
+                'post.classification.scanResults:id,classification_id,provider_name,verdict,confidence,completed',
+            ]);
+
+        // Apply filters (same as subreddit listing)
+        $this->applyListFilters($query, $validated);
+
+        return $this->listResponse($query, $validated, 'starred_at');
+    }
+
+    /**
+     * Display ideas from every subreddit (analytics drill-downs land here).
+     */
+    public function all(): Response
+    {
+        return Inertia::render('Ideas');
+    }
+
+    /**
+     * Get ideas from every subreddit (JSON for AJAX loading).
+     */
+    public function allList(ListIdeasRequest $request): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $query = Idea::query()
+            ->with([
+                'post:id,reddit_id,title,permalink,upvotes,num_comments,subreddit_id',
+                'post.subreddit:id,name',
+                'post.classification:id,post_id,combined_score,final_decision,expected_provider_count,classified_at',
+                'post.classification.scanResults:id,classification_id,provider_name,verdict,confidence,completed',
+            ]);
+
         if (($validated['starred_only'] ?? false) === true) {
             $query->starred();
         }
 
-        // Only exclude borderline when explicitly set to false
-        if (($validated['include_borderline'] ?? true) === false) {
-            $query->includeBorderline(false);
-        }
-
-        if (! empty($validated['date_from']) && ! empty($validated['date_to'])) {
-            $query->createdBetween($validated['date_from'], $validated['date_to']);
-        }
+        $this->applyListFilters($query, $validated);
 
-        if (! empty($validated['extraction_provider'])) {
-            $query->byExtractionProvider($validated['extraction_provider']);
-        }
+        return $this->listResponse($query, $validated, 'score_overall');
+    }
 
-        if (! empty($validated['classification_agreement'])) {
-            $query->byClassificationAgreement($validated['classification_agreement']);
+    /**
+     * Sort and paginate a filtered listing into the table's JSON shape.
+     */
+    private function listResponse(Builder $query, array $validated, string $defaultSort): JsonResponse
+    {
+        if (($validated['group_similar'] ?? false) === true) {
+            $query->onePerCluster();
         }
 
-        // Apply sorting
-        $sortBy = $validated['sort_by'] ?? 'score_overall';
-        $sortDir = $validated['sort_dir'] ?? 'desc';
-        $query->sortBy($sortBy, $sortDir);
+        $query->sortBy($validated['sort_by'] ?? $defaultSort, $validated['sort_dir'] ?? 'desc');
 
         // Paginate with max limit
-        $perPage = $validated['per_page'] ?? 20;
-        $ideas = $query->paginate($perPage);
+        $ideas = $query->paginate($validated['per_page'] ?? 20);
 
         foreach ($ideas->items() as $idea) {
             if ($idea->post?->classification) {
@@ -83,30 +174,22 @@ public function index(ListIdeasRequest $request, Subreddit $subreddit): JsonResp
     }
 
     /**
-     * Display starred ideas page.
+     * Apply the filters shared by the subreddit and starred listings.
      */
-    public function starred(): Response
+    private function applyListFilters(Builder $query, array $validated): void
     {
-        return Inertia::render('Starred');
-    }
+        if (! empty($validated['q'])) {
+            $query->search($validated['q']);
+        }
 
-    /**
-     * Get all starred ideas (JSON for AJAX).
-     */
-    public function starredList(ListIdeasRequest $request): JsonResponse
-    {
-        $validated = $request->validated();
+        if (! empty($validated['status'])) {
+            $query->withStatus($validated['status']);
+        }
 
-        $query = Idea::query()
-            ->starred()
-            ->with([
-                'post:id,reddit_id,title,permalink,upvotes,num_comments,subreddit_id',
-                'post.subreddit:id,name',
-                'post.classification:id,post_id,combined_score,final_decision,expected_provider_count,classified_at',
-                'post.classification.results:id,classification_id,provider_name,verdict,confidence,completed',
-            ]);
+        if (! empty($validated['tags'])) {
+            $query->withTags(explode(',', $validated['tags']));
+        }
 
-        // Apply filters (same as subreddit listing)
         if (isset($validated['min_score'])) {
             $query->minScore($validated['min_score']);
         }
@@ -120,8 +203,12 @@ public function starredList(ListIdeasRequest $request): JsonResponse
             $query->includeBorderline(false);
         }
 
+        // Whole days, so a week picked on the analytics page includes its last day
         if (! empty($validated['date_from']) && ! empty($validated['date_to'])) {
-            $query->createdBetween($validated['date_from'], $validated['date_to']);
+            $query->createdBetween(
+                Carbon::parse($validated['date_from'])->startOfDay(),
+                Carbon::parse($validated['date_to'])->endOfDay()
+            );
         }
 
         if (! empty($validated['extraction_provider'])) {
@@ -132,29 +219,29 @@ public function starredList(ListIdeasRequest $request): JsonResponse
             $query->byClassificationAgreement($validated['classification_agreement']);
         }
 
-        // Apply sorting
-        $sortBy = $validated['sort_by'] ?? 'starred_at';
-        $sortDir = $validated['sort_dir'] ?? 'desc';
-        $query->sortBy($sortBy, $sortDir);
+        if (! empty($validated['scan_id'])) {
+            $query->fromScan((int) $validated['scan_id']);
+        }
 
-        $perPage = $validated['per_page'] ?? 20;
-        $ideas = $query->paginate($perPage);
+        if (! empty($validated['score_field']) && isset($validated['score'])) {
+            $query->withScore($validated['score_field'], (int) $validated['score']);
+        }
 
-        foreach ($ideas->items() as $idea) {
-            if ($idea->post?->classification) {
-                $idea->post->classification->append('providers_summary');
-            }
+        if (! empty($validated['target_audience'])) {
+            $query->forTargetAudience($validated['target_audience']);
         }
 
-        return response()->json([
-            'ideas' => $ideas->items(),
-            'pagination' => [
-                'current_page' => $ideas->currentPage(),
-                'last_page' => $ideas->lastPage(),
-                'per_page' => $ideas->perPage(),
-                'total' => $ideas->total(),
-            ],
-        ]);
+        if (! empty($validated['monetization_model'])) {
+            $query->forMonetizationModel($validated['monetization_model']);
+        }
+
+        if (! empty($validated['competitor'])) {
+            $query->mentioningCompetitor($validated['competitor']);
+        }
+
+        if (! empty($validated['category'])) {
+            $query->withClassificationCategory($validated['category']);
+        }
     }
 
     /**
@@ -170,6 +257,102 @@ public function toggleStar(Idea $idea): JsonResponse
         ]);
     }
 
+    /**
+     * Update the pipeline fields (status, tags, notes) of an idea.
+     */
+    public function update(UpdateIdeaRequest $request, Idea $idea): JsonResponse
+    {
+        $validated = $request->validated();
+
+        if (array_key_exists('status', $validated)) {
+            $idea->setStatus($validated['status']);
+        }
+
+        if (array_key_exists('tags', $validated)) {
+            $idea->tags = Idea::normalizeTags($validated['tags'] ?? []);
+        }
+
+        if (array_key_exists('notes', $validated)) {
+            $notes = trim((string) $validated['notes']);
+            $idea->notes = $notes === '' ? null : $notes;
+        }
+
+        $idea->save();
+
+        return response()->json([
+            'id' => $idea->id,
+            'status' => $idea->status,
+            'status_changed_at' => $idea->status_changed_at?->toIso8601String(),
+            'tags' => $idea->tags ?? [],
+            'notes' => $idea->notes,
+        ]);
+    }
+
+    /**
+     * Every tag in use with its idea count, most used first (for suggestions and filters).
+     */
+    public function tags(): JsonResponse
+    {
+        $tags = Idea::query()
+            ->whereNotNull('tags')
+            ->pluck('tags')
+            ->flatten()
+            ->countBy()
+            ->sortDesc()
+            ->map(fn (int $count, string $tag) => ['name' => $tag, 'count' => $count])
+            ->values();
+
+        return response()->json(['tags' => $tags]);
+    }
+
+    /**
+     * Star or unstar many ideas at once. Ids that no longer exist are reported as failed.
+     */
+    public function bulkStar(BulkStarIdeasRequest $request): JsonResponse
+    {
+        $validated = $request->validated();
+        $ids = array_map('intval', $validated['ids']);
+        $starred = (bool) $validated['starred'];
+
+        $ideas = Idea::query()->whereIn('id', $ids)->get();
+
+        $updated = $ideas->map(function (Idea $idea) use ($starred) {
+            $starred ? $idea->star() : $idea->unstar();
+
+            return [
+                'id' => $idea->id,
+                'is_starred' => $idea->is_starred,
+                'starred_at' => $idea->starred_at?->toIso8601String(),
+            ];
+        })->values();
+
+        return response()->json([
+            'updated' => $updated,
+            'failed' => array_values(array_diff($ids, $ideas->pluck('id')->all())),
+        ]);
+    }
+
+    /**
+     * Every idea in the idea's near-duplicate cluster with its source post,
+     * oldest first.
+     */
+    public function cluster(Idea $idea): JsonResponse
+    {
+        $relations = [
+            'post:id,reddit_id,title,permalink,upvotes,num_comments,reddit_created_at,subreddit_id',
+            'post.subreddit:id,name',
+        ];
+
+        $ideas = $idea->cluster_id
+            ? $idea->clusterMembers()->with($relations)->orderBy('id')->get()
+            : collect([$idea->load($relations)]);
+
+        return response()->json([
+            'ideas' => $ideas,
+            'subreddits' => $ideas->pluck('post.subreddit_id')->filter()->unique()->count(),
+        ]);
+    }
+
     /**
      * Get a single idea with full details.
      */
@@ -179,11 +362,13 @@ public function show(Idea $idea): JsonResponse
             'post:id,reddit_id,title,body,permalink,author,upvotes,num_comments,reddit_created_at,subreddit_id',
             'post.subreddit:id,name',
             'post.classification',
-            'post.classification.results',
+            'post.classification.scanResults',
+            'post.classification.rerunResults',
+            'post.classification.label',
         ]);
 
         if ($idea->post?->classification) {
-            $idea->post->classification->append('providers');
+            $idea->post->classification->append(['providers', 'rerun_providers']);
         }
 
         return response()->json([
@@ -28,6 +28,10 @@ public function __invoke(Request $request, LLMProviderFactory $factory): JsonRes
             'classification_providers'     => $classificationProviders,
             'extraction_provider'          => $extractionProvider,
             'extraction_filter_providers'  => $extractionFilterProviders,
+            'consensus_thresholds'         => [
+                'keep'    => (float) config('llm.classification.consensus_threshold_keep', 0.6),
+                'discard' => (float) config('llm.classification.consensus_threshold_discard', 0.4),
+            ],
         ]);
     }
 
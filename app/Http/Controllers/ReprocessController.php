@@ -0,0 +1,78 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\StartReprocessRequest;
+use App\Models\Idea;
+use App\Models\ReprocessRun;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use App\Services\ReprocessService;
+use Illuminate\Http\JsonResponse;
+
+class ReprocessController extends Controller
+{
+    public function __construct(
+        private ReprocessService $reprocessService,
+    ) {}
+
+    /**
+     * Re-run a provider over every post of a subreddit.
+     */
+    public function subreddit(StartReprocessRequest $request, Subreddit $subreddit): JsonResponse
+    {
+        return $this->start($request, $subreddit);
+    }
+
+    /**
+     * Re-run a provider over the posts of one scan.
+     */
+    public function scan(StartReprocessRequest $request, Scan $scan): JsonResponse
+    {
+        return $this->start($request, $scan->subreddit, scan: $scan);
+    }
+
+    /**
+     * Re-run a provider over the post an idea came from.
+     */
+    public function idea(StartReprocessRequest $request, Idea $idea): JsonResponse
+    {
+        return $this->start($request, $idea->post->subreddit, idea: $idea);
+    }
+
+    /**
+     * Get the progress of a run.
+     */
+    public function show(ReprocessRun $reprocessRun): JsonResponse
+    {
+        return response()->json([
+            'run' => $this->reprocessService->getRunStatus($reprocessRun),
+        ]);
+    }
+
+    private function start(StartReprocessRequest $request, Subreddit $subreddit, ?Scan $scan = null, ?Idea $idea = null): JsonResponse
+    {
+        $validated = $request->validated();
+
+        try {
+            $run = $this->reprocessService->start(
+                $subreddit,
+                $validated['operation'],
+                $validated['provider'],
+                $scan,
+                $idea,
+            );
+
+            return response()->json([
+                'run' => $this->reprocessService->getRunStatus($run),
+                'message' => $validated['operation'] === ReprocessRun::OPERATION_EXTRACTION
+                    ? 'Re-extraction started'
+                    : 'Re-classification started',
+            ]);
+        } catch (\RuntimeException $e) {
+            return response()->json([
+                'message' => $e->getMessage(),
+            ], 422);
+        }
+    }
+}
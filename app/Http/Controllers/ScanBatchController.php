@@ -0,0 +1,69 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\StartScanBatchRequest;
+use App\Models\ScanBatch;
+use App\Services\ScanBatchService;
+use Carbon\Carbon;
+use Illuminate\Http\JsonResponse;
+
+class ScanBatchController extends Controller
+{
+    public function __construct(
+        private ScanBatchService $batchService,
+    ) {}
+
+    /**
+     * Start scanning several subreddits with one date range.
+     */
+    public function store(StartScanBatchRequest $request): JsonResponse
+    {
+        $validated = $request->validated();
+
+        $dateFrom = isset($validated['date_from']) ? Carbon::parse($validated['date_from'])->utc() : null;
+        $dateTo = isset($validated['date_to']) ? Carbon::parse($validated['date_to'])->utc() : null;
+
+        try {
+            $batch = $this->batchService->start($validated['subreddit_ids'], $dateFrom, $dateTo);
+
+            return response()->json([
+                'batch' => $this->batchService->getBatchStatus($batch),
+                'message' => 'Batch scan started',
+            ]);
+        } catch (\RuntimeException $e) {
+            return response()->json([
+                'message' => $e->getMessage(),
+            ], 422);
+        }
+    }
+
+    /**
+     * Get the progress of a batch.
+     */
+    public function show(ScanBatch $scanBatch): JsonResponse
+    {
+        return response()->json([
+            'batch' => $this->batchService->getBatchStatus($scanBatch),
+        ]);
+    }
+
+    /**
+     * Cancel a batch and all of its running scans.
+     */
+    public function cancel(ScanBatch $scanBatch): JsonResponse
+    {
+        try {
+            $this->batchService->cancel($scanBatch);
+
+            return response()->json([
+                'batch' => $this->batchService->getBatchStatus($scanBatch),
+                'message' => 'Batch scan cancelled',
+            ]);
+        } catch (\RuntimeException $e) {
+            return response()->json([
+                'message' => $e->getMessage(),
+            ], 422);
+        }
+    }
+}
@@ -2,17 +2,56 @@
 
 namespace App\Http\Controllers;
 
+use App\Exceptions\ReprocessInProgressException;
+use App\Exceptions\ScanBudgetExceededException;
 use App\Http\Requests\StartScanRequest;
+use App\Models\Idea;
 use App\Models\Scan;
 use App\Models\Subreddit;
+use App\Services\ScanCostEstimator;
 use App\Services\ScanService;
 use Carbon\Carbon;
 use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+use Illuminate\Support\Sleep;
+use Symfony\Component\HttpFoundation\StreamedResponse;
 
 class ScanController extends Controller
 {
+    /**
+     * Seconds between database checks while streaming.
+     */
+    private const STREAM_INTERVAL_SECONDS = 1;
+
+    /**
+     * Checks per connection before the client is asked to reconnect, so a
+     * stream never holds a PHP worker for more than about a minute.
+     */
+    private const STREAM_MAX_TICKS = 55;
+
+    /**
+     * Send a keep-alive comment every N idle checks.
+     */
+    private const STREAM_HEARTBEAT_TICKS = 15;
+
+    /**
+     * Ideas sent when a client connects without a cursor.
+     */
+    private const STREAM_RECENT_IDEAS = 5;
+
+    /**
+     * Maximum ideas per `ideas` event.
+     */
+    private const STREAM_IDEAS_PER_EVENT = 50;
+
+    /**
+     * Maximum scans per finished-scans check.
+     */
+    private const FINISHED_SCANS_LIMIT = 20;
+
     public function __construct(
         private ScanService $scanService,
+        private ScanCostEstimator $costEstimator,
     ) {}
 
     /**
@@ -25,7 +64,18 @@ public function start(StartScanRequest $request, Subreddit $subreddit): JsonResp
         $dateFrom = isset($validated['date_from']) ? Carbon::parse($validated['date_from'])->utc() : null;
         $dateTo = isset($validated['date_to']) ? Carbon::parse($validated['date_to'])->utc() : null;
 
-        $scan = $this->scanService->startScan($subreddit, $dateFrom, $dateTo);
+        try {
+            $scan = $this->scanService->startScan($subreddit, $dateFrom, $dateTo, $request->llmSettings());
+        } catch (ScanBudgetExceededException $e) {
+            return response()->json([
+                'message' => $e->getMessage(),
+                'estimate' => $e->estimate,
+            ], 422);
+        } catch (ReprocessInProgressException $e) {
+            return response()->json([
+                'message' => $e->getMessage(),
+            ], 422);
+        }
 
         return response()->json([
             'scan' => $this->scanService->getScanStatus($scan),
@@ -35,6 +85,22 @@ public function start(StartScanRequest $request, Subreddit $subreddit): JsonResp
         ]);
     }
 
+    /**
+     * Estimate posts, tokens and cost of scanning a subreddit over a date range.
+     */
+    public function estimate(StartScanRequest $request, Subreddit $subreddit): JsonResponse
+    {
+        $validated = $request->validated();
+
+        [$dateFrom, $dateTo] = isset($validated['date_from'])
+            ? [Carbon::parse($validated['date_from'])->utc(), Carbon::parse($validated['date_to'])->utc()]
+            : $this->scanService->defaultDateRange($subreddit);
+
+        return response()->json([
+            'estimate' => $this->costEstimator->estimate($subreddit, $dateFrom, $dateTo, Scan::resolveLlmSettings($request->llmSettings())),
+        ]);
+    }
+
     /**
      * Get the current status of a scan.
      */
@@ -45,6 +111,114 @@ public function status(Scan $scan): JsonResponse
         ]);
     }
 
+    /**
+     * Scans that completed or failed since `since`, oldest first, for the
+     * notification center to report whichever page is open. `checked_at` is
+     * the cursor for the next check; without `since` nothing is returned, so
+     * a first check only sets the cursor.
+     */
+    public function finished(Request $request): JsonResponse
+    {
+        $validated = $request->validate(['since' => ['nullable', 'date']]);
+        // completed_at is stored to the second, so scans finishing in the current one wait for the next check
+        $checkedAt = now()->startOfSecond();
+
+        if (empty($validated['since'])) {
+            return response()->json(['scans' => [], 'checked_at' => $checkedAt->toIso8601String()]);
+        }
+
+        $scans = Scan::with('subreddit:id,name')
+            ->whereIn('status', [Scan::STATUS_COMPLETED, Scan::STATUS_FAILED])
+            ->where('completed_at', '>=', Carbon::parse($validated['since'])->utc())
+            ->where('completed_at', '<', $checkedAt)
+            ->orderBy('completed_at')
+            ->orderBy('id')
+            ->limit(self::FINISHED_SCANS_LIMIT)
+            ->get();
+
+        // A full page: carry on from the last scan returned (reported again, notifications dedupe it)
+        if ($scans->count() === self::FINISHED_SCANS_LIMIT) {
+            $checkedAt = $scans->last()->completed_at;
+        }
+
+        return response()->json([
+            'scans' => $scans->map(fn (Scan $scan) => [
+                'id' => $scan->id,
+                'status' => $scan->status,
+                'status_message' => $scan->status_message,
+                'ideas_found' => $scan->ideas_found,
+                'error_message' => $scan->error_message,
+                'completed_at' => $scan->completed_at->toIso8601String(),
+                'is_in_progress' => false,
+                'is_completed' => $scan->isCompleted(),
+                'is_failed' => $scan->isFailed(),
+                'subreddit' => ['id' => $scan->subreddit->id, 'name' => $scan->subreddit->name],
+            ])->values(),
+            'checked_at' => $checkedAt->toIso8601String(),
+        ]);
+    }
+
+    /**
+     * Stream scan progress as server-sent events.
+     *
+     * Events: `status` (the getScanStatus payload, sent whenever it changes),
+     * `ideas` (ideas extracted since the `after` cursor, with the newest idea id
+     * as the event id) and `reconnect` (connection limit reached, scan still
+     * running). The stream closes after the first status that is no longer in
+     * progress.
+     */
+    public function stream(Request $request, Scan $scan): StreamedResponse
+    {
+        $afterIdeaId = $request->has('after') ? max(0, $request->integer('after')) : null;
+
+        return response()->stream(function () use ($scan, $afterIdeaId) {
+            // Without a cursor, start just before the most recent few ideas
+            $lastIdeaId = $afterIdeaId ?? (int) Idea::fromScan($scan->id)
+                ->orderByDesc('id')
+                ->skip(self::STREAM_RECENT_IDEAS)
+                ->value('id');
+            $lastStatus = null;
+
+            for ($tick = 0; $tick < self::STREAM_MAX_TICKS; $tick++) {
+                if (connection_aborted()) {
+                    return;
+                }
+
+                $ideas = Idea::fromScan($scan->id)
+                    ->where('id', '>', $lastIdeaId)
+                    ->orderBy('id')
+                    ->limit(self::STREAM_IDEAS_PER_EVENT)
+                    ->get(['id', 'idea_title', 'score_overall']);
+
+                if ($ideas->isNotEmpty()) {
+                    $lastIdeaId = $ideas->last()->id;
+                    $this->sendEvent('ideas', ['ideas' => $ideas], $lastIdeaId);
+                }
+
+                $status = $this->scanService->getScanStatus($scan);
+
+                if ($status !== $lastStatus) {
+                    $this->sendEvent('status', ['scan' => $status]);
+                    $lastStatus = $status;
+                } elseif ($tick % self::STREAM_HEARTBEAT_TICKS === 0) {
+                    $this->sendComment('ping');
+                }
+
+                if (! $status['is_in_progress']) {
+                    return;
+                }
+
+                Sleep::for(self::STREAM_INTERVAL_SECONDS)->seconds();
+            }
+
+            $this->sendEvent('reconnect', ['after' => $lastIdeaId]);
+        }, 200, [
+            'Content-Type' => 'text/event-stream',
+            'Cache-Control' => 'no-cache',
+            'X-Accel-Buffering' => 'no',
+        ]);
+    }
+
     /**
      * Cancel an in-progress scan.
      */
@@ -82,4 +256,41 @@ public function retry(Scan $scan): JsonResponse
             ], 422);
         }
     }
+
+    /**
+     * Write one server-sent event and flush it to the client.
+     */
+    private function sendEvent(string $event, array $data, ?int $id = null): void
+    {
+        if ($id !== null) {
+            echo "id: {$id}\n";
+        }
+
+        echo "event: {$event}\n";
+        echo 'data: '.json_encode($data)."\n\n";
+
+        $this->flushOutput();
+    }
+
+    /**
+     * Write an SSE comment line (ignored by EventSource, keeps proxies from timing out).
+     */
+    private function sendComment(string $comment): void
+    {
+        echo ": {$comment}\n\n";
+
+        $this->flushOutput();
+    }
+
+    /**
+     * Push buffered output past PHP's and the web server's buffers.
+     */
+    private function flushOutput(): void
+    {
+        if (ob_get_level() > 0) {
+            ob_flush();
+        }
+
+        flush();
+    }
 }
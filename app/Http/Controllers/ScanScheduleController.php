@@ -0,0 +1,55 @@
+<?php
+
+namespace App\Http\Controllers;
+
+use App\Http\Requests\SaveScanScheduleRequest;
+use App\Models\Subreddit;
+use App\Services\ScanScheduler;
+use Illuminate\Http\JsonResponse;
+use Illuminate\Http\Request;
+
+class ScanScheduleController extends Controller
+{
+    public function __construct(
+        private ScanScheduler $scheduler,
+    ) {}
+
+    /**
+     * Create or replace the recurring scan schedule for a subreddit.
+     */
+    public function update(SaveScanScheduleRequest $request, Subreddit $subreddit): JsonResponse
+    {
+        $schedule = $this->scheduler->save($subreddit, $request->scheduleAttributes());
+
+        return response()->json([
+            'schedule' => $this->scheduler->getScheduleData($schedule),
+            'message' => 'Schedule saved',
+        ]);
+    }
+
+    /**
+     * Pause or resume the schedule.
+     */
+    public function pause(Request $request, Subreddit $subreddit): JsonResponse
+    {
+        $validated = $request->validate(['paused' => ['required', 'boolean']]);
+        $schedule = $subreddit->scanSchedule()->firstOrFail();
+
+        $this->scheduler->setPaused($schedule, $validated['paused']);
+
+        return response()->json([
+            'schedule' => $this->scheduler->getScheduleData($schedule),
+            'message' => $validated['paused'] ? 'Schedule paused' : 'Schedule resumed',
+        ]);
+    }
+
+    /**
+     * Remove the schedule. Already queued runs skip themselves.
+     */
+    public function destroy(Subreddit $subreddit): JsonResponse
+    {
+        $subreddit->scanSchedule()->delete();
+
+        return response()->json(['message' => 'Schedule removed']);
+    }
+}
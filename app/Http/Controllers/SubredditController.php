@@ -5,6 +5,8 @@
 use App\Http\Requests\StoreSubredditRequest;
 use App\Models\Idea;
 use App\Models\Subreddit;
+use App\Services\ReprocessService;
+use App\Services\ScanScheduler;
 use App\Services\ScanService;
 use Illuminate\Http\RedirectResponse;
 use Inertia\Inertia;
@@ -15,6 +17,8 @@ class SubredditController extends Controller
 {
     public function __construct(
         private ScanService $scanService,
+        private ScanScheduler $scanScheduler,
+        private ReprocessService $reprocessService,
     ) {}
 
     /**
@@ -27,6 +31,8 @@ public function show(Subreddit $subreddit): Response
         $avgScore = Idea::whereHas('post', fn ($q) => $q->where('subreddit_id', $subreddit->id))
             ->avg('score_overall');
 
+        $reprocessRun = $this->reprocessService->getActiveRun($subreddit);
+
         return Inertia::render('Subreddit/Show', [
             'subreddit' => [
                 'id' => $subreddit->id,
@@ -39,6 +45,8 @@ public function show(Subreddit $subreddit): Response
             ],
             'status' => $status,
             'scan_history' => $this->scanService->getScanHistory($subreddit),
+            'schedule' => $this->scanScheduler->getScheduleData($subreddit->scanSchedule),
+            'reprocess_run' => $reprocessRun ? $this->reprocessService->getRunStatus($reprocessRun) : null,
             'scan_defaults' => [
                 'default_timeframe_weeks' => config('reddit.fetch.default_timeframe_weeks'),
                 'rescan_timeframe_weeks' => config('reddit.fetch.rescan_timeframe_weeks'),
@@ -46,6 +54,25 @@ public function show(Subreddit $subreddit): Response
         ]);
     }
 
+    /**
+     * Display every scan of a subreddit as a timeline.
+     */
+    public function scans(Subreddit $subreddit): Response
+    {
+        $reprocessRun = $this->reprocessService->getActiveRun($subreddit);
+
+        return Inertia::render('Subreddit/Scans', [
+            'subreddit' => [
+                'id' => $subreddit->id,
+                'name' => $subreddit->name,
+                'full_name' => $subreddit->full_name,
+            ],
+            'scans' => $this->scanService->getScanTimeline($subreddit),
+            'has_active_scan' => $subreddit->activeScan() !== null,
+            'reprocess_run' => $reprocessRun ? $this->reprocessService->getRunStatus($reprocessRun) : null,
+        ]);
+    }
+
     /**
      * Store a new subreddit.
      */
@@ -0,0 +1,27 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+class BulkStarIdeasRequest extends FormRequest
+{
+    /**
+     * Upper bound on ideas per request — "select all matching" is chunked client-side.
+     */
+    public const MAX_IDS = 500;
+
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        return [
+            'ids' => ['required', 'array', 'min:1', 'max:'.self::MAX_IDS],
+            'ids.*' => ['integer', 'distinct'],
+            'starred' => ['required', 'boolean'],
+        ];
+    }
+}
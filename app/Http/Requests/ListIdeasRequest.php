@@ -2,6 +2,8 @@
 
 namespace App\Http\Requests;
 
+use App\Models\Idea;
+use App\Services\LLM\LLMProviderFactory;
 use Illuminate\Foundation\Http\FormRequest;
 use Illuminate\Validation\Rule;
 
@@ -15,10 +17,16 @@ public function authorize(): bool
     public function rules(): array
     {
         return [
+            'q' => ['nullable', 'string', 'max:200'],
+            'status' => ['nullable', 'string', Rule::in(Idea::STATUSES)],
+            // Comma-separated; ideas must carry every tag
+            'tags' => ['nullable', 'string', 'max:200'],
             'min_score' => ['nullable', 'integer', 'min:1', 'max:5'],
             'min_complexity' => ['nullable', 'integer', 'min:1', 'max:5'],
             'starred_only' => ['nullable', 'boolean'],
             'include_borderline' => ['nullable', 'boolean'],
+            // One row per near-duplicate cluster
+            'group_similar' => ['nullable', 'boolean'],
             'date_from' => ['nullable', 'date'],
             'date_to' => ['nullable', 'date', 'after_or_equal:date_from'],
             'sort_by' => ['nullable', 'string', Rule::in([
@@ -29,12 +37,26 @@ public function rules(): array
                 'score_demand',
                 'created_at',
                 'starred_at',
+                'cluster_size',
             ])],
             'sort_dir' => ['nullable', 'string', Rule::in(['asc', 'desc'])],
             'per_page' => ['nullable', 'integer', 'min:1', 'max:100'],
             'extraction_provider' => ['nullable', 'string', 'max:50'],
+            // Limit to ideas extracted by a single scan (scan history "ideas from this scan")
+            'scan_id' => ['nullable', 'integer', 'min:1'],
+            // Drill-down filters set by the analytics page charts
+            'score_field' => ['nullable', 'string', Rule::in(array_keys(Idea::SCORE_COLUMNS)), 'required_with:score'],
+            'score' => ['nullable', 'integer', 'min:1', 'max:5', 'required_with:score_field'],
+            'target_audience' => ['nullable', 'string', 'max:500'],
+            'monetization_model' => ['nullable', 'string', 'max:500'],
+            'competitor' => ['nullable', 'string', 'max:200'],
+            'category' => ['nullable', 'string', 'max:50'],
             'classification_agreement' => ['nullable', 'string', Rule::in([
                 'all_agree', 'any_disagree',
+                ...array_map(
+                    fn (string $provider) => "provider_keep:{$provider}",
+                    LLMProviderFactory::providersWithCapability('classification'),
+                ),
                 // Legacy aliases (backward compat — still accepted, mapped in Idea scope)
                 'all_disagree', 'haiku_only_keep', 'gpt_only_keep',
             ])],
@@ -46,7 +68,7 @@ protected function prepareForValidation(): void
         // URL query params come in as strings, but the validator's `boolean`
         // rule does not accept "true"/"false". Normalize to actual booleans
         // before validation.
-        foreach (['starred_only', 'include_borderline'] as $key) {
+        foreach (['starred_only', 'include_borderline', 'group_similar'] as $key) {
             if (! $this->has($key)) {
                 continue;
             }
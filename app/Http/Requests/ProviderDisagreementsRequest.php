@@ -0,0 +1,31 @@
+<?php
+
+namespace App\Http\Requests;
+
+use Illuminate\Foundation\Http\FormRequest;
+
+class ProviderDisagreementsRequest extends FormRequest
+{
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        return [
+            // Comma-separated provider names that voted keep / skip
+            'keep' => ['required', 'string', 'max:500'],
+            'skip' => ['required', 'string', 'max:500'],
+            'page' => ['nullable', 'integer', 'min:1'],
+        ];
+    }
+
+    /**
+     * @return array<int, string>
+     */
+    public function providers(string $key): array
+    {
+        return array_values(array_filter(array_map('trim', explode(',', $this->validated($key)))));
+    }
+}
@@ -0,0 +1,33 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\ClassificationLabel;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class SaveClassificationLabelRequest extends FormRequest
+{
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        return [
+            'decision' => ['required', 'string', Rule::in(ClassificationLabel::DECISIONS)],
+            'reason' => ['required', 'string', 'max:2000'],
+            // Only a post the reviewer keeps can be sent to extraction
+            'force_extraction' => ['nullable', 'boolean', 'declined_if:decision,'.ClassificationLabel::DECISION_DISCARD],
+        ];
+    }
+
+    public function messages(): array
+    {
+        return [
+            'reason.required' => 'Say why you are overriding the decision.',
+            'force_extraction.declined_if' => 'Only kept posts can be sent to extraction.',
+        ];
+    }
+}
@@ -0,0 +1,92 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\ScanSchedule;
+use Cron\CronExpression;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+use Illuminate\Validation\Validator;
+use RuntimeException;
+
+class SaveScanScheduleRequest extends FormRequest
+{
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        return [
+            'frequency' => ['required', Rule::in(ScanSchedule::FREQUENCIES)],
+            'time' => ['exclude_if:frequency,cron', 'required', 'date_format:H:i'],
+            'day_of_week' => ['exclude_unless:frequency,weekly', 'required', 'integer', 'between:0,6'],
+            'cron_expression' => ['exclude_unless:frequency,cron', 'required', 'string', 'max:100'],
+            // Omitted or null = incremental (since the last completed scan)
+            'window_hours' => ['nullable', 'integer', Rule::in(ScanSchedule::WINDOW_HOURS)],
+            'timezone' => ['required', 'timezone:all'],
+        ];
+    }
+
+    public function messages(): array
+    {
+        return [
+            'time.date_format' => 'The time must be in HH:MM format.',
+            'window_hours.in' => 'The window must match one of the preset ranges.',
+        ];
+    }
+
+    public function withValidator(Validator $validator): void
+    {
+        $validator->after(function (Validator $validator) {
+            if ($this->input('frequency') !== ScanSchedule::FREQUENCY_CRON || $validator->errors()->has('cron_expression')) {
+                return;
+            }
+
+            $expression = trim((string) $this->input('cron_expression'));
+
+            if (! CronExpression::isValidExpression($expression)) {
+                $validator->errors()->add('cron_expression', 'The cron expression is not valid.');
+
+                return;
+            }
+
+            try {
+                $shortest = ScanSchedule::shortestIntervalMinutes($expression);
+            } catch (RuntimeException) {
+                // The library gives up looking for a run, e.g. "0 0 30 2 *"
+                $validator->errors()->add('cron_expression', 'The cron expression never runs.');
+
+                return;
+            }
+
+            // Over the whole cycle, so a short gap later in the year is caught too
+            if ($shortest < ScanSchedule::MIN_INTERVAL_MINUTES) {
+                $validator->errors()->add(
+                    'cron_expression',
+                    'Scheduled scans cannot run more often than every '.ScanSchedule::MIN_INTERVAL_MINUTES.' minutes.'
+                );
+            }
+        });
+    }
+
+    /**
+     * Model attributes for the validated schedule.
+     *
+     * @return array{frequency: string, cron_expression: string, timezone: string, window_hours: ?int}
+     */
+    public function scheduleAttributes(): array
+    {
+        $validated = $this->validated();
+
+        return [
+            'frequency' => $validated['frequency'],
+            'cron_expression' => $validated['frequency'] === ScanSchedule::FREQUENCY_CRON
+                ? trim($validated['cron_expression'])
+                : ScanSchedule::expressionFor($validated['frequency'], $validated['time'], $validated['day_of_week'] ?? null),
+            'timezone' => $validated['timezone'],
+            'window_hours' => $validated['window_hours'] ?? null,
+        ];
+    }
+}
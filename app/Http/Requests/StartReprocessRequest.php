@@ -0,0 +1,42 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\ReprocessRun;
+use App\Services\LLM\LLMProviderFactory;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class StartReprocessRequest extends FormRequest
+{
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        // The provider must support the requested operation
+        $capability = $this->input('operation') === ReprocessRun::OPERATION_CLASSIFICATION
+            ? ReprocessRun::OPERATION_CLASSIFICATION
+            : ReprocessRun::OPERATION_EXTRACTION;
+
+        return [
+            'operation' => ['required', 'string', Rule::in(ReprocessRun::OPERATIONS)],
+            'provider' => [
+                'required',
+                'string',
+                Rule::in(LLMProviderFactory::providersWithCapability($capability)),
+            ],
+        ];
+    }
+
+    public function messages(): array
+    {
+        return [
+            'operation.in' => 'Choose extraction or classification.',
+            'provider.required' => 'Choose a provider.',
+            'provider.in' => 'The selected provider does not support this operation.',
+        ];
+    }
+}
@@ -0,0 +1,29 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\ScanBatch;
+
+/**
+ * Same date-range rules as a single scan, plus the subreddits to scan.
+ */
+class StartScanBatchRequest extends StartScanRequest
+{
+    public function rules(): array
+    {
+        return array_merge(parent::rules(), [
+            'subreddit_ids' => ['required', 'array', 'min:1', 'max:'.ScanBatch::MAX_SUBREDDITS],
+            'subreddit_ids.*' => ['integer', 'distinct', 'exists:subreddits,id'],
+        ]);
+    }
+
+    public function messages(): array
+    {
+        return array_merge(parent::messages(), [
+            'subreddit_ids.required' => 'Select at least one subreddit to scan.',
+            'subreddit_ids.min' => 'Select at least one subreddit to scan.',
+            'subreddit_ids.max' => 'A batch can scan at most '.ScanBatch::MAX_SUBREDDITS.' subreddits.',
+            'subreddit_ids.*.exists' => 'One of the selected subreddits no longer exists.',
+        ]);
+    }
+}
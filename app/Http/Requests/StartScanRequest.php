@@ -2,7 +2,10 @@
 
 namespace App\Http\Requests;
 
+use App\Models\Scan;
+use App\Services\LLM\LLMProviderFactory;
 use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
 
 class StartScanRequest extends FormRequest
 {
@@ -28,6 +31,19 @@ public function rules(): array
                 'after:date_from',
                 'before_or_equal:now',
             ],
+            'classification_providers' => ['nullable', 'array', 'min:1'],
+            'classification_providers.*' => [
+                'string',
+                'distinct',
+                Rule::in(LLMProviderFactory::providersWithCapability('classification')),
+            ],
+            'extraction_provider' => [
+                'nullable',
+                'string',
+                Rule::in(LLMProviderFactory::providersWithCapability('extraction')),
+            ],
+            'consensus_threshold_keep' => ['nullable', 'numeric', 'between:0,1'],
+            'consensus_threshold_discard' => ['nullable', 'numeric', 'between:0,1'],
         ];
     }
 
@@ -42,9 +58,25 @@ public function messages(): array
             'date_to.required_with' => 'The end date is required when a start date is provided.',
             'date_to.after' => 'The end date must be after the start date.',
             'date_to.before_or_equal' => 'The end date cannot be in the future.',
+            'classification_providers.min' => 'Choose at least one classification provider.',
+            'classification_providers.*.in' => 'The selected provider does not support classification.',
+            'classification_providers.*.distinct' => 'Each classification provider can only be chosen once.',
+            'extraction_provider.in' => 'The selected provider does not support extraction.',
+            'consensus_threshold_keep.between' => 'The keep threshold must be between 0 and 1.',
+            'consensus_threshold_discard.between' => 'The discard threshold must be between 0 and 1.',
         ];
     }
 
+    /**
+     * Provider and threshold choices for this scan, for Scan::resolveLlmSettings().
+     */
+    public function llmSettings(): array
+    {
+        return collect($this->validated())
+            ->only(array_keys(Scan::defaultLlmSettings()))
+            ->all();
+    }
+
     public function withValidator(\Illuminate\Validation\Validator $validator): void
     {
         $validator->after(function (\Illuminate\Validation\Validator $validator) {
@@ -61,6 +93,16 @@ public function withValidator(\Illuminate\Validation\Validator $validator): void
                     $validator->errors()->add('date_from', 'The date range cannot exceed 12 weeks (84 days).');
                 }
             }
+
+            // Compare thresholds after defaults fill in whichever one was omitted
+            if (! $validator->errors()->hasAny(['consensus_threshold_keep', 'consensus_threshold_discard'])) {
+                $keep = (float) ($this->input('consensus_threshold_keep') ?? config('llm.classification.consensus_threshold_keep', 0.6));
+                $discard = (float) ($this->input('consensus_threshold_discard') ?? config('llm.classification.consensus_threshold_discard', 0.4));
+
+                if ($discard > $keep) {
+                    $validator->errors()->add('consensus_threshold_discard', 'The discard threshold cannot be above the keep threshold.');
+                }
+            }
         });
     }
 }
@@ -0,0 +1,25 @@
+<?php
+
+namespace App\Http\Requests;
+
+use App\Models\Idea;
+use Illuminate\Foundation\Http\FormRequest;
+use Illuminate\Validation\Rule;
+
+class UpdateIdeaRequest extends FormRequest
+{
+    public function authorize(): bool
+    {
+        return true;
+    }
+
+    public function rules(): array
+    {
+        return [
+            'status' => ['sometimes', 'string', Rule::in(Idea::STATUSES)],
+            'tags' => ['sometimes', 'nullable', 'array', 'max:'.Idea::MAX_TAGS],
+            'tags.*' => ['string', 'max:'.Idea::MAX_TAG_LENGTH],
+            'notes' => ['sometimes', 'nullable', 'string', 'max:10000'],
+        ];
+    }
+}
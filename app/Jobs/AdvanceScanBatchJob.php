@@ -0,0 +1,36 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\ScanBatch;
+use App\Services\ScanBatchService;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+
+class AdvanceScanBatchJob implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    public int $tries = 3;
+
+    public array $backoff = [5, 30];
+
+    /**
+     * Takes the id rather than the model so a deleted batch is a no-op.
+     */
+    public function __construct(
+        public int $batchId,
+    ) {}
+
+    public function handle(ScanBatchService $batchService): void
+    {
+        $batch = ScanBatch::find($this->batchId);
+
+        if ($batch) {
+            $batchService->advance($batch);
+        }
+    }
+}
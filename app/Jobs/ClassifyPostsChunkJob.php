@@ -103,7 +103,7 @@ public function handle(LLMProviderFactory $providerFactory): void
             return;
         }
 
-        $providers = $providerFactory->classificationProviders();
+        $providers = $providerFactory->classificationProviders($scan->classificationProviderNames());
         $maxAttempts = (int) config('llm.retry.max_attempts', 3);
 
         // Load posts by IDs with classification relationship to avoid N+1 on idempotency check
@@ -188,10 +188,11 @@ public function handle(LLMProviderFactory $providerFactory): void
                             return;
                         }
 
-                        $configuredProviders = config('llm.classification.providers', []);
+                        $configuredProviders = $scan->classificationProviderNames();
 
                         if ($existing) {
                             $existing->update([
+                                'scan_id' => $scan->id,
                                 'final_decision' => Classification::DECISION_DISCARD,
                                 'combined_score' => 0.0,
                                 'classified_at' => now(),
@@ -200,6 +201,7 @@ public function handle(LLMProviderFactory $providerFactory): void
                         } else {
                             $classification = Classification::create([
                                 'post_id' => $post->id,
+                                'scan_id' => $scan->id,
                                 'final_decision' => Classification::DECISION_DISCARD,
                                 'combined_score' => 0.0,
                                 'expected_provider_count' => count($configuredProviders),
@@ -208,7 +210,7 @@ public function handle(LLMProviderFactory $providerFactory): void
                         }
 
                         foreach ($configuredProviders as $providerName) {
-                            ClassificationResult::firstOrCreate(
+                            ClassificationResult::whereNull('reprocess_run_id')->firstOrCreate(
                                 [
                                     'classification_id' => $classification->id,
                                     'provider_name' => $providerName,
@@ -256,8 +258,8 @@ private function classifySinglePost(Post $post, Scan $scan, array $providers, in
                 $results = $this->runProviders($providers, $request);
 
                 DB::transaction(function () use ($post, $results, $scan, $attempt, $maxAttempts) {
-                    $classification = $this->storeClassification($post, $results);
-                    $this->processClassificationResults($classification, $results, $attempt, $maxAttempts);
+                    $classification = $this->storeClassification($post, $results, count($scan->classificationProviderNames()));
+                    $this->processClassificationResults($classification, $results, $attempt, $maxAttempts, $scan->consensusThresholds());
                     $scan->increment('posts_classified');
                 });
 
@@ -394,13 +396,15 @@ private function runProviders(array $providers, ClassificationRequest $request):
      *
      * @param Post $post
      * @param array<string, array{response: ?ClassificationResponse, completed: bool}> $results Keyed by config key
+     * @param int $expectedProviderCount Providers configured for the scan
      * @return Classification
      */
-    private function storeClassification(Post $post, array $results): Classification
+    private function storeClassification(Post $post, array $results, int $expectedProviderCount): Classification
     {
         $classification = Classification::create([
             'post_id' => $post->id,
-            'expected_provider_count' => count(config('llm.classification.providers', [])),
+            'scan_id' => $this->scanId,
+            'expected_provider_count' => $expectedProviderCount,
         ]);
 
         foreach ($results as $configKey => $result) {
@@ -422,7 +426,7 @@ private function storeClassification(Post $post, array $results): Classification
         }
 
         // Load results relationship after creating
-        $classification->load('results');
+        $classification->load('scanResults');
 
         Log::debug('Classification record created', [
             'classification_id' => $classification->id,
@@ -440,13 +444,15 @@ private function storeClassification(Post $post, array $results): Classification
      * @param array<string, array{response: ?ClassificationResponse, completed: bool, error: ?string}> $results Keyed by config key
      * @param int $attempt Current attempt number
      * @param int $maxAttempts Maximum allowed attempts
+     * @param array{keep: float, discard: float} $thresholds The scan's consensus thresholds
      * @throws RuntimeException When transient retry is needed
      */
     private function processClassificationResults(
         Classification $classification,
         array $results,
         int $attempt,
-        int $maxAttempts
+        int $maxAttempts,
+        array $thresholds
     ): void {
         $completedCount = count(array_filter($results, fn ($r) => $r['completed']));
         $totalCount = count($results);
@@ -455,7 +461,7 @@ private function processClassificationResults(
 
         // Case 1: All completed — use model's consensus logic
         if ($completedCount === $totalCount) {
-            $classification->processResults();
+            $classification->processResults($thresholds);
             return;
         }
 
@@ -516,11 +522,8 @@ private function processClassificationResults(
         );
         $combinedScore = $sum / $classification->expected_provider_count;
 
-        $keepThreshold = (float) config('llm.classification.consensus_threshold_keep', 0.6);
-        $discardThreshold = (float) config('llm.classification.consensus_threshold_discard', 0.4);
-
         $classification->combined_score = $combinedScore;
-        $classification->final_decision = Classification::determineFinalDecision($combinedScore, $keepThreshold, $discardThreshold);
+        $classification->final_decision = Classification::determineFinalDecision($combinedScore, $thresholds['keep'], $thresholds['discard']);
         $classification->classified_at = now();
         $classification->save();
 
@@ -546,7 +549,7 @@ public function failed(Throwable $exception): void
         ]);
 
         $scan = Scan::find($this->scanId);
-        $configuredProviders = config('llm.classification.providers', []);
+        $configuredProviders = $scan?->classificationProviderNames() ?? config('llm.classification.providers', []);
 
         foreach ($this->postIds as $postId) {
             try {
@@ -568,6 +571,7 @@ public function failed(Throwable $exception): void
 
                     if ($existing) {
                         $existing->update([
+                            'scan_id' => $scan->id,
                             'final_decision' => Classification::DECISION_DISCARD,
                             'combined_score' => 0.0,
                             'classified_at' => now(),
@@ -576,6 +580,7 @@ public function failed(Throwable $exception): void
                     } else {
                         $classification = Classification::create([
                             'post_id' => $postId,
+                            'scan_id' => $scan->id,
                             'final_decision' => Classification::DECISION_DISCARD,
                             'combined_score' => 0.0,
                             'expected_provider_count' => count($configuredProviders),
@@ -584,7 +589,7 @@ public function failed(Throwable $exception): void
                     }
 
                     foreach ($configuredProviders as $providerName) {
-                        ClassificationResult::firstOrCreate(
+                        ClassificationResult::whereNull('reprocess_run_id')->firstOrCreate(
                             [
                                 'classification_id' => $classification->id,
                                 'provider_name' => $providerName,
@@ -0,0 +1,56 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Services\IdeaClusteringService;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldBeUniqueUntilProcessing;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\Middleware\WithoutOverlapping;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Recomputes near-duplicate clusters over every idea. Unique until it starts,
+ * so scans that finish close together queue a single run, while a scan that
+ * finishes during a run still queues the follow-up that sees its ideas.
+ */
+class ClusterIdeasJob implements ShouldQueue, ShouldBeUniqueUntilProcessing
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * Waiting for a run in progress counts as an attempt; failures are capped
+     * separately by maxExceptions.
+     */
+    public int $tries = 20;
+
+    public int $maxExceptions = 2;
+
+    public int $timeout = 600;
+
+    /**
+     * Seconds the uniqueness lock is held if the job is never picked up.
+     */
+    public int $uniqueFor = 900;
+
+    /**
+     * A follow-up queued during a run waits for it, so an older read of the
+     * ideas never overwrites newer clusters.
+     *
+     * @return array<int, object>
+     */
+    public function middleware(): array
+    {
+        return [(new WithoutOverlapping('cluster-ideas'))->releaseAfter(30)->expireAfter($this->timeout)];
+    }
+
+    public function handle(IdeaClusteringService $clusteringService): void
+    {
+        $result = $clusteringService->cluster();
+
+        Log::info('Idea clusters recomputed', $result);
+    }
+}
@@ -100,7 +100,7 @@ public function handle(LLMProviderFactory $providerFactory): void
             return;
         }
 
-        $provider = $providerFactory->extractionProvider();
+        $provider = $providerFactory->extractionProvider($scan->extractionProviderName());
         $maxAttempts = (int) config('llm.retry.max_attempts', 3);
 
         // Load posts by IDs — do NOT eager-load comments across all posts here.
@@ -86,7 +86,7 @@ public function handle(): void
             ->whereDoesntHave('classification', fn ($q) => $q->whereNotNull('classified_at'))
             ->get();
 
-        $configuredProviders = config('llm.classification.providers', []);
+        $configuredProviders = $scan->classificationProviderNames();
         $gapFilled = 0;
 
         foreach ($unclassifiedPosts as $post) {
@@ -97,6 +97,7 @@ public function handle(): void
 
             if ($existingClassification) {
                 $existingClassification->update([
+                    'scan_id' => $scan->id,
                     'final_decision' => Classification::DECISION_DISCARD,
                     'combined_score' => 0.0,
                     'classified_at' => now(),
@@ -105,6 +106,7 @@ public function handle(): void
             } else {
                 $classification = Classification::create([
                     'post_id' => $post->id,
+                    'scan_id' => $scan->id,
                     'final_decision' => Classification::DECISION_DISCARD,
                     'combined_score' => 0.0,
                     'expected_provider_count' => count($configuredProviders),
@@ -113,7 +115,7 @@ public function handle(): void
             }
 
             foreach ($configuredProviders as $providerName) {
-                ClassificationResult::firstOrCreate(
+                ClassificationResult::whereNull('reprocess_run_id')->firstOrCreate(
                     ['classification_id' => $classification->id, 'provider_name' => $providerName],
                     [
                         'model_id' => null,
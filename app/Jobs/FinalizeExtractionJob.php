@@ -103,6 +103,11 @@ public function handle(): void
             'scan_id' => $scan->id,
             'ideas_found' => $scan->ideas_found,
         ]);
+
+        // Fold the new ideas into the near-duplicate clusters
+        if ($scan->ideas_found > 0) {
+            ClusterIdeasJob::dispatch();
+        }
     }
 
     /**
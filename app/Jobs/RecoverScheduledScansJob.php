@@ -0,0 +1,60 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\ScanSchedule;
+use App\Services\ScanScheduler;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldBeUniqueUntilProcessing;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Watchdog for scan schedules: starts runs whose delayed RunScheduledScanJob
+ * was lost (Redis flush, worker restart), then queues itself again. Unique
+ * until it starts, so the schedule saves and worker starts that queue it only
+ * ever leave one copy waiting. It stops once no schedule is active.
+ */
+class RecoverScheduledScansJob implements ShouldQueue, ShouldBeUniqueUntilProcessing
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * Minutes between checks.
+     */
+    public const INTERVAL_MINUTES = 15;
+
+    public int $tries = 1;
+
+    /**
+     * Seconds the uniqueness lock is held, so a copy lost from the queue
+     * does not block a new one for long.
+     */
+    public int $uniqueFor = self::INTERVAL_MINUTES * 60 * 2;
+
+    /**
+     * Queue the watchdog for its next check.
+     */
+    public static function queueNext(): void
+    {
+        static::dispatch()->delay(now()->addMinutes(self::INTERVAL_MINUTES));
+    }
+
+    public function handle(ScanScheduler $scheduler): void
+    {
+        try {
+            $count = $scheduler->runOverdue();
+
+            if ($count > 0) {
+                Log::info('Recovered overdue scheduled scans', ['count' => $count]);
+            }
+        } finally {
+            if (ScanSchedule::where('is_paused', false)->exists()) {
+                self::queueNext();
+            }
+        }
+    }
+}
@@ -0,0 +1,278 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Exceptions\PermanentClassificationException;
+use App\Models\ClassificationResult;
+use App\Models\Idea;
+use App\Models\Post;
+use App\Models\ReprocessRun;
+use App\Services\LLM\DTOs\ClassificationRequest;
+use App\Services\LLM\DTOs\ExtractionRequest;
+use App\Services\LLM\LLMProviderFactory;
+use App\Services\LLM\LLMProviderInterface;
+use Illuminate\Bus\Batchable;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Database\Eloquent\Collection;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Context;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+use RuntimeException;
+use Throwable;
+
+/**
+ * Re-run extraction or classification over already-fetched posts with the
+ * run's provider. Results are tagged with the run id and stored alongside
+ * the scan's own results; classifications keep their final decision.
+ */
+class ReprocessPostsChunkJob implements ShouldQueue
+{
+    use Batchable, Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    /**
+     * Retries are handled per post; re-running the chunk would repeat LLM calls.
+     */
+    public int $tries = 1;
+
+    /**
+     * Job timeout in seconds. Sized like ExtractIdeasChunkJob; runs use the
+     * same queue connections as the scan pipeline.
+     */
+    public int $timeout = 1500;
+
+    /**
+     * @param int $runId The reprocess run ID (scalar for batch serialization)
+     * @param array<int> $postIds Posts to re-run in this chunk
+     */
+    public function __construct(
+        public int $runId,
+        public array $postIds,
+    ) {}
+
+    /**
+     * Execute the job.
+     */
+    public function handle(LLMProviderFactory $providerFactory): void
+    {
+        if ($this->batch()?->cancelled() || empty($this->postIds)) {
+            return;
+        }
+
+        $run = ReprocessRun::find($this->runId);
+
+        if (! $run || ! $run->isRunning()) {
+            Log::info('Reprocess run missing or finished, skipping chunk', [
+                'reprocess_run_id' => $this->runId,
+            ]);
+            return;
+        }
+
+        $provider = $run->operation === ReprocessRun::OPERATION_EXTRACTION
+            ? $providerFactory->extractionProvider($run->provider)
+            : $providerFactory->classificationProviders([$run->provider])[$run->provider];
+
+        $maxAttempts = (int) config('llm.retry.max_attempts', 3);
+        $posts = Post::whereIn('id', $this->postIds)->get()->keyBy('id');
+
+        // LLMLogger records the calls' usage against the run instead of the post's scan
+        Context::add('reprocess_run_id', $run->id);
+
+        try {
+            $this->processPosts($run, $provider, $posts, $maxAttempts);
+        } finally {
+            Context::forget('reprocess_run_id');
+        }
+    }
+
+    /**
+     * Re-run each post in turn; a post that fails after retries is logged and skipped.
+     *
+     * @param Collection<int, Post> $posts Keyed by id
+     */
+    private function processPosts(ReprocessRun $run, LLMProviderInterface $provider, Collection $posts, int $maxAttempts): void
+    {
+        foreach ($this->postIds as $postId) {
+            $post = $posts->get($postId);
+
+            if (! $post) {
+                $run->increment('posts_processed');
+                continue;
+            }
+
+            // Same per-post comment limit as the scan pipeline
+            $post->load([
+                'comments' => fn ($query) => $query->orderByDesc('upvotes')->limit(100),
+                'subreddit',
+                'classification',
+            ]);
+
+            try {
+                if ($run->operation === ReprocessRun::OPERATION_EXTRACTION) {
+                    $this->reextract($post, $run, $provider, $maxAttempts);
+                } else {
+                    $this->reclassify($post, $run, $provider, $maxAttempts);
+                }
+            } catch (Throwable $e) {
+                Log::error('Reprocessing failed for post after all retries', [
+                    'reprocess_run_id' => $run->id,
+                    'post_id' => $post->id,
+                    'error' => $e->getMessage(),
+                ]);
+            }
+
+            $run->increment('posts_processed');
+        }
+    }
+
+    /**
+     * Extract ideas for one post and store them as the run's ideas.
+     *
+     * @throws Throwable When all retry attempts are exhausted
+     */
+    private function reextract(Post $post, ReprocessRun $run, LLMProviderInterface $provider, int $maxAttempts): void
+    {
+        // Idempotency: the post was already handled by this run
+        if (Idea::where('post_id', $post->id)->where('reprocess_run_id', $run->id)->exists()) {
+            return;
+        }
+
+        $response = $this->withRetries($maxAttempts, $post, $run, function () use ($post, $provider) {
+            $response = $provider->extract(ExtractionRequest::fromPost($post));
+
+            if (($response->rawResponse['error'] ?? null) === 'network-error') {
+                throw new RuntimeException('Extraction failed (network-error)');
+            }
+
+            return $response;
+        });
+
+        if (! $response->hasIdeas()) {
+            return;
+        }
+
+        $maxIdeas = config('llm.extraction.max_ideas_per_post', 5);
+        $ideas = $response->ideas->take($maxIdeas);
+
+        DB::transaction(function () use ($ideas, $post, $run, $provider) {
+            foreach ($ideas as $ideaDTO) {
+                Idea::create(array_merge($ideaDTO->toArray(), [
+                    // No scan_id: the run found these ideas, not the post's scan
+                    'post_id' => $post->id,
+                    // Labels only score providers; a forced extraction of a discarded post counts as kept
+                    'classification_status' => $post->classification?->isBorderline() ? 'borderline' : 'keep',
+                    'extraction_provider' => $provider->getProviderName(),
+                    'extraction_model_id' => $provider->getModelName(),
+                    'reprocess_run_id' => $run->id,
+                ]));
+            }
+
+            $run->increment('ideas_found', count($ideas));
+        });
+    }
+
+    /**
+     * Classify one post and store the verdict next to the scan's results.
+     *
+     * @throws Throwable When all retry attempts are exhausted
+     */
+    private function reclassify(Post $post, ReprocessRun $run, LLMProviderInterface $provider, int $maxAttempts): void
+    {
+        $classification = $post->classification;
+
+        if (! $classification) {
+            return;
+        }
+
+        $attributes = [
+            'classification_id' => $classification->id,
+            'provider_name' => $run->provider,
+            'reprocess_run_id' => $run->id,
+        ];
+
+        if (ClassificationResult::where($attributes)->exists()) {
+            return;
+        }
+
+        try {
+            $response = $this->withRetries($maxAttempts, $post, $run, fn () => $provider->classify(ClassificationRequest::fromPost($post)));
+        } catch (Throwable $e) {
+            // Record the failure so the detail view shows the provider was tried
+            ClassificationResult::create(array_merge($attributes, [
+                'model_id' => $provider->getModelName(),
+                'verdict' => 'skip',
+                'confidence' => 0.0,
+                'category' => $e instanceof PermanentClassificationException ? 'permanent-error' : 'transient-error',
+                'reasoning' => 'Re-classification failed after retries',
+                'completed' => false,
+            ]));
+
+            throw $e;
+        }
+
+        ClassificationResult::create(array_merge($attributes, [
+            'model_id' => $provider->getModelName(),
+            'verdict' => $response->verdict,
+            'confidence' => $response->confidence,
+            'category' => $response->category,
+            'reasoning' => $response->reasoning,
+            'details' => $response->details,
+            'completed' => true,
+            'completed_at' => now(),
+        ]));
+    }
+
+    /**
+     * Call the provider with the pipeline's backoff. Permanent provider errors
+     * are not retried.
+     *
+     * @template T
+     * @param callable(): T $call
+     * @return T
+     * @throws Throwable When all retry attempts are exhausted
+     */
+    private function withRetries(int $maxAttempts, Post $post, ReprocessRun $run, callable $call): mixed
+    {
+        $lastException = null;
+
+        for ($attempt = 1; $attempt <= $maxAttempts; $attempt++) {
+            try {
+                return $call();
+            } catch (PermanentClassificationException $e) {
+                throw $e;
+            } catch (Throwable $e) {
+                $lastException = $e;
+
+                if ($attempt < $maxAttempts) {
+                    $backoff = min(2 ** $attempt, 30);
+                    Log::warning('Transient reprocessing failure, retrying', [
+                        'reprocess_run_id' => $run->id,
+                        'post_id' => $post->id,
+                        'attempt' => $attempt,
+                        'backoff_seconds' => $backoff,
+                        'error' => $e->getMessage(),
+                    ]);
+                    sleep($backoff);
+                }
+            }
+        }
+
+        throw $lastException ?? new RuntimeException('Reprocessing failed after all attempts');
+    }
+
+    /**
+     * Handle permanent job failure. The batch allows failures, so the run
+     * still finishes; only log here.
+     */
+    public function failed(Throwable $exception): void
+    {
+        Log::error('ReprocessPostsChunkJob failed permanently', [
+            'reprocess_run_id' => $this->runId,
+            'post_count' => count($this->postIds),
+            'error' => $exception->getMessage(),
+        ]);
+    }
+}
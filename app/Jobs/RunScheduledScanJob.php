@@ -0,0 +1,55 @@
+<?php
+
+namespace App\Jobs;
+
+use App\Models\ScanSchedule;
+use App\Services\ScanScheduler;
+use Carbon\CarbonInterface;
+use Illuminate\Bus\Queueable;
+use Illuminate\Contracts\Queue\ShouldQueue;
+use Illuminate\Foundation\Bus\Dispatchable;
+use Illuminate\Queue\InteractsWithQueue;
+use Illuminate\Queue\SerializesModels;
+use Illuminate\Support\Facades\Log;
+
+class RunScheduledScanJob implements ShouldQueue
+{
+    use Dispatchable, InteractsWithQueue, Queueable, SerializesModels;
+
+    public int $tries = 1;
+
+    /**
+     * Drop the job silently when the schedule (or its subreddit) was deleted.
+     */
+    public bool $deleteWhenMissingModels = true;
+
+    /**
+     * @param CarbonInterface $runAt The next_run_at this job was queued for
+     */
+    public function __construct(
+        public ScanSchedule $schedule,
+        public CarbonInterface $runAt,
+    ) {}
+
+    public function handle(ScanScheduler $scheduler): void
+    {
+        $schedule = $this->schedule->fresh();
+
+        if (! $schedule) {
+            return;
+        }
+
+        // Skip jobs superseded by an edit, pause or resume
+        if ($schedule->is_paused || ! $schedule->next_run_at?->equalTo($this->runAt)) {
+            Log::info('Stale scheduled scan job, skipping', [
+                'schedule_id' => $schedule->id,
+                'queued_for' => $this->runAt->toIso8601String(),
+                'next_run_at' => $schedule->next_run_at?->toIso8601String(),
+            ]);
+
+            return;
+        }
+
+        $scheduler->run($schedule);
+    }
+}
@@ -7,6 +7,7 @@
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\Relations\HasOne;
 use Illuminate\Support\Collection;
 
 class Classification extends Model
@@ -48,6 +49,7 @@ class Classification extends Model
      */
     protected $fillable = [
         'post_id',
+        'scan_id',
         'combined_score',
         'final_decision',
         'expected_provider_count',
@@ -73,6 +75,15 @@ public function post(): BelongsTo
         return $this->belongsTo(Post::class);
     }
 
+    /**
+     * Get the scan that classified the post. Unlike the post's scan_id it
+     * does not move when a later scan refetches the post.
+     */
+    public function scan(): BelongsTo
+    {
+        return $this->belongsTo(Scan::class);
+    }
+
     /**
      * Get all classification results for this classification.
      */
@@ -81,12 +92,38 @@ public function results(): HasMany
         return $this->hasMany(ClassificationResult::class);
     }
 
+    /**
+     * Get the scan's own classification results — the inputs to the consensus,
+     * without those added by re-classification runs.
+     */
+    public function scanResults(): HasMany
+    {
+        return $this->hasMany(ClassificationResult::class)->whereNull('reprocess_run_id');
+    }
+
+    /**
+     * Get results added later by re-classification runs. They never change
+     * the final decision.
+     */
+    public function rerunResults(): HasMany
+    {
+        return $this->hasMany(ClassificationResult::class)->whereNotNull('reprocess_run_id');
+    }
+
+    /**
+     * Get the reviewer's decision, if the post has been reviewed.
+     */
+    public function label(): HasOne
+    {
+        return $this->hasOne(ClassificationLabel::class);
+    }
+
     /**
      * Check if all expected providers have completed classification.
      */
     public function isComplete(): bool
     {
-        return $this->results()->where('completed', true)->count() >= $this->expected_provider_count;
+        return $this->scanResults()->where('completed', true)->count() >= $this->expected_provider_count;
     }
 
     /**
@@ -195,10 +232,12 @@ public static function determineFinalDecision(
     /**
      * Process classification results and update the model.
      * Loads completed results, checks shortcut, calculates consensus, saves.
+     *
+     * @param array{keep: float, discard: float}|null $thresholds The scan's consensus thresholds; null uses config
      */
-    public function processResults(): void
+    public function processResults(?array $thresholds = null): void
     {
-        $completedResults = $this->results()->where('completed', true)->get();
+        $completedResults = $this->scanResults()->where('completed', true)->get();
 
         if ($completedResults->isEmpty()) {
             return;
@@ -222,8 +261,8 @@ public function processResults(): void
             $this->combined_score = $shortcutDecision === self::DECISION_KEEP ? 1.0 : 0.0;
             $this->final_decision = $shortcutDecision;
         } else {
-            $keepThreshold = (float) config('llm.classification.consensus_threshold_keep', 0.6);
-            $discardThreshold = (float) config('llm.classification.consensus_threshold_discard', 0.4);
+            $keepThreshold = $thresholds['keep'] ?? (float) config('llm.classification.consensus_threshold_keep', 0.6);
+            $discardThreshold = $thresholds['discard'] ?? (float) config('llm.classification.consensus_threshold_discard', 0.4);
 
             $this->final_decision = self::determineFinalDecision(
                 $this->combined_score,
@@ -243,7 +282,7 @@ public function getProvidersAttribute(): array
     {
         $providers = [];
 
-        foreach ($this->results as $result) {
+        foreach ($this->scanResults as $result) {
             $displayName = config("llm.providers.{$result->provider_name}.display_name", $result->provider_name);
 
             $providers[] = [
@@ -262,6 +301,30 @@ public function getProvidersAttribute(): array
         return $providers;
     }
 
+    /**
+     * Re-classification output in the same shape as `providers`, newest first.
+     */
+    public function getRerunProvidersAttribute(): array
+    {
+        return $this->rerunResults
+            ->sortByDesc('id')
+            ->map(fn (ClassificationResult $result) => [
+                'name'             => $result->provider_name,
+                'display_name'     => config("llm.providers.{$result->provider_name}.display_name", $result->provider_name),
+                'model_id'         => $result->model_id,
+                'verdict'          => $result->verdict,
+                'confidence'       => $result->confidence,
+                'category'         => $result->category,
+                'reasoning'        => $result->reasoning,
+                'details'          => $result->details,
+                'completed'        => (bool) $result->completed,
+                'reprocess_run_id' => $result->reprocess_run_id,
+                'completed_at'     => $result->completed_at?->toIso8601String(),
+            ])
+            ->values()
+            ->all();
+    }
+
     /**
      * Lightweight provider output without reasoning or category (for list views).
      */
@@ -269,7 +332,7 @@ public function getProvidersSummaryAttribute(): array
     {
         $providers = [];
 
-        foreach ($this->results as $result) {
+        foreach ($this->scanResults as $result) {
             $displayName = config("llm.providers.{$result->provider_name}.display_name", $result->provider_name);
 
             $providers[] = [
@@ -0,0 +1,53 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * A reviewer's keep/discard decision for a classified post. It sits next to
+ * the consensus decision and is the ground truth providers are scored against.
+ */
+class ClassificationLabel extends Model
+{
+    use HasFactory;
+
+    /**
+     * Decision constants.
+     */
+    public const DECISION_KEEP = 'keep';
+
+    public const DECISION_DISCARD = 'discard';
+
+    public const DECISIONS = [
+        self::DECISION_KEEP,
+        self::DECISION_DISCARD,
+    ];
+
+    protected $fillable = [
+        'classification_id',
+        'decision',
+        'reason',
+        'reprocess_run_id',
+    ];
+
+    public function classification(): BelongsTo
+    {
+        return $this->belongsTo(Classification::class);
+    }
+
+    public function reprocessRun(): BelongsTo
+    {
+        return $this->belongsTo(ReprocessRun::class);
+    }
+
+    /**
+     * Whether a provider verdict (keep/skip) matches this decision.
+     */
+    public function agreesWith(?string $verdict): bool
+    {
+        return ($verdict === 'keep') === ($this->decision === self::DECISION_KEEP);
+    }
+}
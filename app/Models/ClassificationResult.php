@@ -14,6 +14,7 @@ class ClassificationResult extends Model
     protected $fillable = [
         'classification_id',
         'provider_name',
+        'reprocess_run_id',
         'model_id',
         'verdict',
         'confidence',
@@ -36,6 +37,11 @@ public function classification(): BelongsTo
         return $this->belongsTo(Classification::class);
     }
 
+    public function reprocessRun(): BelongsTo
+    {
+        return $this->belongsTo(ReprocessRun::class);
+    }
+
     public function isKeep(): bool
     {
         return $this->verdict === 'keep';
@@ -6,11 +6,62 @@
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
 
 class Idea extends Model
 {
     use HasFactory;
 
+    /**
+     * Pipeline status constants, in workflow order.
+     */
+    public const STATUS_NEW = 'new';
+
+    public const STATUS_RESEARCHING = 'researching';
+
+    public const STATUS_VALIDATED = 'validated';
+
+    public const STATUS_REJECTED = 'rejected';
+
+    public const STATUS_BUILDING = 'building';
+
+    public const STATUSES = [
+        self::STATUS_NEW,
+        self::STATUS_RESEARCHING,
+        self::STATUS_VALIDATED,
+        self::STATUS_REJECTED,
+        self::STATUS_BUILDING,
+    ];
+
+    /**
+     * Tag limits shared by validation and normalisation.
+     */
+    public const MAX_TAGS = 20;
+
+    public const MAX_TAG_LENGTH = 30;
+
+    /**
+     * Score columns by the name used in `score_field` filters and analytics.
+     */
+    public const SCORE_COLUMNS = [
+        'overall' => 'score_overall',
+        'demand' => 'score_demand',
+        'monetization' => 'score_monetization',
+        'saturation' => 'score_saturation',
+        'complexity' => 'score_complexity',
+    ];
+
+    /**
+     * Columns covered by free-text search.
+     */
+    public const SEARCHABLE_COLUMNS = [
+        'idea_title',
+        'problem_statement',
+        'proposed_solution',
+        'target_audience',
+        'source_quote',
+    ];
+
     /**
      * The attributes that are mass assignable.
      *
@@ -39,8 +90,13 @@ class Idea extends Model
         'classification_status',
         'extraction_provider',
         'extraction_model_id',
+        'reprocess_run_id',
         'is_starred',
         'starred_at',
+        'status',
+        'status_changed_at',
+        'tags',
+        'notes',
     ];
 
     /**
@@ -60,6 +116,19 @@ class Idea extends Model
         'score_overall' => 'integer',
         'is_starred' => 'boolean',
         'starred_at' => 'datetime',
+        'status_changed_at' => 'datetime',
+        'tags' => 'array',
+        'cluster_id' => 'integer',
+        'cluster_size' => 'integer',
+    ];
+
+    /**
+     * Default attribute values.
+     *
+     * @var array<string, mixed>
+     */
+    protected $attributes = [
+        'status' => self::STATUS_NEW,
     ];
 
     /**
@@ -78,6 +147,23 @@ public function scan(): BelongsTo
         return $this->belongsTo(Scan::class);
     }
 
+    /**
+     * Get the re-run that extracted this idea; null for ideas found by the scan itself.
+     */
+    public function reprocessRun(): BelongsTo
+    {
+        return $this->belongsTo(ReprocessRun::class);
+    }
+
+    /**
+     * Every idea in this idea's near-duplicate cluster, itself included.
+     * Empty when the idea stands alone (`cluster_id` is null).
+     */
+    public function clusterMembers(): HasMany
+    {
+        return $this->hasMany(self::class, 'cluster_id', 'cluster_id');
+    }
+
     /**
      * Get the subreddit through the post relationship.
      */
@@ -120,6 +206,52 @@ public function unstar(): void
         }
     }
 
+    /**
+     * Move the idea to a pipeline status, stamping when it changed.
+     */
+    public function setStatus(string $status): void
+    {
+        if ($this->status !== $status) {
+            $this->status = $status;
+            $this->status_changed_at = now();
+        }
+    }
+
+    /**
+     * Normalise tags: trimmed, lowercase, single-spaced, unique and capped.
+     *
+     * @param  array<int, mixed>  $tags
+     * @return array<int, string>
+     */
+    public static function normalizeTags(array $tags): array
+    {
+        return collect($tags)
+            ->map(fn ($tag) => mb_strtolower(trim(preg_replace('/\s+/', ' ', (string) $tag))))
+            ->filter(fn (string $tag) => $tag !== '')
+            ->map(fn (string $tag) => mb_substr($tag, 0, self::MAX_TAG_LENGTH))
+            ->unique()
+            ->take(self::MAX_TAGS)
+            ->values()
+            ->all();
+    }
+
+    /**
+     * SQL for a free-text column compared case-insensitively, as grouped on
+     * the analytics page and matched by the drill-down scopes.
+     */
+    public static function normalizedColumnSql(string $column): string
+    {
+        return "LOWER(TRIM({$column}))";
+    }
+
+    /**
+     * Key a competitor name is tallied and filtered under.
+     */
+    public static function normalizeCompetitor(string $name): string
+    {
+        return mb_strtolower(trim($name));
+    }
+
     /**
      * Check if this is a borderline idea.
      */
@@ -231,6 +363,74 @@ public function scopeCreatedBetween(Builder $query, $from, $to)
         return $query->whereBetween('created_at', [$from, $to]);
     }
 
+    /**
+     * Scope for ideas in a pipeline status.
+     */
+    public function scopeWithStatus(Builder $query, string $status): Builder
+    {
+        return $query->where('status', $status);
+    }
+
+    /**
+     * Scope for ideas carrying every given tag.
+     *
+     * @param  array<int, string>  $tags
+     */
+    public function scopeWithTags(Builder $query, array $tags): Builder
+    {
+        foreach (self::normalizeTags($tags) as $tag) {
+            $query->whereJsonContains('tags', $tag);
+        }
+
+        return $query;
+    }
+
+    /**
+     * Scope for ideas with an exact score on one dimension (see SCORE_COLUMNS).
+     */
+    public function scopeWithScore(Builder $query, string $field, int $score): Builder
+    {
+        $column = self::SCORE_COLUMNS[$field] ?? null;
+
+        return $column ? $query->where($column, $score) : $query;
+    }
+
+    /**
+     * Scope for ideas whose target audience matches, ignoring case and padding.
+     */
+    public function scopeForTargetAudience(Builder $query, string $audience): Builder
+    {
+        return $query->whereRaw(self::normalizedColumnSql('target_audience').' = ?', [mb_strtolower(trim($audience))]);
+    }
+
+    /**
+     * Scope for ideas whose monetization model matches, ignoring case and padding.
+     */
+    public function scopeForMonetizationModel(Builder $query, string $model): Builder
+    {
+        return $query->whereRaw(self::normalizedColumnSql('monetization_model').' = ?', [mb_strtolower(trim($model))]);
+    }
+
+    /**
+     * Scope for ideas listing a competitor. Matches the quoted name inside the
+     * stored JSON, so plain-string and `{name: …}` entries both count.
+     */
+    public function scopeMentioningCompetitor(Builder $query, string $competitor): Builder
+    {
+        $needle = json_encode(self::normalizeCompetitor($competitor));
+        $pattern = '%'.str_replace(['!', '%', '_'], ['!!', '!%', '!_'], $needle).'%';
+
+        return $query->whereRaw("LOWER(existing_competitors) LIKE ? ESCAPE '!'", [$pattern]);
+    }
+
+    /**
+     * Scope for ideas whose post a classification provider put in a category.
+     */
+    public function scopeWithClassificationCategory(Builder $query, string $category): Builder
+    {
+        return $query->whereHas('post.classification.scanResults', fn ($q) => $q->where('category', $category));
+    }
+
     /**
      * Scope for ideas extracted by a specific provider.
      */
@@ -241,7 +441,8 @@ public function scopeByExtractionProvider(Builder $query, string $provider)
 
     /**
      * Scope for ideas filtered by classification provider agreement pattern.
-     * Only considers classifications where all expected providers have completed.
+     * Only considers classifications where all expected providers have completed;
+     * re-run results are left out so they don't change the scan's agreement.
      */
     public function scopeByClassificationAgreement(Builder $query, string $agreementType): Builder
     {
@@ -261,11 +462,13 @@ public function scopeByClassificationAgreement(Builder $query, string $agreement
                            SELECT COUNT(*) FROM classification_results
                            WHERE classification_results.classification_id = classifications.id
                            AND classification_results.completed = 1
+                           AND classification_results.reprocess_run_id IS NULL
                        ) = classifications.expected_provider_count')
                        ->whereRaw('(
                            SELECT COUNT(DISTINCT verdict) FROM classification_results
                            WHERE classification_results.classification_id = classifications.id
                            AND classification_results.completed = 1
+                           AND classification_results.reprocess_run_id IS NULL
                        ) = 1');
                 });
             });
@@ -279,11 +482,13 @@ public function scopeByClassificationAgreement(Builder $query, string $agreement
                            SELECT COUNT(*) FROM classification_results
                            WHERE classification_results.classification_id = classifications.id
                            AND classification_results.completed = 1
+                           AND classification_results.reprocess_run_id IS NULL
                        ) = classifications.expected_provider_count')
                        ->whereRaw('(
                            SELECT COUNT(DISTINCT verdict) FROM classification_results
                            WHERE classification_results.classification_id = classifications.id
                            AND classification_results.completed = 1
+                           AND classification_results.reprocess_run_id IS NULL
                        ) > 1');
                 });
             });
@@ -292,7 +497,7 @@ public function scopeByClassificationAgreement(Builder $query, string $agreement
         if (str_starts_with($agreementType, 'provider_keep:')) {
             $providerName = substr($agreementType, strlen('provider_keep:'));
             return $query->whereHas('post', function ($q) use ($providerName) {
-                $q->whereHas('classification.results', function ($rq) use ($providerName) {
+                $q->whereHas('classification.scanResults', function ($rq) use ($providerName) {
                     $rq->where('provider_name', $providerName)
                        ->where('verdict', 'keep')
                        ->where('completed', true);
@@ -303,6 +508,41 @@ public function scopeByClassificationAgreement(Builder $query, string $agreement
         return $query; // Unknown value: ignore
     }
 
+    /**
+     * Scope collapsing each near-duplicate cluster to its oldest idea that
+     * matches the rest of the query. Apply after every other filter.
+     */
+    public function scopeOnePerCluster(Builder $query): Builder
+    {
+        $firstMatches = $query->clone()
+            ->selectRaw('MIN(ideas.id)')
+            ->groupByRaw('COALESCE(ideas.cluster_id, ideas.id)');
+
+        return $query->whereIn('ideas.id', $firstMatches);
+    }
+
+    /**
+     * Scope for free-text search. Every word must appear in at least one
+     * searchable column (case-insensitive substring match).
+     */
+    public function scopeSearch(Builder $query, string $term): Builder
+    {
+        $words = preg_split('/\s+/', trim($term), -1, PREG_SPLIT_NO_EMPTY);
+
+        foreach ($words as $word) {
+            // Escape LIKE wildcards so "50%" matches literally
+            $pattern = '%'.str_replace(['!', '%', '_'], ['!!', '!%', '!_'], mb_strtolower($word)).'%';
+
+            $query->where(function (Builder $q) use ($pattern) {
+                foreach (self::SEARCHABLE_COLUMNS as $column) {
+                    $q->orWhereRaw("LOWER({$column}) LIKE ? ESCAPE '!'", [$pattern]);
+                }
+            });
+        }
+
+        return $query;
+    }
+
     /**
      * Scope to sort by a specific column.
      */
@@ -318,6 +558,11 @@ public function scopeSortBy(Builder $query, string $column, string $direction =
             'starred_at',
         ];
 
+        // Bigger clusters first means the most often repeated problems first
+        if ($column === 'cluster_size') {
+            return $query->orderBy('cluster_size', $direction)->orderByDesc('score_overall');
+        }
+
         if (in_array($column, $allowedColumns, true)) {
             return $query->orderBy($column, $direction);
         }
@@ -0,0 +1,94 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+/**
+ * Token usage of one LLM call, recorded by LLMLogger.
+ */
+class LlmUsage extends Model
+{
+    public const UPDATED_AT = null;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'scan_id',
+        'reprocess_run_id',
+        'post_id',
+        'provider',
+        'model',
+        'operation',
+        'input_tokens',
+        'output_tokens',
+        'cost_usd',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'input_tokens' => 'integer',
+        'output_tokens' => 'integer',
+        'cost_usd' => 'float',
+    ];
+
+    /**
+     * Get the scan the call was made for.
+     */
+    public function scan(): BelongsTo
+    {
+        return $this->belongsTo(Scan::class);
+    }
+
+    /**
+     * Get the re-run the call was made for.
+     */
+    public function reprocessRun(): BelongsTo
+    {
+        return $this->belongsTo(ReprocessRun::class);
+    }
+
+    /**
+     * Cost in USD of the given tokens at the provider's configured pricing.
+     * `$inputTokens` are the uncached ones; prompt cache writes and reads
+     * are priced at their own rates, or the input rate when none is set.
+     * Providers without pricing cost nothing.
+     */
+    public static function costFor(string $provider, int $inputTokens, int $outputTokens, int $cacheWriteTokens = 0, int $cacheReadTokens = 0): float
+    {
+        $pricing = config("llm.providers.{$provider}.pricing", []);
+        $inputRate = $pricing['input'] ?? 0;
+
+        return ($inputTokens * $inputRate
+            + $cacheWriteTokens * ($pricing['cache_write'] ?? $inputRate)
+            + $cacheReadTokens * ($pricing['cache_read'] ?? $inputRate)
+            + $outputTokens * ($pricing['output'] ?? 0)) / 1_000_000;
+    }
+
+    /**
+     * Totals for a scan: calls, tokens and cost.
+     *
+     * @return array{calls: int, input_tokens: int, output_tokens: int, cost_usd: float}
+     */
+    public static function totalsForScan(int $scanId): array
+    {
+        $totals = static::where('scan_id', $scanId)
+            ->selectRaw('COUNT(*) as calls, COALESCE(SUM(input_tokens), 0) as input_tokens, COALESCE(SUM(output_tokens), 0) as output_tokens, COALESCE(SUM(cost_usd), 0) as cost_usd')
+            ->first();
+
+        return [
+            'calls' => (int) $totals->calls,
+            'input_tokens' => (int) $totals->input_tokens,
+            'output_tokens' => (int) $totals->output_tokens,
+            'cost_usd' => round((float) $totals->cost_usd, 4),
+        ];
+    }
+}
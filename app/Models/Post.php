@@ -157,6 +157,18 @@ public function scopeNeedsClassification(Builder $query)
         return $query->whereDoesntHave('classification');
     }
 
+    /**
+     * Scope for posts whose classification sent them to extraction, minus
+     * those a reviewer discarded.
+     */
+    public function scopeExtractionCandidates(Builder $query)
+    {
+        return $query->whereHas('classification', function ($q) {
+            $q->whereIn('final_decision', ['keep', 'borderline'])
+                ->whereDoesntHave('label', fn ($label) => $label->where('decision', ClassificationLabel::DECISION_DISCARD));
+        });
+    }
+
     /**
      * Scope for posts that were kept and need extraction.
      */
@@ -0,0 +1,166 @@
+<?php
+
+namespace App\Models;
+
+use App\Jobs\AdvanceScanBatchJob;
+use App\Jobs\ClusterIdeasJob;
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+/**
+ * Re-extraction or re-classification of already-fetched posts with one
+ * chosen provider. Its output is stored next to the scan's own results.
+ */
+class ReprocessRun extends Model
+{
+    use HasFactory;
+
+    /**
+     * Operation constants.
+     */
+    public const OPERATION_CLASSIFICATION = 'classification';
+
+    public const OPERATION_EXTRACTION = 'extraction';
+
+    public const OPERATIONS = [
+        self::OPERATION_CLASSIFICATION,
+        self::OPERATION_EXTRACTION,
+    ];
+
+    /**
+     * Status constants.
+     */
+    public const STATUS_RUNNING = 'running';
+
+    public const STATUS_COMPLETED = 'completed';
+
+    public const STATUS_FAILED = 'failed';
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'subreddit_id',
+        'scan_id',
+        'idea_id',
+        'operation',
+        'provider',
+        'status',
+        'posts_total',
+        'posts_processed',
+        'ideas_found',
+        'error_message',
+        'completed_at',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'posts_total' => 'integer',
+        'posts_processed' => 'integer',
+        'ideas_found' => 'integer',
+        'completed_at' => 'datetime',
+    ];
+
+    /**
+     * Get the subreddit whose posts are re-run.
+     */
+    public function subreddit(): BelongsTo
+    {
+        return $this->belongsTo(Subreddit::class);
+    }
+
+    /**
+     * Get the scan the run is limited to, if any.
+     */
+    public function scan(): BelongsTo
+    {
+        return $this->belongsTo(Scan::class);
+    }
+
+    /**
+     * Get the idea whose post the run is limited to, if any.
+     */
+    public function idea(): BelongsTo
+    {
+        return $this->belongsTo(Idea::class);
+    }
+
+    /**
+     * Get the ideas extracted by this run.
+     */
+    public function ideas(): HasMany
+    {
+        return $this->hasMany(Idea::class);
+    }
+
+    /**
+     * Get the classification results produced by this run.
+     */
+    public function classificationResults(): HasMany
+    {
+        return $this->hasMany(ClassificationResult::class);
+    }
+
+    /**
+     * Check if the run is still processing posts.
+     */
+    public function isRunning(): bool
+    {
+        return $this->status === self::STATUS_RUNNING;
+    }
+
+    /**
+     * Mark the run as finished once its queue batch is done.
+     */
+    public function markAsCompleted(): void
+    {
+        if (! $this->isRunning()) {
+            return;
+        }
+
+        $this->update([
+            'status' => self::STATUS_COMPLETED,
+            'completed_at' => now(),
+        ]);
+
+        // New ideas may repeat ones already grouped
+        if ($this->operation === self::OPERATION_EXTRACTION && $this->ideas_found > 0) {
+            ClusterIdeasJob::dispatch();
+        }
+
+        $this->advanceWaitingBatches();
+    }
+
+    /**
+     * Mark the run as failed.
+     */
+    public function markAsFailed(string $errorMessage): void
+    {
+        $this->update([
+            'status' => self::STATUS_FAILED,
+            'error_message' => $errorMessage,
+            'completed_at' => now(),
+        ]);
+
+        $this->advanceWaitingBatches();
+    }
+
+    /**
+     * A running batch holds back this subreddit's scan until the run ends
+     * (see ScanService::startScan).
+     */
+    private function advanceWaitingBatches(): void
+    {
+        ScanBatch::where('status', ScanBatch::STATUS_RUNNING)
+            ->pluck('id')
+            ->each(fn (int $batchId) => AdvanceScanBatchJob::dispatch($batchId)->afterCommit());
+    }
+}
@@ -2,6 +2,7 @@
 
 namespace App\Models;
 
+use App\Jobs\AdvanceScanBatchJob;
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\BelongsTo;
@@ -40,6 +41,7 @@ class Scan extends Model
      */
     protected $fillable = [
         'subreddit_id',
+        'scan_batch_id',
         'scan_type',
         'status',
         'error_message',
@@ -50,6 +52,8 @@ class Scan extends Model
         'posts_extracted',
         'ideas_found',
         'checkpoint',
+        'cost_estimate',
+        'llm_settings',
         'comment_jobs_total',
         'comment_jobs_done',
         'started_at',
@@ -72,6 +76,8 @@ class Scan extends Model
         'ideas_found' => 'integer',
         'comment_jobs_total' => 'integer',
         'comment_jobs_done' => 'integer',
+        'cost_estimate' => 'array',
+        'llm_settings' => 'array',
     ];
 
     /**
@@ -82,6 +88,14 @@ public function subreddit(): BelongsTo
         return $this->belongsTo(Subreddit::class);
     }
 
+    /**
+     * Get the batch that launched this scan, if any.
+     */
+    public function batch(): BelongsTo
+    {
+        return $this->belongsTo(ScanBatch::class, 'scan_batch_id');
+    }
+
     /**
      * Get all posts fetched in this scan.
      */
@@ -127,6 +141,79 @@ public function isFailed(): bool
         return $this->status === self::STATUS_FAILED;
     }
 
+    /**
+     * Providers and consensus thresholds configured in config/llm.php.
+     *
+     * @return array{classification_providers: array<string>, extraction_provider: string, consensus_threshold_keep: float, consensus_threshold_discard: float}
+     */
+    public static function defaultLlmSettings(): array
+    {
+        return [
+            'classification_providers' => array_values(config('llm.classification.providers', [])),
+            'extraction_provider' => config('llm.extraction.provider'),
+            'consensus_threshold_keep' => (float) config('llm.classification.consensus_threshold_keep', 0.6),
+            'consensus_threshold_discard' => (float) config('llm.classification.consensus_threshold_discard', 0.4),
+        ];
+    }
+
+    /**
+     * Merge per-scan choices over the defaults. The result is stored on the
+     * scan, with `custom` set when anything differs from config.
+     *
+     * @param array<string, mixed> $overrides Any of the defaultLlmSettings() keys; nulls are ignored
+     */
+    public static function resolveLlmSettings(array $overrides): array
+    {
+        $defaults = self::defaultLlmSettings();
+        $overrides = array_filter(
+            array_intersect_key($overrides, $defaults),
+            fn ($value) => $value !== null
+        );
+
+        $settings = array_merge($defaults, $overrides);
+        $settings['classification_providers'] = array_values(array_unique($settings['classification_providers']));
+        $settings['consensus_threshold_keep'] = (float) $settings['consensus_threshold_keep'];
+        $settings['consensus_threshold_discard'] = (float) $settings['consensus_threshold_discard'];
+        $settings['custom'] = $settings != $defaults;
+
+        return $settings;
+    }
+
+    /**
+     * Settings the pipeline uses for this scan. Scans started before
+     * settings were stored fall back to config.
+     */
+    public function llmSettings(): array
+    {
+        return ($this->llm_settings ?? []) + self::defaultLlmSettings();
+    }
+
+    /**
+     * @return array<string>
+     */
+    public function classificationProviderNames(): array
+    {
+        return $this->llmSettings()['classification_providers'];
+    }
+
+    public function extractionProviderName(): string
+    {
+        return $this->llmSettings()['extraction_provider'];
+    }
+
+    /**
+     * @return array{keep: float, discard: float}
+     */
+    public function consensusThresholds(): array
+    {
+        $settings = $this->llmSettings();
+
+        return [
+            'keep' => (float) $settings['consensus_threshold_keep'],
+            'discard' => (float) $settings['consensus_threshold_discard'],
+        ];
+    }
+
     /**
      * Get progress percentage (0-100).
      */
@@ -183,6 +270,8 @@ public function markAsCompleted(): void
         $this->subreddit->update([
             'last_scanned_at' => now(),
         ]);
+
+        $this->advanceBatch();
     }
 
     /**
@@ -195,6 +284,18 @@ public function markAsFailed(string $errorMessage): void
             'error_message' => $errorMessage,
             'completed_at' => now(),
         ]);
+
+        $this->advanceBatch();
+    }
+
+    /**
+     * Let the batch this scan belongs to start its next queued subreddit.
+     */
+    private function advanceBatch(): void
+    {
+        if ($this->scan_batch_id) {
+            AdvanceScanBatchJob::dispatch($this->scan_batch_id)->afterCommit();
+        }
     }
 
     /**
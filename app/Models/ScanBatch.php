@@ -0,0 +1,91 @@
+<?php
+
+namespace App\Models;
+
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\HasMany;
+
+class ScanBatch extends Model
+{
+    use HasFactory;
+
+    /**
+     * Batch status constants.
+     */
+    public const STATUS_RUNNING = 'running';
+
+    public const STATUS_COMPLETED = 'completed';
+
+    public const STATUS_CANCELLED = 'cancelled';
+
+    /**
+     * Upper bound on subreddits per batch.
+     */
+    public const MAX_SUBREDDITS = 50;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'status',
+        'subreddit_ids',
+        'adopted_scan_ids',
+        'concurrency',
+        'date_from',
+        'date_to',
+        'completed_at',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'subreddit_ids' => 'array',
+        'adopted_scan_ids' => 'array',
+        'concurrency' => 'integer',
+        'date_from' => 'datetime',
+        'date_to' => 'datetime',
+        'completed_at' => 'datetime',
+    ];
+
+    /**
+     * Get the batch's scans, including those it adopted.
+     */
+    public function scans(): HasMany
+    {
+        return $this->hasMany(Scan::class);
+    }
+
+    /**
+     * Get the scans this batch started itself, leaving out those it adopted.
+     */
+    public function launchedScans(): HasMany
+    {
+        return $this->scans()->whereNotIn('id', $this->adopted_scan_ids ?? []);
+    }
+
+    /**
+     * Check if the batch may still launch or is still running scans.
+     */
+    public function isRunning(): bool
+    {
+        return $this->status === self::STATUS_RUNNING;
+    }
+
+    /**
+     * Subreddit ids that have not been launched yet, in launch order.
+     *
+     * @return array<int, int>
+     */
+    public function queuedSubredditIds(): array
+    {
+        $launched = $this->scans()->pluck('subreddit_id')->all();
+
+        return array_values(array_diff($this->subreddit_ids ?? [], $launched));
+    }
+}
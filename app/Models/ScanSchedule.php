@@ -0,0 +1,176 @@
+<?php
+
+namespace App\Models;
+
+use Carbon\Carbon;
+use Carbon\CarbonImmutable;
+use Carbon\CarbonInterface;
+use Cron\CronExpression;
+use Illuminate\Database\Eloquent\Factories\HasFactory;
+use Illuminate\Database\Eloquent\Model;
+use Illuminate\Database\Eloquent\Relations\BelongsTo;
+
+class ScanSchedule extends Model
+{
+    use HasFactory;
+
+    /**
+     * Frequency constants.
+     */
+    public const FREQUENCY_DAILY = 'daily';
+
+    public const FREQUENCY_WEEKLY = 'weekly';
+
+    public const FREQUENCY_CRON = 'cron';
+
+    public const FREQUENCIES = [
+        self::FREQUENCY_DAILY,
+        self::FREQUENCY_WEEKLY,
+        self::FREQUENCY_CRON,
+    ];
+
+    /**
+     * Fixed look-back windows in hours. Mirrors the ScanConfigModal presets.
+     */
+    public const WINDOW_HOURS = [6, 24, 72, 168, 336, 672];
+
+    /**
+     * Incremental windows are capped like manual scans (StartScanRequest: 12 weeks).
+     */
+    public const MAX_WINDOW_HOURS = 84 * 24;
+
+    /**
+     * Cron schedules may not run more often than this.
+     */
+    public const MIN_INTERVAL_MINUTES = 60;
+
+    /**
+     * The attributes that are mass assignable.
+     *
+     * @var array<int, string>
+     */
+    protected $fillable = [
+        'subreddit_id',
+        'frequency',
+        'cron_expression',
+        'timezone',
+        'window_hours',
+        'is_paused',
+        'next_run_at',
+        'last_run_at',
+        'last_scan_id',
+    ];
+
+    /**
+     * The attributes that should be cast.
+     *
+     * @var array<string, string>
+     */
+    protected $casts = [
+        'window_hours' => 'integer',
+        'is_paused' => 'boolean',
+        'next_run_at' => 'datetime',
+        'last_run_at' => 'datetime',
+    ];
+
+    /**
+     * Get the subreddit this schedule belongs to.
+     */
+    public function subreddit(): BelongsTo
+    {
+        return $this->belongsTo(Subreddit::class);
+    }
+
+    /**
+     * Get the scan started by the most recent run.
+     */
+    public function lastScan(): BelongsTo
+    {
+        return $this->belongsTo(Scan::class, 'last_scan_id');
+    }
+
+    /**
+     * Build the cron expression for a daily or weekly schedule at `H:i`.
+     */
+    public static function expressionFor(string $frequency, string $time, ?int $dayOfWeek = null): string
+    {
+        [$hour, $minute] = array_map('intval', explode(':', $time));
+
+        return $frequency === self::FREQUENCY_WEEKLY
+            ? "{$minute} {$hour} * * {$dayOfWeek}"
+            : "{$minute} {$hour} * * *";
+    }
+
+    /**
+     * Shortest gap in minutes between two runs of a cron expression over its
+     * whole cycle. The day's run times repeat on every matching day, so the
+     * gaps are those between them, plus last-to-first across the closest two
+     * matching days (checked over four years, so leap days and weekday/date
+     * pairs come round).
+     */
+    public static function shortestIntervalMinutes(string $expression): int
+    {
+        $cron = new CronExpression($expression);
+        $start = CarbonImmutable::parse('2000-01-01 00:00:00', 'UTC');
+
+        $daily = new CronExpression(sprintf(
+            '%s %s * * *',
+            $cron->getExpression(CronExpression::MINUTE),
+            $cron->getExpression(CronExpression::HOUR),
+        ));
+
+        $times = [];
+        $run = $daily->getNextRunDate($start, 0, true, 'UTC');
+        while ($run < $start->addDay()) {
+            $times[] = intdiv($run->getTimestamp() - $start->getTimestamp(), 60);
+            $run = $daily->getNextRunDate($run, 0, false, 'UTC');
+        }
+
+        $shortest = PHP_INT_MAX;
+        for ($i = 1; $i < count($times); $i++) {
+            $shortest = min($shortest, $times[$i] - $times[$i - 1]);
+        }
+
+        // Runs on different days are never closer than across one midnight
+        $acrossMidnight = 24 * 60 - end($times) + $times[0];
+        if ($acrossMidnight >= $shortest) {
+            return $shortest;
+        }
+
+        $days = new CronExpression(sprintf(
+            '0 0 %s %s %s',
+            $cron->getExpression(CronExpression::DAY),
+            $cron->getExpression(CronExpression::MONTH),
+            $cron->getExpression(CronExpression::WEEKDAY),
+        ));
+
+        $closestDays = PHP_INT_MAX;
+        $previous = $days->getNextRunDate($start, 0, true, 'UTC');
+        while ($previous < $start->addYears(4) && $closestDays > 1) {
+            $next = $days->getNextRunDate($previous, 0, false, 'UTC');
+            $closestDays = min($closestDays, intdiv($next->getTimestamp() - $previous->getTimestamp(), 24 * 60 * 60));
+            $previous = $next;
+        }
+
+        return min($shortest, ($closestDays - 1) * 24 * 60 + $acrossMidnight);
+    }
+
+    /**
+     * Whether each run scans from the end of the last completed scan.
+     */
+    public function isIncremental(): bool
+    {
+        return $this->window_hours === null;
+    }
+
+    /**
+     * First run strictly after the given moment, evaluated in the schedule's timezone.
+     */
+    public function nextRunAfter(CarbonInterface $after): Carbon
+    {
+        $next = (new CronExpression($this->cron_expression))
+            ->getNextRunDate($after->toDateTimeImmutable(), 0, false, $this->timezone);
+
+        return Carbon::instance($next)->utc();
+    }
+}
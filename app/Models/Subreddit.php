@@ -5,6 +5,7 @@
 use Illuminate\Database\Eloquent\Factories\HasFactory;
 use Illuminate\Database\Eloquent\Model;
 use Illuminate\Database\Eloquent\Relations\HasMany;
+use Illuminate\Database\Eloquent\Relations\HasOne;
 
 class Subreddit extends Model
 {
@@ -45,6 +46,14 @@ public function scans(): HasMany
         return $this->hasMany(Scan::class);
     }
 
+    /**
+     * Get the recurring scan schedule, if any.
+     */
+    public function scanSchedule(): HasOne
+    {
+        return $this->hasOne(ScanSchedule::class);
+    }
+
     /**
      * Get all posts for this subreddit.
      */
@@ -2,7 +2,12 @@
 
 namespace App\Providers;
 
+use App\Jobs\RecoverScheduledScansJob;
+use App\Models\ScanSchedule;
+use App\Services\ReprocessService;
+use App\Services\ScanCostEstimator;
 use App\Services\ScanService;
+use Illuminate\Support\Facades\Queue;
 use Illuminate\Support\ServiceProvider;
 
 class ScanServiceProvider extends ServiceProvider
@@ -13,7 +18,10 @@ class ScanServiceProvider extends ServiceProvider
     public function register(): void
     {
         $this->app->singleton(ScanService::class, function ($app) {
-            return new ScanService();
+            return new ScanService(
+                $app->make(ScanCostEstimator::class),
+                $app->make(ReprocessService::class),
+            );
         });
     }
 
@@ -22,6 +30,19 @@ public function register(): void
      */
     public function boot(): void
     {
-        //
+        // A starting worker re-queues the schedule watchdog, in case it was lost with the rest of the queue
+        $watchdogChecked = false;
+        Queue::looping(function () use (&$watchdogChecked) {
+            if ($watchdogChecked) {
+                return;
+            }
+            $watchdogChecked = true;
+
+            rescue(function () {
+                if (ScanSchedule::where('is_paused', false)->exists()) {
+                    RecoverScheduledScansJob::dispatch();
+                }
+            });
+        });
     }
 }
@@ -0,0 +1,128 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Classification;
+use App\Models\ClassificationLabel;
+use App\Models\ReprocessRun;
+use App\Services\LLM\DTOs\ClassificationRequest;
+use Generator;
+
+/**
+ * Reviewer overrides of classification decisions, and the labelled set they
+ * build up for evaluating classification prompts offline.
+ */
+class ClassificationLabelService
+{
+    /**
+     * Labels loaded per query while exporting.
+     */
+    private const EXPORT_CHUNK_SIZE = 200;
+
+    /**
+     * Comments loaded per post, as in the scan pipeline.
+     */
+    private const EXPORT_COMMENT_LIMIT = 100;
+
+    public function __construct(
+        private ReprocessService $reprocessService,
+    ) {}
+
+    /**
+     * Store the reviewer's decision, replacing any earlier one. The consensus
+     * and the post's ideas are left as they are: labels are for evaluation.
+     */
+    public function label(Classification $classification, string $decision, string $reason): ClassificationLabel
+    {
+        return ClassificationLabel::updateOrCreate(
+            ['classification_id' => $classification->id],
+            ['decision' => $decision, 'reason' => $reason],
+        );
+    }
+
+    /**
+     * Queue the labelled post for extraction with the default extraction
+     * provider, whatever the consensus decided.
+     *
+     * @throws \RuntimeException When a run or scan is already active for the subreddit
+     */
+    public function forceExtraction(ClassificationLabel $label): ClassificationLabel
+    {
+        $post = $label->classification->post;
+
+        $run = $this->reprocessService->start(
+            $post->subreddit,
+            ReprocessRun::OPERATION_EXTRACTION,
+            config('llm.extraction.provider'),
+            post: $post,
+        );
+
+        $label->update(['reprocess_run_id' => $run->id]);
+
+        return $label;
+    }
+
+    public function remove(Classification $classification): void
+    {
+        ClassificationLabel::where('classification_id', $classification->id)->delete();
+    }
+
+    /**
+     * One JSON object per labelled post: the classification input as the
+     * providers saw it, every provider verdict and the reviewer's decision.
+     *
+     * @return Generator<int, string>
+     */
+    public function exportLines(): Generator
+    {
+        $labels = ClassificationLabel::query()
+            ->with([
+                'classification.post.subreddit',
+                'classification.results',
+            ])
+            ->lazyById(self::EXPORT_CHUNK_SIZE);
+
+        foreach ($labels as $label) {
+            $classification = $label->classification;
+            $post = $classification->post->load([
+                'comments' => fn ($query) => $query->orderByDesc('upvotes')->limit(self::EXPORT_COMMENT_LIMIT),
+            ]);
+            $input = ClassificationRequest::fromPost($post);
+
+            yield json_encode([
+                'post_id' => $post->id,
+                'reddit_id' => $post->reddit_id,
+                'input' => [
+                    'subreddit' => $input->subreddit,
+                    'title' => $input->postTitle,
+                    'body' => $input->postBody,
+                    'upvotes' => $input->upvotes,
+                    'num_comments' => $input->numComments,
+                    'comments' => $input->comments,
+                ],
+                'label' => [
+                    'decision' => $label->decision,
+                    'reason' => $label->reason,
+                    'labelled_at' => $label->updated_at?->toIso8601String(),
+                ],
+                'consensus' => [
+                    'decision' => $classification->final_decision,
+                    'combined_score' => $classification->combined_score,
+                ],
+                'providers' => $classification->results->sortBy('id')
+                    ->map(fn ($result) => [
+                        'name' => $result->provider_name,
+                        'model_id' => $result->model_id,
+                        'verdict' => $result->verdict,
+                        'confidence' => $result->confidence,
+                        'category' => $result->category,
+                        'reasoning' => $result->reasoning,
+                        'completed' => (bool) $result->completed,
+                        'reprocess_run_id' => $result->reprocess_run_id,
+                    ])
+                    ->values()
+                    ->all(),
+            ], JSON_UNESCAPED_UNICODE | JSON_UNESCAPED_SLASHES);
+        }
+    }
+}
@@ -0,0 +1,223 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Idea;
+use Carbon\CarbonImmutable;
+use Illuminate\Database\Query\Builder;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Cross-subreddit idea statistics for the analytics page. Every figure is
+ * limited to ideas (or classifications) created inside the date range, and
+ * grouping keys match the drill-down filters accepted by ListIdeasRequest.
+ */
+class IdeaAnalyticsService
+{
+    /**
+     * Entries kept for each "top" list.
+     */
+    private const TOP_LIMIT = 10;
+
+    /**
+     * Build every chart's data for the range. Both ends are whole days.
+     */
+    public function summarize(CarbonImmutable $from, CarbonImmutable $to): array
+    {
+        $from = $from->startOfDay();
+        $to = $to->endOfDay();
+
+        $avgScore = $this->ideas($from, $to)->avg('ideas.score_overall');
+
+        return [
+            'range' => [
+                'date_from' => $from->toDateString(),
+                'date_to' => $to->toDateString(),
+            ],
+            'totals' => [
+                'ideas' => $this->ideas($from, $to)->count(),
+                'subreddits' => $this->ideas($from, $to)->distinct()->count('posts.subreddit_id'),
+                'avg_score' => $avgScore !== null ? round((float) $avgScore, 1) : null,
+            ],
+            'ideas_per_week' => $this->ideasPerWeek($from, $to),
+            'score_distributions' => $this->scoreDistributions($from, $to),
+            'target_audiences' => $this->topValues($from, $to, 'target_audience'),
+            'monetization_models' => $this->topValues($from, $to, 'monetization_model'),
+            'competitors' => $this->topCompetitors($from, $to),
+            'categories' => $this->categories($from, $to),
+        ];
+    }
+
+    /**
+     * Ideas in range joined to their post, for subreddit grouping.
+     */
+    private function ideas(CarbonImmutable $from, CarbonImmutable $to): Builder
+    {
+        return DB::table('ideas')
+            ->join('posts', 'posts.id', '=', 'ideas.post_id')
+            ->whereBetween('ideas.created_at', [$from, $to]);
+    }
+
+    /**
+     * Idea counts per subreddit per week (weeks start on Monday). Weeks with
+     * no ideas are kept so every series has one count per week.
+     */
+    private function ideasPerWeek(CarbonImmutable $from, CarbonImmutable $to): array
+    {
+        $weeks = [];
+        for ($week = $from->startOfWeek(); $week->lte($to); $week = $week->addWeek()) {
+            $weeks[] = $week->toDateString();
+        }
+
+        $rows = $this->ideas($from, $to)
+            ->join('subreddits', 'subreddits.id', '=', 'posts.subreddit_id')
+            ->selectRaw('posts.subreddit_id, subreddits.name, DATE(ideas.created_at) as day, COUNT(*) as ideas')
+            ->groupBy('posts.subreddit_id', 'subreddits.name', DB::raw('DATE(ideas.created_at)'))
+            ->get();
+
+        $series = [];
+        foreach ($rows as $row) {
+            $series[$row->subreddit_id] ??= [
+                'subreddit_id' => (int) $row->subreddit_id,
+                'name' => $row->name,
+                'counts' => array_fill(0, count($weeks), 0),
+                'total' => 0,
+            ];
+
+            $index = array_search(CarbonImmutable::parse($row->day)->startOfWeek()->toDateString(), $weeks, true);
+            if ($index === false) {
+                continue;
+            }
+
+            $series[$row->subreddit_id]['counts'][$index] += (int) $row->ideas;
+            $series[$row->subreddit_id]['total'] += (int) $row->ideas;
+        }
+
+        return [
+            'weeks' => $weeks,
+            'series' => collect($series)->sortByDesc('total')->values()->all(),
+        ];
+    }
+
+    /**
+     * Count of ideas at each score (1–5) for every score dimension.
+     */
+    private function scoreDistributions(CarbonImmutable $from, CarbonImmutable $to): array
+    {
+        $distributions = [];
+
+        foreach (Idea::SCORE_COLUMNS as $field => $column) {
+            $counts = $this->ideas($from, $to)
+                ->whereBetween("ideas.{$column}", [1, 5])
+                ->selectRaw("ideas.{$column} as score, COUNT(*) as ideas")
+                ->groupBy("ideas.{$column}")
+                ->pluck('ideas', 'score');
+
+            $distributions[$field] = array_map(
+                fn (int $score) => ['score' => $score, 'ideas' => (int) ($counts[$score] ?? 0)],
+                range(1, 5)
+            );
+        }
+
+        return $distributions;
+    }
+
+    /**
+     * Most common values of a free-text column, compared case-insensitively.
+     * `value` is the normalized key the ideas filter matches on.
+     */
+    private function topValues(CarbonImmutable $from, CarbonImmutable $to, string $column): array
+    {
+        $normalized = Idea::normalizedColumnSql("ideas.{$column}");
+
+        return $this->ideas($from, $to)
+            ->whereRaw("{$normalized} != ''")
+            ->selectRaw("{$normalized} as value, MIN(ideas.{$column}) as label, COUNT(*) as ideas")
+            ->groupBy(DB::raw($normalized))
+            ->orderByDesc('ideas')
+            ->orderBy('value')
+            ->limit(self::TOP_LIMIT)
+            ->get()
+            ->map(fn ($row) => [
+                'value' => $row->value,
+                'label' => trim($row->label),
+                'ideas' => (int) $row->ideas,
+            ])
+            ->all();
+    }
+
+    /**
+     * Most-mentioned competitors. Competitors live in a JSON array per idea,
+     * so they are tallied here rather than in SQL.
+     */
+    private function topCompetitors(CarbonImmutable $from, CarbonImmutable $to): array
+    {
+        $tally = [];
+
+        $this->ideas($from, $to)
+            ->select('ideas.id', 'ideas.existing_competitors')
+            ->orderBy('ideas.id')
+            ->chunk(500, function ($rows) use (&$tally) {
+                foreach ($rows as $row) {
+                    // Count each competitor once per idea
+                    $names = collect(json_decode($row->existing_competitors ?? '[]', true) ?: [])
+                        ->map(fn ($competitor) => is_array($competitor) ? ($competitor['name'] ?? null) : $competitor)
+                        ->filter(fn ($name) => is_string($name) && trim($name) !== '')
+                        ->mapWithKeys(fn (string $name) => [Idea::normalizeCompetitor($name) => trim($name)]);
+
+                    foreach ($names as $key => $label) {
+                        $tally[$key] ??= ['value' => $key, 'label' => $label, 'ideas' => 0];
+                        $tally[$key]['ideas']++;
+                    }
+                }
+            });
+
+        return collect($tally)
+            ->sortBy([['ideas', 'desc'], ['value', 'asc']])
+            ->take(self::TOP_LIMIT)
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Provider category verdicts for posts classified in range, with how many
+     * ideas came from posts carrying each category. Re-run results are left
+     * out so they don't double-count a post.
+     */
+    private function categories(CarbonImmutable $from, CarbonImmutable $to): array
+    {
+        $results = DB::table('classification_results')
+            ->join('classifications', 'classifications.id', '=', 'classification_results.classification_id')
+            ->whereBetween('classifications.classified_at', [$from, $to])
+            ->where('classification_results.completed', true)
+            ->whereNull('classification_results.reprocess_run_id')
+            ->whereNotNull('classification_results.category')
+            ->selectRaw("
+                classification_results.category,
+                COUNT(*) as results,
+                SUM(CASE WHEN classification_results.verdict = 'keep' THEN 1 ELSE 0 END) as keep_count
+            ")
+            ->groupBy('classification_results.category')
+            ->get();
+
+        $ideas = $this->ideas($from, $to)
+            ->join('classifications', 'classifications.post_id', '=', 'posts.id')
+            ->join('classification_results', 'classification_results.classification_id', '=', 'classifications.id')
+            ->where('classification_results.completed', true)
+            ->whereNull('classification_results.reprocess_run_id')
+            ->selectRaw('classification_results.category, COUNT(DISTINCT ideas.id) as ideas')
+            ->groupBy('classification_results.category')
+            ->pluck('ideas', 'category');
+
+        return $results
+            ->map(fn ($row) => [
+                'category' => $row->category,
+                'results' => (int) $row->results,
+                'keep' => (int) $row->keep_count,
+                'ideas' => (int) ($ideas[$row->category] ?? 0),
+            ])
+            ->sortByDesc('results')
+            ->values()
+            ->all();
+    }
+}
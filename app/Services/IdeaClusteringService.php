@@ -0,0 +1,324 @@
+<?php
+
+namespace App\Services;
+
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Groups near-duplicate ideas locally, without an embedding service.
+ *
+ * Each idea becomes a TF-IDF vector over the words of its title (counted
+ * double), problem statement and target audience. Ideas are visited oldest
+ * first: an idea joins the cluster whose first idea it is most similar to
+ * (cosine similarity at or above the threshold), otherwise it starts a new
+ * cluster. Comparing against the first idea only, rather than any member,
+ * stops loosely related ideas from chaining into one large cluster.
+ */
+class IdeaClusteringService
+{
+    /**
+     * Cosine similarity an idea needs with a cluster's first idea to join it.
+     */
+    public const SIMILARITY_THRESHOLD = 0.45;
+
+    /**
+     * How much each field's words count towards the vector.
+     */
+    private const FIELD_WEIGHTS = [
+        'idea_title' => 2.0,
+        'problem_statement' => 1.0,
+        'target_audience' => 1.0,
+    ];
+
+    /**
+     * Words found in more than this share of ideas are not used to find
+     * candidate clusters (they still count towards similarity). Only applied
+     * once there are enough ideas for the share to mean anything.
+     */
+    private const CANDIDATE_MAX_SHARE = 0.2;
+
+    private const CANDIDATE_MIN_IDEAS = 50;
+
+    /**
+     * Filler words that say nothing about the problem.
+     */
+    private const STOP_WORDS = [
+        'the', 'and', 'for', 'with', 'that', 'this', 'from', 'into', 'their', 'they', 'them', 'there',
+        'have', 'has', 'had', 'are', 'was', 'were', 'been', 'being', 'will', 'would', 'could', 'should',
+        'can', 'not', 'but', 'you', 'your', 'our', 'who', 'what', 'when', 'where', 'which', 'how', 'why',
+        'all', 'any', 'each', 'more', 'most', 'other', 'some', 'such', 'than', 'too', 'very', 'just',
+        'also', 'about', 'over', 'via', 'without', 'while', 'like', 'get', 'gets', 'make', 'makes',
+        'need', 'needs', 'want', 'wants', 'wish', 'simple', 'easy', 'tool', 'tools', 'app', 'apps',
+        'platform', 'help', 'helps', 'way', 'ways', 'people', 'users', 'user', 'use', 'using', 'many',
+    ];
+
+    /**
+     * @var array<string, int>
+     */
+    private array $stopWords;
+
+    public function __construct()
+    {
+        $this->stopWords = array_flip(self::STOP_WORDS);
+    }
+
+    /**
+     * Recompute every cluster and store it on the ideas.
+     *
+     * @return array{ideas: int, clusters: int, clustered_ideas: int}
+     */
+    public function cluster(): array
+    {
+        $clusters = $this->assign($this->vectors($this->termCounts()));
+        $this->save($clusters);
+
+        $grouped = array_filter($clusters, fn (array $members) => count($members) > 1);
+
+        return [
+            'ideas' => array_sum(array_map('count', $clusters)),
+            'clusters' => count($grouped),
+            'clustered_ideas' => array_sum(array_map('count', $grouped)),
+        ];
+    }
+
+    /**
+     * Weighted term counts per idea, oldest idea first.
+     *
+     * @return array<int, array<string, float>>
+     */
+    private function termCounts(): array
+    {
+        $terms = [];
+
+        DB::table('ideas')
+            ->select(['id', ...array_keys(self::FIELD_WEIGHTS)])
+            ->orderBy('id')
+            ->chunk(500, function ($rows) use (&$terms) {
+                foreach ($rows as $row) {
+                    $terms[$row->id] = $this->fieldTerms((array) $row);
+                }
+            });
+
+        return $terms;
+    }
+
+    /**
+     * @param array<string, mixed> $fields
+     * @return array<string, float>
+     */
+    private function fieldTerms(array $fields): array
+    {
+        $terms = [];
+
+        foreach (self::FIELD_WEIGHTS as $field => $weight) {
+            foreach ($this->words($fields[$field] ?? null) as $word) {
+                $terms[$word] = ($terms[$word] ?? 0) + $weight;
+            }
+        }
+
+        return $terms;
+    }
+
+    /**
+     * Lowercased, stemmed words of at least three letters, minus stop words.
+     *
+     * @return array<int, string>
+     */
+    private function words(?string $text): array
+    {
+        preg_match_all('/[\p{L}\p{N}]+/u', mb_strtolower($text ?? ''), $matches);
+
+        $words = [];
+        foreach ($matches[0] as $word) {
+            if (mb_strlen($word) < 3 || isset($this->stopWords[$word])) {
+                continue;
+            }
+            $words[] = $this->stem($word);
+        }
+
+        return $words;
+    }
+
+    /**
+     * Crude suffix stripping so "invoices", "invoicing" and "invoice", or
+     * "freelancers" and "freelance", match.
+     */
+    private function stem(string $word): string
+    {
+        foreach (['ies' => 'y', 'ing' => '', 'ers' => '', 'er' => '', 'ed' => '', 's' => ''] as $suffix => $replacement) {
+            if (str_ends_with($word, $suffix) && ! str_ends_with($word, 'ss') && mb_strlen($word) - strlen($suffix) >= 3) {
+                $word = substr($word, 0, -strlen($suffix)).$replacement;
+                break;
+            }
+        }
+
+        return mb_strlen($word) > 4 && str_ends_with($word, 'e') ? substr($word, 0, -1) : $word;
+    }
+
+    /**
+     * TF-IDF vectors with unit length.
+     *
+     * @param array<int, array<string, float>> $termCounts
+     * @return array<int, array<string, float>>
+     */
+    private function vectors(array $termCounts): array
+    {
+        $documentFrequency = [];
+        foreach ($termCounts as $terms) {
+            foreach ($terms as $term => $count) {
+                $documentFrequency[$term] = ($documentFrequency[$term] ?? 0) + 1;
+            }
+        }
+
+        $total = count($termCounts);
+
+        return array_map(function (array $terms) use ($documentFrequency, $total) {
+            $vector = [];
+            foreach ($terms as $term => $count) {
+                $vector[$term] = $count * (log((1 + $total) / (1 + $documentFrequency[$term])) + 1);
+            }
+
+            return $this->normalize($vector);
+        }, $termCounts);
+    }
+
+    /**
+     * Assign each idea to a cluster, keyed by the cluster's first idea.
+     *
+     * @param array<int, array<string, float>> $vectors Oldest idea first
+     * @return array<int, array<int, int>>
+     */
+    private function assign(array $vectors): array
+    {
+        $candidateTerms = $this->candidateTerms($vectors);
+        $clusters = [];
+        $leaders = [];
+        $index = [];
+
+        foreach ($vectors as $id => $vector) {
+            $candidates = [];
+            foreach ($vector as $term => $weight) {
+                if (isset($candidateTerms[$term])) {
+                    $candidates += $index[$term] ?? [];
+                }
+            }
+
+            $bestId = null;
+            $bestScore = self::SIMILARITY_THRESHOLD;
+            foreach (array_keys($candidates) as $leaderId) {
+                $score = $this->dot($vector, $leaders[$leaderId]);
+                if ($score >= $bestScore && ($bestId === null || $score > $bestScore)) {
+                    $bestId = $leaderId;
+                    $bestScore = $score;
+                }
+            }
+
+            if ($bestId !== null) {
+                $clusters[$bestId][] = $id;
+
+                continue;
+            }
+
+            $clusters[$id] = [$id];
+            $leaders[$id] = $vector;
+            foreach ($vector as $term => $weight) {
+                if (isset($candidateTerms[$term])) {
+                    $index[$term][$id] = true;
+                }
+            }
+        }
+
+        return $clusters;
+    }
+
+    /**
+     * Terms rare enough to look up candidate clusters by.
+     *
+     * @param array<int, array<string, float>> $vectors
+     * @return array<string, bool>
+     */
+    private function candidateTerms(array $vectors): array
+    {
+        $frequency = [];
+        foreach ($vectors as $vector) {
+            foreach ($vector as $term => $weight) {
+                $frequency[$term] = ($frequency[$term] ?? 0) + 1;
+            }
+        }
+
+        $limit = count($vectors) >= self::CANDIDATE_MIN_IDEAS
+            ? count($vectors) * self::CANDIDATE_MAX_SHARE
+            : PHP_INT_MAX;
+
+        return array_map(fn () => true, array_filter($frequency, fn (int $count) => $count <= $limit));
+    }
+
+    /**
+     * Store cluster ids and sizes; ideas that stand alone are reset. The size
+     * is the number of distinct posts in the cluster, so several ideas from
+     * one post, or a re-run's copies of them, count once as demand.
+     *
+     * @param array<int, array<int, int>> $clusters
+     */
+    private function save(array $clusters): void
+    {
+        DB::transaction(function () use ($clusters) {
+            DB::table('ideas')
+                ->where(fn ($query) => $query->whereNotNull('cluster_id')->orWhere('cluster_size', '!=', 1))
+                ->update(['cluster_id' => null, 'cluster_size' => 1]);
+
+            foreach ($clusters as $leaderId => $members) {
+                if (count($members) < 2) {
+                    continue;
+                }
+
+                foreach (array_chunk($members, 500) as $chunk) {
+                    DB::table('ideas')
+                        ->whereIn('id', $chunk)
+                        ->update(['cluster_id' => $leaderId]);
+                }
+            }
+
+            $postCounts = DB::table('ideas')
+                ->whereNotNull('cluster_id')
+                ->groupBy('cluster_id')
+                ->selectRaw('cluster_id, COUNT(DISTINCT post_id) as posts')
+                ->pluck('posts', 'cluster_id');
+
+            foreach ($postCounts as $clusterId => $posts) {
+                if ($posts > 1) {
+                    DB::table('ideas')->where('cluster_id', $clusterId)->update(['cluster_size' => $posts]);
+                }
+            }
+        });
+    }
+
+    /**
+     * @param array<string, float> $vector
+     * @return array<string, float>
+     */
+    private function normalize(array $vector): array
+    {
+        $length = sqrt(array_sum(array_map(fn (float $value) => $value * $value, $vector)));
+
+        return $length > 0 ? array_map(fn (float $value) => $value / $length, $vector) : [];
+    }
+
+    /**
+     * @param array<string, float> $a
+     * @param array<string, float> $b
+     */
+    private function dot(array $a, array $b): float
+    {
+        if (count($a) > count($b)) {
+            [$a, $b] = [$b, $a];
+        }
+
+        $sum = 0.0;
+        foreach ($a as $term => $weight) {
+            $sum += $weight * ($b[$term] ?? 0);
+        }
+
+        return $sum;
+    }
+}
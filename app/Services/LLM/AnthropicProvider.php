@@ -190,7 +190,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
                 parsedResult: $parsedResult,
                 durationMs: $durationMs,
                 success: true,
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('Anthropic refusal returned (no content)', [
@@ -211,7 +212,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Response content is empty',
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('Anthropic API returned empty content', [
@@ -238,7 +240,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Failed to parse JSON response',
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('Failed to parse Anthropic JSON response', [
@@ -261,7 +264,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
             parsedResult: $parsed,
             durationMs: $durationMs,
             success: true,
-            postId: $request->postId
+            postId: $request->postId,
+            usage: $data['usage'] ?? null
         );
 
         return ClassificationResponse::fromJson($parsed, $rawResponse);
@@ -398,7 +402,8 @@ public function extract(ExtractionRequest $request): ExtractionResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Response content is empty',
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('Anthropic API returned empty content during extraction', [
@@ -440,7 +445,8 @@ public function extract(ExtractionRequest $request): ExtractionResponse
             parsedResult: $parsed,
             durationMs: $durationMs,
             success: true,
-            postId: $request->postId
+            postId: $request->postId,
+            usage: $data['usage'] ?? null
         );
 
         return ExtractionResponse::fromJson($parsed, $rawResponse);
@@ -2,6 +2,9 @@
 
 namespace App\Services\LLM;
 
+use App\Models\LlmUsage;
+use App\Models\Post;
+use Illuminate\Support\Facades\Context;
 use Illuminate\Support\Facades\Log;
 use Illuminate\Support\Str;
 
@@ -60,6 +63,8 @@ public function logRequest(
      * @param float $durationMs Request duration in milliseconds
      * @param bool $success Whether the request was successful
      * @param string|null $error Error message if unsuccessful
+     * @param int|null $postId Optional post ID for correlation
+     * @param array|null $usage The provider's raw `usage` block; recorded in llm_usages for cost reporting
      */
     public function logResponse(
         string $requestId,
@@ -70,9 +75,11 @@ public function logResponse(
         float $durationMs,
         bool $success,
         ?string $error = null,
-        ?int $postId = null
+        ?int $postId = null,
+        ?array $usage = null
     ): void {
         $timestamp = now()->toIso8601String();
+        $tokens = $this->normalizeUsage($usage);
 
         $logData = [
             'request_id' => $requestId,
@@ -90,6 +97,10 @@ public function logResponse(
             $logData['error'] = $error;
         }
 
+        if ($usage !== null) {
+            $logData['usage'] = $tokens;
+        }
+
         try {
             $level = $success ? 'info' : 'error';
             Log::channel($this->channel)->{$level}('LLM Response', $logData);
@@ -99,6 +110,77 @@ public function logResponse(
                 'request_id' => $requestId,
             ]);
         }
+
+        if ($usage !== null) {
+            $this->recordUsage($provider, $model, $operation, $postId, $tokens);
+        }
+    }
+
+    /**
+     * Map Anthropic (input/output, plus cache) and OpenAI (prompt/completion)
+     * usage blocks to token counts. `input_tokens` includes the cached ones,
+     * which are also counted separately for pricing: Anthropic reports cache
+     * writes and reads apart from its input, OpenAI counts cached reads
+     * within the prompt.
+     *
+     * @return array{input_tokens: int, output_tokens: int, cache_write_tokens: int, cache_read_tokens: int}
+     */
+    private function normalizeUsage(?array $usage): array
+    {
+        $cacheWrite = (int) ($usage['cache_creation_input_tokens'] ?? 0);
+        $cacheRead = (int) ($usage['cache_read_input_tokens'] ?? $usage['prompt_tokens_details']['cached_tokens'] ?? 0);
+        $input = isset($usage['prompt_tokens'])
+            ? (int) $usage['prompt_tokens']
+            : (int) ($usage['input_tokens'] ?? 0) + $cacheWrite + $cacheRead;
+
+        return [
+            'input_tokens' => $input,
+            'output_tokens' => (int) ($usage['output_tokens'] ?? $usage['completion_tokens'] ?? 0),
+            'cache_write_tokens' => $cacheWrite,
+            'cache_read_tokens' => $cacheRead,
+        ];
+    }
+
+    /**
+     * Store a call's token usage and cost against the post's scan, or against
+     * the re-run making the call (ReprocessPostsChunkJob puts its id in the
+     * log context), so a re-run's spend never counts towards a finished scan.
+     *
+     * @param array{input_tokens: int, output_tokens: int, cache_write_tokens: int, cache_read_tokens: int} $tokens
+     */
+    private function recordUsage(string $provider, string $model, string $operation, ?int $postId, array $tokens): void
+    {
+        if ($tokens['input_tokens'] === 0 && $tokens['output_tokens'] === 0) {
+            return;
+        }
+
+        $reprocessRunId = Context::get('reprocess_run_id');
+
+        try {
+            LlmUsage::create([
+                'scan_id' => $postId && ! $reprocessRunId ? Post::whereKey($postId)->value('scan_id') : null,
+                'reprocess_run_id' => $reprocessRunId,
+                'post_id' => $postId,
+                'provider' => $provider,
+                'model' => $model,
+                'operation' => $operation,
+                'input_tokens' => $tokens['input_tokens'],
+                'output_tokens' => $tokens['output_tokens'],
+                'cost_usd' => LlmUsage::costFor(
+                    $provider,
+                    $tokens['input_tokens'] - $tokens['cache_write_tokens'] - $tokens['cache_read_tokens'],
+                    $tokens['output_tokens'],
+                    $tokens['cache_write_tokens'],
+                    $tokens['cache_read_tokens'],
+                ),
+            ]);
+        } catch (\Throwable $e) {
+            Log::warning('Failed to record LLM usage', [
+                'error' => $e->getMessage(),
+                'provider' => $provider,
+                'post_id' => $postId,
+            ]);
+        }
     }
 
     /**
@@ -11,19 +11,22 @@ class LLMProviderFactory
      *
      * This allows jobs/services to depend on the container for testability.
      *
+     * @param array<string>|null $providerNames Per-scan override; null uses config
      * @return array<string, LLMProviderInterface> Keyed by config key
      */
-    public function classificationProviders(): array
+    public function classificationProviders(?array $providerNames = null): array
     {
-        return self::getClassificationProviders();
+        return self::getClassificationProviders($providerNames);
     }
 
     /**
      * Instance wrapper around {@see self::getExtractionProvider()}.
+     *
+     * @param string|null $providerName Per-scan override; null uses config
      */
-    public function extractionProvider(): LLMProviderInterface
+    public function extractionProvider(?string $providerName = null): LLMProviderInterface
     {
-        return self::getExtractionProvider();
+        return self::getExtractionProvider($providerName);
     }
 
     /**
@@ -58,14 +61,15 @@ public static function make(string $providerName): LLMProviderInterface
     }
 
     /**
-     * Get classification providers based on config.
+     * Get classification providers based on config, or the given names.
      *
+     * @param array<string>|null $providerNames
      * @return array<string, LLMProviderInterface> Keyed by config key
      * @throws InvalidArgumentException If a configured provider does not support classification
      */
-    public static function getClassificationProviders(): array
+    public static function getClassificationProviders(?array $providerNames = null): array
     {
-        $providerNames = config('llm.classification.providers', []);
+        $providerNames ??= config('llm.classification.providers', []);
 
         if (! is_array($providerNames)) {
             throw new InvalidArgumentException("Config 'llm.classification.providers' must be an array");
@@ -89,13 +93,13 @@ public static function getClassificationProviders(): array
     }
 
     /**
-     * Get the extraction provider based on config.
+     * Get the extraction provider based on config, or the given name.
      *
      * @throws InvalidArgumentException If the configured provider does not support extraction
      */
-    public static function getExtractionProvider(): LLMProviderInterface
+    public static function getExtractionProvider(?string $providerName = null): LLMProviderInterface
     {
-        $providerName = config('llm.extraction.provider');
+        $providerName ??= config('llm.extraction.provider');
 
         if (! is_string($providerName) || empty($providerName)) {
             throw new InvalidArgumentException("Config 'llm.extraction.provider' must be a non-empty string");
@@ -129,6 +133,26 @@ public static function availableProviders(): array
         return array_keys($providers);
     }
 
+    /**
+     * Config keys of the providers that list the given capability.
+     *
+     * @param string $capability 'classification' or 'extraction'
+     * @return array<string>
+     */
+    public static function providersWithCapability(string $capability): array
+    {
+        $providers = config('llm.providers', []);
+
+        if (! is_array($providers)) {
+            return [];
+        }
+
+        return array_keys(array_filter(
+            $providers,
+            fn ($config) => in_array($capability, $config['capabilities'] ?? [], true)
+        ));
+    }
+
     /**
      * Return metadata for all configured providers.
      *
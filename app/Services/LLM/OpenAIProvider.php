@@ -206,7 +206,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
                 parsedResult: $parsedResult,
                 durationMs: $durationMs,
                 success: true,
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('OpenAI content filter triggered', [
@@ -256,7 +257,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
                 parsedResult: $parsedResult,
                 durationMs: $durationMs,
                 success: true,
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('OpenAI refusal returned (no content)', [
@@ -279,7 +281,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Response content is empty',
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('OpenAI API returned empty content', [
@@ -315,7 +318,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Failed to parse JSON response',
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('Failed to parse OpenAI JSON response', [
@@ -338,7 +342,8 @@ public function classify(ClassificationRequest $request): ClassificationResponse
             parsedResult: $parsed,
             durationMs: $durationMs,
             success: true,
-            postId: $request->postId
+            postId: $request->postId,
+            usage: $data['usage'] ?? null
         );
 
         return ClassificationResponse::fromJson($parsed, $rawResponse);
@@ -482,7 +487,8 @@ public function extract(ExtractionRequest $request): ExtractionResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Content filtered by API',
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('OpenAI content filter triggered during extraction', [
@@ -509,7 +515,8 @@ public function extract(ExtractionRequest $request): ExtractionResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Refusal: ' . $message['refusal'],
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('OpenAI refusal during extraction', [
@@ -536,7 +543,8 @@ public function extract(ExtractionRequest $request): ExtractionResponse
                 durationMs: $durationMs,
                 success: false,
                 error: 'Response content is empty',
-                postId: $request->postId
+                postId: $request->postId,
+                usage: $data['usage'] ?? null
             );
 
             Log::warning('OpenAI API returned empty content during extraction', [
@@ -577,7 +585,8 @@ public function extract(ExtractionRequest $request): ExtractionResponse
             parsedResult: $parsed,
             durationMs: $durationMs,
             success: true,
-            postId: $request->postId
+            postId: $request->postId,
+            usage: $data['usage'] ?? null
         );
 
         return ExtractionResponse::fromJson($parsed, $rawResponse);
@@ -0,0 +1,508 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\Classification;
+use App\Models\Idea;
+use App\Models\Scan;
+use Illuminate\Contracts\Pagination\LengthAwarePaginator;
+use Illuminate\Database\Query\Builder;
+use Illuminate\Support\Collection;
+use Illuminate\Support\Facades\DB;
+
+/**
+ * Classification and extraction statistics per LLM provider, for one
+ * subreddit or (with a null subreddit id) across all of them.
+ */
+class ProviderAnalyticsService
+{
+    /**
+     * Most recent completed scans plotted in the trend.
+     */
+    private const TREND_SCANS = 20;
+
+    /**
+     * Posts per page in a disagreement drill-down.
+     */
+    private const DISAGREEMENTS_PER_PAGE = 20;
+
+    /**
+     * Classifications every expected provider has answered — the base for
+     * agreement. Re-run results are compared per provider but never count here.
+     */
+    private const AGREEMENT_BASE_SQL = '(SELECT COUNT(*) FROM classification_results WHERE classification_results.classification_id = classifications.id AND classification_results.completed = 1 AND classification_results.reprocess_run_id IS NULL) = classifications.expected_provider_count';
+
+    private const VERDICT_COUNT_SQL = '(SELECT COUNT(DISTINCT verdict) FROM classification_results WHERE classification_results.classification_id = classifications.id AND classification_results.completed = 1 AND classification_results.reprocess_run_id IS NULL)';
+
+    /**
+     * @return array{classification: array, extraction: array, trend: array}
+     */
+    public function summarize(?int $subredditId = null): array
+    {
+        return [
+            'classification' => $this->buildClassificationStats($subredditId),
+            'extraction'     => $this->buildExtractionStats($subredditId),
+            'trend'          => $this->buildTrend($subredditId),
+        ];
+    }
+
+    /**
+     * Posts in one disagreement bucket, newest classification first. A bucket
+     * is the providers that voted keep and the providers that voted skip.
+     *
+     * @param array<int, string> $keepProviders
+     * @param array<int, string> $skipProviders
+     */
+    public function disagreements(?int $subredditId, array $keepProviders, array $skipProviders): LengthAwarePaginator
+    {
+        sort($keepProviders);
+        sort($skipProviders);
+
+        $classificationIds = $this->disagreementVerdicts($subredditId)
+            ->filter(fn (array $verdicts) => $this->keepProviders($verdicts) === $keepProviders
+                && $this->skipProviders($verdicts) === $skipProviders)
+            ->keys();
+
+        $page = Classification::query()
+            ->with([
+                'post:id,title,permalink,subreddit_id,reddit_created_at',
+                'post.subreddit:id,name',
+                'scanResults',
+                'rerunResults',
+                'label',
+            ])
+            ->whereIn('id', $classificationIds)
+            ->orderByDesc('classified_at')
+            ->orderByDesc('id')
+            ->paginate(self::DISAGREEMENTS_PER_PAGE);
+
+        // Link each post to one of its ideas where extraction produced any
+        $ideaIds = Idea::query()
+            ->whereIn('post_id', $page->getCollection()->pluck('post_id'))
+            ->groupBy('post_id')
+            ->selectRaw('post_id, MIN(id) as id')
+            ->pluck('id', 'post_id');
+
+        return $page->through(fn (Classification $classification) => [
+            'id'              => $classification->id,
+            'final_decision'  => $classification->final_decision,
+            'combined_score'  => $classification->combined_score,
+            'classified_at'   => $classification->classified_at?->toIso8601String(),
+            'post'            => $classification->post,
+            'idea_id'         => $ideaIds->get($classification->post_id),
+            'providers'       => $classification->providers,
+            'rerun_providers' => $classification->rerun_providers,
+            'label'           => $classification->label,
+        ]);
+    }
+
+    private function buildClassificationStats(?int $subredditId): array
+    {
+        // Total finalized classifications in scope
+        $total = $this->classifications($subredditId)->count();
+
+        if ($total === 0) {
+            return $this->emptyClassificationStats();
+        }
+
+        $agreementBase = $this->agreementBase($subredditId);
+
+        $agreementTotal = $agreementBase->count();
+
+        $bothAgree = 0;
+        if ($agreementTotal > 0) {
+            $bothAgree = (clone $agreementBase)
+                ->whereRaw(self::VERDICT_COUNT_SQL.' = 1')
+                ->count();
+        }
+
+        // Per-provider stats from classification_results, re-runs included
+        $providerStats = $this->scoped(DB::table('classification_results'), $subredditId)
+            ->join('classifications', 'classifications.id', '=', 'classification_results.classification_id')
+            ->join('posts', 'posts.id', '=', 'classifications.post_id')
+            ->where('classification_results.completed', true)
+            ->selectRaw('
+                classification_results.provider_name,
+                COUNT(*) as total_completed,
+                AVG(classification_results.confidence) as avg_confidence,
+                SUM(CASE WHEN classification_results.verdict = "keep" THEN 1 ELSE 0 END) as keep_count,
+                SUM(CASE WHEN classification_results.verdict = "skip" THEN 1 ELSE 0 END) as skip_count
+            ')
+            ->groupBy('classification_results.provider_name')
+            ->get()
+            ->keyBy('provider_name');
+
+        // Build provider list from union of config providers + historical providers
+        $configuredProviders = config('llm.classification.providers', []);
+        $historicalProviders = $providerStats->keys()->toArray();
+        $allProviderNames = array_unique(array_merge($configuredProviders, $historicalProviders));
+
+        $providers = [];
+        foreach ($allProviderNames as $providerName) {
+            $stats = $providerStats->get($providerName);
+
+            // Category distribution for this provider
+            $categories = $this->scoped(DB::table('classification_results'), $subredditId)
+                ->join('classifications', 'classifications.id', '=', 'classification_results.classification_id')
+                ->join('posts', 'posts.id', '=', 'classifications.post_id')
+                ->where('classification_results.provider_name', $providerName)
+                ->where('classification_results.completed', true)
+                ->whereNotNull('classification_results.category')
+                ->selectRaw('classification_results.category, COUNT(*) as count')
+                ->groupBy('classification_results.category')
+                ->orderByDesc('count')
+                ->get()
+                ->mapWithKeys(fn ($row) => [$row->category => (int) $row->count])
+                ->toArray();
+
+            $providers[] = [
+                ...$this->providerMetadata($providerName),
+                'total_completed'      => $stats ? (int) $stats->total_completed : 0,
+                'avg_confidence'       => $stats ? round((float) $stats->avg_confidence, 3) : 0.0,
+                'verdict_distribution' => [
+                    'keep' => $stats ? (int) $stats->keep_count : 0,
+                    'skip' => $stats ? (int) $stats->skip_count : 0,
+                ],
+                'category_distribution' => $categories,
+            ];
+        }
+
+        return [
+            'total_classified' => $total,
+            'agreement' => [
+                'both_agree'           => $bothAgree,
+                'both_disagree'        => $agreementTotal - $bothAgree,
+                'agreement_rate'       => $agreementTotal > 0 ? round($bothAgree / $agreementTotal, 3) : 0.0,
+                'disagreement_buckets' => $agreementTotal > $bothAgree ? $this->disagreementBuckets($subredditId) : [],
+            ],
+            'human_agreement' => $this->buildHumanAgreement($subredditId),
+            'providers' => $providers,
+        ];
+    }
+
+    /**
+     * How often the consensus and each provider matched reviewers' decisions
+     * on labelled posts. Re-run results count too, so a changed prompt or
+     * model can be scored against the same labels.
+     */
+    private function buildHumanAgreement(?int $subredditId): array
+    {
+        // Borderline posts go to extraction like kept ones, so they count as keep
+        $consensus = $this->scoped(DB::table('classification_labels'), $subredditId)
+            ->join('classifications', 'classifications.id', '=', 'classification_labels.classification_id')
+            ->join('posts', 'posts.id', '=', 'classifications.post_id')
+            ->selectRaw('
+                COUNT(*) as compared,
+                SUM(CASE WHEN (classifications.final_decision IN ("keep", "borderline")) = (classification_labels.decision = "keep") THEN 1 ELSE 0 END) as agreed
+            ')
+            ->first();
+
+        $providers = $this->scoped(DB::table('classification_results'), $subredditId)
+            ->join('classification_labels', 'classification_labels.classification_id', '=', 'classification_results.classification_id')
+            ->join('classifications', 'classifications.id', '=', 'classification_results.classification_id')
+            ->join('posts', 'posts.id', '=', 'classifications.post_id')
+            ->where('classification_results.completed', true)
+            ->selectRaw('
+                classification_results.provider_name,
+                COUNT(*) as compared,
+                SUM(CASE WHEN (classification_results.verdict = "keep") = (classification_labels.decision = "keep") THEN 1 ELSE 0 END) as agreed
+            ')
+            ->groupBy('classification_results.provider_name')
+            ->orderBy('classification_results.provider_name')
+            ->get()
+            ->map(fn ($row) => [
+                ...$this->providerMetadata($row->provider_name),
+                ...$this->agreementRate($row->compared, $row->agreed),
+            ])
+            ->all();
+
+        return [
+            'labelled'  => (int) ($consensus->compared ?? 0),
+            'consensus' => $this->agreementRate($consensus->compared ?? 0, $consensus->agreed ?? 0),
+            'providers' => $providers,
+        ];
+    }
+
+    /**
+     * @return array{compared: int, agreed: int, rate: ?float}
+     */
+    private function agreementRate(int|string $compared, int|string|null $agreed): array
+    {
+        return [
+            'compared' => (int) $compared,
+            'agreed'   => (int) $agreed,
+            'rate'     => $compared > 0 ? round($agreed / $compared, 3) : null,
+        ];
+    }
+
+    /**
+     * Split disagreements by which providers voted keep, largest bucket first.
+     *
+     * @return array<int, array{keep: array<int, string>, skip: array<int, string>, count: int}>
+     */
+    private function disagreementBuckets(?int $subredditId): array
+    {
+        return $this->disagreementVerdicts($subredditId)
+            ->map(fn (array $verdicts) => [
+                'keep' => $this->keepProviders($verdicts),
+                'skip' => $this->skipProviders($verdicts),
+            ])
+            ->groupBy(fn (array $bucket) => implode(',', $bucket['keep']).'|'.implode(',', $bucket['skip']))
+            ->map(fn (Collection $group) => [...$group->first(), 'count' => $group->count()])
+            ->sortByDesc('count')
+            ->values()
+            ->all();
+    }
+
+    /**
+     * Verdict per provider for every classification where providers split.
+     *
+     * @return Collection<int, array<string, string>> keyed by classification id
+     */
+    private function disagreementVerdicts(?int $subredditId): Collection
+    {
+        $splitIds = $this->agreementBase($subredditId)
+            ->whereRaw(self::VERDICT_COUNT_SQL.' > 1')
+            ->select('classifications.id');
+
+        return DB::table('classification_results')
+            ->whereIn('classification_id', $splitIds)
+            ->where('completed', true)
+            ->whereNull('reprocess_run_id')
+            ->get(['classification_id', 'provider_name', 'verdict'])
+            ->groupBy('classification_id')
+            ->map(fn (Collection $results) => $results->pluck('verdict', 'provider_name')->all());
+    }
+
+    /**
+     * @param array<string, string> $verdicts
+     * @return array<int, string>
+     */
+    private function keepProviders(array $verdicts): array
+    {
+        $names = array_keys(array_filter($verdicts, fn (?string $verdict) => $verdict === 'keep'));
+        sort($names);
+
+        return $names;
+    }
+
+    /**
+     * @param array<string, string> $verdicts
+     * @return array<int, string>
+     */
+    private function skipProviders(array $verdicts): array
+    {
+        $names = array_keys(array_filter($verdicts, fn (?string $verdict) => $verdict !== 'keep'));
+        sort($names);
+
+        return $names;
+    }
+
+    /**
+     * Agreement rate and per-provider keep rate for each of the latest
+     * completed scans, oldest first. Classifications count towards the scan
+     * that made them (a rescan refetches posts without reclassifying them),
+     * and only the scan's own results count, so a later re-classification
+     * does not rewrite history.
+     */
+    private function buildTrend(?int $subredditId): array
+    {
+        $agreement = $this->agreementBase($subredditId)
+            ->selectRaw('classifications.scan_id, COUNT(*) as total, SUM(CASE WHEN '.self::VERDICT_COUNT_SQL.' = 1 THEN 1 ELSE 0 END) as agreed')
+            ->whereNotNull('classifications.scan_id')
+            ->groupBy('classifications.scan_id')
+            ->get()
+            ->keyBy('scan_id');
+
+        $keepRates = $this->scoped(DB::table('classification_results'), $subredditId)
+            ->join('classifications', 'classifications.id', '=', 'classification_results.classification_id')
+            ->join('posts', 'posts.id', '=', 'classifications.post_id')
+            ->whereNotNull('classifications.scan_id')
+            ->where('classification_results.completed', true)
+            ->whereNull('classification_results.reprocess_run_id')
+            ->selectRaw('
+                classifications.scan_id,
+                classification_results.provider_name,
+                COUNT(*) as total,
+                SUM(CASE WHEN classification_results.verdict = "keep" THEN 1 ELSE 0 END) as keep_count
+            ')
+            ->groupBy('classifications.scan_id', 'classification_results.provider_name')
+            ->get();
+
+        $scans = DB::table('scans')
+            ->join('subreddits', 'subreddits.id', '=', 'scans.subreddit_id')
+            ->where('scans.status', Scan::STATUS_COMPLETED)
+            ->when($subredditId !== null, fn ($query) => $query->where('scans.subreddit_id', $subredditId))
+            ->whereIn('scans.id', $keepRates->pluck('scan_id')->unique()->values())
+            ->orderByDesc('scans.completed_at')
+            ->orderByDesc('scans.id')
+            ->limit(self::TREND_SCANS)
+            ->get(['scans.id', 'scans.completed_at', 'subreddits.name as subreddit'])
+            ->reverse()
+            ->values();
+
+        $byProvider = $keepRates->whereIn('scan_id', $scans->pluck('id'))->groupBy('provider_name');
+
+        return [
+            'scans' => $scans->map(function ($scan) use ($agreement) {
+                $row = $agreement->get($scan->id);
+
+                return [
+                    'id'             => (int) $scan->id,
+                    'subreddit'      => $scan->subreddit,
+                    'completed_at'   => $scan->completed_at,
+                    'compared'       => $row ? (int) $row->total : 0,
+                    'agreement_rate' => $row && $row->total > 0 ? round($row->agreed / $row->total, 3) : null,
+                ];
+            })->all(),
+            'providers' => $byProvider->map(function (Collection $rows, string $providerName) use ($scans) {
+                $rows = $rows->keyBy('scan_id');
+
+                return [
+                    ...$this->providerMetadata($providerName),
+                    'keep_rates' => $scans->map(function ($scan) use ($rows) {
+                        $row = $rows->get($scan->id);
+
+                        return $row && $row->total > 0 ? round($row->keep_count / $row->total, 3) : null;
+                    })->all(),
+                ];
+            })->sortBy('name')->values()->all(),
+        ];
+    }
+
+    private function buildExtractionStats(?int $subredditId): array
+    {
+        $rows = $this->scoped(DB::table('ideas'), $subredditId)
+            ->join('posts', 'posts.id', '=', 'ideas.post_id')
+            ->selectRaw('COALESCE(ideas.extraction_provider, "unknown") as provider, COUNT(*) as count')
+            ->groupBy('provider')
+            ->get();
+
+        $total = $rows->sum('count');
+        $distribution = $rows->map(fn ($row) => [
+            'name'         => $row->provider,
+            'display_name' => config("llm.providers.{$row->provider}.display_name", $row->provider),
+            'count'        => (int) $row->count,
+        ])->values()->toArray();
+
+        return [
+            'total_extracted'       => (int) $total,
+            'provider_distribution' => $distribution,
+            'comparison'            => $this->buildExtractionComparison($subredditId),
+        ];
+    }
+
+    /**
+     * Compare extraction providers on the posts that more than one of them
+     * has extracted — typically after a re-extraction run.
+     */
+    private function buildExtractionComparison(?int $subredditId): array
+    {
+        $sharedPostIds = $this->scoped(DB::table('ideas'), $subredditId)
+            ->join('posts', 'posts.id', '=', 'ideas.post_id')
+            ->whereNotNull('ideas.extraction_provider')
+            ->groupBy('ideas.post_id')
+            ->havingRaw('COUNT(DISTINCT ideas.extraction_provider) > 1')
+            ->pluck('ideas.post_id');
+
+        if ($sharedPostIds->isEmpty()) {
+            return ['shared_posts' => 0, 'providers' => []];
+        }
+
+        $providers = DB::table('ideas')
+            ->whereIn('post_id', $sharedPostIds)
+            ->whereNotNull('extraction_provider')
+            ->selectRaw('
+                extraction_provider as provider,
+                COUNT(*) as ideas,
+                COUNT(DISTINCT post_id) as posts,
+                AVG(score_overall) as avg_score,
+                SUM(CASE WHEN reprocess_run_id IS NULL THEN 0 ELSE 1 END) as rerun_ideas
+            ')
+            ->groupBy('extraction_provider')
+            ->orderByDesc('ideas')
+            ->get()
+            ->map(fn ($row) => [
+                'name'               => $row->provider,
+                'display_name'       => config("llm.providers.{$row->provider}.display_name", $row->provider),
+                'ideas'              => (int) $row->ideas,
+                'posts'              => (int) $row->posts,
+                'avg_ideas_per_post' => round($row->ideas / max(1, $row->posts), 2),
+                'avg_score'          => $row->avg_score !== null ? round((float) $row->avg_score, 2) : null,
+                'rerun_ideas'        => (int) $row->rerun_ideas,
+            ])
+            ->values()
+            ->toArray();
+
+        return [
+            'shared_posts' => $sharedPostIds->count(),
+            'providers'    => $providers,
+        ];
+    }
+
+    private function emptyClassificationStats(): array
+    {
+        $configuredProviders = config('llm.classification.providers', []);
+        $providers = array_map(fn ($name) => [
+            ...$this->providerMetadata($name),
+            'total_completed'       => 0,
+            'avg_confidence'        => 0.0,
+            'verdict_distribution'  => ['keep' => 0, 'skip' => 0],
+            'category_distribution' => [],
+        ], $configuredProviders);
+
+        return [
+            'total_classified' => 0,
+            'agreement' => [
+                'both_agree'           => 0,
+                'both_disagree'        => 0,
+                'agreement_rate'       => 0.0,
+                'disagreement_buckets' => [],
+            ],
+            'human_agreement' => [
+                'labelled'  => 0,
+                'consensus' => $this->agreementRate(0, 0),
+                'providers' => [],
+            ],
+            'providers' => $providers,
+        ];
+    }
+
+    /**
+     * Finalized classifications in scope, joined to their posts.
+     */
+    private function classifications(?int $subredditId): Builder
+    {
+        return $this->scoped(DB::table('classifications'), $subredditId)
+            ->join('posts', 'posts.id', '=', 'classifications.post_id')
+            ->whereNotNull('classifications.classified_at');
+    }
+
+    private function agreementBase(?int $subredditId): Builder
+    {
+        return $this->classifications($subredditId)
+            ->whereRaw(self::AGREEMENT_BASE_SQL)
+            ->whereRaw('classifications.expected_provider_count >= 2');
+    }
+
+    /**
+     * Limit a query that joins `posts` to one subreddit; null keeps every subreddit.
+     */
+    private function scoped(Builder $query, ?int $subredditId): Builder
+    {
+        return $query->when($subredditId !== null, fn (Builder $query) => $query->where('posts.subreddit_id', $subredditId));
+    }
+
+    /**
+     * @return array{name: string, display_name: string, model: ?string, vendor: ?string}
+     */
+    private function providerMetadata(string $providerName): array
+    {
+        return [
+            'name'         => $providerName,
+            'display_name' => config("llm.providers.{$providerName}.display_name", $providerName),
+            'model'        => config("llm.providers.{$providerName}.model", null),
+            'vendor'       => config("llm.providers.{$providerName}.vendor", null),
+        ];
+    }
+}
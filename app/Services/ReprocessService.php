@@ -0,0 +1,173 @@
+<?php
+
+namespace App\Services;
+
+use App\Jobs\ReprocessPostsChunkJob;
+use App\Models\Idea;
+use App\Models\Post;
+use App\Models\ReprocessRun;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use Illuminate\Bus\Batch;
+use Illuminate\Database\Eloquent\Builder;
+use Illuminate\Support\Facades\Bus;
+use Illuminate\Support\Facades\Log;
+use Throwable;
+
+/**
+ * Re-runs extraction or classification over posts that were already fetched,
+ * for a whole subreddit, one scan or a single idea's post. Nothing is
+ * refetched from Reddit and the scan's own results are left untouched.
+ */
+class ReprocessService
+{
+    /**
+     * Start a run. `$scan`, `$idea` or `$post` narrow the posts to that scan,
+     * that idea's post or that one post. A single post is run whatever its
+     * classification decided, so a reviewer can force extraction.
+     *
+     * @throws \RuntimeException When a run or scan is active, or no posts qualify
+     */
+    public function start(
+        Subreddit $subreddit,
+        string $operation,
+        string $provider,
+        ?Scan $scan = null,
+        ?Idea $idea = null,
+        ?Post $post = null,
+    ): ReprocessRun {
+        if ($this->getActiveRun($subreddit)) {
+            throw new \RuntimeException("A re-run is already in progress for r/{$subreddit->name}");
+        }
+
+        if ($subreddit->activeScan()) {
+            throw new \RuntimeException('Wait for the running scan to finish before re-running providers');
+        }
+
+        $postIds = $post
+            ? [$post->id]
+            : $this->postQuery($subreddit, $operation, $scan, $idea)->pluck('id')->all();
+
+        if (empty($postIds)) {
+            throw new \RuntimeException($operation === ReprocessRun::OPERATION_EXTRACTION
+                ? 'No kept posts to re-extract'
+                : 'No classified posts to re-classify');
+        }
+
+        $run = ReprocessRun::create([
+            'subreddit_id' => $subreddit->id,
+            'scan_id' => $scan?->id,
+            'idea_id' => $idea?->id,
+            'operation' => $operation,
+            'provider' => $provider,
+            'status' => ReprocessRun::STATUS_RUNNING,
+            'posts_total' => count($postIds),
+        ]);
+
+        $this->dispatch($run, $postIds);
+
+        return $run->fresh();
+    }
+
+    /**
+     * Posts the operation applies to: extraction only re-runs posts the scan
+     * kept and no reviewer discarded, classification any classified post.
+     */
+    private function postQuery(Subreddit $subreddit, string $operation, ?Scan $scan, ?Idea $idea): Builder
+    {
+        $query = Post::query()->where('subreddit_id', $subreddit->id);
+
+        if ($idea) {
+            return $query->whereKey($idea->post_id);
+        }
+
+        if ($scan) {
+            $query->where('scan_id', $scan->id);
+        }
+
+        return $operation === ReprocessRun::OPERATION_EXTRACTION
+            ? $query->extractionCandidates()
+            : $query->whereHas('classification', fn ($q) => $q->whereNotNull('classified_at'));
+    }
+
+    /**
+     * Queue the run's chunks on the pipeline connection for its operation.
+     *
+     * @param array<int> $postIds
+     */
+    private function dispatch(ReprocessRun $run, array $postIds): void
+    {
+        $extracting = $run->operation === ReprocessRun::OPERATION_EXTRACTION;
+        $chunkSize = $extracting
+            ? config('llm.extraction.batch_chunk_size', 5)
+            : config('llm.classification.batch_chunk_size', 10);
+
+        $jobs = array_map(
+            fn (array $chunk) => new ReprocessPostsChunkJob($run->id, $chunk),
+            array_chunk($postIds, $chunkSize)
+        );
+
+        $runId = $run->id;
+
+        try {
+            $batch = Bus::batch($jobs)
+                ->name("reprocess-run-{$runId}")
+                ->onConnection($extracting ? 'redis-extract' : 'redis-classify')
+                ->onQueue($extracting ? 'extract-chunk' : 'classify-chunk')
+                ->allowFailures()
+                ->finally(function (Batch $batch) use ($runId) {
+                    ReprocessRun::find($runId)?->markAsCompleted();
+                })
+                ->dispatch();
+        } catch (Throwable $e) {
+            $run->markAsFailed('Failed to queue re-run: '.$e->getMessage());
+
+            throw new \RuntimeException('Failed to queue re-run');
+        }
+
+        Log::info('Dispatched reprocess run', [
+            'reprocess_run_id' => $run->id,
+            'operation' => $run->operation,
+            'provider' => $run->provider,
+            'posts' => count($postIds),
+            'batch_id' => $batch->id,
+        ]);
+    }
+
+    /**
+     * The subreddit's running re-run, if any.
+     */
+    public function getActiveRun(Subreddit $subreddit): ?ReprocessRun
+    {
+        return ReprocessRun::where('subreddit_id', $subreddit->id)
+            ->where('status', ReprocessRun::STATUS_RUNNING)
+            ->latest('id')
+            ->first();
+    }
+
+    /**
+     * Progress payload for the UI.
+     */
+    public function getRunStatus(ReprocessRun $run): array
+    {
+        $run = $run->fresh() ?? $run;
+
+        return [
+            'id' => $run->id,
+            'subreddit_id' => $run->subreddit_id,
+            'scan_id' => $run->scan_id,
+            'idea_id' => $run->idea_id,
+            'operation' => $run->operation,
+            'provider' => $run->provider,
+            'provider_display_name' => config("llm.providers.{$run->provider}.display_name", $run->provider),
+            'status' => $run->status,
+            'posts_total' => $run->posts_total,
+            'posts_processed' => min($run->posts_processed, $run->posts_total),
+            'ideas_found' => $run->ideas_found,
+            'error_message' => $run->error_message,
+            'is_running' => $run->isRunning(),
+            'created_at' => $run->created_at?->toIso8601String(),
+            'completed_at' => $run->completed_at?->toIso8601String(),
+        ];
+    }
+}
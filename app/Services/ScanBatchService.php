@@ -0,0 +1,275 @@
+<?php
+
+namespace App\Services;
+
+use App\Exceptions\ReprocessInProgressException;
+use App\Exceptions\ScanBudgetExceededException;
+use App\Models\Scan;
+use App\Models\ScanBatch;
+use App\Models\Subreddit;
+use Carbon\Carbon;
+use Illuminate\Contracts\Cache\LockTimeoutException;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Log;
+
+/**
+ * Scans several subreddits with one date range, keeping at most
+ * `reddit.batch.max_concurrent_scans` of them running. Each batch scan that
+ * finishes (Scan::markAsCompleted / markAsFailed) queues AdvanceScanBatchJob,
+ * which launches the next queued subreddit.
+ */
+class ScanBatchService
+{
+    /**
+     * Cache lock held while a batch is checked for and created, or advanced,
+     * so two requests cannot both start one.
+     */
+    private const LOCK_KEY = 'scan-batches';
+
+    private const LOCK_SECONDS = 30;
+
+    /**
+     * Seconds to wait for the lock before giving up.
+     */
+    private const LOCK_WAIT_SECONDS = 10;
+
+    public function __construct(
+        private ScanService $scanService,
+        private ScanCostEstimator $costEstimator,
+    ) {}
+
+    /**
+     * Create a batch for the given subreddits and launch the first scans.
+     *
+     * @param array<int, int> $subredditIds
+     */
+    public function start(array $subredditIds, ?Carbon $dateFrom = null, ?Carbon $dateTo = null): ScanBatch
+    {
+        // Keep the requested order, dropping ids that no longer exist
+        $existing = Subreddit::whereIn('id', $subredditIds)->pluck('id')->all();
+        $orderedIds = array_values(array_intersect(array_unique($subredditIds), $existing));
+
+        if (empty($orderedIds)) {
+            throw new \RuntimeException('None of the selected subreddits exist anymore');
+        }
+
+        $this->assertWithinBudget($orderedIds, $dateFrom, $dateTo);
+
+        try {
+            $batch = Cache::lock(self::LOCK_KEY, self::LOCK_SECONDS)->block(self::LOCK_WAIT_SECONDS, function () use ($orderedIds, $dateFrom, $dateTo) {
+                if ($this->getActiveBatch()) {
+                    throw new \RuntimeException('A batch scan is already running. Cancel it or wait for it to finish.');
+                }
+
+                return ScanBatch::create([
+                    'status' => ScanBatch::STATUS_RUNNING,
+                    'subreddit_ids' => $orderedIds,
+                    'concurrency' => max(1, (int) config('reddit.batch.max_concurrent_scans', 2)),
+                    'date_from' => $dateFrom?->utc(),
+                    'date_to' => $dateTo?->utc(),
+                ]);
+            });
+        } catch (LockTimeoutException) {
+            throw new \RuntimeException('Another batch scan is starting. Try again in a moment.');
+        }
+
+        Log::info('Created scan batch', [
+            'batch_id' => $batch->id,
+            'subreddits' => count($orderedIds),
+            'concurrency' => $batch->concurrency,
+        ]);
+
+        $this->advance($batch);
+
+        return $batch->fresh();
+    }
+
+    /**
+     * Refuse the batch when any subreddit's estimate goes over a blocking
+     * per-scan budget.
+     *
+     * @param array<int, int> $subredditIds
+     */
+    private function assertWithinBudget(array $subredditIds, ?Carbon $dateFrom, ?Carbon $dateTo): void
+    {
+        foreach (Subreddit::whereIn('id', $subredditIds)->get() as $subreddit) {
+            [$from, $to] = $dateFrom ? [$dateFrom, $dateTo ?? now('UTC')] : $this->scanService->defaultDateRange($subreddit);
+            $violation = $this->costEstimator->budgetViolation(
+                $this->costEstimator->estimate($subreddit, $from, $to),
+                $subreddit->name,
+            );
+
+            if ($violation) {
+                throw new \RuntimeException($violation);
+            }
+        }
+    }
+
+    /**
+     * Launch queued subreddits until the concurrency limit is reached, and
+     * complete the batch once nothing is queued or running.
+     */
+    public function advance(ScanBatch $batch): void
+    {
+        Cache::lock(self::LOCK_KEY, self::LOCK_SECONDS)->block(self::LOCK_WAIT_SECONDS, fn () => $this->launchQueued($batch));
+    }
+
+    private function launchQueued(ScanBatch $batch): void
+    {
+        DB::transaction(function () use ($batch) {
+            $batch = ScanBatch::lockForUpdate()->find($batch->id);
+
+            if (! $batch?->isRunning()) {
+                return;
+            }
+
+            $running = $batch->scans()
+                ->whereNotIn('status', [Scan::STATUS_COMPLETED, Scan::STATUS_FAILED])
+                ->count();
+            $queued = $batch->queuedSubredditIds();
+
+            foreach ($queued as $subredditId) {
+                if ($running >= $batch->concurrency) {
+                    break;
+                }
+
+                $subreddit = Subreddit::find($subredditId);
+
+                if (! $subreddit) {
+                    $batch->subreddit_ids = array_values(array_diff($batch->subreddit_ids, [$subredditId]));
+                    $batch->save();
+
+                    continue;
+                }
+
+                // Returns the subreddit's active scan if one was started elsewhere; the batch adopts it
+                try {
+                    $scan = $this->scanService->startScan($subreddit, $batch->date_from, $batch->date_to);
+                } catch (ScanBudgetExceededException $e) {
+                    // Checked when the batch started, but the estimate grows with new history
+                    Log::warning('Batch subreddit skipped, over the per-scan budget', [
+                        'batch_id' => $batch->id,
+                        'subreddit' => $subreddit->name,
+                        'reason' => $e->getMessage(),
+                    ]);
+                    $batch->subreddit_ids = array_values(array_diff($batch->subreddit_ids, [$subredditId]));
+                    $batch->save();
+
+                    continue;
+                } catch (ReprocessInProgressException $e) {
+                    // Stays queued; ReprocessRun advances running batches when it finishes
+                    Log::info('Batch subreddit waiting for a re-run to finish', [
+                        'batch_id' => $batch->id,
+                        'subreddit' => $subreddit->name,
+                    ]);
+
+                    continue;
+                }
+
+                $scan->update(['scan_batch_id' => $batch->id]);
+                if (! $scan->wasRecentlyCreated) {
+                    $batch->adopted_scan_ids = [...($batch->adopted_scan_ids ?? []), $scan->id];
+                    $batch->save();
+                }
+                $running++;
+            }
+
+            if ($running === 0 && empty($batch->queuedSubredditIds())) {
+                $batch->update([
+                    'status' => ScanBatch::STATUS_COMPLETED,
+                    'completed_at' => now(),
+                ]);
+
+                Log::info('Scan batch completed', ['batch_id' => $batch->id]);
+            }
+        });
+    }
+
+    /**
+     * Stop launching queued subreddits and cancel the running scans the batch
+     * started. Scans it adopted were started by hand and keep running.
+     */
+    public function cancel(ScanBatch $batch): void
+    {
+        if (! $batch->isRunning()) {
+            throw new \RuntimeException('Can only cancel a running batch');
+        }
+
+        $batch->update([
+            'status' => ScanBatch::STATUS_CANCELLED,
+            'completed_at' => now(),
+        ]);
+
+        $batch->launchedScans()
+            ->whereNotIn('status', [Scan::STATUS_COMPLETED, Scan::STATUS_FAILED])
+            ->get()
+            ->each(fn (Scan $scan) => $this->scanService->cancelScan($scan));
+
+        Log::info('Scan batch cancelled', ['batch_id' => $batch->id]);
+    }
+
+    /**
+     * Get the batch that is currently running, if any.
+     */
+    public function getActiveBatch(): ?ScanBatch
+    {
+        return ScanBatch::where('status', ScanBatch::STATUS_RUNNING)->latest('id')->first();
+    }
+
+    /**
+     * Batch status with one entry per subreddit, in launch order.
+     */
+    public function getBatchStatus(ScanBatch $batch): array
+    {
+        $batch = $batch->fresh();
+        $names = Subreddit::whereIn('id', $batch->subreddit_ids)->pluck('name', 'id');
+        $scans = $batch->scans()->orderBy('id')->get()->keyBy('subreddit_id');
+
+        $items = collect($batch->subreddit_ids)->map(function (int $subredditId) use ($names, $scans, $batch) {
+            $scan = $scans->get($subredditId);
+
+            return [
+                'subreddit_id' => $subredditId,
+                'subreddit_name' => $names->get($subredditId),
+                'state' => $this->itemState($batch, $scan),
+                'scan' => $scan ? [
+                    'id' => $scan->id,
+                    'status' => $scan->status,
+                    'status_message' => $scan->status_message,
+                    'progress_percent' => $scan->progress_percent,
+                    'ideas_found' => $scan->ideas_found,
+                    'error_message' => $scan->error_message,
+                ] : null,
+            ];
+        });
+
+        return [
+            'id' => $batch->id,
+            'status' => $batch->status,
+            'is_running' => $batch->isRunning(),
+            'concurrency' => $batch->concurrency,
+            'date_from' => $batch->date_from?->toIso8601String(),
+            'date_to' => $batch->date_to?->toIso8601String(),
+            'completed_at' => $batch->completed_at?->toIso8601String(),
+            'items' => $items->values()->all(),
+            'counts' => $items->countBy('state')->all(),
+        ];
+    }
+
+    /**
+     * queued, running, completed, failed or skipped (never launched before a cancel).
+     */
+    private function itemState(ScanBatch $batch, ?Scan $scan): string
+    {
+        if (! $scan) {
+            return $batch->isRunning() ? 'queued' : 'skipped';
+        }
+
+        if ($scan->isInProgress()) {
+            return 'running';
+        }
+
+        return $scan->isCompleted() ? 'completed' : 'failed';
+    }
+}
@@ -0,0 +1,201 @@
+<?php
+
+namespace App\Services;
+
+use App\Models\LlmUsage;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use Carbon\CarbonInterface;
+
+/**
+ * Pre-flight estimate of a scan's post volume, LLM tokens and cost.
+ *
+ * Post volume comes from the subreddit's recent completed scans (posts per
+ * hour of date range), falling back to all subreddits and then to config.
+ * Tokens per call are averages of recorded llm_usages, falling back to
+ * `llm.estimate.tokens`.
+ */
+class ScanCostEstimator
+{
+    /**
+     * Completed scans considered when deriving rates.
+     */
+    private const HISTORY_SCANS = 10;
+
+    /**
+     * Per-call token averages, memoized for one estimate.
+     *
+     * @var array<string, array{input: float, output: float}>
+     */
+    private array $averageTokens = [];
+
+    /**
+     * Estimate a scan of the subreddit over the given range.
+     *
+     * @param array|null $llmSettings Resolved per-scan settings; null uses config
+     */
+    public function estimate(Subreddit $subreddit, CarbonInterface $dateFrom, CarbonInterface $dateTo, ?array $llmSettings = null): array
+    {
+        $llmSettings ??= Scan::defaultLlmSettings();
+        $this->averageTokens = [];
+        $hours = max(0, $dateTo->getTimestamp() - $dateFrom->getTimestamp()) / 3600;
+        $rates = $this->historyRates($subreddit);
+
+        $posts = (int) round($rates['posts_per_hour'] * $hours);
+        $postsToExtract = (int) round($posts * $rates['extraction_rate']);
+
+        $classification = collect($llmSettings['classification_providers'])
+            ->map(fn (string $provider) => $this->line($provider, 'classification', $posts))
+            ->values()
+            ->all();
+        $extraction = $this->line($llmSettings['extraction_provider'], 'extraction', $postsToExtract);
+
+        $lines = [...$classification, $extraction];
+        $cost = round(array_sum(array_column($lines, 'cost_usd')), 4);
+
+        return [
+            'posts' => $posts,
+            'posts_to_extract' => $postsToExtract,
+            'basis' => $rates['basis'],
+            'history_scans' => $rates['scans'],
+            'classification' => $classification,
+            'extraction' => $extraction,
+            'input_tokens' => array_sum(array_column($lines, 'input_tokens')),
+            'output_tokens' => array_sum(array_column($lines, 'output_tokens')),
+            'cost_usd' => $cost,
+            'budget' => $this->budgetFor($cost),
+        ];
+    }
+
+    /**
+     * Message explaining why a scan may not start, when the budget is in
+     * block mode and the estimate goes over it.
+     */
+    public function budgetViolation(array $estimate, ?string $subredditName = null): ?string
+    {
+        $budget = $estimate['budget'] ?? null;
+
+        if (! $budget || ! $budget['exceeded'] || $budget['mode'] !== 'block') {
+            return null;
+        }
+
+        return sprintf(
+            'Estimated cost%s ($%.2f) exceeds the per-scan budget of $%.2f. Choose a shorter time range.',
+            $subredditName ? " for r/{$subredditName}" : '',
+            $estimate['cost_usd'],
+            $budget['limit'],
+        );
+    }
+
+    /**
+     * Posts per hour and share of posts extracted, from completed scans.
+     *
+     * @return array{posts_per_hour: float, extraction_rate: float, basis: string, scans: int}
+     */
+    private function historyRates(Subreddit $subreddit): array
+    {
+        $ownScans = $this->completedScans()->where('subreddit_id', $subreddit->id)->get();
+        $basis = 'subreddit';
+        $scans = $ownScans;
+
+        if ($this->totalHours($scans) <= 0) {
+            $scans = $this->completedScans()->limit(self::HISTORY_SCANS * 5)->get();
+            $basis = 'global';
+        }
+
+        $hours = $this->totalHours($scans);
+        $fetched = $scans->sum('posts_fetched');
+
+        if ($hours <= 0) {
+            return [
+                'posts_per_hour' => config('llm.estimate.posts_per_day', 20) / 24,
+                'extraction_rate' => (float) config('llm.estimate.extraction_rate', 0.2),
+                'basis' => 'default',
+                'scans' => 0,
+            ];
+        }
+
+        return [
+            'posts_per_hour' => $fetched / $hours,
+            'extraction_rate' => $fetched > 0
+                ? min(1, $scans->sum('posts_extracted') / $fetched)
+                : (float) config('llm.estimate.extraction_rate', 0.2),
+            'basis' => $basis,
+            'scans' => $scans->count(),
+        ];
+    }
+
+    private function completedScans()
+    {
+        return Scan::query()
+            ->where('status', Scan::STATUS_COMPLETED)
+            ->whereNotNull('date_from')
+            ->whereNotNull('date_to')
+            ->latest('completed_at')
+            ->limit(self::HISTORY_SCANS);
+    }
+
+    private function totalHours($scans): float
+    {
+        return $scans->sum(fn (Scan $scan) => max(0, $scan->date_to->getTimestamp() - $scan->date_from->getTimestamp()) / 3600);
+    }
+
+    /**
+     * Tokens and cost for `$calls` calls to one provider.
+     */
+    private function line(string $provider, string $operation, int $calls): array
+    {
+        $average = $this->averageTokens($provider, $operation);
+        $inputTokens = (int) round($average['input'] * $calls);
+        $outputTokens = (int) round($average['output'] * $calls);
+
+        return [
+            'provider' => $provider,
+            'display_name' => config("llm.providers.{$provider}.display_name", $provider),
+            'operation' => $operation,
+            'calls' => $calls,
+            'input_tokens' => $inputTokens,
+            'output_tokens' => $outputTokens,
+            'cost_usd' => round(LlmUsage::costFor($provider, $inputTokens, $outputTokens), 4),
+        ];
+    }
+
+    /**
+     * @return array{input: float, output: float}
+     */
+    private function averageTokens(string $provider, string $operation): array
+    {
+        $key = "{$provider}:{$operation}";
+
+        if (! isset($this->averageTokens[$key])) {
+            $recorded = LlmUsage::where('provider', $provider)
+                ->where('operation', $operation)
+                ->selectRaw('COUNT(*) as calls, AVG(input_tokens) as input, AVG(output_tokens) as output')
+                ->first();
+
+            $this->averageTokens[$key] = $recorded && $recorded->calls > 0
+                ? ['input' => (float) $recorded->input, 'output' => (float) $recorded->output]
+                : [
+                    'input' => (float) config("llm.estimate.tokens.{$operation}.input", 0),
+                    'output' => (float) config("llm.estimate.tokens.{$operation}.output", 0),
+                ];
+        }
+
+        return $this->averageTokens[$key];
+    }
+
+    /**
+     * @return array{limit: ?float, mode: string, exceeded: bool}
+     */
+    private function budgetFor(float $cost): array
+    {
+        $limit = config('llm.budget.max_scan_cost_usd');
+        $mode = config('llm.budget.mode') === 'block' ? 'block' : 'warn';
+
+        return [
+            'limit' => $limit,
+            'mode' => $mode,
+            'exceeded' => $limit !== null && $cost > $limit,
+        ];
+    }
+}
@@ -0,0 +1,191 @@
+<?php
+
+namespace App\Services;
+
+use App\Exceptions\ReprocessInProgressException;
+use App\Exceptions\ScanBudgetExceededException;
+use App\Jobs\RecoverScheduledScansJob;
+use App\Jobs\RunScheduledScanJob;
+use App\Models\Scan;
+use App\Models\ScanSchedule;
+use App\Models\Subreddit;
+use Carbon\Carbon;
+use Carbon\CarbonInterface;
+use Illuminate\Support\Facades\Log;
+use Throwable;
+
+/**
+ * Recurring scans: every saved or finished run queues a single delayed
+ * RunScheduledScanJob for the next run time. RecoverScheduledScansJob, a
+ * self-requeuing watchdog on the same queue, picks up runs whose job was lost.
+ */
+class ScanScheduler
+{
+    /**
+     * How late a run may be before runOverdue() starts it in place of its job.
+     */
+    public const OVERDUE_GRACE_MINUTES = 15;
+
+    public function __construct(
+        private ScanService $scanService,
+    ) {}
+
+    /**
+     * Create or replace a subreddit's schedule and queue its next run.
+     *
+     * @param array{frequency: string, cron_expression: string, timezone: string, window_hours: ?int} $attributes
+     */
+    public function save(Subreddit $subreddit, array $attributes): ScanSchedule
+    {
+        $schedule = $subreddit->scanSchedule()->firstOrNew();
+        $schedule->fill($attributes);
+
+        $this->queueNextRun($schedule);
+
+        return $schedule;
+    }
+
+    /**
+     * Pause or resume a schedule. Resuming computes a fresh next run.
+     */
+    public function setPaused(ScanSchedule $schedule, bool $paused): ScanSchedule
+    {
+        $schedule->is_paused = $paused;
+        $this->queueNextRun($schedule);
+
+        return $schedule;
+    }
+
+    /**
+     * Persist the next run time (none while paused) and queue a job for it,
+     * making sure the watchdog is queued too. Jobs queued for an earlier
+     * next_run_at become stale and skip themselves.
+     */
+    public function queueNextRun(ScanSchedule $schedule): void
+    {
+        $schedule->next_run_at = $schedule->is_paused ? null : $schedule->nextRunAfter(now());
+        $schedule->save();
+
+        if ($schedule->next_run_at) {
+            RunScheduledScanJob::dispatch($schedule, $schedule->next_run_at->copy())
+                ->delay($schedule->next_run_at)
+                ->afterCommit();
+
+            RecoverScheduledScansJob::queueNext();
+        }
+    }
+
+    /**
+     * Start the scan for a due schedule and queue the following run. The next
+     * run is queued even when starting this one throws, so a single failure
+     * never ends the schedule.
+     */
+    public function run(ScanSchedule $schedule): ?Scan
+    {
+        $now = now('UTC');
+        $scan = null;
+
+        try {
+            [$dateFrom, $dateTo] = $this->windowFor($schedule, $now);
+
+            if ($dateFrom->lt($dateTo)) {
+                $scan = $this->scanService->startScan($schedule->subreddit, $dateFrom, $dateTo);
+            } else {
+                Log::info('Scheduled scan skipped, nothing new since last scan', [
+                    'subreddit' => $schedule->subreddit->name,
+                ]);
+            }
+        } catch (ScanBudgetExceededException|ReprocessInProgressException $e) {
+            // Incremental windows pick up the skipped range on the next run
+            Log::warning('Scheduled scan skipped', [
+                'subreddit' => $schedule->subreddit->name,
+                'reason' => $e->getMessage(),
+            ]);
+        } finally {
+            $schedule->last_run_at = $now;
+            $schedule->last_scan_id = $scan?->id ?? $schedule->last_scan_id;
+            $this->queueNextRun($schedule);
+        }
+
+        return $scan;
+    }
+
+    /**
+     * Run schedules whose delayed job never ran (lost from the queue by a
+     * Redis flush or worker restart). Called by RecoverScheduledScansJob; the
+     * grace period leaves time for a busy queue to catch up.
+     *
+     * @return int Number of schedules run
+     */
+    public function runOverdue(): int
+    {
+        $overdue = ScanSchedule::query()
+            ->where('is_paused', false)
+            ->where('next_run_at', '<=', now()->subMinutes(self::OVERDUE_GRACE_MINUTES))
+            ->with('subreddit')
+            ->get();
+
+        foreach ($overdue as $schedule) {
+            Log::warning('Scheduled scan overdue, running now', [
+                'schedule_id' => $schedule->id,
+                'next_run_at' => $schedule->next_run_at->toIso8601String(),
+            ]);
+
+            try {
+                $this->run($schedule);
+            } catch (Throwable $e) {
+                Log::error('Overdue scheduled scan failed to start', [
+                    'schedule_id' => $schedule->id,
+                    'error' => $e->getMessage(),
+                ]);
+            }
+        }
+
+        return $overdue->count();
+    }
+
+    /**
+     * Date range for a run at `$now`: a fixed look-back, or everything since
+     * the last completed scan (falling back to the initial-scan default).
+     *
+     * @return array{0: Carbon, 1: Carbon}
+     */
+    public function windowFor(ScanSchedule $schedule, CarbonInterface $now): array
+    {
+        $dateTo = Carbon::instance($now)->utc();
+
+        if (! $schedule->isIncremental()) {
+            return [$dateTo->copy()->subHours($schedule->window_hours), $dateTo];
+        }
+
+        $lastScanEnd = $schedule->subreddit->latestCompletedScan()?->date_to;
+        $dateFrom = $lastScanEnd
+            ? Carbon::instance($lastScanEnd)->utc()
+            : $dateTo->copy()->subWeeks(config('reddit.fetch.default_timeframe_weeks', 1));
+
+        $earliest = $dateTo->copy()->subHours(ScanSchedule::MAX_WINDOW_HOURS);
+
+        return [$dateFrom->max($earliest), $dateTo];
+    }
+
+    /**
+     * Schedule payload for the frontend.
+     */
+    public function getScheduleData(?ScanSchedule $schedule): ?array
+    {
+        if (! $schedule) {
+            return null;
+        }
+
+        return [
+            'id' => $schedule->id,
+            'frequency' => $schedule->frequency,
+            'cron_expression' => $schedule->cron_expression,
+            'timezone' => $schedule->timezone,
+            'window_hours' => $schedule->window_hours,
+            'is_paused' => $schedule->is_paused,
+            'next_run_at' => $schedule->next_run_at?->toIso8601String(),
+            'last_run_at' => $schedule->last_run_at?->toIso8601String(),
+        ];
+    }
+}
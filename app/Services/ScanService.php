@@ -2,7 +2,10 @@
 
 namespace App\Services;
 
+use App\Exceptions\ReprocessInProgressException;
+use App\Exceptions\ScanBudgetExceededException;
 use App\Jobs\StartScanJob;
+use App\Models\LlmUsage;
 use App\Models\Scan;
 use App\Models\Subreddit;
 use Carbon\Carbon;
@@ -11,18 +14,27 @@
 
 class ScanService
 {
+    public function __construct(
+        private ScanCostEstimator $costEstimator,
+        private ReprocessService $reprocessService,
+    ) {}
+
     /**
      * Start a scan for a subreddit.
      *
      * @param Subreddit $subreddit
      * @param Carbon|null $dateFrom
      * @param Carbon|null $dateTo
+     * @param array $llmSettings Per-scan provider and threshold choices (see Scan::resolveLlmSettings)
      * @return Scan The created or existing scan
+     *
+     * @throws ScanBudgetExceededException When the estimate goes over a blocking budget
+     * @throws ReprocessInProgressException While a re-run is processing the subreddit's posts
      */
-    public function startScan(Subreddit $subreddit, ?Carbon $dateFrom = null, ?Carbon $dateTo = null): Scan
+    public function startScan(Subreddit $subreddit, ?Carbon $dateFrom = null, ?Carbon $dateTo = null, array $llmSettings = []): Scan
     {
         // Use transaction with lock to prevent race conditions
-        return DB::transaction(function () use ($subreddit, $dateFrom, $dateTo) {
+        return DB::transaction(function () use ($subreddit, $dateFrom, $dateTo, $llmSettings) {
             // Re-fetch subreddit with lock to prevent concurrent scans
             $lockedSubreddit = Subreddit::lockForUpdate()->find($subreddit->id);
 
@@ -41,15 +53,29 @@ public function startScan(Subreddit $subreddit, ?Carbon $dateFrom = null, ?Carbo
                 return $activeScan;
             }
 
+            // A re-run writes ideas and results for the same posts a scan would refetch
+            if ($this->reprocessService->getActiveRun($lockedSubreddit)) {
+                throw new ReprocessInProgressException(
+                    "A re-run is in progress for r/{$lockedSubreddit->name}. Start the scan once it finishes."
+                );
+            }
+
             // Determine scan type
             $scanType = $this->determineScanType($lockedSubreddit);
 
             // Compute fallback dates from config when not provided by user
             if (!$dateFrom) {
-                $dateFrom = $scanType === Scan::TYPE_RESCAN
-                    ? now('UTC')->subWeeks(config('reddit.fetch.rescan_timeframe_weeks', 2))
-                    : now('UTC')->subWeeks(config('reddit.fetch.default_timeframe_weeks', 1));
-                $dateTo = now('UTC');
+                [$dateFrom, $dateTo] = $this->defaultDateRange($lockedSubreddit);
+            }
+
+            $dateTo = ($dateTo ?? now('UTC'))->utc();
+            $settings = Scan::resolveLlmSettings($llmSettings);
+
+            // Every entry point (manual, retry, schedule, batch) goes through this check
+            $estimate = $this->costEstimator->estimate($lockedSubreddit, $dateFrom, $dateTo, $settings);
+
+            if ($violation = $this->costEstimator->budgetViolation($estimate)) {
+                throw new ScanBudgetExceededException($violation, $estimate);
             }
 
             // Create new scan with date range always set
@@ -58,7 +84,9 @@ public function startScan(Subreddit $subreddit, ?Carbon $dateFrom = null, ?Carbo
                 'scan_type' => $scanType,
                 'status' => Scan::STATUS_PENDING,
                 'date_from' => $dateFrom->utc(),
-                'date_to' => ($dateTo ?? now('UTC'))->utc(),
+                'date_to' => $dateTo,
+                'cost_estimate' => $estimate,
+                'llm_settings' => $settings,
             ]);
 
             Log::info('Created new scan', [
@@ -76,6 +104,21 @@ public function startScan(Subreddit $subreddit, ?Carbon $dateFrom = null, ?Carbo
         });
     }
 
+    /**
+     * The date range used when a scan is started without one: the configured
+     * initial timeframe, or the rescan timeframe once a scan has completed.
+     *
+     * @return array{0: Carbon, 1: Carbon}
+     */
+    public function defaultDateRange(Subreddit $subreddit): array
+    {
+        $weeks = $this->determineScanType($subreddit) === Scan::TYPE_RESCAN
+            ? config('reddit.fetch.rescan_timeframe_weeks', 2)
+            : config('reddit.fetch.default_timeframe_weeks', 1);
+
+        return [now('UTC')->subWeeks($weeks), now('UTC')];
+    }
+
     /**
      * Determine whether this should be an initial scan or rescan.
      */
@@ -112,6 +155,9 @@ public function getScanStatus(Scan $scan): array
                 'started_at' => null,
                 'completed_at' => null,
                 'error_message' => null,
+                'cost_estimate' => null,
+                'usage' => null,
+                'llm_settings' => null,
                 'is_in_progress' => false,
                 'is_completed' => false,
                 'is_failed' => true,
@@ -131,12 +177,32 @@ public function getScanStatus(Scan $scan): array
             'started_at' => $scan->started_at?->toIso8601String(),
             'completed_at' => $scan->completed_at?->toIso8601String(),
             'error_message' => $scan->error_message,
+            'cost_estimate' => $this->summarizeEstimate($scan->cost_estimate),
+            'usage' => LlmUsage::totalsForScan($scan->id),
+            'llm_settings' => $scan->llm_settings,
             'is_in_progress' => $scan->isInProgress(),
             'is_completed' => $scan->isCompleted(),
             'is_failed' => $scan->isFailed(),
         ];
     }
 
+    /**
+     * The headline figures of a stored estimate, without the per-provider lines.
+     */
+    private function summarizeEstimate(?array $estimate): ?array
+    {
+        if (!$estimate) {
+            return null;
+        }
+
+        return [
+            'posts' => $estimate['posts'] ?? 0,
+            'input_tokens' => $estimate['input_tokens'] ?? 0,
+            'output_tokens' => $estimate['output_tokens'] ?? 0,
+            'cost_usd' => $estimate['cost_usd'] ?? 0,
+        ];
+    }
+
     /**
      * Get status for a subreddit (including active scan if any).
      */
@@ -172,7 +238,8 @@ public function cancelScan(Scan $scan): void
     }
 
     /**
-     * Retry a failed scan.
+     * Retry a failed scan over the same date range and LLM settings, so
+     * scheduled and batch scans with custom windows are retried as run.
      */
     public function retryScan(Scan $scan): Scan
     {
@@ -180,7 +247,7 @@ public function retryScan(Scan $scan): Scan
             throw new \RuntimeException('Can only retry failed scans');
         }
 
-        return $this->startScan($scan->subreddit);
+        return $this->startScan($scan->subreddit, $scan->date_from, $scan->date_to, $scan->llm_settings ?? []);
     }
 
     /**
@@ -191,12 +258,19 @@ public function retryScan(Scan $scan): Scan
      */
     public function getScanHistory(Subreddit $subreddit): array
     {
-        return $subreddit->scans()
+        $scans = $subreddit->scans()
             ->where('status', Scan::STATUS_COMPLETED)
             ->withCount('posts')
             ->orderByDesc('completed_at')
             ->limit(10)
-            ->get()
+            ->get();
+
+        $actualCosts = LlmUsage::whereIn('scan_id', $scans->modelKeys())
+            ->groupBy('scan_id')
+            ->selectRaw('scan_id, SUM(cost_usd) as cost_usd')
+            ->pluck('cost_usd', 'scan_id');
+
+        return $scans
             ->map(fn (Scan $scan) => [
                 'id' => $scan->id,
                 'scan_type' => $scan->scan_type,
@@ -204,12 +278,64 @@ public function getScanHistory(Subreddit $subreddit): array
                 'date_to' => $scan->date_to?->toIso8601String(),
                 'posts_fetched' => $scan->posts_fetched ?: $scan->posts_count,
                 'ideas_found' => $scan->ideas_found,
+                'estimated_cost_usd' => $scan->cost_estimate['cost_usd'] ?? null,
+                'actual_cost_usd' => isset($actualCosts[$scan->id]) ? round((float) $actualCosts[$scan->id], 4) : null,
+                'llm_settings' => $scan->llm_settings,
                 'completed_at' => $scan->completed_at?->toIso8601String(),
                 'completed_at_human' => $scan->completed_at?->diffForHumans(),
             ])
             ->all();
     }
 
+    /**
+     * Get every scan for a subreddit, newest first, for the scan history page.
+     *
+     * Unlike getScanHistory() this includes failed and in-progress scans,
+     * along with pipeline counts, durations and errors.
+     *
+     * @param Subreddit $subreddit
+     * @return array
+     */
+    public function getScanTimeline(Subreddit $subreddit): array
+    {
+        $scans = $subreddit->scans()
+            ->withCount('posts')
+            ->orderByDesc('created_at')
+            ->orderByDesc('id')
+            ->get();
+
+        $actualCosts = LlmUsage::whereIn('scan_id', $scans->modelKeys())
+            ->groupBy('scan_id')
+            ->selectRaw('scan_id, SUM(cost_usd) as cost_usd')
+            ->pluck('cost_usd', 'scan_id');
+
+        return $scans
+            ->map(fn (Scan $scan) => [
+                'id' => $scan->id,
+                'status' => $scan->status,
+                'scan_type' => $scan->scan_type,
+                'date_from' => $scan->date_from?->toIso8601String(),
+                'date_to' => $scan->date_to?->toIso8601String(),
+                'created_at' => $scan->created_at?->toIso8601String(),
+                'started_at' => $scan->started_at?->toIso8601String(),
+                'completed_at' => $scan->completed_at?->toIso8601String(),
+                'duration_seconds' => $scan->started_at && $scan->completed_at
+                    ? (int) $scan->started_at->diffInSeconds($scan->completed_at, true)
+                    : null,
+                'posts_fetched' => $scan->posts_fetched ?: $scan->posts_count,
+                'posts_classified' => $scan->posts_classified,
+                'posts_extracted' => $scan->posts_extracted,
+                'ideas_found' => $scan->ideas_found,
+                'error_message' => $scan->error_message,
+                'estimated_cost_usd' => $scan->cost_estimate['cost_usd'] ?? null,
+                'actual_cost_usd' => isset($actualCosts[$scan->id]) ? round((float) $actualCosts[$scan->id], 4) : null,
+                'llm_settings' => $scan->llm_settings,
+                'is_in_progress' => $scan->isInProgress(),
+                'is_failed' => $scan->isFailed(),
+            ])
+            ->all();
+    }
+
     /**
      * Get all active scans.
      */
@@ -9,6 +9,10 @@
     | Configuration for the dual-gate classification pipeline that filters
     | posts before expensive extraction.
     |
+    | The providers and consensus thresholds here (and the extraction provider
+    | below) are defaults: a scan can override them from the scan dialog, and
+    | the choice is stored in scans.llm_settings.
+    |
     | Available classification providers (require haiku_x/gpt_x DB columns):
     |   - anthropic-haiku (maps to haiku_x columns)
     |   - openai-gpt5-mini      (maps to gpt_x columns)
@@ -74,6 +78,10 @@
     |   - color: UI color for badges/borders — must be one of the palette enum values:
     |       amber, purple, red, emerald, green, blue, rose, cyan, orange, indigo, teal, pink, lime
     |   - capabilities: Array of supported operations ('classification', 'extraction')
+    |   - pricing: USD per million input/output tokens, used for cost estimates and
+    |       usage reporting, plus prompt cache writes (cache_write) and reads
+    |       (cache_read); a missing cache rate falls back to the input rate.
+    |       Update when the vendor changes its prices.
     |
     | CONFIG KEY IMMUTABILITY RULE:
     |   Each config key is permanently bound to a specific model. Changing the underlying
@@ -94,6 +102,7 @@
             'vendor' => 'anthropic',
             'color' => 'amber',
             'capabilities' => ['classification', 'extraction'],
+            'pricing' => ['input' => 3.00, 'output' => 15.00, 'cache_write' => 3.75, 'cache_read' => 0.30],
         ],
 
         'anthropic-haiku' => [
@@ -106,6 +115,7 @@
             'vendor' => 'anthropic',
             'color' => 'purple',
             'capabilities' => ['classification'],
+            'pricing' => ['input' => 1.00, 'output' => 5.00, 'cache_write' => 1.25, 'cache_read' => 0.10],
         ],
 
         'anthropic-opus' => [
@@ -118,6 +128,7 @@
             'vendor' => 'anthropic',
             'color' => 'red',
             'capabilities' => ['extraction'],
+            'pricing' => ['input' => 5.00, 'output' => 25.00, 'cache_write' => 6.25, 'cache_read' => 0.50],
         ],
 
         'openai-gpt5-mini' => [
@@ -130,6 +141,7 @@
             'vendor' => 'openai',
             'color' => 'emerald',
             'capabilities' => ['classification'],
+            'pricing' => ['input' => 0.25, 'output' => 2.00, 'cache_read' => 0.025],
         ],
 
         'openai-gpt5-2' => [
@@ -142,8 +154,51 @@
             'vendor' => 'openai',
             'color' => 'green',
             'capabilities' => ['extraction'],
+            'pricing' => ['input' => 1.75, 'output' => 14.00, 'cache_read' => 0.175],
+        ],
+
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Cost Estimation
+    |--------------------------------------------------------------------------
+    |
+    | Fallbacks for the pre-scan estimate in the scan dialog. Once usage has
+    | been recorded, per-call token averages come from the llm_usages table and
+    | post volume from the subreddit's completed scans.
+    |
+    */
+
+    'estimate' => [
+        // Used when no scan history exists anywhere
+        'posts_per_day' => 20,
+
+        // Share of fetched posts that reach extraction
+        'extraction_rate' => 0.2,
+
+        // Average tokens per call before any usage is recorded
+        'tokens' => [
+            'classification' => ['input' => 1500, 'output' => 200],
+            'extraction' => ['input' => 3500, 'output' => 1500],
         ],
+    ],
+
+    /*
+    |--------------------------------------------------------------------------
+    | Scan Budget
+    |--------------------------------------------------------------------------
+    |
+    | Per-scan cost cap in USD, checked against the estimate whenever a scan
+    | starts: from the scan dialog, a retry, a schedule or a batch. 'warn'
+    | shows a warning in the dialog; 'block' refuses to start the scan.
+    | Leave the cap empty to disable it.
+    |
+    */
 
+    'budget' => [
+        'max_scan_cost_usd' => is_numeric(env('LLM_SCAN_BUDGET_USD')) ? (float) env('LLM_SCAN_BUDGET_USD') : null,
+        'mode' => env('LLM_SCAN_BUDGET_MODE', 'warn'),
     ],
 
     /*
@@ -67,6 +67,21 @@
         'max_comments_per_post' => 100,
     ],
 
+    /*
+    |--------------------------------------------------------------------------
+    | Batch Scans
+    |--------------------------------------------------------------------------
+    |
+    | Scans launched together from the dashboard run at most this many at a
+    | time; the rest wait in the batch queue. Every scan shares the Reddit and
+    | LLM rate limits, so keep this low.
+    |
+    */
+
+    'batch' => [
+        'max_concurrent_scans' => (int) env('SCAN_BATCH_CONCURRENCY', 2),
+    ],
+
     /*
     |--------------------------------------------------------------------------
     | API Endpoints
@@ -21,6 +21,7 @@ public function definition(): array
     {
         return [
             'post_id' => Post::factory(),
+            'scan_id' => fn (array $attributes) => Post::find($attributes['post_id'])?->scan_id,
             'combined_score' => null,
             'final_decision' => 'pending',
             'expected_provider_count' => 2,
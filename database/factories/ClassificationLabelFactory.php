@@ -0,0 +1,30 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\Classification;
+use App\Models\ClassificationLabel;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\ClassificationLabel>
+ */
+class ClassificationLabelFactory extends Factory
+{
+    protected $model = ClassificationLabel::class;
+
+    public function definition(): array
+    {
+        return [
+            'classification_id' => Classification::factory(),
+            'decision' => ClassificationLabel::DECISION_KEEP,
+            'reason' => $this->faker->sentence(),
+            'reprocess_run_id' => null,
+        ];
+    }
+
+    public function discard(): static
+    {
+        return $this->state(fn (array $attributes) => ['decision' => ClassificationLabel::DECISION_DISCARD]);
+    }
+}
@@ -0,0 +1,40 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\ReprocessRun;
+use App\Models\Subreddit;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\ReprocessRun>
+ */
+class ReprocessRunFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'subreddit_id' => Subreddit::factory(),
+            'operation' => ReprocessRun::OPERATION_EXTRACTION,
+            'provider' => 'anthropic-opus',
+            'status' => ReprocessRun::STATUS_RUNNING,
+            'posts_total' => 1,
+        ];
+    }
+
+    /**
+     * Indicate that the run re-classifies posts.
+     */
+    public function classification(string $provider = 'anthropic-haiku'): static
+    {
+        return $this->state(fn () => [
+            'operation' => ReprocessRun::OPERATION_CLASSIFICATION,
+            'provider' => $provider,
+        ]);
+    }
+}
@@ -0,0 +1,39 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\ScanBatch;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\ScanBatch>
+ */
+class ScanBatchFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'status' => ScanBatch::STATUS_RUNNING,
+            'subreddit_ids' => [],
+            'concurrency' => 2,
+            'date_from' => now()->subWeek(),
+            'date_to' => now(),
+        ];
+    }
+
+    /**
+     * Indicate that the batch has finished.
+     */
+    public function completed(): static
+    {
+        return $this->state(fn () => [
+            'status' => ScanBatch::STATUS_COMPLETED,
+            'completed_at' => now(),
+        ]);
+    }
+}
@@ -0,0 +1,38 @@
+<?php
+
+namespace Database\Factories;
+
+use App\Models\ScanSchedule;
+use App\Models\Subreddit;
+use Illuminate\Database\Eloquent\Factories\Factory;
+
+/**
+ * @extends \Illuminate\Database\Eloquent\Factories\Factory<\App\Models\ScanSchedule>
+ */
+class ScanScheduleFactory extends Factory
+{
+    /**
+     * Define the model's default state.
+     *
+     * @return array<string, mixed>
+     */
+    public function definition(): array
+    {
+        return [
+            'subreddit_id' => Subreddit::factory(),
+            'frequency' => ScanSchedule::FREQUENCY_DAILY,
+            'cron_expression' => '0 9 * * *',
+            'timezone' => 'UTC',
+            'window_hours' => null,
+            'is_paused' => false,
+        ];
+    }
+
+    /**
+     * Indicate that the schedule is paused.
+     */
+    public function paused(): static
+    {
+        return $this->state(fn () => ['is_paused' => true, 'next_run_at' => null]);
+    }
+}
@@ -0,0 +1,26 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('ideas', function (Blueprint $table) {
+            $table->string('status', 20)->default('new')->after('starred_at')->index();
+            $table->timestamp('status_changed_at')->nullable()->after('status');
+            $table->json('tags')->nullable()->after('status_changed_at');
+            $table->text('notes')->nullable()->after('tags');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('ideas', function (Blueprint $table) {
+            $table->dropIndex(['status']);
+            $table->dropColumn(['status', 'status_changed_at', 'tags', 'notes']);
+        });
+    }
+};
@@ -0,0 +1,35 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('scan_schedules', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('subreddit_id')->unique()->constrained()->cascadeOnDelete();
+
+            // daily, weekly or cron — daily/weekly are stored as their cron equivalent
+            $table->string('frequency', 20);
+            $table->string('cron_expression', 100);
+            $table->string('timezone', 64)->default('UTC');
+
+            // Look-back window per run; null = since the last completed scan
+            $table->unsignedSmallInteger('window_hours')->nullable();
+
+            $table->boolean('is_paused')->default(false);
+            $table->timestamp('next_run_at')->nullable()->index();
+            $table->timestamp('last_run_at')->nullable();
+            $table->foreignId('last_scan_id')->nullable()->constrained('scans')->nullOnDelete();
+            $table->timestamps();
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('scan_schedules');
+    }
+};
@@ -0,0 +1,37 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('scan_batches', function (Blueprint $table) {
+            $table->id();
+            $table->string('status', 20)->default('running')->index();
+
+            // Requested subreddits in launch order; started ones have a scan with this batch id
+            $table->json('subreddit_ids');
+            $table->unsignedTinyInteger('concurrency');
+            $table->timestamp('date_from')->nullable();
+            $table->timestamp('date_to')->nullable();
+            $table->timestamp('completed_at')->nullable();
+            $table->timestamps();
+        });
+
+        Schema::table('scans', function (Blueprint $table) {
+            $table->foreignId('scan_batch_id')->nullable()->after('subreddit_id')->constrained()->nullOnDelete();
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('scans', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('scan_batch_id');
+        });
+
+        Schema::dropIfExists('scan_batches');
+    }
+};
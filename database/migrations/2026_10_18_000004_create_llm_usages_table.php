@@ -0,0 +1,31 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('llm_usages', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('scan_id')->nullable()->constrained()->nullOnDelete();
+            $table->foreignId('post_id')->nullable()->constrained()->nullOnDelete();
+            $table->string('provider', 50);
+            $table->string('model', 100);
+            $table->string('operation', 20);
+            $table->unsignedInteger('input_tokens');
+            $table->unsignedInteger('output_tokens');
+            $table->decimal('cost_usd', 10, 6);
+            $table->timestamp('created_at')->nullable();
+
+            $table->index(['provider', 'operation']);
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('llm_usages');
+    }
+};
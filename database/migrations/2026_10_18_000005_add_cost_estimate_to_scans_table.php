@@ -0,0 +1,23 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('scans', function (Blueprint $table) {
+            // Pre-flight ScanCostEstimator result, kept for estimate-vs-actual reporting
+            $table->json('cost_estimate')->nullable()->after('checkpoint');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('scans', function (Blueprint $table) {
+            $table->dropColumn('cost_estimate');
+        });
+    }
+};
@@ -0,0 +1,23 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('scans', function (Blueprint $table) {
+            // Providers and consensus thresholds used by this scan (null = config at the time)
+            $table->json('llm_settings')->nullable()->after('cost_estimate');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('scans', function (Blueprint $table) {
+            $table->dropColumn('llm_settings');
+        });
+    }
+};
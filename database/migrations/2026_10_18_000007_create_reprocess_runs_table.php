@@ -0,0 +1,79 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::create('reprocess_runs', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('subreddit_id')->constrained()->cascadeOnDelete();
+
+            // Narrower target, if any: every post of the scan, or the idea's post
+            $table->foreignId('scan_id')->nullable()->constrained()->nullOnDelete();
+            $table->foreignId('idea_id')->nullable()->constrained()->nullOnDelete();
+
+            $table->string('operation', 20);
+            $table->string('provider', 100);
+            $table->string('status', 20)->default('running')->index();
+            $table->unsignedInteger('posts_total')->default(0);
+            $table->unsignedInteger('posts_processed')->default(0);
+            $table->unsignedInteger('ideas_found')->default(0);
+            $table->text('error_message')->nullable();
+            $table->timestamp('completed_at')->nullable();
+            $table->timestamps();
+        });
+
+        // Re-run output sits next to the scan's own results instead of replacing them
+        Schema::table('ideas', function (Blueprint $table) {
+            $table->foreignId('reprocess_run_id')->nullable()->after('extraction_model_id')->constrained()->cascadeOnDelete();
+        });
+
+        Schema::table('classification_results', function (Blueprint $table) {
+            $table->foreignId('reprocess_run_id')->nullable()->after('provider_name')->constrained()->cascadeOnDelete();
+
+            // NULLs never collide in a unique index, so the scan's own results are keyed as run 0
+            $table->unsignedBigInteger('reprocess_run_key')->virtualAs('coalesce(reprocess_run_id, 0)');
+        });
+
+        // A re-run may repeat a provider the scan already used; the scan keeps
+        // one result per provider. Add the wider index before dropping the old
+        // one so classification_id stays indexed.
+        Schema::table('classification_results', function (Blueprint $table) {
+            $table->unique(['classification_id', 'provider_name', 'reprocess_run_key'], 'classification_results_run_unique');
+        });
+
+        Schema::table('classification_results', function (Blueprint $table) {
+            $table->dropUnique('classification_results_unique');
+        });
+    }
+
+    public function down(): void
+    {
+        // Re-run results would violate the restored unique index
+        DB::table('classification_results')->whereNotNull('reprocess_run_id')->delete();
+
+        Schema::table('classification_results', function (Blueprint $table) {
+            $table->unique(['classification_id', 'provider_name'], 'classification_results_unique');
+        });
+
+        Schema::table('classification_results', function (Blueprint $table) {
+            $table->dropUnique('classification_results_run_unique');
+            $table->dropColumn('reprocess_run_key');
+        });
+
+        Schema::table('classification_results', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('reprocess_run_id');
+        });
+
+        Schema::table('ideas', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('reprocess_run_id');
+        });
+
+        Schema::dropIfExists('reprocess_runs');
+    }
+};
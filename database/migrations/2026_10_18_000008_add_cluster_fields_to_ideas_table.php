@@ -0,0 +1,26 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('ideas', function (Blueprint $table) {
+            // Set by IdeaClusteringService: the id of the cluster's oldest idea, null when the idea stands alone
+            $table->unsignedBigInteger('cluster_id')->nullable()->after('notes')->index();
+            // Distinct posts in the cluster: how often the problem came up
+            $table->unsignedInteger('cluster_size')->default(1)->after('cluster_id');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('ideas', function (Blueprint $table) {
+            $table->dropIndex(['cluster_id']);
+            $table->dropColumn(['cluster_id', 'cluster_size']);
+        });
+    }
+};
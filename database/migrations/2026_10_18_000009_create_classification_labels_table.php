@@ -0,0 +1,28 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        // A reviewer's decision for a post; the consensus decision is left as is
+        Schema::create('classification_labels', function (Blueprint $table) {
+            $table->id();
+            $table->foreignId('classification_id')->unique()->constrained()->cascadeOnDelete();
+            $table->string('decision', 20);
+            $table->text('reason');
+
+            // Extraction queued for the post when the reviewer kept it
+            $table->foreignId('reprocess_run_id')->nullable()->constrained()->nullOnDelete();
+            $table->timestamps();
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::dropIfExists('classification_labels');
+    }
+};
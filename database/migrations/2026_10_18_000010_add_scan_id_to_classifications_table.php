@@ -0,0 +1,43 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('classifications', function (Blueprint $table) {
+            // The scan that classified the post. posts.scan_id moves to the latest
+            // scan that refetched the post, which does not classify it again.
+            $table->foreignId('scan_id')->nullable()->after('post_id')->constrained()->nullOnDelete();
+        });
+
+        // Existing rows: the scan of the post's subreddit that was running when it was classified
+        DB::table('scans')
+            ->whereNotNull('started_at')
+            ->orderBy('id')
+            ->each(function ($scan) {
+                DB::table('classifications')
+                    ->whereNull('scan_id')
+                    ->whereIn('post_id', DB::table('posts')->select('id')->where('subreddit_id', $scan->subreddit_id))
+                    ->where('classified_at', '>=', $scan->started_at)
+                    ->when($scan->completed_at, fn ($query) => $query->where('classified_at', '<=', $scan->completed_at))
+                    ->update(['scan_id' => $scan->id]);
+            });
+
+        // Anything left falls back to the post's current scan
+        DB::table('classifications')
+            ->whereNull('scan_id')
+            ->update(['scan_id' => DB::raw('(SELECT posts.scan_id FROM posts WHERE posts.id = classifications.post_id)')]);
+    }
+
+    public function down(): void
+    {
+        Schema::table('classifications', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('scan_id');
+        });
+    }
+};
@@ -0,0 +1,41 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\DB;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('llm_usages', function (Blueprint $table) {
+            // Calls made by a re-run; these carry no scan_id so scan totals leave them out
+            $table->foreignId('reprocess_run_id')->nullable()->after('scan_id')->constrained()->nullOnDelete();
+        });
+
+        // Existing re-run calls: a run's provider on its subreddit's posts while it ran.
+        // Scans cannot run on a subreddit during a re-run, so nothing else matches.
+        DB::table('reprocess_runs')
+            ->orderBy('id')
+            ->each(function ($run) {
+                DB::table('llm_usages')
+                    ->whereNull('reprocess_run_id')
+                    ->where('provider', $run->provider)
+                    ->whereIn('post_id', DB::table('posts')->select('id')->where('subreddit_id', $run->subreddit_id))
+                    ->where('created_at', '>=', $run->created_at)
+                    ->when($run->completed_at, fn ($query) => $query->where('created_at', '<=', $run->completed_at))
+                    ->update(['reprocess_run_id' => $run->id, 'scan_id' => null]);
+            });
+
+        // Re-run ideas were stamped with the post's scan, which did not find them
+        DB::table('ideas')->whereNotNull('reprocess_run_id')->update(['scan_id' => null]);
+    }
+
+    public function down(): void
+    {
+        Schema::table('llm_usages', function (Blueprint $table) {
+            $table->dropConstrainedForeignId('reprocess_run_id');
+        });
+    }
+};
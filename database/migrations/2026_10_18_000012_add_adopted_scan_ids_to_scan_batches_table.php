@@ -0,0 +1,23 @@
+<?php
+
+use Illuminate\Database\Migrations\Migration;
+use Illuminate\Database\Schema\Blueprint;
+use Illuminate\Support\Facades\Schema;
+
+return new class extends Migration
+{
+    public function up(): void
+    {
+        Schema::table('scan_batches', function (Blueprint $table) {
+            // Scans already running when the batch reached their subreddit; cancelling the batch leaves them alone
+            $table->json('adopted_scan_ids')->nullable()->after('subreddit_ids');
+        });
+    }
+
+    public function down(): void
+    {
+        Schema::table('scan_batches', function (Blueprint $table) {
+            $table->dropColumn('adopted_scan_ids');
+        });
+    }
+};
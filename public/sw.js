@@ -0,0 +1,153 @@
+/*
+ * Offline support. Registered from resources/js/app.js in production builds.
+ *
+ * - App shell: every file in the Vite build manifest is precached; hashed
+ *   build files never change, so they are served cache-first.
+ * - Pages: the dashboard and the Starred page (full loads and Inertia visits)
+ *   are network-first with the last response as the offline fallback.
+ * - Data: the starred list (/api/starred) and idea details (/ideas/{id}) are
+ *   network-first, keeping the last response for offline use.
+ *
+ * Bump VERSION when the caching rules change; old caches are dropped on activate.
+ */
+const VERSION = 'v1'
+const SHELL_CACHE = `shell-${VERSION}`
+const PAGE_CACHE = `pages-${VERSION}`
+const DATA_CACHE = `data-${VERSION}`
+const CACHES = [SHELL_CACHE, PAGE_CACHE, DATA_CACHE]
+
+const MANIFEST_URL = '/build/manifest.json'
+const OFFLINE_PAGES = ['/', '/starred']
+const MAX_STARRED_LISTS = 20
+const MAX_IDEA_DETAILS = 200
+
+const STARRED_LIST = /^\/api\/starred$/
+const IDEA_DETAILS = /^\/ideas\/\d+$/
+
+async function buildFiles() {
+    const response = await fetch(MANIFEST_URL, { cache: 'no-store' })
+    if (!response.ok) return []
+
+    const files = new Set()
+    for (const chunk of Object.values(await response.json())) {
+        ;[chunk.file, ...(chunk.css ?? []), ...(chunk.assets ?? [])].forEach((file) => file && files.add(`/build/${file}`))
+    }
+    return [...files]
+}
+
+// Cache the current build and drop files from earlier ones
+async function syncShell() {
+    const files = await buildFiles()
+    if (!files.length) return
+
+    const cache = await caches.open(SHELL_CACHE)
+    const cached = new Set((await cache.keys()).map((request) => new URL(request.url).pathname))
+    await cache.addAll(files.filter((file) => !cached.has(file)))
+
+    const current = new Set(files)
+    await Promise.all([...cached].filter((file) => !current.has(file)).map((file) => cache.delete(file)))
+}
+
+async function trim(cacheName, pattern, max) {
+    const cache = await caches.open(cacheName)
+    const keys = (await cache.keys()).filter((request) => pattern.test(new URL(request.url).pathname))
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((request) => cache.delete(request)))
+}
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { cacheName: SHELL_CACHE })
+    if (cached) return cached
+
+    const response = await fetch(request)
+    if (response.ok) {
+        const copy = response.clone()
+        caches.open(SHELL_CACHE).then((cache) => cache.put(request, copy))
+    }
+    return response
+}
+
+/**
+ * Network first, falling back to the last good response. HTML and Inertia
+ * JSON for the same URL are stored under separate keys.
+ */
+async function networkFirst(request, cacheName, { cacheKey = request, fallback = null, onStore = null } = {}) {
+    try {
+        const response = await fetch(request)
+        if (response.ok) {
+            const copy = response.clone()
+            caches.open(cacheName)
+                .then((cache) => cache.put(cacheKey, copy))
+                .then(() => onStore?.())
+        }
+        return response
+    } catch {
+        const cache = await caches.open(cacheName)
+        return (await cache.match(cacheKey, { ignoreVary: true }))
+            ?? (fallback && (await fallback(cache)))
+            ?? Response.error()
+    }
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(syncShell().catch(() => {}).then(() => self.skipWaiting()))
+})
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((names) => Promise.all(names.filter((name) => !CACHES.includes(name)).map((name) => caches.delete(name))))
+            .then(() => self.clients.claim())
+    )
+})
+
+// The page asks for a resync on every load so a deploy's new build is cached
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'sync-shell') event.waitUntil(syncShell().catch(() => {}))
+})
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    const url = new URL(request.url)
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+    if (url.pathname.startsWith('/build/')) {
+        event.respondWith(cacheFirst(request))
+        return
+    }
+
+    if (OFFLINE_PAGES.includes(url.pathname)) {
+        if (request.mode === 'navigate') {
+            event.respondWith(networkFirst(request, PAGE_CACHE, { cacheKey: url.pathname }))
+        } else if (request.headers.get('X-Inertia') && !request.headers.get('X-Inertia-Partial-Component')) {
+            event.respondWith(networkFirst(request, PAGE_CACHE, { cacheKey: `${url.pathname}?inertia` }))
+        }
+        return
+    }
+
+    // Any other page opened offline lands on the saved Starred page
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request).catch(async () => {
+                const cache = await caches.open(PAGE_CACHE)
+                return (await cache.match('/starred')) ? Response.redirect('/starred', 302) : Response.error()
+            })
+        )
+        return
+    }
+
+    if (STARRED_LIST.test(url.pathname)) {
+        // Offline with other filters or another page, show the last list fetched
+        // (cache keys keep insertion order and a re-put moves a key to the end)
+        event.respondWith(networkFirst(request, DATA_CACHE, {
+            fallback: async (cache) => {
+                const latest = (await cache.keys()).filter((key) => STARRED_LIST.test(new URL(key.url).pathname)).at(-1)
+                return latest && cache.match(latest, { ignoreVary: true })
+            },
+            onStore: () => trim(DATA_CACHE, STARRED_LIST, MAX_STARRED_LISTS),
+        }))
+    } else if (IDEA_DETAILS.test(url.pathname)) {
+        event.respondWith(networkFirst(request, DATA_CACHE, {
+            onStore: () => trim(DATA_CACHE, IDEA_DETAILS, MAX_IDEA_DETAILS),
+        }))
+    }
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { mount } from '@vue/test-utils'
+import HighlightText from '@/Components/HighlightText.vue'
+
+// Mount inside a host element so the full textContent (including spaces) can be asserted
+const mountInHost = (props) => mount({
+    components: { HighlightText },
+    data: () => props,
+    template: '<p><HighlightText :text="text" :query="query" /></p>',
+})
+
+describe('HighlightText', () => {
+    it('renders plain text when there is no query', () => {
+        const wrapper = mount(HighlightText, {
+            props: { text: 'Invoice reminders', query: '' },
+        })
+        expect(wrapper.text()).toBe('Invoice reminders')
+        expect(wrapper.find('mark').exists()).toBe(false)
+    })
+
+    it('wraps case-insensitive matches in <mark>', () => {
+        const wrapper = mountInHost({ text: 'Invoice reminders for invoices', query: 'INVOICE' })
+        const marks = wrapper.findAll('mark')
+        expect(marks).toHaveLength(2)
+        expect(marks[0].text()).toBe('Invoice')
+        expect(wrapper.find('p').element.textContent).toBe('Invoice reminders for invoices')
+    })
+
+    it('highlights every word of a multi-word query', () => {
+        const wrapper = mount(HighlightText, {
+            props: { text: 'Tool for freelance designers', query: 'tool designers' },
+        })
+        expect(wrapper.findAll('mark').map((m) => m.text())).toEqual(['Tool', 'designers'])
+    })
+
+    it('treats regex characters in the query literally', () => {
+        const wrapper = mount(HighlightText, {
+            props: { text: 'Save 50% (or more)', query: '(or' },
+        })
+        expect(wrapper.find('mark').text()).toBe('(or')
+    })
+
+    it('does not render HTML from the text', () => {
+        const wrapper = mount(HighlightText, {
+            props: { text: '<b>bold</b>', query: 'bold' },
+        })
+        expect(wrapper.find('b').exists()).toBe(false)
+        expect(wrapper.text()).toBe('<b>bold</b>')
+    })
+})
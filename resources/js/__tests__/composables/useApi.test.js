@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+describe('useApi', () => {
+    let mod
+    let toasts
+
+    beforeEach(async () => {
+        // Reset modules so the toast singleton starts empty
+        vi.resetModules()
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+        mod = await import('@/composables/useApi.js')
+        toasts = (await import('@/composables/useToast.js')).useToast().toasts
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        delete global.fetch
+    })
+
+    it('routes build every url by route name', () => {
+        expect(mod.routes['scan.start'](3)).toBe('/subreddits/3/scan')
+        expect(mod.routes['reprocess.show'](8)).toBe('/reprocess-runs/8')
+        expect(mod.routes['api.ideas.tags']()).toBe('/api/idea-tags')
+    })
+
+    it('sends JSON with the CSRF token on writes only', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ schedule: { id: 1 } }))
+
+        await mod.api.saveSchedule(4, { frequency: 'daily' })
+        await mod.api.scanEstimate(4, { date_from: '2026-01-01', classification_providers: ['a', 'b'], model: null })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/subreddits/4/schedule')
+        expect(options.method).toBe('PUT')
+        expect(options.headers['X-CSRF-TOKEN']).toBe('token')
+        expect(options.headers['Content-Type']).toBe('application/json')
+        expect(JSON.parse(options.body)).toEqual({ frequency: 'daily' })
+
+        const [estimateUrl, estimateOptions] = global.fetch.mock.calls[1]
+        expect(estimateUrl).toBe('/subreddits/4/scan-estimate?date_from=2026-01-01&classification_providers%5B%5D=a&classification_providers%5B%5D=b')
+        expect(estimateOptions.headers['X-CSRF-TOKEN']).toBeUndefined()
+    })
+
+    it('normalises errors and reports them as toasts', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({
+            message: 'The given data was invalid.',
+            errors: { paused: ['The paused field is required.'] },
+        }, false, 422))
+
+        const error = await mod.api.pauseSchedule(4, null).catch((e) => e)
+
+        expect(error).toBeInstanceOf(mod.ApiError)
+        expect(error.status).toBe(422)
+        expect(error.isValidation).toBe(true)
+        expect(error.message).toBe('The paused field is required.')
+        expect(toasts.value).toEqual([expect.objectContaining({ message: 'The paused field is required.', type: 'error' })])
+    })
+
+    it('skips the toast when asked to', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ message: 'A scan is already running' }, false, 422))
+
+        await expect(mod.api.retryScan(2, { toast: false })).rejects.toThrow('A scan is already running')
+        expect(toasts.value).toHaveLength(0)
+    })
+
+    it('refreshes the CSRF token once after a 419 and replays the request', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ message: 'CSRF token mismatch.' }, false, 419))
+            .mockResolvedValueOnce(jsonResponse({ token: 'fresh' }))
+            .mockResolvedValueOnce(jsonResponse({ is_starred: true }))
+
+        const data = await mod.api.toggleStar(5)
+
+        expect(data).toEqual({ is_starred: true })
+        expect(global.fetch.mock.calls[1][0]).toBe('/api/csrf-token')
+        expect(global.fetch.mock.calls[2][1].headers['X-CSRF-TOKEN']).toBe('fresh')
+        expect(mod.csrfToken()).toBe('fresh')
+    })
+
+    it('retries reads on 5xx with backoff but not writes', async () => {
+        vi.useFakeTimers()
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({}, false, 503))
+            .mockResolvedValueOnce(jsonResponse({ scan: { id: 1 } }))
+
+        const pending = mod.api.scanStatus(1)
+        await vi.advanceTimersByTimeAsync(500)
+
+        await expect(pending).resolves.toEqual({ scan: { id: 1 } })
+        expect(global.fetch).toHaveBeenCalledTimes(2)
+
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({}, false, 500))
+        await expect(mod.api.cancelScan(1, { toast: false })).rejects.toThrow('Request failed (500)')
+        expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+
+    it('retries any request on 429, honouring Retry-After', async () => {
+        vi.useFakeTimers()
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce({ ...jsonResponse({}, false, 429), headers: new Headers({ 'Retry-After': '2' }) })
+            .mockResolvedValueOnce(jsonResponse({ updated: [], failed: [] }))
+
+        const pending = mod.api.bulkStar([1], true)
+        await vi.advanceTimersByTimeAsync(1999)
+        expect(global.fetch).toHaveBeenCalledTimes(1)
+        await vi.advanceTimersByTimeAsync(1)
+
+        await expect(pending).resolves.toEqual({ updated: [], failed: [] })
+    })
+
+    it('a newer request with the same key cancels the older one without a toast', async () => {
+        global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+            signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+            if (url.endsWith('/2')) resolve(jsonResponse({ idea: { id: 2 } }))
+        }))
+        const key = mod.requestKey('test')
+
+        const first = mod.api.idea(1, { key })
+        const second = mod.api.idea(2, { key })
+
+        await expect(first).rejects.toMatchObject({ name: 'AbortError' })
+        await expect(second).resolves.toEqual({ idea: { id: 2 } })
+        expect(toasts.value).toHaveLength(0)
+    })
+
+    it('reports an unreachable server as a network error', async () => {
+        global.fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+
+        const error = await mod.api.deleteSchedule(4).catch((e) => e)
+
+        expect(error.status).toBe(0)
+        expect(error.message).toMatch(/Could not reach the server/)
+    })
+})
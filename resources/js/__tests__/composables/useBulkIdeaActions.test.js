@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+describe('useBulkIdeaActions', () => {
+    let mod
+    let toasts
+
+    beforeEach(async () => {
+        // Reset modules so the toast singleton starts empty
+        vi.resetModules()
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+        mod = await import('@/composables/useBulkIdeaActions.js')
+        toasts = (await import('@/composables/useToast.js')).useToast().toasts
+        vi.spyOn(console, 'error').mockImplementation(() => {})
+    })
+
+    afterEach(() => {
+        vi.restoreAllMocks()
+        delete global.fetch
+    })
+
+    it('describeFailedIdeas lists titles and truncates long lists', () => {
+        const ideas = Array.from({ length: 7 }, (_, i) => ({ id: i + 1, idea_title: `Idea ${i + 1}` }))
+
+        expect(mod.describeFailedIdeas(ideas, [2])).toBe('“Idea 2”')
+        expect(mod.describeFailedIdeas(ideas, [1, 3])).toBe('“Idea 1” and “Idea 3”')
+        expect(mod.describeFailedIdeas(ideas, [1, 2, 3, 4, 5, 6, 7])).toBe(
+            '“Idea 1”, “Idea 2”, “Idea 3”, “Idea 4”, “Idea 5” and 2 more'
+        )
+    })
+
+    it('bulkSetStarred marks a failing request as failed for all its ids', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({}, false, 500))
+
+        const result = await mod.bulkSetStarred([1, 2], true)
+
+        expect(result).toEqual({ updated: [], failed: [1, 2] })
+    })
+
+    it('applies optimistic state, rolls back failures and names them in one toast', async () => {
+        global.fetch = vi.fn().mockResolvedValue(
+            jsonResponse({ updated: [{ id: 1, is_starred: true, starred_at: '2026-01-01T00:00:00+00:00' }], failed: [2] })
+        )
+        const state = new Map()
+        const apply = vi.fn((id, changes) => state.set(id, changes))
+        const { setStarred } = mod.useBulkIdeaActions({ apply })
+
+        await setStarred(
+            [
+                { id: 1, idea_title: 'Alpha', is_starred: false, starred_at: null },
+                { id: 2, idea_title: 'Beta', is_starred: false, starred_at: null },
+            ],
+            true
+        )
+
+        expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({ ids: [1, 2], starred: true })
+        expect(state.get(1)).toEqual({ is_starred: true, starred_at: '2026-01-01T00:00:00+00:00' })
+        expect(state.get(2)).toEqual({ is_starred: false, starred_at: null })
+        expect(toasts.value).toHaveLength(1)
+        expect(toasts.value[0].type).toBe('warning')
+        expect(toasts.value[0].message).toBe('Starred 1 of 2 ideas. Failed: “Beta”')
+        expect(toasts.value[0].action.label).toBe('Undo')
+    })
+
+    it('undo reverts the succeeded ideas and replaces the toast', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ updated: [{ id: 1, is_starred: false, starred_at: null }], failed: [] }))
+            .mockResolvedValueOnce(jsonResponse({ updated: [{ id: 1, is_starred: true, starred_at: 'x' }], failed: [] }))
+        const apply = vi.fn()
+        const { setStarred } = mod.useBulkIdeaActions({ apply })
+
+        await setStarred([{ id: 1, idea_title: 'Alpha', is_starred: true, starred_at: 'x' }], false)
+        expect(toasts.value[0].message).toBe('Unstarred 1 idea')
+
+        await toasts.value[0].action.onClick()
+
+        expect(JSON.parse(global.fetch.mock.calls[1][1].body)).toEqual({ ids: [1], starred: true })
+        expect(apply).toHaveBeenLastCalledWith(1, { is_starred: true, starred_at: 'x' })
+        expect(toasts.value).toHaveLength(1)
+        expect(toasts.value[0].message).toBe('Restored 1 idea')
+    })
+
+    it('skips the request when nothing would change', async () => {
+        global.fetch = vi.fn()
+        const { setStarred } = mod.useBulkIdeaActions()
+
+        await setStarred([{ id: 1, idea_title: 'Alpha', is_starred: true }], true)
+
+        expect(global.fetch).not.toHaveBeenCalled()
+        expect(toasts.value[0].type).toBe('info')
+    })
+})
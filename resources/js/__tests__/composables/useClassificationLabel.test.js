@@ -0,0 +1,52 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { useClassificationLabel } from '@/composables/useClassificationLabel.js'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+describe('useClassificationLabel', () => {
+    beforeEach(() => {
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+    })
+
+    afterEach(() => {
+        delete global.fetch
+    })
+
+    it('save sends the decision and the force flag', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ label: { decision: 'keep' }, extraction_started: true }))
+        const { save, isSaving } = useClassificationLabel()
+
+        const data = await save(7, { decision: 'keep', reason: 'Real problem', forceExtraction: true })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/classifications/7/label')
+        expect(options.method).toBe('PUT')
+        expect(options.headers['X-CSRF-TOKEN']).toBe('token')
+        expect(JSON.parse(options.body)).toEqual({ decision: 'keep', reason: 'Real problem', force_extraction: true })
+        expect(data.extraction_started).toBe(true)
+        expect(isSaving.value).toBe(false)
+    })
+
+    it('save surfaces the first validation error', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({
+            message: 'The given data was invalid.',
+            errors: { reason: ['Say why you are overriding the decision.'] },
+        }, false, 422))
+        const { save, error } = useClassificationLabel()
+
+        await expect(save(7, { decision: 'discard', reason: '' })).rejects.toThrow('Say why you are overriding the decision.')
+        expect(error.value).toBe('Say why you are overriding the decision.')
+    })
+
+    it('remove deletes the label', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ message: 'Override removed' }))
+        const { remove } = useClassificationLabel()
+
+        await remove(7)
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/classifications/7/label')
+        expect(options.method).toBe('DELETE')
+        expect(options.body).toBeUndefined()
+    })
+})
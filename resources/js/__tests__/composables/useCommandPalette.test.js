@@ -0,0 +1,68 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+describe('useCommandPalette', () => {
+    let mod
+
+    beforeEach(async () => {
+        // Reset modules to get fresh singleton state for each test
+        vi.resetModules()
+        localStorage.clear()
+        mod = await import('@/composables/useCommandPalette.js')
+    })
+
+    it('fuzzyScore returns -1 when characters are missing or out of order', () => {
+        expect(mod.fuzzyScore('xyz', 'Go to Starred')).toBe(-1)
+        expect(mod.fuzzyScore('drats', 'Starred')).toBe(-1)
+    })
+
+    it('fuzzyScore matches subsequences and prefers word starts and substrings', () => {
+        expect(mod.fuzzyScore('gts', 'Go to Starred')).toBeGreaterThan(0)
+        expect(mod.fuzzyScore('star', 'Go to Starred')).toBeGreaterThan(mod.fuzzyScore('sred', 'Go to Starred'))
+        expect(mod.fuzzyScore('saas', 'r/saas')).toBeGreaterThan(mod.fuzzyScore('saas', 'Scan a strange subreddit'))
+    })
+
+    it('filterCommands ranks matches and drops non-matching commands', () => {
+        const commands = [
+            { id: 'a', label: 'Toggle theme', keywords: 'dark light mode' },
+            { id: 'b', label: 'Scan r/startups' },
+            { id: 'c', label: 'r/startups' },
+        ]
+
+        expect(mod.filterCommands(commands, 'startups').map((c) => c.id)).toEqual(['c', 'b'])
+        expect(mod.filterCommands(commands, 'dark').map((c) => c.id)).toEqual(['a'])
+        expect(mod.filterCommands(commands, '  ')).toBe(commands)
+    })
+
+    it('togglePalette shares open state across callers', () => {
+        const first = mod.useCommandPalette()
+        const second = mod.useCommandPalette()
+
+        first.togglePalette()
+        expect(second.isOpen.value).toBe(true)
+        second.closePalette()
+        expect(first.isOpen.value).toBe(false)
+    })
+
+    it('recordRecent moves items to the front, dedupes and caps the list', () => {
+        const { recentIds, recordRecent } = mod.useCommandPalette()
+
+        for (let i = 1; i <= mod.MAX_RECENT + 2; i++) recordRecent(`item:${i}`)
+        recordRecent('item:5')
+
+        expect(recentIds.value[0]).toBe('item:5')
+        expect(recentIds.value).toHaveLength(mod.MAX_RECENT)
+        expect(new Set(recentIds.value).size).toBe(mod.MAX_RECENT)
+    })
+
+    it('restores recent items from localStorage and ignores corrupt data', async () => {
+        localStorage.setItem('command-palette-recent', JSON.stringify(['nav:starred', 42]))
+        vi.resetModules()
+        let fresh = await import('@/composables/useCommandPalette.js')
+        expect(fresh.useCommandPalette().recentIds.value).toEqual(['nav:starred'])
+
+        localStorage.setItem('command-palette-recent', '{not json')
+        vi.resetModules()
+        fresh = await import('@/composables/useCommandPalette.js')
+        expect(fresh.useCommandPalette().recentIds.value).toEqual([])
+    })
+})
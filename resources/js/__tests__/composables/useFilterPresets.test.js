@@ -0,0 +1,128 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest'
+
+const defaults = {
+    min_score: 1,
+    min_complexity: 1,
+    starred_only: false,
+    include_borderline: true,
+    sort_by: 'score_overall',
+    sort_dir: 'desc',
+    extraction_provider: '',
+    classification_agreement: '',
+}
+
+describe('useFilterPresets', () => {
+    let useFilterPresets
+
+    const load = async () => {
+        vi.resetModules()
+        const mod = await import('@/composables/useFilterPresets.js')
+        useFilterPresets = mod.useFilterPresets
+    }
+
+    beforeEach(async () => {
+        localStorage.clear()
+        await load()
+    })
+
+    it('savePreset adds a preset and persists it', () => {
+        const { presets, savePreset } = useFilterPresets()
+
+        const preset = savePreset('High demand', { ...defaults, min_score: 4 })
+
+        expect(presets.value).toHaveLength(1)
+        expect(preset.name).toBe('High demand')
+        const stored = JSON.parse(localStorage.getItem('idea-filter-presets'))
+        expect(stored.presets[0].filters.min_score).toBe(4)
+    })
+
+    it('savePreset ignores blank names', () => {
+        const { presets, savePreset } = useFilterPresets()
+
+        expect(savePreset('   ', defaults)).toBeNull()
+        expect(presets.value).toHaveLength(0)
+    })
+
+    it('renamePreset updates the name', () => {
+        const { presets, savePreset, renamePreset } = useFilterPresets()
+        const preset = savePreset('Old', defaults)
+
+        renamePreset(preset.id, 'New')
+
+        expect(presets.value[0].name).toBe('New')
+    })
+
+    it('deletePreset removes the preset and clears it as default', () => {
+        const { presets, savePreset, deletePreset, setDefaultPreset, getDefaultPreset } = useFilterPresets()
+        const preset = savePreset('Gone soon', defaults)
+        setDefaultPreset('starred', preset.id)
+
+        deletePreset(preset.id)
+
+        expect(presets.value).toHaveLength(0)
+        expect(getDefaultPreset('starred')).toBeNull()
+    })
+
+    it('setDefaultPreset is tracked per mode', () => {
+        const { savePreset, setDefaultPreset, getDefaultPreset } = useFilterPresets()
+        const preset = savePreset('Starred default', defaults)
+
+        setDefaultPreset('starred', preset.id)
+
+        expect(getDefaultPreset('starred')?.id).toBe(preset.id)
+        expect(getDefaultPreset('subreddit')).toBeNull()
+    })
+
+    it('restores presets and defaults from localStorage', async () => {
+        const { savePreset, setDefaultPreset } = useFilterPresets()
+        const preset = savePreset('Persisted', { ...defaults, min_complexity: 3 })
+        setDefaultPreset('subreddit', preset.id)
+
+        await load()
+        const { presets, getDefaultPreset } = useFilterPresets()
+
+        expect(presets.value[0].name).toBe('Persisted')
+        expect(getDefaultPreset('subreddit')?.id).toBe(preset.id)
+    })
+
+    it('migrates presets saved without a schema version', async () => {
+        localStorage.setItem('idea-filter-presets', JSON.stringify({
+            presets: [{ id: 'legacy', name: 'Legacy', filters: { min_score: '4', classification_agreement: 'all_disagree' } }],
+            defaults: { subreddit: 'legacy' },
+        }))
+
+        await load()
+        const { presets, getDefaultPreset, resolvePresetFilters } = useFilterPresets()
+        const resolved = resolvePresetFilters(presets.value[0], defaults)
+
+        expect(presets.value).toHaveLength(1)
+        expect(resolved.min_score).toBe(4)
+        expect(resolved.classification_agreement).toBe('any_disagree')
+        expect(resolved.sort_by).toBe('score_overall')
+        expect(getDefaultPreset('subreddit')?.id).toBe('legacy')
+    })
+
+    it('migrates the legacy provider-only agreement filters to provider_keep', async () => {
+        localStorage.setItem('idea-filter-presets', JSON.stringify({
+            presets: [
+                { id: 'haiku', name: 'Haiku', filters: { classification_agreement: 'haiku_only_keep' } },
+                { id: 'gpt', name: 'GPT', filters: { classification_agreement: 'gpt_only_keep' } },
+            ],
+        }))
+
+        await load()
+        const { presets, resolvePresetFilters } = useFilterPresets()
+
+        expect(presets.value.map((preset) => resolvePresetFilters(preset, defaults).classification_agreement)).toEqual([
+            'provider_keep:anthropic-haiku',
+            'provider_keep:openai-gpt5-mini',
+        ])
+    })
+
+    it('resolvePresetFilters falls back to defaults for invalid values', () => {
+        const { savePreset, resolvePresetFilters } = useFilterPresets()
+        const preset = savePreset('Broken', { min_score: 42, sort_dir: 'sideways' })
+
+        expect(resolvePresetFilters(preset, defaults)).toEqual(defaults)
+    })
+})
@@ -0,0 +1,88 @@
+import { describe, it, expect } from 'vitest'
+import {
+    SERIES_COLORS,
+    addDays,
+    weekRange,
+    buildWeeklyChart,
+    buildScoreChart,
+    buildRankedRows,
+} from '@/composables/useIdeaAnalytics.js'
+
+const range = { date_from: '2026-03-04', date_to: '2026-03-17' }
+
+const perWeek = (series) => ({ weeks: ['2026-03-02', '2026-03-09', '2026-03-16'], series })
+
+describe('useIdeaAnalytics', () => {
+    it('addDays crosses month boundaries', () => {
+        expect(addDays('2026-02-27', 3)).toBe('2026-03-02')
+        expect(addDays('2026-03-01', -1)).toBe('2026-02-28')
+    })
+
+    it('weekRange clips weeks to the analytics range', () => {
+        expect(weekRange('2026-03-02', range)).toEqual({ date_from: '2026-03-04', date_to: '2026-03-08' })
+        expect(weekRange('2026-03-09', range)).toEqual({ date_from: '2026-03-09', date_to: '2026-03-15' })
+        expect(weekRange('2026-03-16', range)).toEqual({ date_from: '2026-03-16', date_to: '2026-03-17' })
+    })
+
+    it('buildWeeklyChart stacks subreddit segments and links each to its week', () => {
+        const chart = buildWeeklyChart(perWeek([
+            { subreddit_id: 1, name: 'startups', counts: [2, 0, 4], total: 6 },
+            { subreddit_id: 2, name: 'saas', counts: [2, 1, 0], total: 3 },
+        ]), range, { width: 300, height: 100, gap: 0 })
+
+        expect(chart.max).toBe(4)
+        expect(chart.bars.map((bar) => bar.total)).toEqual([4, 1, 4])
+
+        const [first] = chart.bars
+        expect(first.x).toBe(0)
+        expect(first.width).toBe(100)
+        expect(first.segments.map((segment) => [segment.y, segment.height])).toEqual([[50, 50], [0, 50]])
+        expect(first.segments[0].href).toBe('/subreddits/1?date_from=2026-03-04&date_to=2026-03-08')
+
+        // Empty segments are skipped
+        expect(chart.bars[1].segments).toHaveLength(1)
+        expect(chart.legend.map((entry) => entry.name)).toEqual(['startups', 'saas'])
+    })
+
+    it('buildWeeklyChart folds series past the palette into one "other" series', () => {
+        const series = Array.from({ length: SERIES_COLORS.length + 2 }, (_, index) => ({
+            subreddit_id: index + 1,
+            name: `sub${index + 1}`,
+            counts: [1, 1, 0],
+            total: 2,
+        }))
+
+        const chart = buildWeeklyChart(perWeek(series), range)
+        const other = chart.legend.at(-1)
+
+        expect(chart.legend).toHaveLength(SERIES_COLORS.length + 1)
+        expect(other).toMatchObject({ name: '2 others', subredditId: null, total: 4 })
+
+        const otherSegment = chart.bars[0].segments.at(-1)
+        expect(otherSegment.label).toContain('2 others')
+        expect(otherSegment.href).toBe('/ideas?date_from=2026-03-04&date_to=2026-03-08')
+    })
+
+    it('buildScoreChart links every non-empty column to ideas with that score', () => {
+        const distribution = [1, 2, 3, 4, 5].map((score) => ({ score, ideas: score === 2 ? 0 : score }))
+
+        const chart = buildScoreChart(distribution, 'demand', range)
+
+        expect(chart.bars).toHaveLength(5)
+        expect(chart.bars[1].segments).toEqual([])
+        expect(chart.bars[4].segments[0].height).toBe(chart.height)
+        expect(chart.bars[3].segments[0].href)
+            .toBe('/ideas?score_field=demand&score=4&date_from=2026-03-04&date_to=2026-03-17')
+    })
+
+    it('buildRankedRows sizes bars relative to the top entry', () => {
+        const rows = buildRankedRows(
+            [{ value: 'notion', label: 'Notion', ideas: 8 }, { value: 'airtable', label: 'Airtable', ideas: 2 }],
+            { href: (item) => `/ideas?competitor=${item.value}` },
+        )
+
+        expect(rows.map((row) => [row.value, row.count, row.percent])).toEqual([['notion', 8, 100], ['airtable', 2, 25]])
+        expect(rows[1].href).toBe('/ideas?competitor=airtable')
+        expect(buildRankedRows([{ results: 3 }], { countKey: 'results' })[0]).toMatchObject({ count: 3, href: null })
+    })
+})
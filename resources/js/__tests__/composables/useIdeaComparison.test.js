@@ -0,0 +1,85 @@
+import { describe, it, expect } from 'vitest'
+import { ref } from 'vue'
+import {
+    useIdeaComparison,
+    valuesDiffer,
+    listsDiffer,
+    sharedItems,
+    bestScoreIds,
+    comparisonToMarkdown,
+    buildComparisonUrl,
+} from '@/composables/useIdeaComparison.js'
+
+const makeIdea = (overrides = {}) => ({
+    id: 1,
+    idea_title: 'Invoice helper',
+    score_overall: 4,
+    score_monetization: 3,
+    score_saturation: 3,
+    score_complexity: 2,
+    score_demand: 5,
+    target_audience: 'Freelancers',
+    monetization_model: 'Subscription',
+    extraction_provider: 'anthropic',
+    existing_competitors: ['FreshBooks'],
+    marketing_channels: ['Reddit', 'SEO'],
+    post: { subreddit: { name: 'freelance' } },
+    ...overrides,
+})
+
+describe('useIdeaComparison', () => {
+    it('valuesDiffer ignores case and surrounding whitespace', () => {
+        expect(valuesDiffer(['Freelancers', ' freelancers '])).toBe(false)
+        expect(valuesDiffer(['Freelancers', 'Agencies'])).toBe(true)
+        expect(valuesDiffer([3, 3, 4])).toBe(true)
+    })
+
+    it('listsDiffer compares lists as sets', () => {
+        expect(listsDiffer([['SEO', 'Reddit'], ['reddit', 'seo']])).toBe(false)
+        expect(listsDiffer([['SEO'], ['SEO', 'Reddit']])).toBe(true)
+    })
+
+    it('sharedItems returns normalized items present in every list', () => {
+        expect([...sharedItems([['SEO', 'Reddit'], ['seo', 'Twitter'], ['SEO']])]).toEqual(['seo'])
+    })
+
+    it('bestScoreIds returns leaders and nothing on a tie', () => {
+        const ideas = [makeIdea({ id: 1, score_overall: 4 }), makeIdea({ id: 2, score_overall: 5 }), makeIdea({ id: 3, score_overall: 5 })]
+
+        expect(bestScoreIds(ideas, 'score_overall')).toEqual([2, 3])
+        expect(bestScoreIds(ideas, 'score_demand')).toEqual([])
+    })
+
+    it('rows flag differing fields and count them', () => {
+        const ideas = ref([makeIdea(), makeIdea({ id: 2, score_overall: 2, marketing_channels: ['SEO'] })])
+        const { rows, differenceCount } = useIdeaComparison(ideas)
+
+        const byKey = Object.fromEntries(rows.value.map((row) => [row.key, row]))
+        expect(byKey.score_overall.differs).toBe(true)
+        expect(byKey.score_overall.best).toEqual([1])
+        expect(byKey.target_audience.differs).toBe(false)
+        expect(byKey.marketing_channels.differs).toBe(true)
+        expect([...byKey.marketing_channels.shared]).toEqual(['seo'])
+        expect(differenceCount.value).toBe(2)
+
+        ideas.value = [makeIdea(), makeIdea({ id: 2 })]
+        expect(differenceCount.value).toBe(0)
+    })
+
+    it('comparisonToMarkdown builds a table, marks differences and escapes pipes', () => {
+        const markdown = comparisonToMarkdown([
+            makeIdea(),
+            makeIdea({ id: 2, idea_title: 'A | B', target_audience: 'Agencies', post: null }),
+        ])
+
+        expect(markdown).toContain('|  | Invoice helper (r/freelance) | A \\| B |')
+        expect(markdown).toContain('| --- | --- | --- |')
+        expect(markdown).toContain('| **Target audience** ≠ | Freelancers | Agencies |')
+        expect(markdown).toContain('| Overall | 4/5 | 4/5 |')
+        expect(markdown).toContain('| Marketing channels | Reddit, SEO | Reddit, SEO |')
+    })
+
+    it('buildComparisonUrl joins ids', () => {
+        expect(buildComparisonUrl([3, 7])).toBe('/ideas/compare?ids=3,7')
+    })
+})
@@ -0,0 +1,100 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { ideasToCsv, ideasToJson, ideaToMarkdown, formatIdeas, fetchAllIdeas } from '@/composables/useIdeaExport.js'
+import { cancelRequest } from '@/composables/useApi.js'
+import { buildIdeasApiUrl } from '@/composables/useIdeaFilterQuery.js'
+
+const makeIdea = (overrides = {}) => ({
+    id: 7,
+    idea_title: 'Invoice chaser',
+    problem_statement: 'Freelancers forget to chase "late" invoices',
+    proposed_solution: 'Automated reminders',
+    target_audience: 'Freelancers',
+    monetization_model: 'Subscription',
+    existing_competitors: ['Chaser', 'Xero'],
+    marketing_channels: ['r/freelance', 'Indie Hackers'],
+    branding_suggestions: { name_ideas: ['PayNudge'], tagline: 'Get paid on time' },
+    score_overall: 4,
+    score_monetization: 5,
+    score_saturation: 3,
+    score_complexity: 4,
+    score_demand: 2,
+    extraction_provider: 'anthropic-sonnet',
+    classification_status: 'keep',
+    is_starred: true,
+    source_quote: 'I wish there was a tool',
+    created_at: '2026-01-01T00:00:00Z',
+    post: { permalink: '/r/freelance/comments/abc', subreddit: { name: 'freelance' } },
+    ...overrides,
+})
+
+describe('useIdeaExport', () => {
+    it('ideasToCsv writes a header and flattens lists', () => {
+        const lines = ideasToCsv([makeIdea()]).trim().split('\r\n')
+
+        expect(lines[0]).toContain('id,title,subreddit,score_overall')
+        expect(lines[1]).toContain('Chaser; Xero')
+        expect(lines[1]).toContain('r/freelance; Indie Hackers')
+        expect(lines[1]).toContain('https://reddit.com/r/freelance/comments/abc')
+    })
+
+    it('ideasToCsv quotes values containing commas and quotes', () => {
+        const csv = ideasToCsv([makeIdea()])
+
+        expect(csv).toContain('"Freelancers forget to chase ""late"" invoices"')
+    })
+
+    it('ideasToCsv neutralises formula-like values', () => {
+        const csv = ideasToCsv([makeIdea({ idea_title: '=HYPERLINK("x")' })])
+
+        expect(csv).toContain(`"'=HYPERLINK(""x"")"`)
+    })
+
+    it('ideasToJson keeps full idea objects', () => {
+        const parsed = JSON.parse(ideasToJson([makeIdea()]))
+
+        expect(parsed[0].branding_suggestions.name_ideas).toEqual(['PayNudge'])
+    })
+
+    it('ideaToMarkdown renders a brief with scores and sections', () => {
+        const md = ideaToMarkdown(makeIdea())
+
+        expect(md).toContain('## Invoice chaser')
+        expect(md).toContain('| 4 | 5 | 3 | 4 | 2 |')
+        expect(md).toContain('**Competitors:**')
+        expect(md).toContain('- Chaser')
+        expect(md).toContain('> I wish there was a tool')
+        expect(md).toContain('[View on Reddit](https://reddit.com/r/freelance/comments/abc)')
+    })
+
+    it('formatIdeas rejects unknown formats', () => {
+        expect(() => formatIdeas([], 'xml')).toThrow('Unknown export format')
+    })
+
+    it('buildIdeasApiUrl matches the table request for each mode', () => {
+        const filters = { min_score: 4, extraction_provider: '', sort_by: 'score_overall' }
+
+        expect(buildIdeasApiUrl({ mode: 'subreddit', subredditId: 3, filters, page: 2, perPage: 100 }))
+            .toBe('/subreddits/3/ideas?min_score=4&sort_by=score_overall&page=2&per_page=100')
+        expect(buildIdeasApiUrl({ mode: 'starred', filters }))
+            .toBe('/api/starred?min_score=4&sort_by=score_overall&page=1&per_page=20')
+    })
+
+    describe('fetchAllIdeas', () => {
+        afterEach(() => {
+            delete global.fetch
+        })
+
+        it('stops when its request key is cancelled', async () => {
+            // Never answers; rejects like fetch once its signal aborts
+            global.fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')))
+            }))
+
+            const pending = fetchAllIdeas({ mode: 'starred', filters: {}, key: 'export-test', toast: false })
+            cancelRequest('export-test')
+
+            await expect(pending).rejects.toMatchObject({ name: 'AbortError' })
+            expect(global.fetch).toHaveBeenCalledTimes(1)
+        })
+    })
+})
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'vitest'
+import { parseFilterQuery, buildFilterQuery, buildIdeasApiUrl, activeDrilldowns } from '@/composables/useIdeaFilterQuery.js'
+
+const defaults = {
+    min_score: 1,
+    min_complexity: 1,
+    starred_only: false,
+    include_borderline: true,
+    sort_by: 'score_overall',
+    sort_dir: 'desc',
+    extraction_provider: '',
+    classification_agreement: '',
+}
+
+describe('useIdeaFilterQuery', () => {
+    it('parseFilterQuery returns defaults for an empty query', () => {
+        const { filters, page, perPage } = parseFilterQuery('', defaults)
+
+        expect(filters).toEqual(defaults)
+        expect(page).toBe(1)
+        expect(perPage).toBe(20)
+    })
+
+    it('parseFilterQuery reads typed values from the query', () => {
+        const { filters, page, perPage } = parseFilterQuery(
+            '?min_score=4&starred_only=true&include_borderline=false&sort_dir=asc&classification_agreement=any_disagree&page=3&per_page=50',
+            defaults,
+        )
+
+        expect(filters.min_score).toBe(4)
+        expect(filters.starred_only).toBe(true)
+        expect(filters.include_borderline).toBe(false)
+        expect(filters.sort_dir).toBe('asc')
+        expect(filters.classification_agreement).toBe('any_disagree')
+        expect(page).toBe(3)
+        expect(perPage).toBe(50)
+    })
+
+    it('parseFilterQuery drops invalid values and keeps defaults', () => {
+        const { filters, page, perPage } = parseFilterQuery(
+            '?min_score=9&min_complexity=abc&sort_by=drop_table&sort_dir=sideways&starred_only=maybe&page=-2&per_page=1000',
+            defaults,
+        )
+
+        expect(filters).toEqual(defaults)
+        expect(page).toBe(1)
+        expect(perPage).toBe(20)
+    })
+
+    it('parseFilterQuery ignores keys that are not part of the defaults', () => {
+        const { filters } = parseFilterQuery('?unknown=1', defaults)
+
+        expect(filters).not.toHaveProperty('unknown')
+    })
+
+    it('parseFilterQuery only reports table-owned keys in hasQuery', () => {
+        expect(parseFilterQuery('?scan=1', defaults).hasQuery).toBe(false)
+        expect(parseFilterQuery('?scan=1&page=2', defaults).hasQuery).toBe(true)
+        expect(parseFilterQuery('?min_score=3', defaults).hasQuery).toBe(true)
+    })
+
+    it('buildFilterQuery omits default values', () => {
+        expect(buildFilterQuery(defaults, defaults)).toBe('')
+    })
+
+    it('buildFilterQuery writes changed filters, page and per-page', () => {
+        const query = buildFilterQuery(
+            { ...defaults, min_score: 4, include_borderline: false, extraction_provider: 'openai' },
+            defaults,
+            { page: 2, perPage: 50 },
+        )
+
+        expect(new URLSearchParams(query).get('min_score')).toBe('4')
+        expect(new URLSearchParams(query).get('include_borderline')).toBe('false')
+        expect(new URLSearchParams(query).get('extraction_provider')).toBe('openai')
+        expect(new URLSearchParams(query).get('page')).toBe('2')
+        expect(new URLSearchParams(query).get('per_page')).toBe('50')
+    })
+
+    it('round-trips through build and parse', () => {
+        const starredDefaults = { ...defaults, sort_by: 'starred_at' }
+        const state = { ...starredDefaults, sort_by: 'score_demand', min_complexity: 3 }
+
+        const query = buildFilterQuery(state, starredDefaults, { page: 4 })
+        const parsed = parseFilterQuery(query, starredDefaults)
+
+        expect(parsed.filters).toEqual(state)
+        expect(parsed.page).toBe(4)
+    })
+
+    it('parseFilterQuery accepts drill-down filters and rejects malformed dates', () => {
+        const drilldownDefaults = { ...defaults, date_from: '', date_to: '', score_field: '', score: '', competitor: '' }
+
+        const { filters } = parseFilterQuery(
+            '?date_from=2026-03-02&date_to=03/08/2026&score_field=demand&score=4&competitor=Notion',
+            drilldownDefaults,
+        )
+
+        expect(filters.date_from).toBe('2026-03-02')
+        expect(filters.date_to).toBe('')
+        expect(filters.score_field).toBe('demand')
+        expect(filters.score).toBe(4)
+        expect(filters.competitor).toBe('Notion')
+    })
+
+    it('activeDrilldowns only reports filters whose keys are all set', () => {
+        const chips = activeDrilldowns({ date_from: '2026-03-02', date_to: '', score_field: 'demand', score: 4, competitor: 'notion' })
+
+        expect(chips.map((chip) => chip.keys)).toEqual([['score_field', 'score'], ['competitor']])
+        expect(chips[0].label).toBe('Demand 4')
+        expect(chips[1].label).toBe('Competitor: notion')
+    })
+
+    it('buildIdeasApiUrl targets the cross-subreddit endpoint in all mode', () => {
+        const url = buildIdeasApiUrl({ mode: 'all', filters: { min_score: 1, category: 'tool-request', competitor: '' } })
+
+        expect(url.startsWith('/api/ideas?')).toBe(true)
+        expect(url).toContain('category=tool-request')
+        expect(url).not.toContain('competitor')
+    })
+
+    it('round-trips the group-similar toggle and cluster sort', () => {
+        const groupDefaults = { ...defaults, group_similar: false }
+        const query = buildFilterQuery({ ...groupDefaults, group_similar: true, sort_by: 'cluster_size' }, groupDefaults)
+
+        const { filters } = parseFilterQuery(query, groupDefaults)
+
+        expect(filters.group_similar).toBe(true)
+        expect(filters.sort_by).toBe('cluster_size')
+    })
+})
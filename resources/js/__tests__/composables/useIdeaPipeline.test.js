@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { normalizeTag, parseTags, getStatus, updateIdea, MAX_TAG_LENGTH } from '@/composables/useIdeaPipeline.js'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+describe('useIdeaPipeline', () => {
+    beforeEach(() => {
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+    })
+
+    afterEach(() => {
+        delete global.fetch
+    })
+
+    it('normalizeTag lowercases, collapses whitespace and truncates', () => {
+        expect(normalizeTag('  Side   Project ')).toBe('side project')
+        expect(normalizeTag(null)).toBe('')
+        expect(normalizeTag('x'.repeat(50))).toHaveLength(MAX_TAG_LENGTH)
+    })
+
+    it('parseTags splits on commas and drops blanks and duplicates', () => {
+        expect(parseTags('SaaS, b2b,,saas , ')).toEqual(['saas', 'b2b'])
+        expect(parseTags('')).toEqual([])
+    })
+
+    it('getStatus falls back to the first status for unknown values', () => {
+        expect(getStatus('validated').label).toBe('Validated')
+        expect(getStatus('bogus').value).toBe('new')
+    })
+
+    it('updateIdea sends a PATCH with the CSRF token', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ id: 3, status: 'researching' }))
+
+        await expect(updateIdea(3, { status: 'researching' })).resolves.toEqual({ id: 3, status: 'researching' })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/ideas/3')
+        expect(options.method).toBe('PATCH')
+        expect(options.headers['X-CSRF-TOKEN']).toBe('token')
+        expect(JSON.parse(options.body)).toEqual({ status: 'researching' })
+    })
+
+    it('updateIdea surfaces the first validation error', async () => {
+        global.fetch = vi.fn().mockResolvedValue(
+            jsonResponse({ message: 'Invalid', errors: { 'tags.0': ['Tags may not exceed 30 characters.'] } }, false, 422)
+        )
+
+        await expect(updateIdea(3, { tags: ['x'] })).rejects.toThrow('Tags may not exceed 30 characters.')
+    })
+})
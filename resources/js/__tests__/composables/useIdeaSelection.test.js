@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from 'vitest'
+import { useIdeaSelection } from '@/composables/useIdeaSelection.js'
+
+const page = [{ id: 1 }, { id: 2 }, { id: 3 }]
+
+describe('useIdeaSelection', () => {
+    it('toggle adds and removes ideas', () => {
+        const selection = useIdeaSelection()
+
+        selection.toggle(page[0])
+        expect(selection.isSelected(1)).toBe(true)
+        expect(selection.hasSelection.value).toBe(true)
+
+        selection.toggle(page[0])
+        expect(selection.isSelected(1)).toBe(false)
+        expect(selection.hasSelection.value).toBe(false)
+    })
+
+    it('pageState reports none, some and all', () => {
+        const selection = useIdeaSelection()
+
+        expect(selection.pageState(page)).toBe('none')
+        selection.toggle(page[1])
+        expect(selection.pageState(page)).toBe('some')
+        selection.setPage(page, true)
+        expect(selection.pageState(page)).toBe('all')
+        selection.setPage(page, false)
+        expect(selection.pageState(page)).toBe('none')
+    })
+
+    it('keeps selections across pages', () => {
+        const selection = useIdeaSelection()
+
+        selection.setPage(page, true)
+        selection.setPage([{ id: 4 }], true)
+
+        expect(selection.count(100)).toBe(4)
+        expect(selection.pageState(page)).toBe('all')
+    })
+
+    it('selectAllMatching counts the filter total and resolves via fetchAll', async () => {
+        const selection = useIdeaSelection()
+        const fetchAll = vi.fn().mockResolvedValue([{ id: 9 }])
+
+        selection.selectAllMatching()
+
+        expect(selection.isSelected(42)).toBe(true)
+        expect(selection.count(120)).toBe(120)
+        expect(await selection.resolve(fetchAll)).toEqual([{ id: 9 }])
+        expect(fetchAll).toHaveBeenCalledTimes(1)
+    })
+
+    it('resolve returns the selected snapshots with updates applied', async () => {
+        const selection = useIdeaSelection()
+        const fetchAll = vi.fn()
+
+        selection.toggle({ id: 1, is_starred: false })
+        selection.update(1, { is_starred: true })
+
+        expect(await selection.resolve(fetchAll)).toEqual([{ id: 1, is_starred: true }])
+        expect(fetchAll).not.toHaveBeenCalled()
+    })
+
+    it('unchecking a row in "all matching" mode deselects only that row', async () => {
+        const selection = useIdeaSelection()
+        const fetchAll = vi.fn().mockResolvedValue(page)
+
+        selection.selectAllMatching()
+        selection.toggle(page[0])
+
+        expect(selection.isSelected(1)).toBe(false)
+        expect(selection.isSelected(2)).toBe(true)
+        expect(selection.isSelected(42)).toBe(true)
+        expect(selection.count(120)).toBe(119)
+        expect(selection.pageState(page)).toBe('some')
+        expect(await selection.resolve(fetchAll)).toEqual([{ id: 2 }, { id: 3 }])
+
+        selection.toggle(page[0])
+        expect(selection.isSelected(1)).toBe(true)
+    })
+
+    it('setPage in "all matching" mode excludes and restores the page', () => {
+        const selection = useIdeaSelection()
+
+        selection.selectAllMatching()
+        selection.setPage(page, false)
+        expect(selection.pageState(page)).toBe('none')
+        expect(selection.isSelected(42)).toBe(true)
+        expect(selection.count(120)).toBe(117)
+
+        selection.setPage(page, true)
+        expect(selection.pageState(page)).toBe('all')
+    })
+
+    it('clear resets everything', () => {
+        const selection = useIdeaSelection()
+
+        selection.selectAllMatching()
+        selection.toggle(page[0])
+        selection.clear()
+
+        expect(selection.hasSelection.value).toBe(false)
+        expect(selection.allMatching.value).toBe(false)
+        expect(selection.isSelected(1)).toBe(false)
+    })
+})
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+const subreddit = { id: 4, name: 'SaaS' }
+
+describe('useNotifications', () => {
+    let mod
+
+    beforeEach(async () => {
+        // Reset modules so the history and settings singletons reload from storage
+        vi.resetModules()
+        localStorage.clear()
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+        mod = await import('@/composables/useNotifications.js')
+    })
+
+    afterEach(() => {
+        vi.unstubAllGlobals()
+        delete global.fetch
+    })
+
+    it('keeps one notification per key, newest first, across reloads', async () => {
+        mod.notify({ key: 'a', type: 'scan-completed', title: 'A' })
+        mod.notify({ key: 'b', type: 'scan-failed', title: 'B' })
+        mod.notify({ key: 'a', type: 'scan-completed', title: 'A again' })
+        mod.markRead('b')
+
+        vi.resetModules()
+        const reloaded = (await import('@/composables/useNotifications.js')).useNotifications()
+
+        expect(reloaded.notifications.value.map((n) => n.title)).toEqual(['B', 'A'])
+        expect(reloaded.unreadCount.value).toBe(1)
+    })
+
+    it('drops the oldest beyond the history limit', () => {
+        for (let i = 0; i <= mod.MAX_NOTIFICATIONS; i++) mod.notify({ key: `k${i}`, type: 'scan-completed', title: `${i}` })
+
+        const { notifications } = mod.useNotifications()
+        expect(notifications.value).toHaveLength(mod.MAX_NOTIFICATIONS)
+        expect(notifications.value.at(-1).key).toBe('k1')
+    })
+
+    it('reports a failed scan with its error message', async () => {
+        await mod.notifyScanFinished({ id: 7, is_in_progress: false, is_failed: true, error_message: 'Reddit API rate limit' }, subreddit)
+
+        expect(mod.useNotifications().notifications.value[0]).toMatchObject({
+            key: 'scan:7:failed',
+            type: 'scan-failed',
+            title: 'Scan of r/SaaS failed',
+            body: 'Reddit API rate limit',
+            href: '/subreddits/4',
+        })
+    })
+
+    it('follows a completed scan with its ideas above the score threshold', async () => {
+        mod.updateNotificationSettings({ minScore: 5 })
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({
+            ideas: [{ id: 1, idea_title: 'Invoice chaser' }, { id: 2, idea_title: 'Shift planner' }],
+            pagination: { total: 2 },
+        }))
+
+        await mod.notifyScanFinished({ id: 7, is_in_progress: false, is_failed: false, ideas_found: 12 }, subreddit)
+
+        expect(global.fetch.mock.calls[0][0]).toBe('/subreddits/4/ideas?scan_id=7&min_score=5&sort_by=score_overall&sort_dir=desc&per_page=3')
+        const [highScore, completed] = mod.useNotifications().notifications.value
+        expect(completed).toMatchObject({ title: 'Scan of r/SaaS completed', body: '12 new ideas found' })
+        expect(highScore).toMatchObject({
+            type: 'high-score',
+            title: '2 ideas scored 5+ in r/SaaS',
+            body: 'Invoice chaser · Shift planner',
+            href: '/subreddits/4?scan_id=7&min_score=5',
+        })
+    })
+
+    it('skips a notification another tab already stored', async () => {
+        mod.notify({ key: 'a', type: 'scan-completed', title: 'A' })
+        // Another tab records the same scan finishing, without this tab hearing about it yet
+        const otherTab = [{ key: 'b', type: 'scan-failed', title: 'B', read: false }, ...JSON.parse(localStorage.getItem('notifications'))]
+        localStorage.setItem('notifications', JSON.stringify(otherTab))
+
+        expect(mod.notify({ key: 'b', type: 'scan-failed', title: 'B again' })).toBe(false)
+        expect(mod.useNotifications().notifications.value.map((n) => n.title)).toEqual(['B', 'A'])
+    })
+
+    it('reports scans that finished while another page was open', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ scans: [], checked_at: '2026-10-18T10:00:00+00:00' }))
+            .mockResolvedValueOnce(jsonResponse({
+                scans: [{ id: 9, is_in_progress: false, is_failed: true, error_message: 'Reddit API rate limit', subreddit }],
+                checked_at: '2026-10-18T10:00:30+00:00',
+            }))
+
+        // The first check only sets the cursor
+        await mod.checkFinishedScans()
+        expect(global.fetch.mock.calls[0][0]).toBe('/api/scans/finished')
+        expect(mod.useNotifications().notifications.value).toEqual([])
+
+        await mod.checkFinishedScans()
+        expect(global.fetch.mock.calls[1][0]).toBe('/api/scans/finished?since=2026-10-18T10%3A00%3A00%2B00%3A00')
+        expect(mod.useNotifications().notifications.value[0]).toMatchObject({ key: 'scan:9:failed', title: 'Scan of r/SaaS failed' })
+        expect(JSON.parse(localStorage.getItem('notifications-checked-at'))).toBe('2026-10-18T10:00:30+00:00')
+    })
+
+    it('does not repeat the high-score follow-up for a scan already reported', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ ideas: [{ id: 1, idea_title: 'Invoice chaser' }], pagination: { total: 1 } }))
+        const scan = { id: 7, is_in_progress: false, is_failed: false, ideas_found: 1 }
+
+        await mod.notifyScanFinished(scan, subreddit)
+        await mod.notifyScanFinished(scan, subreddit)
+
+        expect(global.fetch).toHaveBeenCalledTimes(1)
+        expect(mod.useNotifications().notifications.value).toHaveLength(2)
+    })
+
+    it('shows a browser notification only when opted in and the tab is hidden', async () => {
+        const Notification = vi.fn()
+        Notification.permission = 'default'
+        Notification.requestPermission = vi.fn(async () => {
+            Notification.permission = 'granted'
+            return 'granted'
+        })
+        vi.stubGlobal('Notification', Notification)
+        const visibility = vi.spyOn(document, 'visibilityState', 'get').mockReturnValue('hidden')
+
+        mod.notify({ key: 'before', type: 'scan-completed', title: 'Before opting in' })
+        await expect(mod.enableBrowserNotifications()).resolves.toBe(true)
+        mod.notify({ key: 'hidden', type: 'scan-completed', title: 'Done', body: '3 new ideas found' })
+        visibility.mockReturnValue('visible')
+        mod.notify({ key: 'visible', type: 'scan-completed', title: 'Seen in the badge' })
+
+        expect(Notification).toHaveBeenCalledTimes(1)
+        expect(Notification).toHaveBeenCalledWith('Done', expect.objectContaining({ body: '3 new ideas found', tag: 'hidden' }))
+        expect(mod.useNotifications().settings.value.browser).toBe(true)
+    })
+
+    it('stays off when permission is denied', async () => {
+        vi.stubGlobal('Notification', Object.assign(vi.fn(), {
+            permission: 'default',
+            requestPermission: vi.fn(async () => 'denied'),
+        }))
+
+        await expect(mod.enableBrowserNotifications()).resolves.toBe(false)
+        expect(mod.useNotifications().settings.value.browser).toBe(false)
+    })
+})
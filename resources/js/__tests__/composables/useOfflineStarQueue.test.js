@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+const idea = (id, overrides = {}) => ({
+    id,
+    idea_title: `Idea ${id}`,
+    is_starred: false,
+    starred_at: null,
+    post: { subreddit_id: 4 },
+    ...overrides,
+})
+
+// Answers GET /ideas/{id} from `server` and records bulk-star bodies
+const mockServer = (server) => {
+    const bulk = []
+    global.fetch = vi.fn(async (url, options = {}) => {
+        if (url === '/ideas/bulk-star') {
+            const body = JSON.parse(options.body)
+            bulk.push(body)
+            return jsonResponse({
+                updated: body.ids.map((id) => ({ id, is_starred: body.starred, starred_at: body.starred ? '2026-03-01T00:00:00+00:00' : null })),
+                failed: [],
+            })
+        }
+        const id = Number(url.split('/').at(-1))
+        return server[id] ? jsonResponse({ idea: server[id] }) : jsonResponse({ message: 'Not found' }, false, 404)
+    })
+    return bulk
+}
+
+describe('useOfflineStarQueue', () => {
+    let mod
+    let toasts
+
+    beforeEach(async () => {
+        // Reset modules so the queue and toast singletons start empty
+        vi.resetModules()
+        localStorage.clear()
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+        mod = await import('@/composables/useOfflineStarQueue.js')
+        toasts = (await import('@/composables/useToast.js')).useToast().toasts
+    })
+
+    afterEach(() => {
+        delete global.fetch
+    })
+
+    it('persists queued changes and drops one toggled back', async () => {
+        const { pendingCount, queueStarChange } = mod.useOfflineStarQueue()
+
+        queueStarChange(idea(1), true)
+        queueStarChange(idea(2, { is_starred: true, starred_at: '2026-01-01T00:00:00Z' }), false)
+        queueStarChange(idea(2, { is_starred: false }), true)
+
+        expect(pendingCount.value).toBe(1)
+        expect(JSON.parse(localStorage.getItem('offline-star-queue'))).toEqual([
+            expect.objectContaining({ id: 1, starred: true, base: { is_starred: false, starred_at: null } }),
+        ])
+
+        vi.resetModules()
+        const reloaded = await import('@/composables/useOfflineStarQueue.js')
+        expect(reloaded.useOfflineStarQueue().pendingCount.value).toBe(1)
+    })
+
+    it('withPendingStars overlays queued changes on cached lists', () => {
+        mod.queueStarChange(idea(1), true)
+
+        const [first, second] = mod.withPendingStars([idea(1), idea(2)])
+
+        expect(first.is_starred).toBe(true)
+        expect(first.starred_at).toEqual(expect.any(String))
+        expect(second).toEqual(idea(2))
+    })
+
+    it('replays unchanged ideas and skips ones already in the wanted state', async () => {
+        mod.queueStarChange(idea(1), true)
+        mod.queueStarChange(idea(2), true)
+        mod.queueStarChange(idea(3, { is_starred: true, starred_at: '2026-01-01T00:00:00+00:00' }), false)
+        const bulk = mockServer({
+            1: idea(1),
+            2: idea(2, { is_starred: true, starred_at: '2026-02-01T00:00:00.000000Z' }),
+            // Same moment in the model's serialisation
+            3: idea(3, { is_starred: true, starred_at: '2026-01-01T00:00:00.000000Z' }),
+        })
+
+        await mod.replayStarQueue()
+
+        expect(bulk).toEqual([{ ids: [1], starred: true }, { ids: [3], starred: false }])
+        expect(mod.useOfflineStarQueue().pendingCount.value).toBe(0)
+        expect(toasts.value).toEqual([expect.objectContaining({ message: 'Synced 2 star changes made offline', type: 'success' })])
+    })
+
+    it('keeps the server state on conflict and offers to apply the queued one', async () => {
+        mod.queueStarChange(idea(1, { is_starred: true, starred_at: '2026-01-01T00:00:00Z' }), false)
+        // Unstarred and starred again by someone else meanwhile
+        const bulk = mockServer({ 1: idea(1, { is_starred: true, starred_at: '2026-02-01T00:00:00Z' }) })
+
+        await mod.replayStarQueue()
+
+        expect(bulk).toEqual([])
+        expect(mod.useOfflineStarQueue().pendingCount.value).toBe(0)
+        expect(toasts.value).toEqual([expect.objectContaining({ type: 'warning', message: expect.stringContaining('“Idea 1” changed while you were offline') })])
+
+        await toasts.value[0].action.onClick()
+
+        expect(bulk).toEqual([{ ids: [1], starred: false }])
+    })
+
+    it('keeps the queue while the server is unreachable and drops deleted ideas', async () => {
+        mod.queueStarChange(idea(1), true)
+        global.fetch = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'))
+
+        await mod.replayStarQueue()
+
+        expect(global.fetch).toHaveBeenCalledTimes(1)
+        expect(mod.useOfflineStarQueue().pendingCount.value).toBe(1)
+        expect(toasts.value).toHaveLength(0)
+
+        mockServer({})
+        await mod.replayStarQueue()
+
+        expect(mod.useOfflineStarQueue().pendingCount.value).toBe(0)
+    })
+})
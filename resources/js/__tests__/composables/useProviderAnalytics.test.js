@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest'
+import {
+    TREND_COLORS,
+    providerAnalyticsUrl,
+    disagreementsUrl,
+    bucketLabel,
+    buildTrendChart,
+} from '@/composables/useProviderAnalytics.js'
+
+const trend = {
+    scans: [
+        { id: 1, subreddit: 'saas', completed_at: '2026-03-01 10:00:00', agreement_rate: 0.5 },
+        { id: 2, subreddit: 'saas', completed_at: '2026-03-08 10:00:00', agreement_rate: null },
+        { id: 3, subreddit: 'startups', completed_at: '2026-03-15 10:00:00', agreement_rate: 1 },
+    ],
+    providers: [
+        { name: 'haiku', keep_rates: [0.25, 0.5, 0.75] },
+    ],
+}
+
+describe('useProviderAnalytics', () => {
+    it('scopes urls to a subreddit or to every subreddit', () => {
+        expect(providerAnalyticsUrl(4)).toBe('/subreddits/4/provider-analytics')
+        expect(providerAnalyticsUrl(null, '/disagreements')).toBe('/provider-analytics/disagreements')
+        expect(disagreementsUrl(4, { keep: ['a', 'b'], skip: ['c'] }, 2))
+            .toBe('/subreddits/4/provider-analytics/disagreements?keep=a%2Cb&skip=c&page=2')
+    })
+
+    it('bucketLabel names who kept and who skipped', () => {
+        const label = bucketLabel({ keep: ['a', 'b'], skip: ['c'] }, (name) => name.toUpperCase())
+
+        expect(label).toBe('A + B kept, C skipped')
+    })
+
+    it('buildTrendChart breaks a line where a scan has no value', () => {
+        const chart = buildTrendChart(trend, { width: 200, height: 100 })
+        const [agreement, haiku] = chart.lines
+
+        expect(agreement.stroke).toBe(TREND_COLORS[0].stroke)
+        expect(agreement.paths).toEqual(['M 0 50 h 0', 'M 200 0 h 0'])
+        expect(haiku.name).toBe('haiku keep rate')
+        expect(haiku.paths).toEqual(['M 0 75 L 100 50 L 200 25'])
+    })
+
+    it('buildTrendChart adds a hover target per scan with its values', () => {
+        const chart = buildTrendChart(trend, { width: 200, height: 100, showSubreddit: true })
+
+        expect(chart.columns.map((column) => [column.x, column.width])).toEqual([[0, 50], [50, 100], [150, 50]])
+        expect(chart.columns[1].title).toMatch(/^r\/saas, .+, haiku keep rate 50%$/)
+        expect(chart.columns[2].title).toContain('Agreement 100%')
+    })
+
+    it('buildTrendChart centres a single scan', () => {
+        const chart = buildTrendChart({ scans: [trend.scans[0]], providers: [] }, { width: 200, height: 100 })
+
+        expect(chart.lines[0].paths).toEqual(['M 100 50 h 0'])
+        expect(chart.columns[0]).toMatchObject({ x: 0, width: 200 })
+    })
+})
@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeAll, vi } from 'vitest'
+import { useProviderMetadata } from '@/composables/useProviderMetadata.js'
+
+const metadata = {
+    providers: [
+        { config_key: 'anthropic-haiku', display_name: 'Claude Haiku 4.5', capabilities: ['classification'] },
+        { config_key: 'anthropic-sonnet', display_name: 'Claude Sonnet 4.5', capabilities: ['classification', 'extraction'] },
+        { config_key: 'anthropic-opus', display_name: 'Claude Opus 4.6', capabilities: ['extraction'] },
+    ],
+    classification_providers: ['anthropic-haiku'],
+    extraction_provider: 'anthropic-sonnet',
+    extraction_filter_providers: [],
+    consensus_thresholds: { keep: 0.65, discard: 0.35 },
+}
+
+describe('useProviderMetadata', () => {
+    // Module-level singleton: load once for the whole file
+    beforeAll(async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => metadata })
+        const { isLoaded } = useProviderMetadata()
+        await vi.waitFor(() => expect(isLoaded.value).toBe(true))
+        delete global.fetch
+    })
+
+    it('lists providers by capability and exposes the default thresholds', () => {
+        const { providersWithCapability, consensusThresholds } = useProviderMetadata()
+
+        expect(providersWithCapability('classification')).toEqual(['anthropic-haiku', 'anthropic-sonnet'])
+        expect(providersWithCapability('extraction')).toEqual(['anthropic-sonnet', 'anthropic-opus'])
+        expect(consensusThresholds.value).toEqual({ keep: 0.65, discard: 0.35 })
+    })
+
+    it('describes stored scan settings with display names', () => {
+        const { describeLlmSettings } = useProviderMetadata()
+
+        expect(describeLlmSettings(null)).toBeNull()
+        expect(describeLlmSettings({
+            classification_providers: ['anthropic-haiku', 'anthropic-sonnet'],
+            extraction_provider: 'anthropic-opus',
+            consensus_threshold_keep: 0.7,
+            consensus_threshold_discard: 0.3,
+            custom: true,
+        })).toEqual({
+            classification: 'Claude Haiku 4.5, Claude Sonnet 4.5',
+            extraction: 'Claude Opus 4.6',
+            thresholds: 'keep ≥ 0.70, discard < 0.30',
+            custom: true,
+        })
+    })
+})
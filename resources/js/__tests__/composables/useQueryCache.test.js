@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ref, nextTick, effectScope } from 'vue'
+import {
+    useQuery,
+    fetchQuery,
+    getQueryData,
+    invalidateQueries,
+    invalidateStarredIdeas,
+    clearQueryCache,
+    queryKeys,
+} from '@/composables/useQueryCache.js'
+
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('useQueryCache', () => {
+    let scope
+
+    beforeEach(() => {
+        clearQueryCache()
+        scope = effectScope()
+    })
+
+    afterEach(() => {
+        scope.stop()
+        vi.useRealTimers()
+    })
+
+    it('fetchQuery shares one request between concurrent callers', async () => {
+        const fetcher = vi.fn().mockResolvedValue({ n: 1 })
+
+        const [a, b] = await Promise.all([fetchQuery(['a'], fetcher), fetchQuery(['a'], fetcher)])
+
+        expect(a).toEqual({ n: 1 })
+        expect(b).toBe(a)
+        expect(fetcher).toHaveBeenCalledTimes(1)
+        expect(fetcher).toHaveBeenCalledWith(['a'])
+    })
+
+    it('fetchQuery serves fresh data from cache and refetches once stale', async () => {
+        vi.useFakeTimers()
+        const fetcher = vi.fn().mockResolvedValueOnce('first').mockResolvedValueOnce('second')
+
+        await fetchQuery(['a'], fetcher, { ttl: 1000 })
+        await expect(fetchQuery(['a'], fetcher, { ttl: 1000 })).resolves.toBe('first')
+        vi.advanceTimersByTime(1000)
+
+        await expect(fetchQuery(['a'], fetcher, { ttl: 1000 })).resolves.toBe('second')
+        expect(fetcher).toHaveBeenCalledTimes(2)
+    })
+
+    it('useQuery shows cached data at once and revalidates stale entries', async () => {
+        await fetchQuery(['ideas', 'all', null, '/api/ideas?page=1'], async () => ({ page: 'cached' }))
+        const fetcher = vi.fn().mockResolvedValue({ page: 'fresh' })
+
+        const query = scope.run(() => useQuery(() => ['ideas', 'all', null, '/api/ideas?page=1'], fetcher, { ttl: 0 }))
+
+        expect(query.data.value).toEqual({ page: 'cached' })
+        expect(query.isLoading.value).toBe(false)
+        expect(query.isFetching.value).toBe(true)
+
+        await query.settled()
+        expect(query.data.value).toEqual({ page: 'fresh' })
+        expect(query.isFetching.value).toBe(false)
+    })
+
+    it('useQuery follows its key and fetches nothing for a null key', async () => {
+        const id = ref(null)
+        const fetcher = vi.fn(async ([, ideaId]) => ({ id: ideaId }))
+
+        const query = scope.run(() => useQuery(() => (id.value ? queryKeys.idea(id.value) : null), fetcher))
+        expect(fetcher).not.toHaveBeenCalled()
+
+        id.value = 3
+        expect(query.isLoading.value).toBe(true)
+        await query.settled()
+
+        expect(query.data.value).toEqual({ id: 3 })
+        expect(getQueryData(['idea', 3])).toEqual({ id: 3 })
+    })
+
+    it('invalidating a prefix refetches shown entries and marks the rest stale', async () => {
+        const fetcher = vi.fn(async ([, , subredditId]) => ({ subredditId, at: fetcher.mock.calls.length }))
+        await fetchQuery(['ideas', 'subreddit', 5, '/subreddits/5/ideas?page=2'], fetcher)
+        const shown = scope.run(() => useQuery(() => ['ideas', 'subreddit', 4, '/subreddits/4/ideas?page=1'], fetcher))
+        await shown.settled()
+        expect(fetcher).toHaveBeenCalledTimes(2)
+
+        invalidateQueries(['ideas', 'subreddit', 4])
+        await shown.settled()
+
+        expect(fetcher).toHaveBeenCalledTimes(3)
+        expect(shown.data.value.at).toBe(3)
+
+        // Other subreddits stay cached
+        await fetchQuery(['ideas', 'subreddit', 5, '/subreddits/5/ideas?page=2'], fetcher)
+        expect(fetcher).toHaveBeenCalledTimes(3)
+    })
+
+    it('a response that started before an invalidation is not cached', async () => {
+        let resolveFirst
+        const fetcher = vi.fn()
+            .mockImplementationOnce(() => new Promise((resolve) => { resolveFirst = resolve }))
+            .mockResolvedValueOnce('after')
+
+        const first = fetchQuery(['a'], fetcher)
+        await flush()
+        invalidateQueries(['a'])
+        resolveFirst('before')
+        await first
+
+        expect(getQueryData(['a'])).toBeUndefined()
+        await expect(fetchQuery(['a'], fetcher)).resolves.toBe('after')
+    })
+
+    it('invalidateStarredIdeas covers the starred list, the idea and its subreddit', async () => {
+        const fetcher = vi.fn(async () => ({}))
+        const keys = [
+            ['ideas', 'starred', null, '/api/starred'],
+            ['ideas', 'subreddit', 4, '/subreddits/4/ideas'],
+            ['ideas', 'subreddit', 9, '/subreddits/9/ideas'],
+            ['idea', 1],
+            ['idea', 2],
+        ]
+        for (const key of keys) await fetchQuery(key, fetcher)
+
+        invalidateStarredIdeas([{ id: 1, post: { subreddit_id: 4 } }])
+        for (const key of keys) await fetchQuery(key, fetcher)
+
+        const refetched = fetcher.mock.calls.slice(keys.length).map(([key]) => key)
+        expect(refetched).toEqual([keys[0], keys[1], keys[3]])
+    })
+
+    it('useQuery reports failures and keeps the last data', async () => {
+        await fetchQuery(['a'], async () => 'cached')
+        const query = scope.run(() => useQuery(() => ['a'], async () => { throw new Error('Request failed (500)') }, { ttl: 0 }))
+
+        await query.settled()
+        await nextTick()
+
+        expect(query.error.value).toBe('Request failed (500)')
+        expect(query.data.value).toBe('cached')
+    })
+})
@@ -0,0 +1,80 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { useReprocessRun, describeRun } from '@/composables/useReprocess.js'
+import { POLL_INTERVAL_MS } from '@/composables/useScanStream.js'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+const makeRun = (overrides = {}) => ({
+    id: 5,
+    operation: 'extraction',
+    provider: 'anthropic-opus',
+    provider_display_name: 'Claude Opus',
+    status: 'running',
+    is_running: true,
+    posts_total: 12,
+    posts_processed: 3,
+    ideas_found: 4,
+    error_message: null,
+    ...overrides,
+})
+
+describe('useReprocess', () => {
+    beforeEach(() => {
+        vi.useFakeTimers()
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        delete global.fetch
+    })
+
+    it('describeRun reports progress and the finished totals', () => {
+        expect(describeRun(makeRun())).toBe('Re-extracting with Claude Opus · 3 of 12 posts')
+        expect(describeRun(makeRun({ is_running: false, status: 'completed', posts_processed: 12 })))
+            .toBe('Re-extraction with Claude Opus finished · 4 ideas from 12 posts')
+        expect(describeRun(makeRun({ operation: 'classification', is_running: false, status: 'completed' })))
+            .toBe('Re-classification with Claude Opus finished · 12 posts')
+        expect(describeRun(null)).toBe('')
+    })
+
+    it('start posts to the target route and polls until the run finishes', async () => {
+        const finished = makeRun({ status: 'completed', is_running: false, posts_processed: 12 })
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ run: makeRun({ posts_processed: 0 }), message: 'Re-extraction started' }))
+            .mockResolvedValueOnce(jsonResponse({ run: finished }))
+        const onFinish = vi.fn()
+        const { start, run, isRunning } = useReprocessRun(null, { onFinish })
+
+        const data = await start({ type: 'scan', id: 7 }, { operation: 'extraction', provider: 'anthropic-opus' })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/scans/7/reprocess')
+        expect(options.method).toBe('POST')
+        expect(options.headers['X-CSRF-TOKEN']).toBe('token')
+        expect(JSON.parse(options.body)).toEqual({ operation: 'extraction', provider: 'anthropic-opus' })
+        expect(data.message).toBe('Re-extraction started')
+        expect(isRunning.value).toBe(true)
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS)
+        expect(global.fetch).toHaveBeenLastCalledWith('/reprocess-runs/5', expect.any(Object))
+        expect(onFinish).toHaveBeenCalledWith(finished)
+        expect(run.value.is_running).toBe(false)
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS * 3)
+        expect(global.fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('start surfaces the server message', async () => {
+        global.fetch = vi.fn().mockResolvedValue(
+            jsonResponse({ message: 'A re-run is already in progress for r/startups' }, false, 422)
+        )
+        const { start, isStarting, run } = useReprocessRun()
+
+        await expect(start({ type: 'subreddit', id: 1 }, { operation: 'classification', provider: 'openai' }))
+            .rejects.toThrow('A re-run is already in progress')
+        expect(global.fetch.mock.calls[0][0]).toBe('/subreddits/1/reprocess')
+        expect(isStarting.value).toBe(false)
+        expect(run.value).toBeNull()
+    })
+})
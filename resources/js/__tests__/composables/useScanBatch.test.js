@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { useScanBatch, summarizeBatch } from '@/composables/useScanBatch.js'
+import { POLL_INTERVAL_MS } from '@/composables/useScanStream.js'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+const makeBatch = (states, overrides = {}) => {
+    const items = states.map((state, index) => ({ subreddit_id: index + 1, subreddit_name: `sub${index + 1}`, state, scan: null }))
+    const counts = {}
+    states.forEach((state) => { counts[state] = (counts[state] ?? 0) + 1 })
+    return { id: 9, status: 'running', is_running: true, items, counts, ...overrides }
+}
+
+describe('useScanBatch', () => {
+    beforeEach(() => {
+        vi.useFakeTimers()
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        delete global.fetch
+    })
+
+    it('summarizeBatch counts finished subreddits', () => {
+        expect(summarizeBatch(makeBatch(['completed', 'failed', 'running', 'queued']))).toMatchObject({
+            total: 4,
+            finished: 2,
+            running: 1,
+            queued: 1,
+            percent: 50,
+        })
+        expect(summarizeBatch(null).percent).toBe(0)
+    })
+
+    it('start posts the selection with the date range', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ batch: makeBatch(['running', 'queued']) }))
+        const { start, batch, isRunning } = useScanBatch()
+
+        await start([1, 2], { date_from: 'a', date_to: 'b' })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/scan-batches')
+        expect(options.method).toBe('POST')
+        expect(JSON.parse(options.body)).toEqual({ subreddit_ids: [1, 2], date_from: 'a', date_to: 'b' })
+        expect(batch.value.items).toHaveLength(2)
+        expect(isRunning.value).toBe(true)
+    })
+
+    it('polls a running batch and reports when it finishes', async () => {
+        const finished = makeBatch(['completed', 'completed'], { status: 'completed', is_running: false })
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ batch: makeBatch(['completed', 'running']) }))
+            .mockResolvedValueOnce(jsonResponse({ batch: finished }))
+        const onFinish = vi.fn()
+        const { batch } = useScanBatch(makeBatch(['running', 'queued']), { onFinish })
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS)
+        expect(global.fetch).toHaveBeenCalledWith('/scan-batches/9', expect.any(Object))
+        expect(onFinish).not.toHaveBeenCalled()
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS)
+        expect(onFinish).toHaveBeenCalledWith(finished)
+        expect(batch.value.is_running).toBe(false)
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS * 3)
+        expect(global.fetch).toHaveBeenCalledTimes(2)
+    })
+
+    it('reports each subreddit once as it finishes', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ batch: makeBatch(['completed', 'running', 'queued']) }))
+            .mockResolvedValueOnce(jsonResponse({ batch: makeBatch(['completed', 'failed', 'running']) }))
+        const onItemFinish = vi.fn()
+        useScanBatch(makeBatch(['completed', 'running', 'queued']), { onItemFinish })
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS)
+        expect(onItemFinish).not.toHaveBeenCalled()
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS)
+        expect(onItemFinish).toHaveBeenCalledTimes(1)
+        expect(onItemFinish).toHaveBeenCalledWith(expect.objectContaining({ subreddit_id: 2, state: 'failed' }), expect.objectContaining({ id: 9 }))
+    })
+
+    it('start surfaces the server message', async () => {
+        global.fetch = vi.fn().mockResolvedValue(
+            jsonResponse({ message: 'A batch scan is already running. Cancel it or wait for it to finish.' }, false, 422)
+        )
+        const { start, isStarting } = useScanBatch()
+
+        await expect(start([1], {})).rejects.toThrow('A batch scan is already running')
+        expect(isStarting.value).toBe(false)
+    })
+
+    it('cancel stops polling', async () => {
+        const cancelled = makeBatch(['failed', 'skipped'], { status: 'cancelled', is_running: false })
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ batch: cancelled }))
+        const onFinish = vi.fn()
+        const { cancel } = useScanBatch(makeBatch(['running', 'queued']), { onFinish })
+
+        await cancel()
+
+        expect(global.fetch).toHaveBeenCalledWith('/scan-batches/9/cancel', expect.objectContaining({ method: 'POST' }))
+        expect(onFinish).toHaveBeenCalledWith(cancelled)
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS * 2)
+        expect(global.fetch).toHaveBeenCalledTimes(1)
+    })
+})
@@ -0,0 +1,87 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { ref, nextTick } from 'vue'
+import { useScanEstimate, formatUsd, formatTokens, ESTIMATE_DEBOUNCE_MS } from '@/composables/useScanEstimate.js'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+const range = { date_from: '2026-10-01T00:00:00.000Z', date_to: '2026-10-08T00:00:00.000Z' }
+
+describe('useScanEstimate', () => {
+    beforeEach(() => {
+        vi.useFakeTimers()
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        delete global.fetch
+    })
+
+    it('formats costs and token counts', () => {
+        expect(formatUsd(1.234)).toBe('$1.23')
+        expect(formatUsd(0.004)).toBe('<$0.01')
+        expect(formatUsd(0)).toBe('$0.00')
+        expect(formatUsd(null)).toBe('—')
+        expect(formatTokens(950)).toBe('950')
+        expect(formatTokens(12_500)).toBe('12.5k')
+        expect(formatTokens(2_000)).toBe('2k')
+        expect(formatTokens(1_240_000)).toBe('1.2M')
+    })
+
+    it('debounces range changes into one request', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ estimate: { posts: 140, cost_usd: 0.42 } }))
+        const source = ref({ subredditId: 3, range })
+        const { estimate, isLoading } = useScanEstimate(() => source.value)
+
+        source.value = { subredditId: 3, range: { ...range, date_from: '2026-10-05T00:00:00.000Z' } }
+        await nextTick()
+        expect(isLoading.value).toBe(true)
+
+        await vi.advanceTimersByTimeAsync(ESTIMATE_DEBOUNCE_MS)
+
+        expect(global.fetch).toHaveBeenCalledTimes(1)
+        const [url] = global.fetch.mock.calls[0]
+        expect(url).toBe('/subreddits/3/scan-estimate?date_from=2026-10-05T00%3A00%3A00.000Z&date_to=2026-10-08T00%3A00%3A00.000Z')
+        expect(estimate.value).toEqual({ posts: 140, cost_usd: 0.42 })
+        expect(isLoading.value).toBe(false)
+    })
+
+    it('sends provider overrides as query parameters', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ estimate: { posts: 10, cost_usd: 0.01 } }))
+        useScanEstimate(() => ({
+            subredditId: 3,
+            range,
+            settings: { classification_providers: ['anthropic-haiku', 'openai-gpt5-mini'], extraction_provider: 'anthropic-opus' },
+        }))
+
+        await vi.advanceTimersByTimeAsync(ESTIMATE_DEBOUNCE_MS)
+
+        const params = new URL(global.fetch.mock.calls[0][0], 'http://localhost').searchParams
+        expect(params.getAll('classification_providers[]')).toEqual(['anthropic-haiku', 'openai-gpt5-mini'])
+        expect(params.get('extraction_provider')).toBe('anthropic-opus')
+    })
+
+    it('clears the estimate when the source goes away', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ estimate: { posts: 10, cost_usd: 0.01 } }))
+        const source = ref({ subredditId: 3, range })
+        const { estimate } = useScanEstimate(() => source.value)
+
+        await vi.advanceTimersByTimeAsync(ESTIMATE_DEBOUNCE_MS)
+        expect(estimate.value).not.toBeNull()
+
+        source.value = null
+        await nextTick()
+        expect(estimate.value).toBeNull()
+    })
+
+    it('surfaces validation errors', async () => {
+        global.fetch = vi.fn().mockResolvedValue(
+            jsonResponse({ errors: { date_from: ['The date range cannot exceed 12 weeks (84 days).'] } }, false, 422)
+        )
+        const { estimate, error } = useScanEstimate(() => ({ subredditId: 3, range }))
+
+        await vi.advanceTimersByTimeAsync(ESTIMATE_DEBOUNCE_MS)
+
+        expect(estimate.value).toBeNull()
+        expect(error.value).toBe('The date range cannot exceed 12 weeks (84 days).')
+    })
+})
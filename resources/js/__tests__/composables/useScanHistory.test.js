@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { formatDuration, buildIdeasChart, retryScan } from '@/composables/useScanHistory.js'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+describe('useScanHistory', () => {
+    beforeEach(() => {
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+    })
+
+    afterEach(() => {
+        delete global.fetch
+    })
+
+    it('formatDuration scales from seconds to hours', () => {
+        expect(formatDuration(null)).toBeNull()
+        expect(formatDuration(42)).toBe('42s')
+        expect(formatDuration(185)).toBe('3m 05s')
+        expect(formatDuration(4320)).toBe('1h 12m')
+    })
+
+    it('buildIdeasChart orders bars oldest first and skips running scans', () => {
+        const scans = [
+            { id: 4, ideas_found: 0, is_in_progress: true },
+            { id: 3, ideas_found: 0, is_failed: true, completed_at: '2026-10-03T00:00:00Z' },
+            { id: 2, ideas_found: 10, completed_at: '2026-10-02T00:00:00Z' },
+            { id: 1, ideas_found: 5, completed_at: '2026-10-01T00:00:00Z' },
+        ]
+
+        const { bars, max } = buildIdeasChart(scans, { width: 300, height: 100, gap: 0 })
+
+        expect(max).toBe(10)
+        expect(bars.map((bar) => bar.id)).toEqual([1, 2, 3])
+        expect(bars[0]).toMatchObject({ x: 0, width: 100, height: 50, y: 50 })
+        expect(bars[1]).toMatchObject({ x: 100, height: 100, y: 0 })
+        // Failed scans keep a sliver so the gap in the series stays visible
+        expect(bars[2]).toMatchObject({ failed: true, height: 2 })
+    })
+
+    it('retryScan posts to the retry route and surfaces the server message', async () => {
+        global.fetch = vi.fn()
+            .mockResolvedValueOnce(jsonResponse({ scan: { id: 12, status: 'pending' } }))
+            .mockResolvedValueOnce(jsonResponse({ message: 'Can only retry failed scans' }, false, 422))
+
+        await expect(retryScan(7)).resolves.toMatchObject({ id: 12 })
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/scans/7/retry')
+        expect(options.method).toBe('POST')
+        expect(options.headers['X-CSRF-TOKEN']).toBe('token')
+
+        await expect(retryScan(7)).rejects.toThrow('Can only retry failed scans')
+    })
+})
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { parseScheduleTime, describeSchedule, formatNextRun, saveSchedule, setSchedulePaused } from '@/composables/useScanSchedule.js'
+
+const jsonResponse = (data, ok = true, status = 200) => ({ ok, status, json: async () => data })
+
+describe('useScanSchedule', () => {
+    beforeEach(() => {
+        document.head.innerHTML = '<meta name="csrf-token" content="token">'
+    })
+
+    afterEach(() => {
+        delete global.fetch
+    })
+
+    it('parseScheduleTime reads time and weekday from a cron expression', () => {
+        expect(parseScheduleTime('30 7 * * 5')).toEqual({ time: '07:30', dayOfWeek: 5 })
+        expect(parseScheduleTime('0 18 * * *')).toEqual({ time: '18:00', dayOfWeek: 1 })
+        expect(parseScheduleTime('*/15 * * * *')).toEqual({ time: '09:00', dayOfWeek: 1 })
+    })
+
+    it('describeSchedule summarises each frequency', () => {
+        expect(describeSchedule({ frequency: 'daily', cron_expression: '0 9 * * *' })).toBe('Daily at 09:00')
+        expect(describeSchedule({ frequency: 'weekly', cron_expression: '30 7 * * 1' })).toBe('Weekly on Monday at 07:30')
+        expect(describeSchedule({ frequency: 'cron', cron_expression: '0 */6 * * *' })).toBe('Cron: 0 */6 * * *')
+    })
+
+    it('formatNextRun is relative for near runs', () => {
+        const now = new Date(2026, 2, 2, 8, 0)
+        expect(formatNextRun(new Date(2026, 2, 2, 8, 30).toISOString(), now)).toBe('in 30 min')
+        expect(formatNextRun(new Date(2026, 2, 2, 11, 0).toISOString(), now)).toBe('in 3 h')
+        expect(formatNextRun(new Date(2026, 2, 3, 9, 0).toISOString(), now)).toBe('tomorrow 09:00')
+        expect(formatNextRun(null, now)).toBeNull()
+    })
+
+    it('saveSchedule sends a PUT and returns the schedule', async () => {
+        global.fetch = vi.fn().mockResolvedValue(jsonResponse({ schedule: { id: 1 }, message: 'Schedule saved' }))
+
+        await expect(saveSchedule(4, { frequency: 'daily', time: '09:00' })).resolves.toEqual({ id: 1 })
+
+        const [url, options] = global.fetch.mock.calls[0]
+        expect(url).toBe('/subreddits/4/schedule')
+        expect(options.method).toBe('PUT')
+        expect(options.headers['X-CSRF-TOKEN']).toBe('token')
+    })
+
+    it('surfaces the first validation error', async () => {
+        global.fetch = vi.fn().mockResolvedValue(
+            jsonResponse({ errors: { cron_expression: ['Runs must be at least 60 minutes apart.'] } }, false, 422)
+        )
+
+        await expect(setSchedulePaused(4, true)).rejects.toThrow('Runs must be at least 60 minutes apart.')
+    })
+})
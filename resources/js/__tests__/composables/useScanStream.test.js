@@ -0,0 +1,132 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { useScanStream, backoffDelay, MAX_BACKOFF_MS, MAX_STREAM_FAILURES, POLL_INTERVAL_MS } from '@/composables/useScanStream.js'
+
+class FakeEventSource {
+    static instances = []
+
+    constructor(url) {
+        this.url = url
+        this.listeners = {}
+        this.closed = false
+        this.onerror = null
+        FakeEventSource.instances.push(this)
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener
+    }
+
+    close() {
+        this.closed = true
+    }
+
+    emit(type, data) {
+        this.listeners[type]?.({ data: JSON.stringify(data) })
+    }
+
+    fail() {
+        this.onerror?.()
+    }
+}
+
+const latest = () => FakeEventSource.instances.at(-1)
+
+const runningScan = { id: 7, status: 'classifying', is_in_progress: true }
+
+describe('useScanStream', () => {
+    beforeEach(() => {
+        vi.useFakeTimers()
+        FakeEventSource.instances = []
+        vi.stubGlobal('EventSource', FakeEventSource)
+    })
+
+    afterEach(() => {
+        vi.useRealTimers()
+        vi.unstubAllGlobals()
+    })
+
+    it('backoffDelay doubles and caps', () => {
+        expect(backoffDelay(0)).toBe(1000)
+        expect(backoffDelay(2)).toBe(4000)
+        expect(backoffDelay(20)).toBe(MAX_BACKOFF_MS)
+    })
+
+    it('streams status and ideas, then stops once the scan finishes', () => {
+        const onStatus = vi.fn()
+        const onIdeas = vi.fn()
+        const { transport, start } = useScanStream({ onStatus, onIdeas })
+
+        start(7)
+        expect(latest().url).toBe('/scans/7/stream')
+        expect(transport.value).toBe('connecting')
+
+        latest().emit('status', { scan: runningScan })
+        expect(transport.value).toBe('streaming')
+        expect(onStatus).toHaveBeenCalledWith(runningScan)
+
+        latest().emit('ideas', { ideas: [{ id: 3, idea_title: 'A' }] })
+        expect(onIdeas).toHaveBeenCalledWith([{ id: 3, idea_title: 'A' }])
+
+        const source = latest()
+        source.emit('status', { scan: { ...runningScan, status: 'completed', is_in_progress: false } })
+        expect(source.closed).toBe(true)
+        expect(transport.value).toBe('idle')
+    })
+
+    it('resumes from the last idea when the server asks to reconnect', () => {
+        const { start } = useScanStream()
+
+        start(7)
+        latest().emit('ideas', { ideas: [{ id: 4 }, { id: 9 }] })
+        latest().emit('reconnect', { after: 9 })
+
+        expect(FakeEventSource.instances).toHaveLength(2)
+        expect(latest().url).toBe('/scans/7/stream?after=9')
+    })
+
+    it('reconnects with backoff, then falls back to polling', async () => {
+        global.fetch = vi.fn().mockResolvedValue({ ok: true, json: async () => ({ scan: runningScan }) })
+        const onStatus = vi.fn()
+        const { transport, start, stop } = useScanStream({ onStatus })
+
+        start(7)
+        latest().fail()
+        expect(transport.value).toBe('connecting')
+
+        await vi.advanceTimersByTimeAsync(backoffDelay(0))
+        expect(FakeEventSource.instances).toHaveLength(2)
+
+        for (let i = 1; i < MAX_STREAM_FAILURES - 1; i++) {
+            latest().fail()
+            await vi.advanceTimersByTimeAsync(backoffDelay(i))
+        }
+        latest().fail()
+        await vi.advanceTimersByTimeAsync(0)
+
+        expect(transport.value).toBe('polling')
+        expect(global.fetch).toHaveBeenCalledTimes(1)
+        expect(global.fetch).toHaveBeenCalledWith('/scans/7/status', expect.any(Object))
+
+        await vi.advanceTimersByTimeAsync(POLL_INTERVAL_MS)
+        expect(global.fetch).toHaveBeenCalledTimes(2)
+        expect(onStatus).toHaveBeenCalledWith(runningScan)
+
+        stop()
+        delete global.fetch
+    })
+
+    it('polls straight away when EventSource is unavailable', async () => {
+        vi.stubGlobal('EventSource', undefined)
+        global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 500, json: async () => ({}) })
+        const { transport, error, start, stop } = useScanStream()
+
+        start(7)
+        await vi.advanceTimersByTimeAsync(0)
+
+        expect(transport.value).toBe('polling')
+        expect(error.value).toBe('Request failed (500)')
+
+        stop()
+        delete global.fetch
+    })
+})
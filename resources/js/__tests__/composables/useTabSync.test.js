@@ -0,0 +1,93 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+
+// A message as another tab would write it for the storage fallback
+const storageEvent = (message) =>
+    new StorageEvent('storage', { key: 'tab-sync', newValue: JSON.stringify({ from: 'other-tab', id: 'x', ...message }) })
+
+describe('useTabSync', () => {
+    beforeEach(() => {
+        vi.resetModules()
+        localStorage.clear()
+    })
+
+    afterEach(() => {
+        vi.unstubAllGlobals()
+    })
+
+    describe('with BroadcastChannel', () => {
+        let posted
+        let instances
+
+        beforeEach(() => {
+            posted = []
+            instances = []
+            vi.stubGlobal('BroadcastChannel', class {
+                constructor(name) {
+                    this.name = name
+                    instances.push(this)
+                }
+
+                postMessage(message) {
+                    posted.push(message)
+                }
+            })
+        })
+
+        it('posts messages and delivers other tabs\' messages to subscribers', async () => {
+            const { broadcast, onTabMessage, TAB_MESSAGES } = await import('@/composables/useTabSync.js')
+            const handler = vi.fn()
+            const off = onTabMessage(TAB_MESSAGES.sidebar, handler)
+
+            broadcast(TAB_MESSAGES.sidebar, true)
+            expect(posted).toEqual([expect.objectContaining({ type: 'sidebar', payload: true })])
+
+            // Its own messages never come back to the sender
+            instances[0].onmessage({ data: posted[0] })
+            instances[0].onmessage({ data: { type: 'sidebar', payload: false, from: 'other-tab' } })
+            expect(handler).toHaveBeenCalledTimes(1)
+            expect(handler).toHaveBeenCalledWith(false)
+
+            off()
+            instances[0].onmessage({ data: { type: 'sidebar', payload: true, from: 'other-tab' } })
+            expect(handler).toHaveBeenCalledTimes(1)
+            expect(localStorage.getItem('tab-sync')).toBeNull()
+        })
+    })
+
+    describe('without BroadcastChannel', () => {
+        beforeEach(() => {
+            vi.stubGlobal('BroadcastChannel', undefined)
+        })
+
+        it('falls back to storage events', async () => {
+            const { broadcast, onTabMessage, TAB_MESSAGES } = await import('@/composables/useTabSync.js')
+            const handler = vi.fn()
+            onTabMessage(TAB_MESSAGES.stars, handler)
+
+            broadcast(TAB_MESSAGES.stars, [{ id: 1, subreddit_id: 4 }])
+            const first = localStorage.getItem('tab-sync')
+            broadcast(TAB_MESSAGES.stars, [{ id: 1, subreddit_id: 4 }])
+
+            expect(JSON.parse(first)).toMatchObject({ type: 'stars', payload: [{ id: 1, subreddit_id: 4 }] })
+            // Repeats must still change the key, or no event fires
+            expect(localStorage.getItem('tab-sync')).not.toBe(first)
+
+            window.dispatchEvent(storageEvent({ type: 'stars', payload: [{ id: 2, subreddit_id: null }] }))
+            window.dispatchEvent(new StorageEvent('storage', { key: 'theme', newValue: 'dark' }))
+            expect(handler).toHaveBeenCalledTimes(1)
+            expect(handler).toHaveBeenCalledWith([{ id: 2, subreddit_id: null }])
+        })
+
+        it('applies another tab\'s theme without saving it again', async () => {
+            const { useTheme } = await import('@/composables/useTheme.js')
+            const { isDark } = useTheme()
+            const setItem = vi.spyOn(Storage.prototype, 'setItem')
+
+            window.dispatchEvent(storageEvent({ type: 'theme', payload: 'dark' }))
+
+            expect(isDark.value).toBe(true)
+            expect(setItem).not.toHaveBeenCalled()
+            setItem.mockRestore()
+        })
+    })
+})
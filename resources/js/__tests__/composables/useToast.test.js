@@ -18,6 +18,16 @@ describe('useToast', () => {
         expect(toasts.value.some((t) => t.message === 'Hello world')).toBe(true)
     })
 
+    it('addToast returns the new toast id', () => {
+        const { toasts, addToast, removeToast } = useToast()
+
+        const id = addToast({ message: 'Undoable' })
+        expect(toasts.value.find((t) => t.id === id)?.message).toBe('Undoable')
+
+        removeToast(id)
+        expect(toasts.value.some((t) => t.id === id)).toBe(false)
+    })
+
     it('addToast defaults type to success', () => {
         const { toasts, addToast } = useToast()
 
@@ -0,0 +1,114 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { mount } from '@vue/test-utils'
+import { defineComponent, h } from 'vue'
+import { useTriageShortcuts, isTypingTarget } from '@/composables/useTriageShortcuts.js'
+
+const mountWithShortcuts = (handlers, options) =>
+    mount(
+        defineComponent({
+            setup() {
+                useTriageShortcuts(handlers, options)
+                return () => h('div')
+            },
+        }),
+        { attachTo: document.body }
+    )
+
+const press = (key, init = {}, target = document.body) => {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init })
+    target.dispatchEvent(event)
+    return event
+}
+
+describe('useTriageShortcuts', () => {
+    afterEach(() => {
+        document.body.innerHTML = ''
+    })
+
+    it('dispatches mapped keys and prevents their default action', () => {
+        const j = vi.fn()
+        const wrapper = mountWithShortcuts({ j })
+
+        const event = press('j')
+
+        expect(j).toHaveBeenCalledTimes(1)
+        expect(event.defaultPrevented).toBe(true)
+        wrapper.unmount()
+    })
+
+    it('ignores keys pressed with modifiers', () => {
+        const k = vi.fn()
+        const wrapper = mountWithShortcuts({ k })
+
+        press('k', { ctrlKey: true })
+        press('k', { metaKey: true })
+
+        expect(k).not.toHaveBeenCalled()
+        wrapper.unmount()
+    })
+
+    it('ignores keys while typing in a field', () => {
+        const s = vi.fn()
+        const wrapper = mountWithShortcuts({ s })
+        const input = document.createElement('input')
+        document.body.appendChild(input)
+
+        press('s', {}, input)
+
+        expect(s).not.toHaveBeenCalled()
+        wrapper.unmount()
+    })
+
+    it('ignores keys while a modal dialog is open', () => {
+        const n = vi.fn()
+        const wrapper = mountWithShortcuts({ n })
+        const dialog = document.createElement('div')
+        dialog.setAttribute('role', 'dialog')
+        dialog.setAttribute('aria-modal', 'true')
+        document.body.appendChild(dialog)
+
+        press('n')
+
+        expect(n).not.toHaveBeenCalled()
+        wrapper.unmount()
+    })
+
+    it('lets the event through when a handler returns false', () => {
+        const wrapper = mountWithShortcuts({ Enter: () => false })
+
+        expect(press('Enter').defaultPrevented).toBe(false)
+        wrapper.unmount()
+    })
+
+    it('respects the enabled option and removes the listener on unmount', () => {
+        const p = vi.fn()
+        let enabled = false
+        const wrapper = mountWithShortcuts({ p }, { enabled: () => enabled })
+
+        press('p')
+        expect(p).not.toHaveBeenCalled()
+
+        enabled = true
+        press('p')
+        expect(p).toHaveBeenCalledTimes(1)
+
+        wrapper.unmount()
+        press('p')
+        expect(p).toHaveBeenCalledTimes(1)
+    })
+
+    it('isTypingTarget recognises form fields and contenteditable', () => {
+        const editable = document.createElement('div')
+        editable.setAttribute('contenteditable', 'true')
+
+        expect(isTypingTarget(document.createElement('textarea'))).toBe(true)
+        expect(isTypingTarget(document.createElement('select'))).toBe(true)
+        expect(isTypingTarget(editable)).toBe(true)
+        expect(isTypingTarget(document.createElement('button'))).toBe(false)
+
+        const checkbox = document.createElement('input')
+        checkbox.type = 'checkbox'
+        expect(isTypingTarget(checkbox)).toBe(false)
+        expect(isTypingTarget(null)).toBe(false)
+    })
+})
@@ -33,3 +33,14 @@ createInertiaApp({
         showSpinner: true,
     },
 });
+
+// Offline support (public/sw.js). Dev server modules aren't cacheable, so production only.
+if ("serviceWorker" in navigator && import.meta.env.PROD) {
+    window.addEventListener("load", () => {
+        navigator.serviceWorker
+            .register("/sw.js", { updateViaCache: "none" })
+            // Picks up a new build after a deploy; a fresh install caches it itself
+            .then((registration) => registration.active?.postMessage({ type: "sync-shell" }))
+            .catch((error) => console.error("Service worker registration failed:", error));
+    });
+}
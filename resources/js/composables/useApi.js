@@ -0,0 +1,313 @@
+import { useToast } from './useToast'
+
+/**
+ * URL builders for every route in routes/web.php, keyed by the Laravel route
+ * name. Parameters are the route's model ids in order.
+ */
+export const routes = {
+    'dashboard': () => '/',
+    'analytics': () => '/analytics',
+
+    'subreddit.store': () => '/subreddits',
+    'subreddit.show': (subredditId) => `/subreddits/${subredditId}`,
+    'subreddit.scans': (subredditId) => `/subreddits/${subredditId}/scans`,
+    'subreddit.destroy': (subredditId) => `/subreddits/${subredditId}`,
+
+    'scan.start': (subredditId) => `/subreddits/${subredditId}/scan`,
+    'scan.estimate': (subredditId) => `/subreddits/${subredditId}/scan-estimate`,
+    'api.scans.finished': () => '/api/scans/finished',
+    'scan.status': (scanId) => `/scans/${scanId}/status`,
+    'scan.stream': (scanId) => `/scans/${scanId}/stream`,
+    'scan.cancel': (scanId) => `/scans/${scanId}/cancel`,
+    'scan.retry': (scanId) => `/scans/${scanId}/retry`,
+
+    'scan-batch.store': () => '/scan-batches',
+    'scan-batch.show': (batchId) => `/scan-batches/${batchId}`,
+    'scan-batch.cancel': (batchId) => `/scan-batches/${batchId}/cancel`,
+
+    'scan-schedule.update': (subredditId) => `/subreddits/${subredditId}/schedule`,
+    'scan-schedule.pause': (subredditId) => `/subreddits/${subredditId}/schedule/pause`,
+    'scan-schedule.destroy': (subredditId) => `/subreddits/${subredditId}/schedule`,
+
+    'reprocess.subreddit': (subredditId) => `/subreddits/${subredditId}/reprocess`,
+    'reprocess.scan': (scanId) => `/scans/${scanId}/reprocess`,
+    'reprocess.idea': (ideaId) => `/ideas/${ideaId}/reprocess`,
+    'reprocess.show': (runId) => `/reprocess-runs/${runId}`,
+
+    'ideas.index': (subredditId) => `/subreddits/${subredditId}/ideas`,
+    'provider-analytics.show': (subredditId) => `/subreddits/${subredditId}/provider-analytics`,
+    'provider-analytics.subreddit-disagreements': (subredditId) => `/subreddits/${subredditId}/provider-analytics/disagreements`,
+    'provider-analytics.index': () => '/provider-analytics',
+    'provider-analytics.disagreements': () => '/provider-analytics/disagreements',
+    'ideas.starred': () => '/starred',
+    'api.ideas.starred': () => '/api/starred',
+    'ideas.all': () => '/ideas',
+    'api.ideas.all': () => '/api/ideas',
+    'ideas.compare': () => '/ideas/compare',
+    'ideas.bulk-star': () => '/ideas/bulk-star',
+    'ideas.show': (ideaId) => `/ideas/${ideaId}`,
+    'ideas.cluster': (ideaId) => `/ideas/${ideaId}/cluster`,
+    'ideas.star': (ideaId) => `/ideas/${ideaId}/star`,
+    'ideas.update': (ideaId) => `/ideas/${ideaId}`,
+    'api.ideas.tags': () => '/api/idea-tags',
+    'provider-metadata': () => '/api/provider-metadata',
+
+    'command-palette': () => '/api/command-palette',
+    'api.csrf-token': () => '/api/csrf-token',
+
+    'classification-label.update': (classificationId) => `/classifications/${classificationId}/label`,
+    'classification-label.destroy': (classificationId) => `/classifications/${classificationId}/label`,
+    'classification-label.export': () => '/classification-labels/export',
+}
+
+// Rate limiting and transient upstream failures
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504])
+const DEFAULT_RETRIES = 2
+const RETRY_BASE_DELAY_MS = 500
+const MAX_RETRY_DELAY_MS = 10000
+// Laravel's "page expired" response to a stale CSRF token
+const CSRF_EXPIRED_STATUS = 419
+const NETWORK_ERROR_MESSAGE = 'Could not reach the server. Check your connection and try again.'
+
+/**
+ * A failed request. `errors` is Laravel's validation bag (field → messages),
+ * `status` is 0 when the server could not be reached.
+ */
+export class ApiError extends Error {
+    constructor(message, { status = 0, errors = {}, data = null } = {}) {
+        super(message)
+        this.name = 'ApiError'
+        this.status = status
+        this.errors = errors
+        this.data = data
+    }
+
+    get isValidation() {
+        return this.status === 422
+    }
+}
+
+/**
+ * Normalise an error response: first validation message, then `message`,
+ * then the bare status.
+ */
+export function toApiError(status, data) {
+    const errors = data?.errors ?? {}
+    const firstError = Object.values(errors)[0]?.[0]
+    const message = status === CSRF_EXPIRED_STATUS
+        ? 'Your session expired. Refresh the page and try again.'
+        : firstError ?? (typeof data?.message === 'string' && data.message ? data.message : `Request failed (${status})`)
+
+    return new ApiError(message, { status, errors, data })
+}
+
+export const csrfToken = () => document.querySelector('meta[name="csrf-token"]')?.content ?? ''
+
+let csrfRefresh = null
+
+/**
+ * Fetch a fresh token into the page's meta tag. Concurrent 419s share one
+ * refresh. Resolves to whether a token was obtained.
+ */
+export function refreshCsrfToken() {
+    csrfRefresh ??= fetch(routes['api.csrf-token'](), {
+        headers: { Accept: 'application/json', 'X-Requested-With': 'XMLHttpRequest' },
+    })
+        .then((response) => (response.ok ? response.json() : {}))
+        .then(({ token } = {}) => {
+            if (!token) return false
+            let meta = document.querySelector('meta[name="csrf-token"]')
+            if (!meta) {
+                meta = document.createElement('meta')
+                meta.name = 'csrf-token'
+                document.head.appendChild(meta)
+            }
+            meta.content = token
+            return true
+        })
+        .catch(() => false)
+        .finally(() => { csrfRefresh = null })
+
+    return csrfRefresh
+}
+
+// Key → controller of the request currently holding that key
+const inFlight = new Map()
+let nextKey = 0
+
+/**
+ * Unique cancellation key for one component instance, e.g. `requestKey('ideas-table')`.
+ */
+export const requestKey = (prefix) => `${prefix}:${++nextKey}`
+
+/**
+ * Abort the request holding `key`, if any. Its promise rejects with an AbortError.
+ */
+export function cancelRequest(key) {
+    inFlight.get(key)?.abort()
+    inFlight.delete(key)
+}
+
+const abortError = () => new DOMException('The request was aborted.', 'AbortError')
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(abortError())
+    const timer = setTimeout(resolve, ms)
+    signal.addEventListener('abort', () => {
+        clearTimeout(timer)
+        reject(abortError())
+    }, { once: true })
+})
+
+const retryDelay = (response, attempt) => {
+    const retryAfter = Number(response?.headers?.get?.('Retry-After'))
+    const delay = Number.isFinite(retryAfter) && retryAfter > 0
+        ? retryAfter * 1000
+        : RETRY_BASE_DELAY_MS * 2 ** attempt
+    return Math.min(delay, MAX_RETRY_DELAY_MS)
+}
+
+const withQuery = (url, query) => {
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries(query ?? {})) {
+        if (value === null || value === undefined) continue
+        if (Array.isArray(value)) value.forEach((item) => params.append(`${key}[]`, item))
+        else params.append(key, value)
+    }
+    const search = params.toString()
+    return search ? `${url}${url.includes('?') ? '&' : '?'}${search}` : url
+}
+
+/**
+ * @typedef {object} ApiOptions
+ * @property {string} [method='GET']
+ * @property {Record<string, any>} [query] Appended to the URL; null values are dropped, arrays sent as `key[]`
+ * @property {any} [body] Sent as JSON
+ * @property {string} [key] A newer request with the same key aborts this one
+ * @property {AbortSignal} [signal]
+ * @property {number} [retries=2] Extra attempts after a 429, or a 5xx / network failure on a GET
+ * @property {boolean} [toast=true] Report the failure with an error toast
+ */
+
+/**
+ * JSON request against the app. Resolves to the parsed body; rejects with an
+ * ApiError, or with an AbortError when cancelled. Mutating requests carry the
+ * CSRF token and are replayed once with a fresh one after a 419.
+ *
+ * @param {string} url
+ * @param {ApiOptions} [options]
+ */
+export async function apiRequest(url, { method = 'GET', query, body, key, signal, retries = DEFAULT_RETRIES, toast = true } = {}) {
+    const controller = new AbortController()
+    const forwardAbort = () => controller.abort()
+    signal?.addEventListener('abort', forwardAbort, { once: true })
+    if (signal?.aborted) controller.abort()
+    if (key) {
+        cancelRequest(key)
+        inFlight.set(key, controller)
+    }
+
+    const isRead = method === 'GET'
+    const target = withQuery(url, query)
+    const send = () => fetch(target, {
+        method,
+        headers: {
+            Accept: 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+            ...(isRead ? {} : { 'X-CSRF-TOKEN': csrfToken() }),
+            ...(body === undefined ? {} : { 'Content-Type': 'application/json' }),
+        },
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: controller.signal,
+    })
+
+    try {
+        let csrfRefreshed = false
+
+        for (let attempt = 0; ; attempt++) {
+            let response
+            try {
+                response = await send()
+            } catch (error) {
+                if (error?.name === 'AbortError') throw error
+                if (isRead && attempt < retries) {
+                    await wait(retryDelay(null, attempt), controller.signal)
+                    continue
+                }
+                throw new ApiError(NETWORK_ERROR_MESSAGE)
+            }
+
+            if (response.status === CSRF_EXPIRED_STATUS && !isRead && !csrfRefreshed) {
+                csrfRefreshed = true
+                if (await refreshCsrfToken()) {
+                    attempt--
+                    continue
+                }
+            }
+
+            if (!response.ok && attempt < retries && (response.status === 429 || (isRead && RETRY_STATUSES.has(response.status)))) {
+                await wait(retryDelay(response, attempt), controller.signal)
+                continue
+            }
+
+            const data = await response.json().catch(() => ({}))
+            if (!response.ok) throw toApiError(response.status, data)
+            return data
+        }
+    } catch (error) {
+        if (toast && error?.name !== 'AbortError') {
+            useToast().addToast({ message: error.message, type: 'error' })
+        }
+        throw error
+    } finally {
+        signal?.removeEventListener('abort', forwardAbort)
+        if (key && inFlight.get(key) === controller) inFlight.delete(key)
+    }
+}
+
+const get = (url, options) => apiRequest(url, options)
+const send = (method) => (url, body, options) => apiRequest(url, { ...options, method, body })
+const post = send('POST')
+const put = send('PUT')
+const patch = send('PATCH')
+const destroy = (url, options) => apiRequest(url, { ...options, method: 'DELETE' })
+
+/**
+ * Request helpers for the JSON endpoints. Each takes the route's ids, then the
+ * body or query where there is one, then ApiOptions.
+ */
+export const api = {
+    get,
+
+    startScan: (subredditId, settings, options) => post(routes['scan.start'](subredditId), settings, options),
+    scanEstimate: (subredditId, query, options) => get(routes['scan.estimate'](subredditId), { ...options, query }),
+    scanStatus: (scanId, options) => get(routes['scan.status'](scanId), options),
+    cancelScan: (scanId, options) => post(routes['scan.cancel'](scanId), undefined, options),
+    retryScan: (scanId, options) => post(routes['scan.retry'](scanId), undefined, options),
+    finishedScans: (since, options) => get(routes['api.scans.finished'](), { ...options, query: { since } }),
+
+    startScanBatch: (payload, options) => post(routes['scan-batch.store'](), payload, options),
+    scanBatch: (batchId, options) => get(routes['scan-batch.show'](batchId), options),
+    cancelScanBatch: (batchId, options) => post(routes['scan-batch.cancel'](batchId), undefined, options),
+
+    saveSchedule: (subredditId, payload, options) => put(routes['scan-schedule.update'](subredditId), payload, options),
+    pauseSchedule: (subredditId, paused, options) => post(routes['scan-schedule.pause'](subredditId), { paused }, options),
+    deleteSchedule: (subredditId, options) => destroy(routes['scan-schedule.destroy'](subredditId), options),
+
+    // `target` is 'subreddit', 'scan' or 'idea'
+    startReprocess: (target, id, payload, options) => post(routes[`reprocess.${target}`](id), payload, options),
+    reprocessRun: (runId, options) => get(routes['reprocess.show'](runId), options),
+
+    idea: (ideaId, options) => get(routes['ideas.show'](ideaId), options),
+    ideaCluster: (ideaId, options) => get(routes['ideas.cluster'](ideaId), options),
+    toggleStar: (ideaId, options) => post(routes['ideas.star'](ideaId), undefined, options),
+    bulkStar: (ids, starred, options) => post(routes['ideas.bulk-star'](), { ids, starred }, options),
+    updateIdea: (ideaId, changes, options) => patch(routes['ideas.update'](ideaId), changes, options),
+    ideaTags: (options) => get(routes['api.ideas.tags'](), options),
+
+    providerMetadata: (options) => get(routes['provider-metadata'](), options),
+    commandPalette: (options) => get(routes['command-palette'](), options),
+
+    saveClassificationLabel: (classificationId, payload, options) => put(routes['classification-label.update'](classificationId), payload, options),
+    removeClassificationLabel: (classificationId, options) => destroy(routes['classification-label.destroy'](classificationId), options),
+}
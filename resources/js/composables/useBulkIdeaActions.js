@@ -0,0 +1,117 @@
+import { ref } from 'vue'
+import { useToast } from './useToast'
+import { api } from './useApi'
+import { invalidateStarredIdeas } from './useQueryCache'
+
+// Mirrors BulkStarIdeasRequest::MAX_IDS
+const BULK_CHUNK_SIZE = 500
+const MAX_LISTED_FAILURES = 5
+const UNDO_TOAST_DURATION = 8000
+
+/**
+ * Star or unstar ideas in chunks. Resolves to { updated, failed } where
+ * `failed` lists the ids the server could not update — a chunk that errors
+ * marks all of its ids as failed instead of aborting the rest.
+ */
+export async function bulkSetStarred(ids, starred) {
+    const updated = []
+    const failed = []
+
+    for (let i = 0; i < ids.length; i += BULK_CHUNK_SIZE) {
+        const chunk = ids.slice(i, i + BULK_CHUNK_SIZE)
+        try {
+            // Failed chunks are reported together in one summary toast
+            const data = await api.bulkStar(chunk, starred, { toast: false })
+            updated.push(...(data.updated ?? []))
+            failed.push(...(data.failed ?? []))
+        } catch (error) {
+            console.error('Failed to update stars:', error)
+            failed.push(...chunk)
+        }
+    }
+
+    return { updated, failed }
+}
+
+/**
+ * Human-readable list of failed idea titles, e.g. `"A", "B" and 3 more`.
+ */
+export function describeFailedIdeas(ideas, failedIds) {
+    const failed = new Set(failedIds)
+    const titles = ideas.filter((idea) => failed.has(idea.id)).map((idea) => `“${idea.idea_title}”`)
+    if (titles.length <= MAX_LISTED_FAILURES) {
+        return titles.length > 1 ? `${titles.slice(0, -1).join(', ')} and ${titles.at(-1)}` : titles.join('')
+    }
+    return `${titles.slice(0, MAX_LISTED_FAILURES).join(', ')} and ${titles.length - MAX_LISTED_FAILURES} more`
+}
+
+const plural = (count) => `${count} idea${count === 1 ? '' : 's'}`
+
+/**
+ * Bulk star/unstar with optimistic updates and a single undoable toast.
+ * `apply(id, { is_starred, starred_at })` is called for every optimistic,
+ * confirmed and rolled-back change; `onSettled` runs after each server round-trip.
+ */
+export function useBulkIdeaActions({ apply, onSettled } = {}) {
+    const { addToast, removeToast } = useToast()
+    const isWorking = ref(false)
+
+    const run = async (ideas, starred) => {
+        const previous = new Map(ideas.map((idea) => [idea.id, { is_starred: idea.is_starred, starred_at: idea.starred_at }]))
+        const optimisticAt = starred ? new Date().toISOString() : null
+        ideas.forEach((idea) => apply?.(idea.id, { is_starred: starred, starred_at: optimisticAt }))
+
+        isWorking.value = true
+        const { updated, failed } = await bulkSetStarred(ideas.map((idea) => idea.id), starred)
+        isWorking.value = false
+
+        updated.forEach(({ id, is_starred, starred_at }) => apply?.(id, { is_starred, starred_at }))
+        failed.forEach((id) => previous.has(id) && apply?.(id, previous.get(id)))
+        const updatedIds = new Set(updated.map(({ id }) => id))
+        if (updatedIds.size) invalidateStarredIdeas(ideas.filter((idea) => updatedIds.has(idea.id)))
+        await onSettled?.()
+
+        const failedSet = new Set(failed)
+        return { succeeded: ideas.filter((idea) => !failedSet.has(idea.id)), failed }
+    }
+
+    const setStarred = async (ideas, starred) => {
+        const verb = starred ? 'Starred' : 'Unstarred'
+        const targets = ideas.filter((idea) => !!idea.is_starred !== starred)
+        if (targets.length === 0) {
+            addToast({ message: `All selected ideas are already ${starred ? 'starred' : 'unstarred'}`, type: 'info' })
+            return
+        }
+
+        const { succeeded, failed } = await run(targets, starred)
+
+        if (succeeded.length === 0) {
+            addToast({ message: `Could not update ${describeFailedIdeas(targets, failed)}`, type: 'error' })
+            return
+        }
+
+        const message = failed.length
+            ? `${verb} ${succeeded.length} of ${plural(targets.length)}. Failed: ${describeFailedIdeas(targets, failed)}`
+            : `${verb} ${plural(succeeded.length)}`
+
+        const toastId = addToast({
+            message,
+            type: failed.length ? 'warning' : 'success',
+            duration: UNDO_TOAST_DURATION,
+            action: {
+                label: 'Undo',
+                onClick: async () => {
+                    removeToast(toastId)
+                    const undo = await run(succeeded.map((idea) => ({ ...idea, is_starred: starred })), !starred)
+                    addToast(
+                        undo.failed.length
+                            ? { message: `Could not undo ${describeFailedIdeas(succeeded, undo.failed)}`, type: 'error' }
+                            : { message: `Restored ${plural(undo.succeeded.length)}`, type: 'info' }
+                    )
+                },
+            },
+        })
+    }
+
+    return { isWorking, setStarred }
+}
@@ -0,0 +1,40 @@
+import { ref } from 'vue'
+import { api, routes } from './useApi'
+
+// JSON Lines download of every reviewed post (ClassificationLabelController::export)
+export const LABEL_EXPORT_URL = routes['classification-label.export']()
+
+/**
+ * Save or remove a reviewer's override of one classification. `save`
+ * resolves with the server payload: `{ label, message, extraction_started? }`.
+ * Failures land in `error` for the form to show, not in a toast.
+ */
+export function useClassificationLabel() {
+    const isSaving = ref(false)
+    const error = ref(null)
+
+    const run = async (send) => {
+        isSaving.value = true
+        error.value = null
+        try {
+            return await send({ toast: false })
+        } catch (e) {
+            error.value = e.message
+            throw e
+        } finally {
+            isSaving.value = false
+        }
+    }
+
+    const save = (classificationId, { decision, reason, forceExtraction = false }) =>
+        run((options) => api.saveClassificationLabel(classificationId, {
+            decision,
+            reason,
+            force_extraction: forceExtraction,
+        }, options))
+
+    const remove = (classificationId) =>
+        run((options) => api.removeClassificationLabel(classificationId, options))
+
+    return { isSaving, error, save, remove }
+}
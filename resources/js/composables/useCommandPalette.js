@@ -0,0 +1,101 @@
+import { ref } from 'vue'
+
+const RECENT_STORAGE_KEY = 'command-palette-recent'
+export const MAX_RECENT = 5
+
+// Module-level singleton — one palette shared by the layout and any trigger button
+const isOpen = ref(false)
+const recentIds = ref([])
+
+try {
+    const saved = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY) ?? '[]')
+    if (Array.isArray(saved)) {
+        recentIds.value = saved.filter((id) => typeof id === 'string').slice(0, MAX_RECENT)
+    }
+} catch {
+    // localStorage unavailable or corrupt — start without recents
+}
+
+const isWordStart = (text, index) => index === 0 || !/[a-z0-9]/.test(text[index - 1])
+
+/**
+ * Score how well `query` fuzzy-matches `text`. Every query character must
+ * appear in order; consecutive runs, word starts and plain substrings score
+ * higher. Returns -1 when there is no match and 0 for an empty query.
+ */
+export function fuzzyScore(query, text) {
+    const needle = query.trim().toLowerCase()
+    if (!needle) return 0
+    const haystack = String(text ?? '').toLowerCase()
+
+    let score = 0
+    let previous = -2
+    let position = 0
+
+    for (const char of needle) {
+        if (char === ' ') continue
+        const index = haystack.indexOf(char, position)
+        if (index === -1) return -1
+
+        score += 1
+        if (index === previous + 1) score += 5
+        if (isWordStart(haystack, index)) score += 8
+        previous = index
+        position = index + 1
+    }
+
+    const substringIndex = haystack.indexOf(needle)
+    if (substringIndex !== -1) {
+        score += 20
+        if (isWordStart(haystack, substringIndex)) score += 10
+    }
+
+    // Prefer shorter labels when everything else is equal
+    return score - haystack.length * 0.01
+}
+
+/**
+ * Rank commands against a query using their label and optional keywords.
+ * Non-matching commands are dropped; ties keep their original order.
+ */
+export function filterCommands(commands, query) {
+    if (!query.trim()) return commands
+
+    return commands
+        .map((command, index) => {
+            const score = Math.max(
+                fuzzyScore(query, command.label),
+                command.keywords ? fuzzyScore(query, command.keywords) - 1 : -1
+            )
+            return { command, score, index }
+        })
+        .filter((entry) => entry.score >= 0)
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .map((entry) => entry.command)
+}
+
+export function useCommandPalette() {
+    const openPalette = () => {
+        isOpen.value = true
+    }
+
+    const closePalette = () => {
+        isOpen.value = false
+    }
+
+    const togglePalette = () => {
+        isOpen.value = !isOpen.value
+    }
+
+    // Move a command to the front of the recent list
+    const recordRecent = (id) => {
+        recentIds.value = [id, ...recentIds.value.filter((existing) => existing !== id)].slice(0, MAX_RECENT)
+        try {
+            localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(recentIds.value))
+        } catch {
+            // ignore
+        }
+    }
+
+    return { isOpen, recentIds, openPalette, closePalette, togglePalette, recordRecent }
+}
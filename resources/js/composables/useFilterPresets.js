@@ -0,0 +1,137 @@
+import { ref } from 'vue'
+import { sanitizeFilters } from './useIdeaFilterQuery'
+
+const STORAGE_KEY = 'idea-filter-presets'
+
+/**
+ * Version of the filter object stored inside each preset. Bump it and add an
+ * entry to FILTER_MIGRATIONS whenever a filter is renamed or its values change,
+ * so presets saved by an older build are upgraded instead of dropped.
+ */
+export const FILTER_SCHEMA_VERSION = 1
+
+// Same mapping as Idea::scopeByClassificationAgreement
+const LEGACY_AGREEMENT_ALIASES = {
+    all_disagree: 'any_disagree',
+    haiku_only_keep: 'provider_keep:anthropic-haiku',
+    gpt_only_keep: 'provider_keep:openai-gpt5-mini',
+}
+
+// Keyed by the version a migration upgrades *from*
+const FILTER_MIGRATIONS = {
+    // v0: unversioned presets — agreement filter still used the legacy provider-specific values
+    0: (filters) => ({
+        ...filters,
+        classification_agreement:
+            LEGACY_AGREEMENT_ALIASES[filters.classification_agreement] ?? filters.classification_agreement,
+    }),
+}
+
+export function migratePresetFilters(filters, fromVersion = 0) {
+    let migrated = { ...(filters ?? {}) }
+    for (let version = fromVersion; version < FILTER_SCHEMA_VERSION; version++) {
+        migrated = FILTER_MIGRATIONS[version]?.(migrated) ?? migrated
+    }
+    return migrated
+}
+
+const createId = () => `preset-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`
+
+const normalizePreset = (raw) => {
+    if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim()) return null
+
+    return {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createId(),
+        name: raw.name.trim(),
+        filters: migratePresetFilters(raw.filters, Number.isInteger(raw.schema) ? raw.schema : 0),
+        schema: FILTER_SCHEMA_VERSION,
+        created_at: raw.created_at ?? new Date().toISOString(),
+    }
+}
+
+// Module-level singleton — presets are shared by every IdeasTable instance
+const presets = ref([])
+const defaultPresetIds = ref({ subreddit: null, starred: null, all: null })
+
+const persist = () => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({
+            presets: presets.value,
+            defaults: defaultPresetIds.value,
+        }))
+    } catch {
+        // ignore
+    }
+}
+
+// Initialize from localStorage
+try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null')
+    presets.value = (Array.isArray(saved?.presets) ? saved.presets : []).map(normalizePreset).filter(Boolean)
+
+    const ids = new Set(presets.value.map((p) => p.id))
+    for (const mode of Object.keys(defaultPresetIds.value)) {
+        const id = saved?.defaults?.[mode]
+        defaultPresetIds.value[mode] = ids.has(id) ? id : null
+    }
+
+    // Write back so migrated presets are stored under the current schema
+    if (saved !== null) persist()
+} catch {
+    // localStorage unavailable or corrupt — start with no presets
+}
+
+export function useFilterPresets() {
+    const savePreset = (name, filters) => {
+        const preset = normalizePreset({ name, filters, schema: FILTER_SCHEMA_VERSION })
+        if (!preset) return null
+        presets.value = [...presets.value, preset]
+        persist()
+        return preset
+    }
+
+    const renamePreset = (id, name) => {
+        const trimmed = name?.trim()
+        if (!trimmed) return
+        presets.value = presets.value.map((p) => (p.id === id ? { ...p, name: trimmed } : p))
+        persist()
+    }
+
+    const deletePreset = (id) => {
+        presets.value = presets.value.filter((p) => p.id !== id)
+        for (const mode of Object.keys(defaultPresetIds.value)) {
+            if (defaultPresetIds.value[mode] === id) defaultPresetIds.value[mode] = null
+        }
+        persist()
+    }
+
+    /**
+     * Mark a preset as the default view for a table mode ('subreddit' | 'starred' | 'all').
+     * Pass null to clear it.
+     */
+    const setDefaultPreset = (mode, id) => {
+        defaultPresetIds.value = { ...defaultPresetIds.value, [mode]: id }
+        persist()
+    }
+
+    const getDefaultPreset = (mode) => {
+        const id = defaultPresetIds.value[mode]
+        return id ? presets.value.find((p) => p.id === id) ?? null : null
+    }
+
+    /**
+     * Resolve a preset's stored filters against the current mode defaults.
+     */
+    const resolvePresetFilters = (preset, defaults) => sanitizeFilters(preset.filters, defaults)
+
+    return {
+        presets,
+        defaultPresetIds,
+        savePreset,
+        renamePreset,
+        deletePreset,
+        setDefaultPreset,
+        getDefaultPreset,
+        resolvePresetFilters,
+    }
+}
@@ -0,0 +1,165 @@
+// Series colours for the weekly chart, as literal classes so Tailwind keeps them
+export const SERIES_COLORS = [
+    { fill: 'fill-brand-500', bg: 'bg-brand-500' },
+    { fill: 'fill-sky-500', bg: 'bg-sky-500' },
+    { fill: 'fill-amber-500', bg: 'bg-amber-500' },
+    { fill: 'fill-rose-500', bg: 'bg-rose-500' },
+    { fill: 'fill-violet-500', bg: 'bg-violet-500' },
+    { fill: 'fill-orange-500', bg: 'bg-orange-500' },
+    { fill: 'fill-fuchsia-500', bg: 'bg-fuchsia-500' },
+]
+
+const OTHER_COLOR = { fill: 'fill-slate-400', bg: 'bg-slate-400' }
+
+// Score dimensions as returned by IdeaAnalyticsService, keyed by `score_field`
+export const SCORE_DIMENSIONS = [
+    { field: 'overall', label: 'Overall' },
+    { field: 'demand', label: 'Demand' },
+    { field: 'monetization', label: 'Monetization' },
+    { field: 'saturation', label: 'Competition' },
+    { field: 'complexity', label: 'Buildability' },
+]
+
+/**
+ * Add days to a `YYYY-MM-DD` date without local-timezone drift.
+ */
+export function addDays(isoDate, days) {
+    const date = new Date(`${isoDate}T00:00:00Z`)
+    date.setUTCDate(date.getUTCDate() + days)
+    return date.toISOString().slice(0, 10)
+}
+
+export function formatDay(isoDate) {
+    return new Date(`${isoDate}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+}
+
+/**
+ * `/ideas` URL with drill-down filters, limited to the analytics range.
+ */
+export function ideasUrl(filters, range) {
+    const params = new URLSearchParams({ ...filters, date_from: range.date_from, date_to: range.date_to })
+    return `/ideas?${params}`
+}
+
+/**
+ * A Monday-based week as a date range, clipped to the analytics range.
+ */
+export function weekRange(weekStart, range) {
+    const weekEnd = addDays(weekStart, 6)
+    return {
+        date_from: weekStart < range.date_from ? range.date_from : weekStart,
+        date_to: weekEnd > range.date_to ? range.date_to : weekEnd,
+    }
+}
+
+/**
+ * One subreddit's ideas for a week.
+ */
+export function subredditWeekUrl(subredditId, weekStart, range) {
+    return `/subreddits/${subredditId}?${new URLSearchParams(weekRange(weekStart, range))}`
+}
+
+/**
+ * Stacked ideas-per-week columns, one segment per subreddit. Subreddits past
+ * the palette are folded into "Other", which links to all ideas that week.
+ * Coordinates are in SVG viewBox units.
+ */
+export function buildWeeklyChart(perWeek, range, { width = 640, height = 200, gap = 4 } = {}) {
+    const weeks = perWeek?.weeks ?? []
+    const allSeries = perWeek?.series ?? []
+
+    const series = allSeries.slice(0, SERIES_COLORS.length).map((entry, index) => ({ ...entry, color: SERIES_COLORS[index] }))
+    const rest = allSeries.slice(SERIES_COLORS.length)
+    if (rest.length) {
+        series.push({
+            subreddit_id: null,
+            name: `${rest.length} other${rest.length === 1 ? '' : 's'}`,
+            counts: weeks.map((_, week) => rest.reduce((sum, entry) => sum + (entry.counts[week] ?? 0), 0)),
+            total: rest.reduce((sum, entry) => sum + entry.total, 0),
+            color: OTHER_COLOR,
+        })
+    }
+
+    const totals = weeks.map((_, week) => series.reduce((sum, entry) => sum + (entry.counts[week] ?? 0), 0))
+    const max = Math.max(1, ...totals)
+    const slot = weeks.length ? width / weeks.length : width
+    const barWidth = Math.max(1, slot - gap)
+
+    const bars = weeks.map((week, index) => {
+        let top = height
+        const segments = series
+            .filter((entry) => (entry.counts[index] ?? 0) > 0)
+            .map((entry) => {
+                const count = entry.counts[index]
+                const segmentHeight = (count / max) * height
+                top -= segmentHeight
+                return {
+                    key: `${week}-${entry.subreddit_id ?? 'other'}`,
+                    y: top,
+                    height: segmentHeight,
+                    fill: entry.color.fill,
+                    label: `${entry.subreddit_id ? `r/${entry.name}` : entry.name}, week of ${formatDay(week)}: ${count} idea${count === 1 ? '' : 's'}`,
+                    href: entry.subreddit_id
+                        ? subredditWeekUrl(entry.subreddit_id, week, range)
+                        : ideasUrl({}, weekRange(week, range)),
+                }
+            })
+
+        return { key: week, label: formatDay(week), total: totals[index], x: index * slot + gap / 2, width: barWidth, segments }
+    })
+
+    const legend = series.map((entry) => ({
+        name: entry.name,
+        subredditId: entry.subreddit_id,
+        total: entry.total,
+        bg: entry.color.bg,
+    }))
+
+    return { bars, legend, max, width, height }
+}
+
+/**
+ * Score histogram (1–5) for one dimension; each column links to the ideas
+ * with that exact score.
+ */
+export function buildScoreChart(distribution, field, range, { width = 200, height = 100, gap = 8 } = {}) {
+    const entries = distribution ?? []
+    const max = Math.max(1, ...entries.map((entry) => entry.ideas))
+    const slot = entries.length ? width / entries.length : width
+
+    const bars = entries.map((entry, index) => {
+        const barHeight = entry.ideas ? Math.max(2, (entry.ideas / max) * height) : 0
+        return {
+            key: String(entry.score),
+            label: String(entry.score),
+            total: entry.ideas,
+            x: index * slot + gap / 2,
+            width: Math.max(1, slot - gap),
+            segments: barHeight
+                ? [{
+                    key: `${field}-${entry.score}`,
+                    y: height - barHeight,
+                    height: barHeight,
+                    fill: 'fill-brand-500',
+                    label: `Score ${entry.score}: ${entry.ideas} idea${entry.ideas === 1 ? '' : 's'}`,
+                    href: ideasUrl({ score_field: field, score: entry.score }, range),
+                }]
+                : [],
+        }
+    })
+
+    return { bars, legend: [], max, width, height }
+}
+
+/**
+ * Rows for a ranked horizontal bar list; `percent` is relative to the top entry.
+ */
+export function buildRankedRows(items, { countKey = 'ideas', href } = {}) {
+    const max = Math.max(1, ...(items ?? []).map((item) => item[countKey] ?? 0))
+    return (items ?? []).map((item) => ({
+        ...item,
+        count: item[countKey] ?? 0,
+        percent: Math.round(((item[countKey] ?? 0) / max) * 100),
+        href: href?.(item) ?? null,
+    }))
+}
@@ -0,0 +1,126 @@
+import { computed, unref } from 'vue'
+import { SCORE_FIELDS } from './useIdeaExport'
+
+export const MIN_COMPARE = 2
+export const MAX_COMPARE = 4
+
+export const COMPARISON_TEXT_FIELDS = [
+    { key: 'target_audience', label: 'Target audience' },
+    { key: 'monetization_model', label: 'Monetization' },
+    { key: 'extraction_provider', label: 'Extracted by' },
+]
+
+export const COMPARISON_LIST_FIELDS = [
+    { key: 'existing_competitors', label: 'Competitors' },
+    { key: 'marketing_channels', label: 'Marketing channels' },
+]
+
+const normalize = (value) => String(value ?? '').trim().toLowerCase()
+
+export function buildComparisonUrl(ids) {
+    return `/ideas/compare?ids=${ids.join(',')}`
+}
+
+// True when at least two ideas disagree (case- and whitespace-insensitive)
+export function valuesDiffer(values) {
+    return new Set(values.map(normalize)).size > 1
+}
+
+// Whether list fields differ as sets, ignoring order and case
+export function listsDiffer(lists) {
+    return valuesDiffer(lists.map((list) => [...new Set((list ?? []).map(normalize))].sort().join('\n')))
+}
+
+/**
+ * Normalized items present in every list — anything else is a difference.
+ */
+export function sharedItems(lists) {
+    const [first = [], ...rest] = lists.map((list) => new Set((list ?? []).map(normalize)))
+    return new Set([...first].filter((item) => rest.every((set) => set.has(item))))
+}
+
+/**
+ * Ids of the ideas holding the highest score for `key`. Empty when all tie.
+ */
+export function bestScoreIds(ideas, key) {
+    const scores = ideas.map((idea) => idea[key] ?? 0)
+    const best = Math.max(...scores)
+    if (scores.every((score) => score === best)) return []
+    return ideas.filter((idea) => (idea[key] ?? 0) === best).map((idea) => idea.id)
+}
+
+const escapeCell = (value) => String(value ?? '').replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ').trim() || '—'
+
+/**
+ * Markdown table with one column per idea. Rows whose values differ are
+ * flagged in the first column so the export keeps the highlighting.
+ */
+export function comparisonToMarkdown(ideas) {
+    const header = ['', ...ideas.map((idea) => {
+        const subreddit = idea.post?.subreddit?.name ? ` (r/${idea.post.subreddit.name})` : ''
+        return escapeCell(`${idea.idea_title}${subreddit}`)
+    })]
+
+    const rows = []
+    const addRow = (label, values, differs) => {
+        rows.push([differs ? `**${label}** ≠` : label, ...values.map(escapeCell)])
+    }
+
+    for (const field of SCORE_FIELDS) {
+        const values = ideas.map((idea) => idea[field.key])
+        addRow(field.label, values.map((v) => (v == null ? '—' : `${v}/5`)), valuesDiffer(values))
+    }
+    for (const field of COMPARISON_TEXT_FIELDS) {
+        const values = ideas.map((idea) => idea[field.key])
+        addRow(field.label, values, valuesDiffer(values))
+    }
+    for (const field of COMPARISON_LIST_FIELDS) {
+        const lists = ideas.map((idea) => idea[field.key] ?? [])
+        addRow(field.label, lists.map((list) => list.join(', ')), listsDiffer(lists))
+    }
+
+    const line = (cells) => `| ${cells.join(' | ')} |`
+    return [
+        '# Idea comparison',
+        '',
+        line(header),
+        line(header.map(() => '---')),
+        ...rows.map(line),
+        '',
+        '_≠ marks rows where the ideas differ._',
+        '',
+    ].join('\n')
+}
+
+/**
+ * Comparison rows for a list of ideas (ref or array). Each row carries its
+ * `type` ('score' | 'text' | 'list') and whether the ideas differ on it.
+ */
+export function useIdeaComparison(ideas) {
+    const rows = computed(() => {
+        const list = unref(ideas)
+        return [
+            ...SCORE_FIELDS.map((field) => ({
+                ...field,
+                type: 'score',
+                differs: valuesDiffer(list.map((idea) => idea[field.key])),
+                best: bestScoreIds(list, field.key),
+            })),
+            ...COMPARISON_TEXT_FIELDS.map((field) => ({
+                ...field,
+                type: 'text',
+                differs: valuesDiffer(list.map((idea) => idea[field.key])),
+            })),
+            ...COMPARISON_LIST_FIELDS.map((field) => ({
+                ...field,
+                type: 'list',
+                differs: listsDiffer(list.map((idea) => idea[field.key])),
+                shared: sharedItems(list.map((idea) => idea[field.key])),
+            })),
+        ]
+    })
+
+    const differenceCount = computed(() => rows.value.filter((row) => row.differs).length)
+
+    return { rows, differenceCount, toMarkdown: () => comparisonToMarkdown(unref(ideas)) }
+}
@@ -0,0 +1,215 @@
+import { ref } from 'vue'
+import { buildIdeasApiUrl } from './useIdeaFilterQuery'
+import { api, requestKey, cancelRequest } from './useApi'
+
+// Largest page the API accepts (ListIdeasRequest per_page max)
+const EXPORT_PAGE_SIZE = 100
+
+export const EXPORT_FORMATS = {
+    csv: { label: 'CSV', extension: 'csv', mime: 'text/csv;charset=utf-8' },
+    json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+    markdown: { label: 'Markdown', extension: 'md', mime: 'text/markdown;charset=utf-8' },
+}
+
+export const SCORE_FIELDS = [
+    { key: 'score_overall', label: 'Overall' },
+    { key: 'score_monetization', label: 'Monetization' },
+    { key: 'score_saturation', label: 'Market Open' },
+    { key: 'score_complexity', label: 'Buildability' },
+    { key: 'score_demand', label: 'Demand' },
+]
+
+const redditUrl = (idea) => (idea.post?.permalink ? `https://reddit.com${idea.post.permalink}` : '')
+
+const subredditName = (idea) => (idea.post?.subreddit?.name ? `r/${idea.post.subreddit.name}` : '')
+
+const CSV_COLUMNS = [
+    { header: 'id', value: (idea) => idea.id },
+    { header: 'title', value: (idea) => idea.idea_title },
+    { header: 'subreddit', value: subredditName },
+    ...SCORE_FIELDS.map((f) => ({ header: f.key, value: (idea) => idea[f.key] })),
+    // Near-duplicates across posts, itself included — a rough demand signal
+    { header: 'similar_ideas', value: (idea) => idea.cluster_size ?? 1 },
+    { header: 'problem_statement', value: (idea) => idea.problem_statement },
+    { header: 'proposed_solution', value: (idea) => idea.proposed_solution },
+    { header: 'target_audience', value: (idea) => idea.target_audience },
+    { header: 'monetization_model', value: (idea) => idea.monetization_model },
+    { header: 'existing_competitors', value: (idea) => (idea.existing_competitors ?? []).join('; ') },
+    { header: 'marketing_channels', value: (idea) => (idea.marketing_channels ?? []).join('; ') },
+    { header: 'extraction_provider', value: (idea) => idea.extraction_provider },
+    { header: 'classification_status', value: (idea) => idea.classification_status },
+    { header: 'is_starred', value: (idea) => (idea.is_starred ? 'yes' : 'no') },
+    { header: 'source_quote', value: (idea) => idea.source_quote },
+    { header: 'reddit_url', value: redditUrl },
+    { header: 'created_at', value: (idea) => idea.created_at },
+]
+
+const escapeCsvValue = (value) => {
+    let text = value === null || value === undefined ? '' : String(value)
+    // Neutralise spreadsheet formulas (CSV injection)
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export function ideasToCsv(ideas) {
+    const rows = [CSV_COLUMNS.map((c) => c.header)]
+    for (const idea of ideas) {
+        rows.push(CSV_COLUMNS.map((c) => c.value(idea)))
+    }
+    return rows.map((row) => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n'
+}
+
+export function ideasToJson(ideas) {
+    return JSON.stringify(ideas, null, 2) + '\n'
+}
+
+const markdownList = (items) => items.map((item) => `- ${item}`).join('\n')
+
+export function ideaToMarkdown(idea) {
+    const lines = [`## ${idea.idea_title}`, '']
+
+    const meta = [subredditName(idea), idea.extraction_provider ? `extracted by ${idea.extraction_provider}` : '']
+        .filter(Boolean)
+        .join(' · ')
+    if (meta) lines.push(`_${meta}_`, '')
+
+    lines.push(
+        '| ' + SCORE_FIELDS.map((f) => f.label).join(' | ') + ' |',
+        '| ' + SCORE_FIELDS.map(() => ':---:').join(' | ') + ' |',
+        '| ' + SCORE_FIELDS.map((f) => idea[f.key] ?? '—').join(' | ') + ' |',
+        '',
+    )
+
+    const sections = [
+        ['Problem', idea.problem_statement],
+        ['Solution', idea.proposed_solution],
+        ['Target audience', idea.target_audience],
+        ['Monetization', idea.monetization_model],
+    ]
+    for (const [title, text] of sections) {
+        if (text) lines.push(`**${title}:** ${text}`, '')
+    }
+
+    if (idea.existing_competitors?.length) {
+        lines.push('**Competitors:**', markdownList(idea.existing_competitors), '')
+    }
+    if (idea.marketing_channels?.length) {
+        lines.push('**Marketing channels:**', markdownList(idea.marketing_channels), '')
+    }
+
+    const branding = idea.branding_suggestions
+    if (branding?.name_ideas?.length || branding?.tagline) {
+        lines.push('**Branding:**')
+        if (branding.name_ideas?.length) lines.push(`- Names: ${branding.name_ideas.join(', ')}`)
+        if (branding.tagline) lines.push(`- Tagline: “${branding.tagline}”`)
+        lines.push('')
+    }
+
+    if (idea.source_quote) {
+        lines.push(`> ${idea.source_quote.replace(/\n/g, '\n> ')}`, '')
+    }
+    if (redditUrl(idea)) {
+        lines.push(`[View on Reddit](${redditUrl(idea)})`, '')
+    }
+
+    return lines.join('\n')
+}
+
+export function ideasToMarkdown(ideas, title = 'SaaS ideas') {
+    const header = `# ${title}\n\n${ideas.length} idea${ideas.length === 1 ? '' : 's'} · exported ${new Date().toISOString().slice(0, 10)}\n`
+    return [header, ...ideas.map(ideaToMarkdown)].join('\n---\n\n')
+}
+
+export function formatIdeas(ideas, format, title) {
+    switch (format) {
+        case 'csv':
+            return ideasToCsv(ideas)
+        case 'json':
+            return ideasToJson(ideas)
+        case 'markdown':
+            return ideasToMarkdown(ideas, title)
+        default:
+            throw new Error(`Unknown export format: ${format}`)
+    }
+}
+
+export function downloadFile(content, filename, mime) {
+    const blob = new Blob([content], { type: mime })
+    const url = URL.createObjectURL(blob)
+    const link = document.createElement('a')
+    link.href = url
+    link.download = filename
+    document.body.appendChild(link)
+    link.click()
+    link.remove()
+    URL.revokeObjectURL(url)
+}
+
+/**
+ * Fetch every page of an ideas listing with the given filters.
+ * `onProgress` receives { loaded, total } after each page. Each page is
+ * requested under `key`, so cancelRequest(key) stops the fetch. Pass
+ * `toast: false` when the caller reports failures itself.
+ */
+export async function fetchAllIdeas({ mode, subredditId, filters, key, onProgress, toast = true }) {
+    const ideas = []
+    let page = 1
+    let lastPage = 1
+
+    do {
+        const url = buildIdeasApiUrl({ mode, subredditId, filters, page, perPage: EXPORT_PAGE_SIZE })
+        const data = await api.get(url, { key, toast })
+        ideas.push(...(data.ideas ?? []))
+        lastPage = data.pagination?.last_page ?? 1
+        onProgress?.({ loaded: ideas.length, total: data.pagination?.total ?? ideas.length })
+        page++
+    } while (page <= lastPage)
+
+    return ideas
+}
+
+export function useIdeaExport() {
+    const isExporting = ref(false)
+    const progress = ref(null)
+    const exportRequest = requestKey('idea-export')
+
+    /**
+     * Export the full filtered result set and trigger a download. Pass
+     * `getIdeas` to export a given list (e.g. a selection) instead.
+     * Returns the number of exported ideas.
+     */
+    const exportIdeas = async ({ mode, subredditId, filters, format, filenameBase, title, getIdeas = null }) => {
+        const config = EXPORT_FORMATS[format]
+        if (!config) throw new Error(`Unknown export format: ${format}`)
+
+        cancelRequest(exportRequest)
+        isExporting.value = true
+        progress.value = { loaded: 0, total: null }
+
+        try {
+            const ideas = getIdeas
+                ? await getIdeas()
+                : await fetchAllIdeas({
+                    mode,
+                    subredditId,
+                    filters,
+                    key: exportRequest,
+                    onProgress: (p) => { progress.value = p },
+                    // Thrown to the caller, which reports export failures of any kind
+                    toast: false,
+                })
+            const date = new Date().toISOString().slice(0, 10)
+            downloadFile(formatIdeas(ideas, format, title), `${filenameBase}-${date}.${config.extension}`, config.mime)
+            return ideas.length
+        } finally {
+            isExporting.value = false
+            progress.value = null
+        }
+    }
+
+    const cancelExport = () => {
+        cancelRequest(exportRequest)
+    }
+
+    return { isExporting, progress, exportIdeas, cancelExport }
+}
@@ -0,0 +1,217 @@
+import { onMounted, onBeforeUnmount } from 'vue'
+import { routes } from './useApi'
+
+/**
+ * Query-string schema for the ideas table. Keys mirror the parameters accepted
+ * by ListIdeasRequest so a copied URL maps 1:1 onto the API request.
+ * Unknown or invalid values are dropped and fall back to the mode defaults.
+ */
+export const FILTER_QUERY_SCHEMA = {
+    q: { type: 'string', maxLength: 200 },
+    min_score: { type: 'int', min: 1, max: 5 },
+    min_complexity: { type: 'int', min: 1, max: 5 },
+    starred_only: { type: 'bool' },
+    include_borderline: { type: 'bool' },
+    group_similar: { type: 'bool' },
+    extraction_provider: { type: 'string', maxLength: 50 },
+    // Plus `provider_keep:<provider>`: ideas one provider kept
+    classification_agreement: { type: 'enum', values: ['', 'all_agree', 'any_disagree'], pattern: /^provider_keep:[\w.-]+$/ },
+    status: { type: 'enum', values: ['', 'new', 'researching', 'validated', 'rejected', 'building'] },
+    tags: { type: 'string', maxLength: 200 },
+    scan_id: { type: 'int', min: 1, max: Number.MAX_SAFE_INTEGER },
+    date_from: { type: 'date' },
+    date_to: { type: 'date' },
+    score_field: { type: 'enum', values: ['', 'overall', 'demand', 'monetization', 'saturation', 'complexity'] },
+    score: { type: 'int', min: 1, max: 5 },
+    target_audience: { type: 'string', maxLength: 500 },
+    monetization_model: { type: 'string', maxLength: 500 },
+    competitor: { type: 'string', maxLength: 200 },
+    category: { type: 'string', maxLength: 50 },
+    sort_by: {
+        type: 'enum',
+        values: [
+            'score_overall',
+            'score_complexity',
+            'score_monetization',
+            'score_saturation',
+            'score_demand',
+            'created_at',
+            'starred_at',
+            'cluster_size',
+        ],
+    },
+    sort_dir: { type: 'enum', values: ['asc', 'desc'] },
+}
+
+const SCORE_FIELD_LABELS = {
+    overall: 'Score',
+    demand: 'Demand',
+    monetization: 'Monetization',
+    saturation: 'Competition',
+    complexity: 'Buildability',
+}
+
+const formatDay = (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+
+/**
+ * Narrowing filters set by links from other pages (scan history, analytics
+ * charts) rather than by the filter bar. Each shows as one removable chip;
+ * `keys` are cleared together.
+ */
+export const DRILLDOWN_FILTERS = [
+    { keys: ['scan_id'], label: (f) => `Scan #${f.scan_id} only`, title: 'Showing ideas from one scan — click to show all' },
+    { keys: ['date_from', 'date_to'], label: (f) => `${formatDay(f.date_from)} – ${formatDay(f.date_to)}` },
+    { keys: ['score_field', 'score'], label: (f) => `${SCORE_FIELD_LABELS[f.score_field] ?? 'Score'} ${f.score}` },
+    { keys: ['target_audience'], label: (f) => `Audience: ${f.target_audience}` },
+    { keys: ['monetization_model'], label: (f) => `Monetization: ${f.monetization_model}` },
+    { keys: ['competitor'], label: (f) => `Competitor: ${f.competitor}` },
+    { keys: ['category'], label: (f) => `Category: ${f.category.replace(/-/g, ' ')}` },
+]
+
+/**
+ * Drill-down chips for the filters that are set (every key non-empty).
+ */
+export function activeDrilldowns(filters) {
+    return DRILLDOWN_FILTERS
+        .filter(({ keys }) => keys.every((key) => (filters?.[key] ?? '') !== ''))
+        .map((drilldown) => ({
+            keys: drilldown.keys,
+            label: drilldown.label(filters),
+            title: drilldown.title ?? 'Click to remove this filter',
+        }))
+}
+
+export const PER_PAGE_OPTIONS = [10, 20, 50]
+export const DEFAULT_PER_PAGE = 20
+
+const parseValue = (raw, rule) => {
+    switch (rule.type) {
+        case 'int': {
+            if (!/^\d+$/.test(raw)) return undefined
+            const value = parseInt(raw, 10)
+            if (value < rule.min || value > rule.max) return undefined
+            return value
+        }
+        case 'bool':
+            if (raw === 'true' || raw === '1') return true
+            if (raw === 'false' || raw === '0') return false
+            return undefined
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(raw) ? raw : undefined
+        case 'enum':
+            return rule.values.includes(raw) || rule.pattern?.test(raw) ? raw : undefined
+        case 'string':
+            return raw.length <= rule.maxLength ? raw : undefined
+        default:
+            return undefined
+    }
+}
+
+const parsePositiveInt = (raw) => (/^\d+$/.test(raw ?? '') ? parseInt(raw, 10) : 0)
+
+/**
+ * Validate a loose filter object (query params, stored presets) against the schema.
+ * Missing or invalid keys fall back to the defaults; keys outside the defaults are dropped.
+ */
+export function sanitizeFilters(raw, defaults) {
+    const filters = { ...defaults }
+
+    for (const [key, rule] of Object.entries(FILTER_QUERY_SCHEMA)) {
+        if (!(key in defaults) || raw?.[key] === undefined || raw[key] === null) continue
+        const value = parseValue(String(raw[key]), rule)
+        if (value !== undefined) filters[key] = value
+    }
+
+    return filters
+}
+
+/**
+ * Parse a query string into { filters, page, perPage, hasQuery }.
+ * Filters not present in the query keep their default value.
+ */
+export function parseFilterQuery(search, defaults) {
+    const params = new URLSearchParams(search)
+    const filters = sanitizeFilters(Object.fromEntries(params), defaults)
+
+    const page = parsePositiveInt(params.get('page')) || 1
+    const perPageRaw = parsePositiveInt(params.get('per_page'))
+    const perPage = PER_PAGE_OPTIONS.includes(perPageRaw) ? perPageRaw : DEFAULT_PER_PAGE
+
+    // Only keys owned by the table count — unrelated params must not suppress the default view
+    const hasQuery = [...params.keys()].some((key) => key in FILTER_QUERY_SCHEMA || key === 'page' || key === 'per_page')
+
+    return { filters, page, perPage, hasQuery }
+}
+
+/**
+ * Build the ideas query string. Only values that differ from the defaults are
+ * written so the default view keeps a clean URL.
+ */
+export function buildFilterQuery(filters, defaults, { page = 1, perPage = DEFAULT_PER_PAGE } = {}) {
+    const params = new URLSearchParams()
+
+    for (const key of Object.keys(FILTER_QUERY_SCHEMA)) {
+        if (!(key in filters)) continue
+        const value = filters[key] ?? ''
+        if (value === (defaults[key] ?? '')) continue
+        params.set(key, String(value))
+    }
+
+    if (page > 1) params.set('page', String(page))
+    if (perPage !== DEFAULT_PER_PAGE) params.set('per_page', String(perPage))
+
+    return params.toString()
+}
+
+/**
+ * Build the JSON endpoint URL for an ideas listing. Shared by the table and
+ * exports so both always send exactly the same filter parameters.
+ */
+export function buildIdeasApiUrl({ mode, subredditId, filters, page = 1, perPage = DEFAULT_PER_PAGE }) {
+    // Omit empty string filters so backend doesn't receive blank values
+    const rawFilters = Object.fromEntries(
+        Object.entries(filters).filter(([, value]) => value !== '' && value !== null && value !== undefined)
+    )
+
+    const params = new URLSearchParams({
+        ...rawFilters,
+        page,
+        per_page: perPage,
+    })
+
+    if (mode === 'starred') return `${routes['api.ideas.starred']()}?${params}`
+    if (mode === 'all') return `${routes['api.ideas.all']()}?${params}`
+    return `${routes['ideas.index'](subredditId)}?${params}`
+}
+
+/**
+ * Keep the ideas table state in the address bar.
+ *
+ * Entries are pushed with a copy of the current history state so Inertia still
+ * recognises them on back/forward. `onPopState` receives the parsed state.
+ */
+export function useIdeaFilterQuery({ getDefaults, onPopState }) {
+    const read = () => parseFilterQuery(window.location.search, getDefaults())
+
+    const write = (filters, { page = 1, perPage = DEFAULT_PER_PAGE, replace = false } = {}) => {
+        const query = buildFilterQuery(filters, getDefaults(), { page, perPage })
+        const url = `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`
+        if (url === `${window.location.pathname}${window.location.search}${window.location.hash}`) return
+
+        const state = window.history.state ? { ...window.history.state } : null
+        if (replace) {
+            window.history.replaceState(state, '', url)
+        } else {
+            window.history.pushState(state, '', url)
+        }
+    }
+
+    const handlePopState = () => {
+        onPopState?.(read())
+    }
+
+    onMounted(() => window.addEventListener('popstate', handlePopState))
+    onBeforeUnmount(() => window.removeEventListener('popstate', handlePopState))
+
+    return { read, write }
+}
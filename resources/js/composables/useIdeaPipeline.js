@@ -0,0 +1,65 @@
+import { ref } from 'vue'
+import { api } from './useApi'
+
+/**
+ * Pipeline statuses in workflow order. Mirrors Idea::STATUSES.
+ */
+export const IDEA_STATUSES = [
+    { value: 'new', label: 'New', classes: 'bg-surface-tertiary text-content-secondary' },
+    { value: 'researching', label: 'Researching', classes: 'bg-status-info/10 text-status-info' },
+    { value: 'validated', label: 'Validated', classes: 'bg-status-success/10 text-status-success' },
+    { value: 'rejected', label: 'Rejected', classes: 'bg-status-error/10 text-status-error' },
+    { value: 'building', label: 'Building', classes: 'bg-brand-50 text-brand-700' },
+]
+
+// Mirrors Idea::MAX_TAGS / Idea::MAX_TAG_LENGTH
+export const MAX_TAGS = 20
+export const MAX_TAG_LENGTH = 30
+
+export const getStatus = (value) => IDEA_STATUSES.find((s) => s.value === value) ?? IDEA_STATUSES[0]
+
+// Same normalisation as Idea::normalizeTags so chips match what the server stores
+export function normalizeTag(tag) {
+    return String(tag ?? '').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, MAX_TAG_LENGTH)
+}
+
+/**
+ * Split a comma-separated string into unique, normalised tags.
+ */
+export function parseTags(input) {
+    return [...new Set(String(input ?? '').split(',').map(normalizeTag).filter(Boolean))]
+}
+
+/**
+ * PATCH an idea's status, tags and/or notes. Resolves to the saved fields.
+ */
+export function updateIdea(id, changes) {
+    return api.updateIdea(id, changes)
+}
+
+// Module-level singleton — tag suggestions shared by every editor and the filter bar
+const knownTags = ref([])
+let tagsRequest = null
+
+export function useIdeaTags() {
+    const loadTags = ({ force = false } = {}) => {
+        if (tagsRequest && !force) return tagsRequest
+        tagsRequest = api.ideaTags({ toast: false })
+            .then((data) => {
+                knownTags.value = (data.tags ?? []).map((tag) => tag.name)
+            })
+            .catch(() => {
+                // Suggestions are optional — keep whatever we had
+                tagsRequest = null
+            })
+        return tagsRequest
+    }
+
+    // Make newly used tags available to other editors without a refetch
+    const rememberTags = (tags) => {
+        const missing = tags.filter((tag) => !knownTags.value.includes(tag))
+        if (missing.length) knownTags.value = [...knownTags.value, ...missing]
+    }
+
+    return { knownTags, loadTags, rememberTags }
+}
@@ -0,0 +1,80 @@
+import { ref, computed } from 'vue'
+
+/**
+ * Row selection for an ideas listing. Selected ideas are kept as snapshots
+ * keyed by id so the selection survives paging. `allMatching` stands in for
+ * every idea matching the current filters, resolved lazily when an action runs;
+ * rows unchecked in that mode are remembered in `excluded`.
+ */
+export function useIdeaSelection() {
+    const selected = ref(new Map())
+    const allMatching = ref(false)
+    const excluded = ref(new Set())
+
+    const isSelected = (id) => (allMatching.value ? !excluded.value.has(id) : selected.value.has(id))
+
+    const toggle = (idea) => {
+        if (allMatching.value) {
+            if (excluded.value.has(idea.id)) excluded.value.delete(idea.id)
+            else excluded.value.add(idea.id)
+            return
+        }
+        if (selected.value.has(idea.id)) {
+            selected.value.delete(idea.id)
+        } else {
+            selected.value.set(idea.id, idea)
+        }
+    }
+
+    const setPage = (ideas, checked) => {
+        for (const idea of ideas) {
+            if (allMatching.value) {
+                if (checked) excluded.value.delete(idea.id)
+                else excluded.value.add(idea.id)
+            } else if (checked) {
+                selected.value.set(idea.id, idea)
+            } else {
+                selected.value.delete(idea.id)
+            }
+        }
+    }
+
+    const pageState = (ideas) => {
+        if (ideas.length === 0) return 'none'
+        const count = ideas.filter((idea) => isSelected(idea.id)).length
+        if (count === 0) return 'none'
+        return count === ideas.length ? 'all' : 'some'
+    }
+
+    const selectAllMatching = () => {
+        excluded.value.clear()
+        allMatching.value = true
+    }
+
+    const clear = () => {
+        selected.value.clear()
+        excluded.value.clear()
+        allMatching.value = false
+    }
+
+    // Keep snapshots in sync after star changes so exports reflect the latest state
+    const update = (id, changes) => {
+        const idea = selected.value.get(id)
+        if (idea) selected.value.set(id, { ...idea, ...changes })
+    }
+
+    const hasSelection = computed(() => allMatching.value || selected.value.size > 0)
+
+    const count = (total) => (allMatching.value ? Math.max(total - excluded.value.size, 0) : selected.value.size)
+
+    /**
+     * Resolve the selection to idea objects. `fetchAll` loads every matching idea.
+     */
+    const resolve = async (fetchAll) => {
+        if (!allMatching.value) return [...selected.value.values()]
+        const ideas = await fetchAll()
+        return ideas.filter((idea) => !excluded.value.has(idea.id))
+    }
+
+    return { selected, allMatching, excluded, hasSelection, isSelected, toggle, setPage, pageState, selectAllMatching, clear, update, count, resolve }
+}
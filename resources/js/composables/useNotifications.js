@@ -0,0 +1,239 @@
+import { ref, computed } from 'vue'
+import { router } from '@inertiajs/vue3'
+import { api, routes, cancelRequest } from './useApi'
+import { broadcast, onTabMessage, TAB_MESSAGES } from './useTabSync'
+
+const STORAGE_KEY = 'notifications'
+const SETTINGS_KEY = 'notification-settings'
+// When the last finished-scans check ran, shared by every tab
+const CHECKED_AT_KEY = 'notifications-checked-at'
+const FINISHED_SCANS_REQUEST = 'finished-scans'
+const FINISHED_SCANS_INTERVAL_MS = 30000
+export const MAX_NOTIFICATIONS = 50
+// Titles listed in a high-score notification
+const TOP_IDEAS_LIMIT = 3
+
+export const SCORE_THRESHOLDS = [3, 4, 5]
+const DEFAULT_SETTINGS = { browser: false, minScore: 4 }
+
+// type → label and badge colour in the notification center
+export const NOTIFICATION_TYPES = {
+    'scan-completed': { label: 'Scan completed', classes: 'bg-status-success/10 text-status-success' },
+    'scan-failed': { label: 'Scan failed', classes: 'bg-status-error/10 text-status-error' },
+    'high-score': { label: 'High-scoring ideas', classes: 'bg-accent-500/10 text-accent-500' },
+}
+
+function read(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key) ?? 'null') ?? fallback
+    } catch {
+        return fallback
+    }
+}
+
+function persist(key, value) {
+    try {
+        localStorage.setItem(key, JSON.stringify(value))
+    } catch {
+        // localStorage unavailable — history lasts until the page is closed
+    }
+}
+
+function write(key, value) {
+    persist(key, value)
+    broadcast(TAB_MESSAGES.notifications)
+}
+
+// Module-level singletons — one history for every page
+const stored = read(STORAGE_KEY, [])
+const notifications = ref(Array.isArray(stored) ? stored : [])
+const settings = ref({ ...DEFAULT_SETTINGS, ...read(SETTINGS_KEY, {}) })
+
+// Another tab added, read or cleared notifications
+onTabMessage(TAB_MESSAGES.notifications, () => {
+    const history = read(STORAGE_KEY, [])
+    notifications.value = Array.isArray(history) ? history : []
+    settings.value = { ...DEFAULT_SETTINGS, ...read(SETTINGS_KEY, {}) }
+})
+
+export const browserNotificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window
+
+// Only when the tab is in the background — otherwise the unread badge is enough
+function showBrowserNotification({ key, title, body, href }) {
+    if (!settings.value.browser || !browserNotificationsSupported()) return
+    if (Notification.permission !== 'granted' || document.visibilityState !== 'hidden') return
+
+    try {
+        const notification = new Notification(title, { body, tag: key, icon: '/icon.svg' })
+        notification.onclick = () => {
+            window.focus()
+            markRead(key)
+            if (href) router.visit(href)
+            notification.close()
+        }
+    } catch {
+        // Some browsers only allow notifications from a service worker
+    }
+}
+
+/**
+ * Add a notification unless one with the same `key` exists, so a scan seen
+ * finishing by two pages, or two tabs, is reported once. Newest first, oldest
+ * dropped beyond MAX_NOTIFICATIONS. Returns whether it was added.
+ */
+export function notify({ key, type, title, body = '', href = null }) {
+    // The stored history, which another tab may have just added to
+    const history = read(STORAGE_KEY, null)
+    if (Array.isArray(history)) notifications.value = history
+    if (notifications.value.some((notification) => notification.key === key)) return false
+
+    const notification = { key, type, title, body, href, created_at: new Date().toISOString(), read: false }
+    notifications.value = [notification, ...notifications.value].slice(0, MAX_NOTIFICATIONS)
+    write(STORAGE_KEY, notifications.value)
+    showBrowserNotification(notification)
+    return true
+}
+
+export function markRead(key) {
+    notifications.value = notifications.value.map((notification) =>
+        notification.key === key ? { ...notification, read: true } : notification
+    )
+    write(STORAGE_KEY, notifications.value)
+}
+
+export function markAllRead() {
+    notifications.value = notifications.value.map((notification) => ({ ...notification, read: true }))
+    write(STORAGE_KEY, notifications.value)
+}
+
+export function clearNotifications() {
+    notifications.value = []
+    write(STORAGE_KEY, notifications.value)
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`
+
+/**
+ * Ideas from a completed scan scoring at least the configured threshold.
+ */
+async function notifyHighScoringIdeas(scan, subreddit) {
+    const minScore = settings.value.minScore
+    const filters = { scan_id: scan.id, min_score: minScore }
+    const query = { ...filters, sort_by: 'score_overall', sort_dir: 'desc', per_page: TOP_IDEAS_LIMIT }
+
+    let data
+    try {
+        data = await api.get(routes['ideas.index'](subreddit.id), { query, toast: false })
+    } catch {
+        // Nice to have — the scan notification already went out
+        return
+    }
+
+    const total = data.pagination?.total ?? data.ideas?.length ?? 0
+    if (!total) return
+
+    notify({
+        key: `scan:${scan.id}:high-score`,
+        type: 'high-score',
+        title: `${plural(total, 'idea')} scored ${minScore}+ in r/${subreddit.name}`,
+        body: data.ideas.map((idea) => idea.idea_title).join(' · '),
+        href: `${routes['subreddit.show'](subreddit.id)}?${new URLSearchParams(filters)}`,
+    })
+}
+
+/**
+ * Report a scan that stopped: completed (plus any high-scoring ideas it
+ * found) or failed with its error. `subreddit` is `{ id, name }`.
+ */
+export async function notifyScanFinished(scan, subreddit) {
+    if (!scan?.id || scan.is_in_progress) return
+    const href = routes['subreddit.show'](subreddit.id)
+
+    if (scan.is_failed) {
+        notify({
+            key: `scan:${scan.id}:failed`,
+            type: 'scan-failed',
+            title: `Scan of r/${subreddit.name} failed`,
+            body: scan.error_message || scan.status_message || 'The scan stopped with an unknown error',
+            href,
+        })
+        return
+    }
+
+    const added = notify({
+        key: `scan:${scan.id}:completed`,
+        type: 'scan-completed',
+        title: `Scan of r/${subreddit.name} completed`,
+        body: `${plural(scan.ideas_found ?? 0, 'new idea')} found`,
+        href,
+    })
+    // Already reported here or in another tab, follow-up included
+    if (added && scan.ideas_found) await notifyHighScoringIdeas(scan, subreddit)
+}
+
+/**
+ * Report scans that finished since the last check by any tab, whichever
+ * page is open. The first check only sets the shared cursor.
+ */
+export async function checkFinishedScans() {
+    let data
+    try {
+        data = await api.finishedScans(read(CHECKED_AT_KEY, null), { key: FINISHED_SCANS_REQUEST, toast: false })
+    } catch {
+        // Offline or cancelled — the next check covers the same window
+        return
+    }
+
+    // Another tab may have checked meanwhile; the cursor only moves forward
+    const since = read(CHECKED_AT_KEY, null)
+    if (!since || Date.parse(data.checked_at) > Date.parse(since)) persist(CHECKED_AT_KEY, data.checked_at)
+
+    await Promise.all((data.scans ?? []).map((scan) => notifyScanFinished(scan, scan.subreddit)))
+}
+
+/**
+ * Check for finished scans now and every FINISHED_SCANS_INTERVAL_MS.
+ * Returns a function that stops watching.
+ */
+export function watchFinishedScans() {
+    checkFinishedScans()
+    const timer = setInterval(checkFinishedScans, FINISHED_SCANS_INTERVAL_MS)
+
+    return () => {
+        clearInterval(timer)
+        cancelRequest(FINISHED_SCANS_REQUEST)
+    }
+}
+
+export function updateNotificationSettings(changes) {
+    settings.value = { ...settings.value, ...changes }
+    write(SETTINGS_KEY, settings.value)
+}
+
+/**
+ * Ask for permission and switch browser notifications on. Resolves to
+ * whether they are on; a denied permission leaves them off.
+ */
+export async function enableBrowserNotifications() {
+    if (!browserNotificationsSupported()) return false
+    const permission = Notification.permission === 'default'
+        ? await Notification.requestPermission()
+        : Notification.permission
+    updateNotificationSettings({ browser: permission === 'granted' })
+    return settings.value.browser
+}
+
+export function useNotifications() {
+    const unreadCount = computed(() => notifications.value.filter((notification) => !notification.read).length)
+
+    return {
+        notifications,
+        settings,
+        unreadCount,
+        markRead,
+        markAllRead,
+        clearNotifications,
+        updateNotificationSettings,
+        enableBrowserNotifications,
+    }
+}
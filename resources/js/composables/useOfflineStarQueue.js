@@ -0,0 +1,179 @@
+import { ref, computed } from 'vue'
+import { api } from './useApi'
+import { useToast } from './useToast'
+import { bulkSetStarred, describeFailedIdeas } from './useBulkIdeaActions'
+import { invalidateStarredIdeas } from './useQueryCache'
+import { broadcast, onTabMessage, TAB_MESSAGES } from './useTabSync'
+
+const STORAGE_KEY = 'offline-star-queue'
+const CONFLICT_TOAST_DURATION = 10000
+
+function loadQueue() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? '[]')
+        return Array.isArray(stored) ? stored : []
+    } catch {
+        return []
+    }
+}
+
+// Module-level singleton — queued changes survive reloads and are shared by every table
+const queue = ref(loadQueue())
+let replaying = null
+
+const persist = () => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(queue.value))
+    } catch {
+        // localStorage unavailable — the queue lasts until the page is closed
+    }
+    broadcast(TAB_MESSAGES.starQueue)
+}
+
+// Another tab queued or replayed changes
+onTabMessage(TAB_MESSAGES.starQueue, () => {
+    queue.value = loadQueue()
+})
+
+// Timestamps come back in more than one ISO format
+const sameTime = (a, b) => (a ? Date.parse(a) : null) === (b ? Date.parse(b) : null)
+
+/**
+ * Remember a star change made offline. `base` keeps the idea's state from
+ * before the first queued change, so replay can tell whether someone else
+ * changed it meanwhile; toggling back to it drops the entry.
+ */
+export function queueStarChange(idea, starred) {
+    const existing = queue.value.find((entry) => entry.id === idea.id)
+    const queuedAt = new Date().toISOString()
+
+    if (!existing) {
+        queue.value = [...queue.value, {
+            id: idea.id,
+            idea_title: idea.idea_title,
+            starred,
+            queued_at: queuedAt,
+            base: { is_starred: !!idea.is_starred, starred_at: idea.starred_at ?? null },
+        }]
+    } else if (existing.base.is_starred === starred) {
+        queue.value = queue.value.filter((entry) => entry !== existing)
+    } else if (existing.starred !== starred) {
+        queue.value = queue.value.map((entry) => (entry === existing ? { ...entry, starred, queued_at: queuedAt } : entry))
+    }
+    persist()
+}
+
+/**
+ * `ideas` with queued changes applied, for lists loaded from the offline cache.
+ */
+export function withPendingStars(ideas) {
+    if (!queue.value.length) return ideas
+    const pending = new Map(queue.value.map((entry) => [entry.id, entry]))
+
+    return ideas.map((idea) => {
+        const entry = pending.get(idea.id)
+        if (!entry) return idea
+        return { ...idea, is_starred: entry.starred, starred_at: entry.starred ? entry.queued_at : null }
+    })
+}
+
+async function setStarredGroups(entries) {
+    const updated = []
+    const failed = []
+    for (const starred of [true, false]) {
+        const ids = entries.filter((entry) => entry.starred === starred).map((entry) => entry.id)
+        if (!ids.length) continue
+        const result = await bulkSetStarred(ids, starred)
+        updated.push(...result.updated.map(({ id }) => id))
+        failed.push(...result.failed)
+    }
+    return { updated, failed }
+}
+
+/**
+ * Each queued idea is re-read first. Already in the wanted state: dropped.
+ * Starred or unstarred elsewhere since it was queued: a conflict, the
+ * server's state is kept and the toast offers to apply ours anyway.
+ * Deleted: dropped. Anything that fails stays queued for the next replay.
+ */
+async function replay() {
+    const entries = queue.value
+    if (!entries.length) return
+
+    const done = new Set()
+    const current = new Map()
+    const toSend = []
+    const conflicts = []
+
+    for (const entry of entries) {
+        let idea
+        try {
+            ;({ idea } = await api.idea(entry.id, { retries: 0, toast: false }))
+        } catch (error) {
+            if (error.status === 404) done.add(entry.id)
+            // Still offline — no point trying the rest
+            if (error.status === 0) break
+            continue
+        }
+
+        current.set(entry.id, idea)
+        if (!!idea.is_starred === entry.starred) {
+            done.add(entry.id)
+        } else if (!!idea.is_starred !== entry.base.is_starred || !sameTime(idea.starred_at, entry.base.starred_at)) {
+            done.add(entry.id)
+            conflicts.push(entry)
+        } else {
+            toSend.push(entry)
+        }
+    }
+
+    const { updated } = await setStarredGroups(toSend)
+    updated.forEach((id) => done.add(id))
+
+    // Entries changed during the replay are newer than what was sent
+    queue.value = queue.value.filter((entry) => !(done.has(entry.id) && entries.includes(entry)))
+    persist()
+
+    const touched = [...current.values()].filter((idea) => done.has(idea.id))
+    if (touched.length) invalidateStarredIdeas(touched)
+
+    const { addToast, removeToast } = useToast()
+    if (updated.length) {
+        addToast({ message: `Synced ${updated.length} star change${updated.length === 1 ? '' : 's'} made offline`, type: 'success' })
+    }
+    if (conflicts.length) {
+        const toastId = addToast({
+            message: `${describeFailedIdeas(conflicts, conflicts.map((entry) => entry.id))} changed while you were offline. Kept the current stars.`,
+            type: 'warning',
+            duration: CONFLICT_TOAST_DURATION,
+            action: {
+                label: 'Apply mine',
+                onClick: async () => {
+                    removeToast(toastId)
+                    const result = await setStarredGroups(conflicts)
+                    const applied = new Set(result.updated)
+                    invalidateStarredIdeas(touched.filter((idea) => applied.has(idea.id)))
+                    if (result.failed.length) {
+                        addToast({ message: `Could not update ${describeFailedIdeas(conflicts, result.failed)}`, type: 'error' })
+                    }
+                },
+            },
+        })
+    }
+}
+
+/**
+ * Send the queue. Concurrent calls share one replay.
+ */
+export function replayStarQueue() {
+    replaying ??= replay().finally(() => {
+        replaying = null
+    })
+    return replaying
+}
+
+export function useOfflineStarQueue() {
+    const pendingCount = computed(() => queue.value.length)
+
+    return { pendingCount, queueStarChange, withPendingStars, replayStarQueue }
+}
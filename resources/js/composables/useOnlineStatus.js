@@ -0,0 +1,13 @@
+import { ref } from 'vue'
+
+// Module-level singleton — one pair of listeners for the whole app
+const isOnline = ref(typeof navigator === 'undefined' || navigator.onLine !== false)
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('online', () => (isOnline.value = true))
+    window.addEventListener('offline', () => (isOnline.value = false))
+}
+
+export function useOnlineStatus() {
+    return { isOnline }
+}
@@ -0,0 +1,106 @@
+import { formatDay } from './useIdeaAnalytics.js'
+import { routes } from './useApi'
+
+// Trend line colours, as literal classes so Tailwind keeps them. The first
+// is the agreement rate; providers take the rest in order.
+export const TREND_COLORS = [
+    { stroke: 'stroke-brand-500', bg: 'bg-brand-500' },
+    { stroke: 'stroke-sky-500', bg: 'bg-sky-500' },
+    { stroke: 'stroke-amber-500', bg: 'bg-amber-500' },
+    { stroke: 'stroke-rose-500', bg: 'bg-rose-500' },
+    { stroke: 'stroke-violet-500', bg: 'bg-violet-500' },
+    { stroke: 'stroke-emerald-500', bg: 'bg-emerald-500' },
+]
+
+/**
+ * Provider analytics endpoint for one subreddit, or all of them when the id is null.
+ */
+export function providerAnalyticsUrl(subredditId, path = '') {
+    const base = subredditId ? routes['provider-analytics.show'](subredditId) : routes['provider-analytics.index']()
+    return `${base}${path}`
+}
+
+/**
+ * Drill-down URL for the posts in one disagreement bucket.
+ */
+export function disagreementsUrl(subredditId, bucket, page = 1) {
+    const params = new URLSearchParams({ keep: bucket.keep.join(','), skip: bucket.skip.join(','), page })
+    return `${providerAnalyticsUrl(subredditId, '/disagreements')}?${params}`
+}
+
+/**
+ * "Haiku kept, GPT skipped"
+ */
+export function bucketLabel(bucket, nameOf = (name) => name) {
+    const names = (list) => list.map(nameOf).join(' + ')
+    return `${names(bucket.keep)} kept, ${names(bucket.skip)} skipped`
+}
+
+const percent = (rate) => `${Math.round(rate * 100)}%`
+
+/**
+ * Agreement rate and per-provider keep rate over successive scans, as SVG
+ * paths in viewBox units. Rates run 0–1 bottom to top; a scan with no value
+ * for a line breaks that line rather than dropping to zero.
+ */
+export function buildTrendChart(trend, { nameOf = (name) => name, showSubreddit = false, width = 640, height = 160 } = {}) {
+    const scans = trend?.scans ?? []
+    const step = scans.length > 1 ? width / (scans.length - 1) : 0
+    const x = (index) => (scans.length > 1 ? index * step : width / 2)
+    const y = (rate) => height - rate * height
+
+    const series = [
+        { key: 'agreement', name: 'Agreement', values: scans.map((scan) => scan.agreement_rate) },
+        ...(trend?.providers ?? []).map((provider) => ({
+            key: provider.name,
+            name: `${nameOf(provider.name)} keep rate`,
+            values: provider.keep_rates,
+        })),
+    ]
+
+    const lines = series.slice(0, TREND_COLORS.length).map((line, index) => {
+        const paths = []
+        let current = null
+        line.values.forEach((value, scanIndex) => {
+            if (value == null) {
+                current = null
+                return
+            }
+            const point = `${x(scanIndex)} ${y(value)}`
+            if (current === null) {
+                current = paths.push(`M ${point}`) - 1
+            } else {
+                paths[current] += ` L ${point}`
+            }
+        })
+
+        return {
+            ...line,
+            ...TREND_COLORS[index],
+            // A lone point still needs a visible mark
+            paths: paths.map((path) => (path.includes('L') ? path : `${path} h 0`)),
+        }
+    })
+
+    // Hover and focus targets centred on each scan, clipped to the chart
+    const half = scans.length > 1 ? step / 2 : width / 2
+    const columns = scans.map((scan, index) => {
+        const date = scan.completed_at ? formatDay(scan.completed_at.slice(0, 10)) : `Scan #${scan.id}`
+        const title = showSubreddit ? `r/${scan.subreddit}, ${date}` : date
+        const values = lines
+            .filter((line) => line.values[index] != null)
+            .map((line) => `${line.name} ${percent(line.values[index])}`)
+
+        const start = Math.max(0, x(index) - half)
+
+        return {
+            key: scan.id,
+            x: start,
+            width: Math.min(width, x(index) + half) - start,
+            label: date,
+            title: [title, ...values].join(', '),
+        }
+    })
+
+    return { width, height, lines, columns }
+}
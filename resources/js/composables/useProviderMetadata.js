@@ -1,10 +1,12 @@
 import { ref } from 'vue'
+import { api } from './useApi'
 
 // Module-level singleton — fetched once, shared across all component instances
 const providers = ref([])
 const classificationProviders = ref([])
 const extractionProvider = ref(null)
 const extractionFilterProviders = ref([])
+const consensusThresholds = ref({ keep: 0.6, discard: 0.4 })
 const isLoaded = ref(false)
 let fetchPromise = null
 
@@ -140,20 +142,13 @@ const labelFromKey = (key) => {
 
 async function loadMetadata() {
     try {
-        const response = await fetch('/api/provider-metadata', {
-            headers: { Accept: 'application/json' },
-        })
-        if (!response.ok) {
-            // Reset so retry is possible on next component mount
-            fetchPromise = null
-            return
-        }
-
-        const data = await response.json()
+        // Badges fall back to label-from-key, so a failure is not worth a toast
+        const data = await api.providerMetadata({ toast: false })
         providers.value = data.providers ?? []
         classificationProviders.value = data.classification_providers ?? []
         extractionProvider.value = data.extraction_provider ?? null
         extractionFilterProviders.value = data.extraction_filter_providers ?? []
+        consensusThresholds.value = data.consensus_thresholds ?? consensusThresholds.value
         isLoaded.value = true
     } catch {
         // Reset so retry is possible on next component mount
@@ -211,12 +206,40 @@ export function useProviderMetadata() {
         return getProviderColor(configKey)?.border ?? 'border-border-default'
     }
 
+    /**
+     * Config keys of the providers that list a capability ('classification' or 'extraction').
+     */
+    function providersWithCapability(capability) {
+        return providers.value
+            .filter(p => (p.capabilities ?? []).includes(capability))
+            .map(p => p.config_key)
+    }
+
+    /**
+     * Readable summary of a scan's stored `llm_settings`, or null for scans
+     * started before settings were recorded.
+     */
+    function describeLlmSettings(settings) {
+        if (!settings) return null
+        const name = (key) => getProvider(key)?.display_name ?? key
+
+        return {
+            classification: (settings.classification_providers ?? []).map(name).join(', '),
+            extraction: name(settings.extraction_provider),
+            thresholds: `keep ≥ ${Number(settings.consensus_threshold_keep).toFixed(2)}, discard < ${Number(settings.consensus_threshold_discard).toFixed(2)}`,
+            custom: !!settings.custom,
+        }
+    }
+
     return {
         providers,
         classificationProviders,
         extractionProvider,
         extractionFilterProviders,
+        consensusThresholds,
         isLoaded,
+        providersWithCapability,
+        describeLlmSettings,
         getProvider,
         getProviderColor,
         getProviderBorderColor,
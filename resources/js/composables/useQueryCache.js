@@ -0,0 +1,218 @@
+import { ref, shallowRef, computed, watch, toValue, getCurrentScope, onScopeDispose } from 'vue'
+import { broadcast, onTabMessage, TAB_MESSAGES } from './useTabSync'
+
+// How long an entry counts as fresh; stale entries still render while they refetch
+export const DEFAULT_TTL_MS = 30000
+// Unobserved entries beyond this are dropped, oldest first
+export const MAX_ENTRIES = 100
+
+// Module-level singleton — shared across all components
+const cache = new Map()
+
+/**
+ * Keys are arrays, e.g. `['ideas', 'subreddit', 4, url]`; invalidating a
+ * prefix such as `['ideas', 'subreddit', 4]` covers every key under it.
+ */
+export const queryKeys = {
+    ideas: (mode, subredditId, url) => ['ideas', mode, mode === 'subreddit' ? subredditId : null, url],
+    idea: (ideaId) => ['idea', ideaId],
+    providerAnalytics: (subredditId) => ['provider-analytics', subredditId ?? null],
+}
+
+const serialize = (key) => JSON.stringify(key)
+
+const matchesPrefix = (key, prefix) => prefix.every((part, index) => serialize(part) === serialize(key[index]))
+
+const notify = (entry, event) => entry.listeners.forEach((listener) => listener(event))
+
+function evict() {
+    for (const [id, entry] of cache) {
+        if (cache.size <= MAX_ENTRIES) return
+        if (!entry.listeners.size && !entry.promise) cache.delete(id)
+    }
+}
+
+function entryFor(key) {
+    const id = serialize(key)
+    let entry = cache.get(id)
+    if (!entry) {
+        entry = { key, data: undefined, updatedAt: 0, generation: 0, promise: null, listeners: new Set() }
+        cache.set(id, entry)
+        evict()
+    }
+    return entry
+}
+
+const isFresh = (entry, ttl) => entry.data !== undefined && Date.now() - entry.updatedAt < ttl
+
+// One request per entry at a time; a response that started before an
+// invalidation is returned to its caller but not cached
+function revalidate(entry, fetcher) {
+    if (entry.promise) return entry.promise
+
+    const generation = entry.generation
+    const promise = Promise.resolve()
+        .then(() => fetcher(entry.key))
+        .then((data) => {
+            if (entry.generation === generation) {
+                entry.data = data
+                entry.updatedAt = Date.now()
+                notify(entry, 'data')
+            }
+            return data
+        })
+        .finally(() => {
+            if (entry.promise === promise) entry.promise = null
+        })
+
+    entry.promise = promise
+    return promise
+}
+
+/**
+ * Cached data for `key` when fresh, otherwise the (shared) in-flight fetch.
+ * `fetcher` receives the key.
+ */
+export function fetchQuery(key, fetcher, { ttl = DEFAULT_TTL_MS } = {}) {
+    const entry = entryFor(key)
+    return isFresh(entry, ttl) ? Promise.resolve(entry.data) : revalidate(entry, fetcher)
+}
+
+export function getQueryData(key) {
+    return cache.get(serialize(key))?.data
+}
+
+/**
+ * Mark every entry under `prefix` stale. Components showing one refetch it
+ * now; the rest refetch the next time they are shown.
+ */
+export function invalidateQueries(prefix) {
+    for (const entry of cache.values()) {
+        if (!matchesPrefix(entry.key, prefix)) continue
+        entry.updatedAt = 0
+        entry.generation++
+        entry.promise = null
+        notify(entry, 'invalidate')
+    }
+}
+
+export function clearQueryCache() {
+    cache.clear()
+}
+
+function invalidateSubredditResultsHere(subredditId) {
+    invalidateQueries(['ideas', 'subreddit', subredditId])
+    invalidateQueries(['ideas', 'all'])
+    invalidateQueries(queryKeys.providerAnalytics(subredditId))
+    invalidateQueries(queryKeys.providerAnalytics(null))
+}
+
+// `changes` is [{ id, subreddit_id }]
+function invalidateStarsHere(changes) {
+    invalidateQueries(['ideas', 'starred'])
+    invalidateQueries(['ideas', 'all'])
+
+    for (const { id, subreddit_id: subredditId } of changes) {
+        invalidateQueries(subredditId ? ['ideas', 'subreddit', subredditId] : ['ideas', 'subreddit'])
+        invalidateQueries(queryKeys.idea(id))
+    }
+}
+
+// The other tabs hold their own caches
+onTabMessage(TAB_MESSAGES.subredditResults, invalidateSubredditResultsHere)
+onTabMessage(TAB_MESSAGES.stars, invalidateStarsHere)
+
+/**
+ * New ideas and classifications from a finished scan or re-run of a
+ * subreddit, in this tab and the others.
+ */
+export function invalidateSubredditResults(subredditId) {
+    invalidateSubredditResultsHere(subredditId)
+    broadcast(TAB_MESSAGES.subredditResults, subredditId)
+}
+
+/**
+ * Ideas whose star changed: their details, the listings they appear in and
+ * the starred list, in this tab and the others.
+ */
+export function invalidateStarredIdeas(ideas) {
+    const changes = ideas.map((idea) => ({ id: idea.id, subreddit_id: idea.post?.subreddit_id ?? null }))
+    invalidateStarsHere(changes)
+    broadcast(TAB_MESSAGES.stars, changes)
+}
+
+/**
+ * Stale-while-revalidate query. `key` is a getter or ref returning a key
+ * array, or null to fetch nothing. Cached data shows at once and is
+ * refetched in the background when older than `ttl` or invalidated.
+ * `settled()` resolves once the current key's fetch is done.
+ */
+export function useQuery(key, fetcher, { ttl = DEFAULT_TTL_MS } = {}) {
+    const data = shallowRef(undefined)
+    const error = ref(null)
+    const isFetching = ref(false)
+    const isLoading = computed(() => isFetching.value && data.value === undefined)
+
+    let entry = null
+    let pending = null
+
+    const load = (force = false) => {
+        const target = entry
+        if (!target) return Promise.resolve()
+        if (!force && isFresh(target, ttl)) return Promise.resolve()
+
+        isFetching.value = true
+        error.value = null
+        const promise = revalidate(target, fetcher)
+            .catch((e) => {
+                if (entry === target) error.value = e instanceof Error ? e.message : 'Request failed'
+            })
+            .finally(() => {
+                if (pending === promise) isFetching.value = false
+            })
+        pending = promise
+        return promise
+    }
+
+    const listener = (event) => {
+        if (event === 'data') data.value = entry.data
+        else load(true)
+    }
+
+    const detach = () => {
+        entry?.listeners.delete(listener)
+        entry = null
+        pending = null
+    }
+
+    // Sync so `settled()` sees the new fetch right after the key changes
+    watch(
+        () => {
+            const next = toValue(key)
+            return next ? serialize(next) : null
+        },
+        (id) => {
+            detach()
+            if (id) {
+                entry = entryFor(JSON.parse(id))
+                entry.listeners.add(listener)
+            }
+            data.value = entry?.data
+            error.value = null
+            isFetching.value = false
+            load()
+        },
+        { immediate: true, flush: 'sync' }
+    )
+
+    if (getCurrentScope()) onScopeDispose(detach)
+
+    return {
+        data,
+        error,
+        isFetching,
+        isLoading,
+        refresh: () => load(true),
+        settled: () => pending ?? Promise.resolve(),
+    }
+}
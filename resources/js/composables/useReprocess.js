@@ -0,0 +1,109 @@
+import { ref, computed, getCurrentScope, onScopeDispose } from 'vue'
+import { POLL_INTERVAL_MS } from './useScanStream'
+import { api, requestKey, cancelRequest } from './useApi'
+
+// Operations accepted by StartReprocessRequest (see App\Models\ReprocessRun)
+export const REPROCESS_OPERATIONS = {
+    extraction: { label: 'Re-extract ideas', running: 'Re-extracting', capability: 'extraction' },
+    classification: { label: 'Re-classify posts', running: 'Re-classifying', capability: 'classification' },
+}
+
+/**
+ * One-line progress text for a run payload from ReprocessService::getRunStatus.
+ */
+export function describeRun(run) {
+    if (!run) return ''
+    const operation = REPROCESS_OPERATIONS[run.operation]
+    const provider = run.provider_display_name ?? run.provider
+    const posts = `${run.posts_processed ?? 0} of ${run.posts_total ?? 0} posts`
+
+    if (run.is_running) return `${operation?.running ?? 'Re-running'} with ${provider} · ${posts}`
+    if (run.status === 'failed') return run.error_message || `Re-run with ${provider} failed`
+
+    return run.operation === 'extraction'
+        ? `Re-extraction with ${provider} finished · ${run.ideas_found ?? 0} ideas from ${run.posts_total ?? 0} posts`
+        : `Re-classification with ${provider} finished · ${run.posts_total ?? 0} posts`
+}
+
+/**
+ * Follow a provider re-run: polls `/reprocess-runs/{id}` while it is running
+ * and calls `onFinish(run)` once it completes.
+ */
+export function useReprocessRun(initialRun = null, { onFinish } = {}) {
+    const run = ref(initialRun)
+    const error = ref(null)
+    const isStarting = ref(false)
+
+    const isRunning = computed(() => !!run.value?.is_running)
+
+    let pollTimer = null
+    let isPollInFlight = false
+    const pollRequest = requestKey('reprocess-run')
+
+    const stopPolling = () => {
+        clearInterval(pollTimer)
+        pollTimer = null
+        cancelRequest(pollRequest)
+    }
+
+    const applyRun = (next) => {
+        const wasRunning = isRunning.value
+        run.value = next
+        if (!next?.is_running) {
+            stopPolling()
+            if (wasRunning) onFinish?.(next)
+        }
+    }
+
+    const poll = async () => {
+        if (!run.value || isPollInFlight) return
+
+        try {
+            isPollInFlight = true
+            // The next tick retries; the progress line shows the error meanwhile
+            const data = await api.reprocessRun(run.value.id, { key: pollRequest, retries: 0, toast: false })
+            error.value = null
+            applyRun(data.run)
+        } catch (e) {
+            if (e?.name !== 'AbortError') {
+                error.value = e instanceof Error ? e.message : 'Failed to refresh re-run progress'
+            }
+        } finally {
+            isPollInFlight = false
+        }
+    }
+
+    const startPolling = () => {
+        stopPolling()
+        if (isRunning.value) pollTimer = setInterval(poll, POLL_INTERVAL_MS)
+    }
+
+    /**
+     * Start a run. `target` is { type: 'subreddit' | 'scan' | 'idea', id },
+     * `options` is { operation, provider }. Throws the server's message on
+     * failure, without a toast; the re-run modal shows it.
+     */
+    const start = async (target, { operation, provider }) => {
+        isStarting.value = true
+        try {
+            const data = await api.startReprocess(target.type, target.id, { operation, provider }, { toast: false })
+            error.value = null
+            run.value = data.run
+            startPolling()
+            return data
+        } finally {
+            isStarting.value = false
+        }
+    }
+
+    // Hide a finished run's summary
+    const dismiss = () => {
+        stopPolling()
+        run.value = null
+    }
+
+    startPolling()
+    if (getCurrentScope()) onScopeDispose(stopPolling)
+
+    return { run, isRunning, error, isStarting, start, dismiss }
+}
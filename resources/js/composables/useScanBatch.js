@@ -0,0 +1,137 @@
+import { ref, computed, getCurrentScope, onScopeDispose } from 'vue'
+import { POLL_INTERVAL_MS } from './useScanStream'
+import { api, requestKey, cancelRequest } from './useApi'
+
+// Per-subreddit states reported by ScanBatchService::getBatchStatus
+export const BATCH_ITEM_STATES = {
+    queued: { label: 'Queued', classes: 'bg-surface-tertiary text-content-secondary' },
+    running: { label: 'Scanning', classes: 'bg-status-scanning/10 text-status-scanning' },
+    completed: { label: 'Done', classes: 'bg-status-success/10 text-status-success' },
+    failed: { label: 'Failed', classes: 'bg-status-error/10 text-status-error' },
+    skipped: { label: 'Skipped', classes: 'bg-surface-tertiary text-content-tertiary' },
+}
+
+/**
+ * Aggregate counts for a batch status payload.
+ */
+export function summarizeBatch(batch) {
+    const counts = batch?.counts ?? {}
+    const total = batch?.items?.length ?? 0
+    const finished = (counts.completed ?? 0) + (counts.failed ?? 0) + (counts.skipped ?? 0)
+
+    return {
+        total,
+        finished,
+        queued: counts.queued ?? 0,
+        running: counts.running ?? 0,
+        completed: counts.completed ?? 0,
+        failed: counts.failed ?? 0,
+        percent: total ? Math.round((finished / total) * 100) : 0,
+    }
+}
+
+const FINISHED_ITEM_STATES = ['completed', 'failed']
+
+/**
+ * Follow a batch scan: polls `/scan-batches/{id}` while it is running and
+ * calls `onFinish(batch)` once it completes or is cancelled.
+ * `onItemFinish(item, batch)` is called for each subreddit seen moving from
+ * queued or running to completed or failed.
+ */
+export function useScanBatch(initialBatch = null, { onFinish, onItemFinish } = {}) {
+    const batch = ref(initialBatch)
+    const error = ref(null)
+    const isStarting = ref(false)
+    const isCancelling = ref(false)
+
+    const summary = computed(() => summarizeBatch(batch.value))
+    const isRunning = computed(() => !!batch.value?.is_running)
+
+    let pollTimer = null
+    let isPollInFlight = false
+    const pollRequest = requestKey('scan-batch')
+
+    const stopPolling = () => {
+        clearInterval(pollTimer)
+        pollTimer = null
+        cancelRequest(pollRequest)
+    }
+
+    const applyBatch = (next) => {
+        const wasRunning = isRunning.value
+        const previousStates = new Map((batch.value?.items ?? []).map((item) => [item.subreddit_id, item.state]))
+        batch.value = next
+        next?.items
+            ?.filter((item) => FINISHED_ITEM_STATES.includes(item.state) && ['queued', 'running'].includes(previousStates.get(item.subreddit_id)))
+            .forEach((item) => onItemFinish?.(item, next))
+        if (!next?.is_running) {
+            stopPolling()
+            if (wasRunning) onFinish?.(next)
+        }
+    }
+
+    const poll = async () => {
+        if (!batch.value || isPollInFlight) return
+
+        try {
+            isPollInFlight = true
+            // The next tick retries; the progress card shows the error meanwhile
+            const data = await api.scanBatch(batch.value.id, { key: pollRequest, retries: 0, toast: false })
+            error.value = null
+            applyBatch(data.batch)
+        } catch (e) {
+            if (e?.name !== 'AbortError') {
+                error.value = e instanceof Error ? e.message : 'Failed to refresh batch progress'
+            }
+        } finally {
+            isPollInFlight = false
+        }
+    }
+
+    const startPolling = () => {
+        stopPolling()
+        if (isRunning.value) pollTimer = setInterval(poll, POLL_INTERVAL_MS)
+    }
+
+    /**
+     * Launch a batch for the given subreddits. `range` is { date_from, date_to }.
+     * Throws the server's message on failure, without a toast; the batch
+     * modal shows it.
+     */
+    const start = async (subredditIds, range) => {
+        isStarting.value = true
+        try {
+            const data = await api.startScanBatch({ subreddit_ids: subredditIds, ...range }, { toast: false })
+            error.value = null
+            batch.value = data.batch
+            startPolling()
+            return data.batch
+        } finally {
+            isStarting.value = false
+        }
+    }
+
+    const cancel = async () => {
+        if (!batch.value || isCancelling.value) return
+        isCancelling.value = true
+        try {
+            const data = await api.cancelScanBatch(batch.value.id)
+            applyBatch(data.batch)
+        } catch (e) {
+            error.value = e instanceof Error ? e.message : 'Failed to cancel batch'
+        } finally {
+            isCancelling.value = false
+        }
+    }
+
+    // Hide a finished batch's summary
+    const dismiss = () => {
+        stopPolling()
+        batch.value = null
+    }
+
+    startPolling()
+    if (getCurrentScope()) onScopeDispose(stopPolling)
+
+    return { batch, summary, isRunning, error, isStarting, isCancelling, start, cancel, dismiss }
+}
@@ -0,0 +1,101 @@
+import { ref, watch, getCurrentScope, onScopeDispose } from 'vue'
+import { api, requestKey, cancelRequest } from './useApi'
+
+export const ESTIMATE_DEBOUNCE_MS = 300
+
+// Where ScanCostEstimator took its post volume from
+export const ESTIMATE_BASIS = {
+    subreddit: 'Based on recent scans of this subreddit.',
+    global: 'No history for this subreddit yet — based on other subreddits.',
+    default: 'No scan history yet — a rough default.',
+}
+
+/**
+ * Dollar amount for display: "$1.24", "<$0.01" or "—" when unknown.
+ */
+export function formatUsd(value) {
+    if (value === null || value === undefined || isNaN(value)) return '—'
+    if (value > 0 && value < 0.01) return '<$0.01'
+    return `$${Number(value).toFixed(2)}`
+}
+
+/**
+ * Compact token count: 950, 12.5k, 1.2M.
+ */
+export function formatTokens(count) {
+    const value = Number(count) || 0
+    if (value < 1000) return String(Math.round(value))
+    if (value < 1_000_000) return `${+(value / 1000).toFixed(1)}k`
+    return `${+(value / 1_000_000).toFixed(1)}M`
+}
+
+/**
+ * Fetch a pre-flight scan estimate whenever `source()` changes. `source`
+ * returns `{ subredditId, range: { date_from, date_to }, settings? }`, or
+ * null to clear the estimate. `settings` holds provider overrides. Requests
+ * are debounced and stale ones aborted.
+ */
+export function useScanEstimate(source) {
+    const estimate = ref(null)
+    const isLoading = ref(false)
+    const error = ref(null)
+
+    let debounceTimer = null
+    // Bumped per request and per cancel, so only the latest request settles the loading state
+    let generation = 0
+    const estimateRequest = requestKey('scan-estimate')
+
+    const cancelPending = () => {
+        clearTimeout(debounceTimer)
+        debounceTimer = null
+        generation++
+        cancelRequest(estimateRequest)
+    }
+
+    const load = async ({ subredditId, range, settings = {} }) => {
+        const current = ++generation
+        isLoading.value = true
+
+        try {
+            // The scan dialog shows the error next to the estimate
+            const data = await api.scanEstimate(subredditId, { ...range, ...settings }, {
+                key: estimateRequest,
+                toast: false,
+            })
+
+            estimate.value = data.estimate
+            error.value = null
+        } catch (e) {
+            if (e?.name === 'AbortError') return
+            estimate.value = null
+            error.value = e instanceof Error ? e.message : 'Could not estimate this scan'
+        } finally {
+            if (current === generation) isLoading.value = false
+        }
+    }
+
+    const stop = watch(
+        source,
+        (next) => {
+            cancelPending()
+            if (!next?.subredditId || !next.range) {
+                estimate.value = null
+                error.value = null
+                isLoading.value = false
+                return
+            }
+            isLoading.value = true
+            debounceTimer = setTimeout(() => load(next), ESTIMATE_DEBOUNCE_MS)
+        },
+        { immediate: true }
+    )
+
+    if (getCurrentScope()) {
+        onScopeDispose(() => {
+            stop()
+            cancelPending()
+        })
+    }
+
+    return { estimate, isLoading, error }
+}
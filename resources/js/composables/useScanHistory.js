@@ -0,0 +1,62 @@
+import { api } from './useApi'
+
+// Scan statuses as stored in scans.status (see App\Models\Scan)
+export const SCAN_STATUSES = {
+    pending: { label: 'Starting', classes: 'bg-status-scanning/10 text-status-scanning' },
+    fetching: { label: 'Fetching', classes: 'bg-status-scanning/10 text-status-scanning' },
+    classifying: { label: 'Classifying', classes: 'bg-status-scanning/10 text-status-scanning' },
+    extracting: { label: 'Extracting', classes: 'bg-status-scanning/10 text-status-scanning' },
+    completed: { label: 'Completed', classes: 'bg-status-success/10 text-status-success' },
+    failed: { label: 'Failed', classes: 'bg-status-error/10 text-status-error' },
+}
+
+/**
+ * Compact duration: "42s", "3m 05s", "1h 12m". Null for scans that never ran.
+ */
+export function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined || !Number.isFinite(Number(seconds))) return null
+    const total = Math.max(0, Math.round(Number(seconds)))
+    if (total < 60) return `${total}s`
+
+    const hours = Math.floor(total / 3600)
+    const minutes = Math.floor((total % 3600) / 60)
+    if (hours) return `${hours}h ${minutes}m`
+    return `${minutes}m ${String(total % 60).padStart(2, '0')}s`
+}
+
+/**
+ * Lay out the ideas-per-scan bar chart. `scans` arrive newest first from
+ * ScanService::getScanTimeline; bars run oldest → newest, in-progress scans
+ * are left out. Coordinates are in SVG viewBox units.
+ */
+export function buildIdeasChart(scans, { width = 600, height = 160, gap = 4, minBarHeight = 2 } = {}) {
+    const finished = (scans ?? []).filter((scan) => !scan.is_in_progress).slice().reverse()
+    const max = Math.max(1, ...finished.map((scan) => scan.ideas_found ?? 0))
+    const slot = finished.length ? width / finished.length : width
+    const barWidth = Math.max(1, slot - gap)
+
+    const bars = finished.map((scan, index) => {
+        const ideas = scan.ideas_found ?? 0
+        const barHeight = Math.max(minBarHeight, (ideas / max) * height)
+        return {
+            id: scan.id,
+            ideas,
+            failed: !!scan.is_failed,
+            date: scan.completed_at ?? scan.created_at,
+            x: index * slot + gap / 2,
+            y: height - barHeight,
+            width: barWidth,
+            height: barHeight,
+        }
+    })
+
+    return { bars, max, width, height }
+}
+
+/**
+ * Restart a failed scan via `/scans/{id}/retry`. Returns the new scan's status.
+ */
+export async function retryScan(scanId) {
+    const data = await api.retryScan(scanId)
+    return data.scan
+}
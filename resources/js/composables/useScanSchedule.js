@@ -0,0 +1,84 @@
+import { api } from './useApi'
+
+export const FREQUENCIES = [
+    { value: 'once', label: 'Once' },
+    { value: 'daily', label: 'Daily' },
+    { value: 'weekly', label: 'Weekly' },
+    { value: 'cron', label: 'Custom' },
+]
+
+// Index matches cron day-of-week (0 = Sunday)
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+const pad = (n) => String(n).padStart(2, '0')
+
+/**
+ * Read the `H:i` time and weekday back out of a daily/weekly cron expression
+ * ("30 7 * * 1" → { time: '07:30', dayOfWeek: 1 }). Falls back to 09:00 Monday.
+ */
+export function parseScheduleTime(expression) {
+    const [minute, hour, , , dayOfWeek] = String(expression ?? '').trim().split(/\s+/)
+    const m = Number.parseInt(minute, 10)
+    const h = Number.parseInt(hour, 10)
+    const d = Number.parseInt(dayOfWeek, 10)
+
+    return {
+        time: Number.isInteger(h) && Number.isInteger(m) ? `${pad(h)}:${pad(m)}` : '09:00',
+        dayOfWeek: Number.isInteger(d) && d >= 0 && d <= 6 ? d : 1,
+    }
+}
+
+/**
+ * Human summary of a schedule, e.g. "Weekly on Monday at 09:00".
+ */
+export function describeSchedule(schedule) {
+    if (!schedule) return ''
+    const { time, dayOfWeek } = parseScheduleTime(schedule.cron_expression)
+
+    if (schedule.frequency === 'daily') return `Daily at ${time}`
+    if (schedule.frequency === 'weekly') return `Weekly on ${WEEKDAYS[dayOfWeek]} at ${time}`
+    return `Cron: ${schedule.cron_expression}`
+}
+
+/**
+ * Relative next-run label: "in 45 min", "in 3 h", "tomorrow 09:00", or a date.
+ */
+export function formatNextRun(iso, now = new Date()) {
+    if (!iso) return null
+    const date = new Date(iso)
+    if (Number.isNaN(date.getTime())) return null
+
+    const diffMinutes = Math.round((date - now) / 60000)
+    if (diffMinutes <= 0) return 'any moment now'
+    if (diffMinutes < 60) return `in ${diffMinutes} min`
+    if (diffMinutes < 12 * 60) return `in ${Math.round(diffMinutes / 60)} h`
+
+    const time = `${pad(date.getHours())}:${pad(date.getMinutes())}`
+    const tomorrow = new Date(now)
+    tomorrow.setDate(now.getDate() + 1)
+    if (date.toDateString() === now.toDateString()) return `today ${time}`
+    if (date.toDateString() === tomorrow.toDateString()) return `tomorrow ${time}`
+
+    return `${date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' })} ${time}`
+}
+
+/**
+ * Create or replace a subreddit's schedule. Resolves to the saved schedule.
+ * `options` are passed to the API client.
+ */
+export async function saveSchedule(subredditId, payload, options) {
+    const data = await api.saveSchedule(subredditId, payload, options)
+    return data.schedule
+}
+
+/**
+ * Pause or resume a subreddit's schedule. Resolves to the updated schedule.
+ */
+export async function setSchedulePaused(subredditId, paused, options) {
+    const data = await api.pauseSchedule(subredditId, paused, options)
+    return data.schedule
+}
+
+export async function deleteSchedule(subredditId, options) {
+    await api.deleteSchedule(subredditId, options)
+}
@@ -0,0 +1,147 @@
+import { ref, getCurrentScope, onScopeDispose } from 'vue'
+import { api, routes, requestKey, cancelRequest } from './useApi'
+
+export const POLL_INTERVAL_MS = 3000
+export const MAX_BACKOFF_MS = 30000
+
+// Consecutive stream failures (without a single message) before falling back to polling
+export const MAX_STREAM_FAILURES = 3
+
+/**
+ * Exponential reconnect delay: 1s, 2s, 4s… capped at MAX_BACKOFF_MS.
+ */
+export function backoffDelay(attempt) {
+    return Math.min(MAX_BACKOFF_MS, 1000 * 2 ** attempt)
+}
+
+/**
+ * Follow a scan's progress. Streams `/scans/{id}/stream` over server-sent
+ * events, reconnecting with backoff, and falls back to polling
+ * `/scans/{id}/status` when EventSource is unavailable or keeps failing.
+ *
+ * `onStatus(scan)` receives every status payload; following stops by itself
+ * once the scan is no longer in progress. `onIdeas(ideas)` receives newly
+ * extracted ideas (streaming only).
+ */
+export function useScanStream({ onStatus, onIdeas } = {}) {
+    // 'idle' | 'connecting' | 'streaming' | 'polling'
+    const transport = ref('idle')
+    const error = ref(null)
+
+    let scanId = null
+    let source = null
+    let reconnectTimer = null
+    let pollTimer = null
+    const pollRequest = requestKey('scan-status')
+    let isPollInFlight = false
+    let failures = 0
+    let lastIdeaId = null
+
+    const closeSource = () => {
+        source?.close()
+        source = null
+    }
+
+    const stop = () => {
+        scanId = null
+        closeSource()
+        clearTimeout(reconnectTimer)
+        clearInterval(pollTimer)
+        reconnectTimer = null
+        pollTimer = null
+        cancelRequest(pollRequest)
+        transport.value = 'idle'
+    }
+
+    const handleStatus = (scan) => {
+        error.value = null
+        onStatus?.(scan)
+        if (!scan?.is_in_progress) stop()
+    }
+
+    const pollStatus = async () => {
+        if (scanId === null || isPollInFlight) return
+        const id = scanId
+
+        try {
+            isPollInFlight = true
+            // The next tick retries; the progress card shows the error meanwhile
+            const data = await api.scanStatus(id, { key: pollRequest, retries: 0, toast: false })
+            if (id === scanId) handleStatus(data.scan ?? null)
+        } catch (e) {
+            if (e?.name !== 'AbortError' && id === scanId) {
+                error.value = e instanceof Error ? e.message : 'Failed to poll status'
+            }
+        } finally {
+            isPollInFlight = false
+        }
+    }
+
+    const startPolling = () => {
+        closeSource()
+        transport.value = 'polling'
+        pollStatus()
+        pollTimer = setInterval(pollStatus, POLL_INTERVAL_MS)
+    }
+
+    const openStream = () => {
+        const id = scanId
+        const query = lastIdeaId === null ? '' : `?after=${lastIdeaId}`
+        transport.value = 'connecting'
+        source = new EventSource(`${routes['scan.stream'](id)}${query}`)
+
+        source.addEventListener('status', (event) => {
+            failures = 0
+            transport.value = 'streaming'
+            handleStatus(JSON.parse(event.data).scan ?? null)
+        })
+
+        source.addEventListener('ideas', (event) => {
+            failures = 0
+            const ideas = JSON.parse(event.data).ideas ?? []
+            if (!ideas.length) return
+            lastIdeaId = Math.max(lastIdeaId ?? 0, ...ideas.map((idea) => idea.id))
+            onIdeas?.(ideas)
+        })
+
+        // Server closed a long-lived connection on purpose — pick up where it left off
+        source.addEventListener('reconnect', (event) => {
+            lastIdeaId = JSON.parse(event.data).after ?? lastIdeaId
+            closeSource()
+            if (id === scanId) openStream()
+        })
+
+        source.onerror = () => {
+            closeSource()
+            if (id !== scanId) return
+            failures++
+            if (failures >= MAX_STREAM_FAILURES) {
+                startPolling()
+                return
+            }
+            transport.value = 'connecting'
+            reconnectTimer = setTimeout(openStream, backoffDelay(failures - 1))
+        }
+    }
+
+    /**
+     * Start following a scan, replacing any scan already being followed.
+     */
+    const start = (id) => {
+        stop()
+        scanId = id
+        failures = 0
+        lastIdeaId = null
+        error.value = null
+
+        if (typeof EventSource === 'undefined') {
+            startPolling()
+        } else {
+            openStream()
+        }
+    }
+
+    if (getCurrentScope()) onScopeDispose(stop)
+
+    return { transport, error, start, stop }
+}
@@ -1,4 +1,5 @@
 import { ref } from 'vue'
+import { broadcast, onTabMessage, TAB_MESSAGES } from './useTabSync'
 
 // Module-level singleton — sidebar state persists across navigations
 const isCollapsed = ref(false)
@@ -10,6 +11,11 @@ try {
     // localStorage unavailable — keep default (expanded)
 }
 
+// Another tab already saved it
+onTabMessage(TAB_MESSAGES.sidebar, (collapsed) => {
+    isCollapsed.value = !!collapsed
+})
+
 export function useSidebar() {
     const toggleSidebar = () => {
         isCollapsed.value = !isCollapsed.value
@@ -18,6 +24,7 @@ export function useSidebar() {
         } catch {
             // ignore
         }
+        broadcast(TAB_MESSAGES.sidebar, isCollapsed.value)
     }
 
     return { isCollapsed, toggleSidebar }
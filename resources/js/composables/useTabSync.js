@@ -0,0 +1,77 @@
+import { getCurrentScope, onScopeDispose } from 'vue'
+
+const CHANNEL_NAME = 'saas-scanner'
+// Fallback transport: writing this key fires `storage` events in the other tabs
+const STORAGE_KEY = 'tab-sync'
+
+// Message types and their payloads
+export const TAB_MESSAGES = {
+    theme: 'theme', // 'dark' | 'light' | 'system'
+    sidebar: 'sidebar', // collapsed (boolean)
+    stars: 'stars', // [{ id, subreddit_id }] whose star changed
+    subredditResults: 'subreddit-results', // subreddit id with new ideas or classifications
+    scanFinished: 'scan-finished', // { subreddit_id, scan_id, status }
+    subredditsChanged: 'subreddits-changed', // { added } or { removed } subreddit id
+    starQueue: 'star-queue', // offline star queue rewritten
+    notifications: 'notifications', // notification history or settings rewritten
+}
+
+const tabId = Math.random().toString(36).slice(2)
+const handlers = new Map()
+
+// Module-level singleton — one channel per tab
+let channel = null
+
+function deliver(message) {
+    if (!message?.type || message.from === tabId) return
+    handlers.get(message.type)?.forEach((handler) => handler(message.payload))
+}
+
+if (typeof window !== 'undefined') {
+    if (typeof BroadcastChannel !== 'undefined') {
+        channel = new BroadcastChannel(CHANNEL_NAME)
+        channel.onmessage = (event) => deliver(event.data)
+    } else {
+        window.addEventListener('storage', (event) => {
+            if (event.key !== STORAGE_KEY || !event.newValue) return
+            try {
+                deliver(JSON.parse(event.newValue))
+            } catch {
+                // Not one of ours
+            }
+        })
+    }
+}
+
+/**
+ * Tell the other open tabs about a change. `payload` must be plain data
+ * (no reactive proxies). Without BroadcastChannel or localStorage the tabs
+ * simply stay independent.
+ */
+export function broadcast(type, payload = null) {
+    // `id` makes repeated messages distinct — `storage` only fires on a change
+    const message = { type, payload, from: tabId, id: Math.random().toString(36).slice(2) }
+
+    if (channel) {
+        channel.postMessage(message)
+        return
+    }
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(message))
+    } catch {
+        // localStorage unavailable
+    }
+}
+
+/**
+ * Call `handler(payload)` for messages of `type` from other tabs. Stops with
+ * the calling component's scope; also returns a function that stops it.
+ */
+export function onTabMessage(type, handler) {
+    if (!handlers.has(type)) handlers.set(type, new Set())
+    handlers.get(type).add(handler)
+
+    const off = () => handlers.get(type)?.delete(handler)
+    if (getCurrentScope()) onScopeDispose(off)
+    return off
+}
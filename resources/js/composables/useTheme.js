@@ -1,4 +1,5 @@
 import { ref, watch } from 'vue'
+import { broadcast, onTabMessage, TAB_MESSAGES } from './useTabSync'
 
 // Module-level singleton — all components share the same reactive state
 const isDark = ref(false)
@@ -35,6 +36,15 @@ if (typeof window !== 'undefined') {
     })
 }
 
+// Apply a preference without saving it ('dark', 'light' or 'system')
+function applyTheme(mode) {
+    explicitPreference = mode !== 'system'
+    isDark.value = mode === 'system' ? (systemMediaQuery?.matches ?? false) : mode === 'dark'
+}
+
+// Another tab already saved it
+onTabMessage(TAB_MESSAGES.theme, applyTheme)
+
 // Sync dark class on <html> whenever isDark changes
 watch(
     isDark,
@@ -57,26 +67,21 @@ export function useTheme() {
         } catch {
             // ignore
         }
+        broadcast(TAB_MESSAGES.theme, isDark.value ? 'dark' : 'light')
     }
 
     const setTheme = (mode) => {
-        if (mode === 'system') {
-            explicitPreference = false
-            try {
+        applyTheme(mode)
+        try {
+            if (mode === 'system') {
                 localStorage.removeItem('theme')
-            } catch {
-                // ignore
-            }
-            isDark.value = systemMediaQuery?.matches ?? false
-        } else {
-            explicitPreference = true
-            isDark.value = mode === 'dark'
-            try {
+            } else {
                 localStorage.setItem('theme', mode)
-            } catch {
-                // ignore
             }
+        } catch {
+            // ignore
         }
+        broadcast(TAB_MESSAGES.theme, mode)
     }
 
     return { isDark, toggleTheme, setTheme }
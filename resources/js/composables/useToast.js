@@ -12,14 +12,16 @@ export function useToast() {
             toasts.value.shift()
         }
 
+        const id = ++nextId
         toasts.value.push({
-            id: ++nextId,
+            id,
             message,
             type,
             duration,
             action,
             createdAt: Date.now(),
         })
+        return id
     }
 
     const removeToast = (id) => {
@@ -0,0 +1,56 @@
+import { onMounted, onBeforeUnmount } from 'vue'
+
+/**
+ * Shortcuts listed in the `?` overlay. Keys are matched against KeyboardEvent.key.
+ */
+export const TRIAGE_SHORTCUTS = [
+    { keys: ['j'], description: 'Next idea' },
+    { keys: ['k'], description: 'Previous idea' },
+    { keys: ['Enter', 'o'], description: 'Expand or collapse idea' },
+    { keys: ['s'], description: 'Star or unstar idea' },
+    { keys: ['x'], description: 'Select or deselect idea' },
+    { keys: ['c'], description: 'Open classification details' },
+    { keys: ['n'], description: 'Next page' },
+    { keys: ['p'], description: 'Previous page' },
+    { keys: ['?'], description: 'Show keyboard shortcuts' },
+]
+
+const TYPING_SELECTOR = [
+    'input:not([type="checkbox"]):not([type="radio"])',
+    'textarea',
+    'select',
+    '[contenteditable=""]',
+    '[contenteditable="true"]',
+].join(', ')
+
+// Text fields, selects and rich-text editors own their keystrokes — checkboxes don't
+export function isTypingTarget(target) {
+    return !!target?.closest?.(TYPING_SELECTOR)
+}
+
+// Any open BaseModal (including the command palette) suspends triage keys
+export function isModalOpen() {
+    return !!document.querySelector('[role="dialog"][aria-modal="true"]')
+}
+
+/**
+ * Register single-key triage shortcuts on the document while the component is mounted.
+ * `handlers` maps KeyboardEvent.key to a function; returning `false` lets the
+ * event through untouched (e.g. Enter on a focused button).
+ */
+export function useTriageShortcuts(handlers, { enabled = () => true } = {}) {
+    const handleKeydown = (event) => {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return
+        if (!enabled() || isTypingTarget(event.target) || isModalOpen()) return
+
+        const handler = handlers[event.key]
+        if (!handler) return
+        if (handler(event) === false) return
+        event.preventDefault()
+    }
+
+    onMounted(() => document.addEventListener('keydown', handleKeydown))
+    onBeforeUnmount(() => document.removeEventListener('keydown', handleKeydown))
+
+    return { handleKeydown }
+}
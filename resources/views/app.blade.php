@@ -5,6 +5,11 @@
         <meta name="viewport" content="width=device-width, initial-scale=1">
         <meta name="csrf-token" content="{{ csrf_token() }}">
 
+        <!-- Installable app (service worker: public/sw.js) -->
+        <link rel="manifest" href="/manifest.webmanifest">
+        <link rel="icon" href="/icon.svg" type="image/svg+xml">
+        <meta name="theme-color" content="#10B981">
+
         <title inertia>{{ config('app.name', 'Laravel') }}</title>
 
         <!-- Font preconnects -->
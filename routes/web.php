@@ -1,10 +1,17 @@
 <?php
 
+use App\Http\Controllers\AnalyticsController;
+use App\Http\Controllers\ClassificationLabelController;
+use App\Http\Controllers\CommandPaletteController;
+use App\Http\Controllers\CsrfTokenController;
 use App\Http\Controllers\DashboardController;
 use App\Http\Controllers\IdeaController;
 use App\Http\Controllers\ProviderAnalyticsController;
 use App\Http\Controllers\ProviderMetadataController;
+use App\Http\Controllers\ReprocessController;
+use App\Http\Controllers\ScanBatchController;
 use App\Http\Controllers\ScanController;
+use App\Http\Controllers\ScanScheduleController;
 use App\Http\Controllers\SubredditController;
 use Illuminate\Support\Facades\Route;
 
@@ -17,22 +24,66 @@
 // Dashboard
 Route::get('/', [DashboardController::class, 'index'])->name('dashboard');
 
+// Cross-subreddit analytics
+Route::get('/analytics', [AnalyticsController::class, 'index'])->name('analytics');
+
 // Subreddits
 Route::post('/subreddits', [SubredditController::class, 'store'])->name('subreddit.store');
 Route::get('/subreddits/{subreddit}', [SubredditController::class, 'show'])->name('subreddit.show');
+Route::get('/subreddits/{subreddit}/scans', [SubredditController::class, 'scans'])->name('subreddit.scans');
 Route::delete('/subreddits/{subreddit}', [SubredditController::class, 'destroy'])->name('subreddit.destroy');
 
 // Scans
 Route::post('/subreddits/{subreddit}/scan', [ScanController::class, 'start'])->name('scan.start');
+Route::get('/subreddits/{subreddit}/scan-estimate', [ScanController::class, 'estimate'])->name('scan.estimate');
+Route::get('/api/scans/finished', [ScanController::class, 'finished'])->name('api.scans.finished');
 Route::get('/scans/{scan}/status', [ScanController::class, 'status'])->name('scan.status');
+Route::get('/scans/{scan}/stream', [ScanController::class, 'stream'])->name('scan.stream');
 Route::post('/scans/{scan}/cancel', [ScanController::class, 'cancel'])->name('scan.cancel');
 Route::post('/scans/{scan}/retry', [ScanController::class, 'retry'])->name('scan.retry');
 
+// Batch scans
+Route::post('/scan-batches', [ScanBatchController::class, 'store'])->name('scan-batch.store');
+Route::get('/scan-batches/{scanBatch}', [ScanBatchController::class, 'show'])->name('scan-batch.show');
+Route::post('/scan-batches/{scanBatch}/cancel', [ScanBatchController::class, 'cancel'])->name('scan-batch.cancel');
+
+// Scan schedules
+Route::put('/subreddits/{subreddit}/schedule', [ScanScheduleController::class, 'update'])->name('scan-schedule.update');
+Route::post('/subreddits/{subreddit}/schedule/pause', [ScanScheduleController::class, 'pause'])->name('scan-schedule.pause');
+Route::delete('/subreddits/{subreddit}/schedule', [ScanScheduleController::class, 'destroy'])->name('scan-schedule.destroy');
+
+// Re-extraction / re-classification of fetched posts
+Route::post('/subreddits/{subreddit}/reprocess', [ReprocessController::class, 'subreddit'])->name('reprocess.subreddit');
+Route::post('/scans/{scan}/reprocess', [ReprocessController::class, 'scan'])->name('reprocess.scan');
+Route::post('/ideas/{idea}/reprocess', [ReprocessController::class, 'idea'])->name('reprocess.idea');
+Route::get('/reprocess-runs/{reprocessRun}', [ReprocessController::class, 'show'])->name('reprocess.show');
+
 // Ideas
 Route::get('/subreddits/{subreddit}/ideas', [IdeaController::class, 'index'])->name('ideas.index');
 Route::get('/subreddits/{subreddit}/provider-analytics', [ProviderAnalyticsController::class, 'show'])->name('provider-analytics.show');
+Route::get('/subreddits/{subreddit}/provider-analytics/disagreements', [ProviderAnalyticsController::class, 'subredditDisagreements'])->name('provider-analytics.subreddit-disagreements');
+Route::get('/provider-analytics', [ProviderAnalyticsController::class, 'index'])->name('provider-analytics.index');
+Route::get('/provider-analytics/disagreements', [ProviderAnalyticsController::class, 'disagreements'])->name('provider-analytics.disagreements');
 Route::get('/starred', [IdeaController::class, 'starred'])->name('ideas.starred');
 Route::get('/api/starred', [IdeaController::class, 'starredList'])->name('api.ideas.starred');
+Route::get('/ideas', [IdeaController::class, 'all'])->name('ideas.all');
+Route::get('/api/ideas', [IdeaController::class, 'allList'])->name('api.ideas.all');
+Route::get('/ideas/compare', [IdeaController::class, 'compare'])->name('ideas.compare');
+Route::post('/ideas/bulk-star', [IdeaController::class, 'bulkStar'])->name('ideas.bulk-star');
 Route::get('/ideas/{idea}', [IdeaController::class, 'show'])->name('ideas.show');
+Route::get('/ideas/{idea}/cluster', [IdeaController::class, 'cluster'])->name('ideas.cluster');
 Route::post('/ideas/{idea}/star', [IdeaController::class, 'toggleStar'])->name('ideas.star');
+Route::patch('/ideas/{idea}', [IdeaController::class, 'update'])->name('ideas.update');
+Route::get('/api/idea-tags', [IdeaController::class, 'tags'])->name('api.ideas.tags');
 Route::get('/api/provider-metadata', ProviderMetadataController::class)->name('provider-metadata');
+
+// Command palette
+Route::get('/api/command-palette', CommandPaletteController::class)->name('command-palette');
+
+// Fresh CSRF token after a 419 (see resources/js/composables/useApi.js)
+Route::get('/api/csrf-token', CsrfTokenController::class)->name('api.csrf-token');
+
+// Reviewer overrides of classification decisions
+Route::put('/classifications/{classification}/label', [ClassificationLabelController::class, 'update'])->name('classification-label.update');
+Route::delete('/classifications/{classification}/label', [ClassificationLabelController::class, 'destroy'])->name('classification-label.destroy');
+Route::get('/classification-labels/export', [ClassificationLabelController::class, 'export'])->name('classification-label.export');
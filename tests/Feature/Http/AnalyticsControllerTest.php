@@ -0,0 +1,50 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use App\Models\Idea;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Inertia\Testing\AssertableInertia as Assert;
+use Tests\TestCase;
+
+class AnalyticsControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_defaults_to_the_last_twelve_weeks(): void
+    {
+        $this->travelTo('2026-03-31 15:00:00');
+
+        $response = $this->get(route('analytics'));
+
+        $response->assertOk();
+        $response->assertInertia(fn (Assert $page) => $page
+            ->component('Analytics')
+            ->where('analytics.range.date_from', '2026-01-07')
+            ->where('analytics.range.date_to', '2026-03-31')
+            ->has('analytics.ideas_per_week.weeks', 13)
+            ->has('analytics.score_distributions.overall', 5)
+        );
+    }
+
+    public function test_limits_figures_to_the_requested_range(): void
+    {
+        Idea::factory()->create(['created_at' => '2026-03-02 12:00:00']);
+        Idea::factory()->create(['created_at' => '2026-03-08 23:59:00']);
+        Idea::factory()->create(['created_at' => '2026-03-09 00:01:00']);
+
+        $response = $this->get(route('analytics', ['date_from' => '2026-03-02', 'date_to' => '2026-03-08']));
+
+        $response->assertInertia(fn (Assert $page) => $page
+            ->where('analytics.totals.ideas', 2)
+            ->where('analytics.ideas_per_week.weeks', ['2026-03-02'])
+        );
+    }
+
+    public function test_rejects_a_range_that_ends_before_it_starts(): void
+    {
+        $response = $this->get(route('analytics', ['date_from' => '2026-03-08', 'date_to' => '2026-03-02']));
+
+        $response->assertSessionHasErrors(['date_to']);
+    }
+}
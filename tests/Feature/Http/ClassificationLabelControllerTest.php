@@ -0,0 +1,148 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use App\Jobs\ReprocessPostsChunkJob;
+use App\Models\Classification;
+use App\Models\ClassificationLabel;
+use App\Models\ClassificationResult;
+use App\Models\Comment;
+use App\Models\Scan;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Bus;
+use Tests\TestCase;
+
+class ClassificationLabelControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_saves_and_replaces_a_reviewer_decision(): void
+    {
+        $classification = Classification::factory()->keep()->create();
+
+        $this->putJson(route('classification-label.update', $classification), [
+            'decision' => 'discard',
+            'reason' => 'Self-promotion dressed up as a question',
+        ])
+            ->assertOk()
+            ->assertJsonPath('label.decision', 'discard')
+            ->assertJsonPath('message', 'Decision saved');
+
+        $this->putJson(route('classification-label.update', $classification), [
+            'decision' => 'keep',
+            'reason' => 'On second read it is a real problem',
+        ])->assertOk();
+
+        $this->assertSame(1, ClassificationLabel::count());
+        $this->assertSame('keep', $classification->label()->first()->decision);
+        // The consensus is left alone
+        $this->assertSame(Classification::DECISION_KEEP, $classification->fresh()->final_decision);
+    }
+
+    public function test_forcing_extraction_queues_the_discarded_post(): void
+    {
+        Bus::fake();
+
+        $classification = Classification::factory()->discard()->create();
+        $post = $classification->post;
+        Scan::factory()->create(['subreddit_id' => $post->subreddit_id]);
+
+        $this->putJson(route('classification-label.update', $classification), [
+            'decision' => 'keep',
+            'reason' => 'Clear request for a tool',
+            'force_extraction' => true,
+        ])
+            ->assertOk()
+            ->assertJsonPath('extraction_started', true);
+
+        $label = $classification->label()->first();
+        $this->assertNotNull($label->reprocess_run_id);
+
+        Bus::assertBatched(fn ($batch) => $batch->name === "reprocess-run-{$label->reprocess_run_id}"
+            && $batch->jobs[0] instanceof ReprocessPostsChunkJob
+            && $batch->jobs[0]->postIds === [$post->id]);
+    }
+
+    public function test_keeps_the_decision_when_extraction_cannot_start(): void
+    {
+        $classification = Classification::factory()->discard()->create();
+        Scan::factory()->create([
+            'subreddit_id' => $classification->post->subreddit_id,
+            'status' => Scan::STATUS_EXTRACTING,
+        ]);
+
+        $this->putJson(route('classification-label.update', $classification), [
+            'decision' => 'keep',
+            'reason' => 'Clear request for a tool',
+            'force_extraction' => true,
+        ])
+            ->assertOk()
+            ->assertJsonPath('extraction_started', false)
+            ->assertJsonPath('label.decision', 'keep');
+    }
+
+    public function test_validates_the_override(): void
+    {
+        $classification = Classification::factory()->keep()->create();
+
+        $this->putJson(route('classification-label.update', $classification), [
+            'decision' => 'borderline',
+            'reason' => '',
+            'force_extraction' => true,
+        ])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['decision', 'reason']);
+
+        $this->putJson(route('classification-label.update', $classification), [
+            'decision' => 'discard',
+            'reason' => 'Spam',
+            'force_extraction' => true,
+        ])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['force_extraction']);
+    }
+
+    public function test_removes_a_decision(): void
+    {
+        $label = ClassificationLabel::factory()->create();
+
+        $this->deleteJson(route('classification-label.destroy', $label->classification_id))->assertOk();
+
+        $this->assertSame(0, ClassificationLabel::count());
+    }
+
+    public function test_exports_labels_as_json_lines(): void
+    {
+        $classification = Classification::factory()->create([
+            'final_decision' => Classification::DECISION_DISCARD,
+            'classified_at' => now(),
+        ]);
+        ClassificationResult::factory()->skip()->forProvider('a')->create(['classification_id' => $classification->id]);
+        Comment::factory()->create([
+            'post_id' => $classification->post_id,
+            'author' => 'someone',
+            'body' => 'Same problem here, we track invoices in a spreadsheet.',
+        ]);
+        ClassificationLabel::factory()->create([
+            'classification_id' => $classification->id,
+            'reason' => 'Asks for an invoicing tool',
+        ]);
+        ClassificationLabel::factory()->discard()->create();
+
+        $response = $this->get(route('classification-label.export'));
+
+        $response->assertOk();
+        $this->assertStringContainsString('application/x-ndjson', $response->headers->get('Content-Type'));
+
+        $lines = array_values(array_filter(explode("\n", $response->streamedContent())));
+        $this->assertCount(2, $lines);
+
+        $first = json_decode($lines[0], true);
+        $this->assertSame($classification->post_id, $first['post_id']);
+        $this->assertSame('keep', $first['label']['decision']);
+        $this->assertSame('Asks for an invoicing tool', $first['label']['reason']);
+        $this->assertSame('discard', $first['consensus']['decision']);
+        $this->assertSame('skip', $first['providers'][0]['verdict']);
+        $this->assertCount(1, $first['input']['comments']);
+    }
+}
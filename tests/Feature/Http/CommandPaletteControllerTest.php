@@ -0,0 +1,40 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use App\Models\Idea;
+use App\Models\Subreddit;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class CommandPaletteControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_returns_subreddits_sorted_by_name(): void
+    {
+        Subreddit::factory()->create(['name' => 'startups']);
+        Subreddit::factory()->create(['name' => 'saas']);
+
+        $response = $this->getJson(route('command-palette'));
+
+        $response->assertOk();
+        $response->assertJsonPath('subreddits.0.name', 'saas');
+        $response->assertJsonPath('subreddits.0.full_name', 'r/saas');
+        $response->assertJsonPath('subreddits.1.name', 'startups');
+    }
+
+    public function test_returns_only_starred_ideas_with_subreddit_name(): void
+    {
+        $starred = Idea::factory()->create(['is_starred' => true, 'starred_at' => now(), 'idea_title' => 'Starred idea']);
+        Idea::factory()->create(['is_starred' => false, 'idea_title' => 'Not starred']);
+
+        $response = $this->getJson(route('command-palette'));
+
+        $response->assertOk();
+        $response->assertJsonCount(1, 'starred_ideas');
+        $response->assertJsonPath('starred_ideas.0.id', $starred->id);
+        $response->assertJsonPath('starred_ideas.0.idea_title', 'Starred idea');
+        $response->assertJsonPath('starred_ideas.0.subreddit', $starred->post->subreddit->name);
+    }
+}
@@ -0,0 +1,17 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use Tests\TestCase;
+
+class CsrfTokenControllerTest extends TestCase
+{
+    public function test_returns_the_session_csrf_token(): void
+    {
+        $response = $this->getJson(route('api.csrf-token'));
+
+        $response->assertOk();
+        $this->assertNotEmpty($response->json('token'));
+        $this->assertSame(session()->token(), $response->json('token'));
+    }
+}
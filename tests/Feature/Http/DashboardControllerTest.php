@@ -5,6 +5,7 @@
 use App\Models\Idea;
 use App\Models\Post;
 use App\Models\Scan;
+use App\Models\ScanBatch;
 use App\Models\Subreddit;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Inertia\Testing\AssertableInertia as Assert;
@@ -37,6 +38,20 @@ public function test_dashboard_returns_subreddits_list(): void
         );
     }
 
+    public function test_dashboard_includes_running_batch(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        ScanBatch::factory()->completed()->create(['subreddit_ids' => [$subreddit->id]]);
+        $running = ScanBatch::factory()->create(['subreddit_ids' => [$subreddit->id]]);
+
+        $response = $this->get(route('dashboard'));
+
+        $response->assertInertia(fn (Assert $page) => $page
+            ->where('active_batch.id', $running->id)
+            ->where('active_batch.items.0.state', 'queued')
+        );
+    }
+
     public function test_dashboard_returns_stats_with_correct_keys(): void
     {
         $response = $this->get(route('dashboard'));
@@ -42,6 +42,90 @@ public function test_can_filter_ideas_by_min_score(): void
         $response->assertJsonCount(2, 'ideas');
     }
 
+    public function test_can_filter_ideas_by_scan(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $firstScan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $secondScan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $firstScan->id]);
+
+        Idea::factory()->count(2)->create(['post_id' => $post->id, 'scan_id' => $firstScan->id]);
+        Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $secondScan->id]);
+
+        $response = $this->getJson(route('ideas.index', $subreddit) . "?scan_id={$secondScan->id}");
+
+        $response->assertOk();
+        $response->assertJsonCount(1, 'ideas');
+    }
+
+    public function test_can_search_ideas_across_text_fields(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+
+        Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $scan->id, 'idea_title' => 'Invoice reminder bot']);
+        Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $scan->id, 'idea_title' => 'Other', 'source_quote' => 'chasing INVOICES is painful']);
+        Idea::factory()->create([
+            'post_id' => $post->id,
+            'scan_id' => $scan->id,
+            'idea_title' => 'Unrelated',
+            'problem_statement' => 'Nothing here',
+            'proposed_solution' => 'Nothing here',
+            'target_audience' => 'Nobody',
+            'source_quote' => 'Nothing here',
+        ]);
+
+        $response = $this->getJson(route('ideas.index', $subreddit) . '?q=invoice');
+
+        $response->assertOk();
+        $response->assertJsonCount(2, 'ideas');
+    }
+
+    public function test_search_requires_every_word_and_treats_wildcards_literally(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+
+        Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $scan->id, 'idea_title' => 'Invoice tool', 'target_audience' => 'Freelancers']);
+        Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $scan->id, 'idea_title' => 'Invoice tool', 'target_audience' => 'Agencies']);
+
+        $this->getJson(route('ideas.index', $subreddit) . '?q=' . urlencode('invoice freelancers'))
+            ->assertOk()
+            ->assertJsonCount(1, 'ideas');
+
+        $this->getJson(route('ideas.index', $subreddit) . '?q=' . urlencode('%'))
+            ->assertOk()
+            ->assertJsonCount(0, 'ideas');
+    }
+
+    public function test_starred_search_spans_all_subreddits(): void
+    {
+        Idea::factory()->create(['is_starred' => true, 'starred_at' => now(), 'idea_title' => 'Invoice helper']);
+        Idea::factory()->create(['is_starred' => true, 'starred_at' => now(), 'idea_title' => 'Invoice tracker']);
+        Idea::factory()->create(['is_starred' => false, 'idea_title' => 'Invoice unstarred']);
+
+        $response = $this->getJson(route('api.ideas.starred') . '?q=invoice');
+
+        $response->assertOk();
+        $response->assertJsonCount(2, 'ideas');
+    }
+
+    public function test_subreddit_ideas_include_subreddit_name_for_export(): void
+    {
+        $subreddit = Subreddit::factory()->create(['name' => 'saas']);
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+        Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $scan->id]);
+
+        $response = $this->getJson(route('ideas.index', $subreddit));
+
+        $response->assertOk();
+        $response->assertJsonPath('ideas.0.post.subreddit.name', 'saas');
+        $response->assertJsonStructure(['ideas' => [['branding_suggestions', 'existing_competitors', 'marketing_channels']]]);
+    }
+
     public function test_can_toggle_idea_star(): void
     {
         $idea = Idea::factory()->create(['is_starred' => false]);
@@ -54,6 +138,151 @@ public function test_can_toggle_idea_star(): void
         $this->assertTrue($idea->fresh()->is_starred);
     }
 
+    public function test_can_bulk_star_and_unstar_ideas(): void
+    {
+        $ideas = Idea::factory()->count(2)->create(['is_starred' => false]);
+        $alreadyStarred = Idea::factory()->create(['is_starred' => true, 'starred_at' => now()->subDay()]);
+
+        $response = $this->postJson(route('ideas.bulk-star'), [
+            'ids' => [...$ideas->pluck('id')->all(), $alreadyStarred->id],
+            'starred' => true,
+        ]);
+
+        $response->assertOk();
+        $response->assertJsonCount(3, 'updated');
+        $response->assertJsonPath('failed', []);
+        $this->assertTrue($ideas[0]->fresh()->is_starred);
+        $this->assertTrue($alreadyStarred->fresh()->starred_at->lt(now()->subHours(23)));
+
+        $this->postJson(route('ideas.bulk-star'), ['ids' => [$ideas[0]->id], 'starred' => false])->assertOk();
+        $this->assertFalse($ideas[0]->fresh()->is_starred);
+    }
+
+    public function test_bulk_star_reports_missing_ideas_as_failed(): void
+    {
+        $idea = Idea::factory()->create(['is_starred' => false]);
+
+        $response = $this->postJson(route('ideas.bulk-star'), [
+            'ids' => [$idea->id, 999999],
+            'starred' => true,
+        ]);
+
+        $response->assertOk();
+        $response->assertJsonPath('updated.0.id', $idea->id);
+        $response->assertJsonPath('failed', [999999]);
+    }
+
+    public function test_bulk_star_validates_payload(): void
+    {
+        $this->postJson(route('ideas.bulk-star'), ['ids' => [], 'starred' => true])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['ids']);
+
+        $this->postJson(route('ideas.bulk-star'), ['ids' => [1]])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['starred']);
+    }
+
+    public function test_compare_page_renders_ideas_in_requested_order(): void
+    {
+        $this->withoutVite();
+        $first = Idea::factory()->create(['idea_title' => 'First idea']);
+        $second = Idea::factory()->create(['idea_title' => 'Second idea']);
+
+        $response = $this->get(route('ideas.compare', ['ids' => "{$second->id},{$first->id}"]));
+
+        $response->assertOk();
+        $response->assertSee('"component":"Compare"');
+        $this->assertLessThan(
+            strpos($response->getContent(), 'First idea'),
+            strpos($response->getContent(), 'Second idea')
+        );
+    }
+
+    public function test_compare_redirects_when_fewer_than_two_ideas_exist(): void
+    {
+        $idea = Idea::factory()->create();
+
+        $response = $this->get(route('ideas.compare', ['ids' => "{$idea->id},999999"]));
+
+        $response->assertRedirect(route('ideas.starred'));
+        $response->assertSessionHas('error');
+    }
+
+    public function test_can_update_status_tags_and_notes(): void
+    {
+        $idea = Idea::factory()->create();
+        $this->assertSame(Idea::STATUS_NEW, $idea->fresh()->status);
+
+        $response = $this->patchJson(route('ideas.update', $idea), [
+            'status' => Idea::STATUS_RESEARCHING,
+            'tags' => ['  B2B ', 'fintech', 'b2b', ''],
+            'notes' => '  Talk to three agencies  ',
+        ]);
+
+        $response->assertOk();
+        $response->assertJsonPath('status', Idea::STATUS_RESEARCHING);
+        $response->assertJsonPath('tags', ['b2b', 'fintech']);
+        $response->assertJsonPath('notes', 'Talk to three agencies');
+
+        $idea->refresh();
+        $this->assertNotNull($idea->status_changed_at);
+        $this->assertSame(['b2b', 'fintech'], $idea->tags);
+    }
+
+    public function test_partial_update_leaves_other_fields_untouched(): void
+    {
+        $idea = Idea::factory()->create(['tags' => ['saas'], 'notes' => 'Keep me']);
+
+        $this->patchJson(route('ideas.update', $idea), ['status' => Idea::STATUS_VALIDATED])->assertOk();
+
+        $idea->refresh();
+        $this->assertSame(['saas'], $idea->tags);
+        $this->assertSame('Keep me', $idea->notes);
+    }
+
+    public function test_update_rejects_unknown_status(): void
+    {
+        $idea = Idea::factory()->create();
+
+        $this->patchJson(route('ideas.update', $idea), ['status' => 'shipped'])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['status']);
+    }
+
+    public function test_can_filter_ideas_by_status_and_tags(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $make = fn (array $attributes) => Idea::factory()->create([
+            'post_id' => Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id])->id,
+            'scan_id' => $scan->id,
+            ...$attributes,
+        ]);
+
+        $match = $make(['status' => Idea::STATUS_VALIDATED, 'tags' => ['b2b', 'fintech']]);
+        $make(['status' => Idea::STATUS_VALIDATED, 'tags' => ['b2b']]);
+        $make(['status' => Idea::STATUS_NEW, 'tags' => ['b2b', 'fintech']]);
+
+        $response = $this->getJson(route('ideas.index', $subreddit).'?status=validated&tags=B2B,fintech');
+
+        $response->assertOk();
+        $response->assertJsonCount(1, 'ideas');
+        $response->assertJsonPath('ideas.0.id', $match->id);
+    }
+
+    public function test_tags_endpoint_lists_tags_by_usage(): void
+    {
+        Idea::factory()->create(['tags' => ['b2b', 'fintech']]);
+        Idea::factory()->create(['tags' => ['b2b']]);
+
+        $response = $this->getJson(route('api.ideas.tags'));
+
+        $response->assertOk();
+        $response->assertJsonPath('tags.0', ['name' => 'b2b', 'count' => 2]);
+        $response->assertJsonPath('tags.1', ['name' => 'fintech', 'count' => 1]);
+    }
+
     public function test_starred_page_loads(): void
     {
         $this->withoutVite();
@@ -65,4 +294,128 @@ public function test_starred_page_loads(): void
         // Verify the Inertia component is rendered correctly in the HTML response
         $response->assertSee('"component":"Starred"');
     }
+
+    public function test_all_ideas_endpoint_lists_every_subreddit(): void
+    {
+        Idea::factory()->count(2)->create();
+        Idea::factory()->create();
+
+        $response = $this->getJson(route('api.ideas.all'));
+
+        $response->assertOk();
+        $response->assertJsonCount(3, 'ideas');
+        $response->assertJsonStructure(['ideas' => [['post' => ['subreddit']]]]);
+    }
+
+    public function test_all_ideas_can_be_drilled_down_by_analytics_filters(): void
+    {
+        $match = Idea::factory()->create([
+            'score_demand' => 4,
+            'target_audience' => 'Freelance Designers ',
+            'existing_competitors' => ['Notion', 'Airtable'],
+            'created_at' => '2026-03-10 18:00:00',
+        ]);
+        Idea::factory()->create([
+            'score_demand' => 3,
+            'target_audience' => 'freelance designers',
+            'existing_competitors' => ['Notion'],
+            'created_at' => '2026-03-10 18:00:00',
+        ]);
+        Idea::factory()->create([
+            'score_demand' => 4,
+            'target_audience' => 'freelance designers',
+            'existing_competitors' => ['Notion Calendar'],
+            'created_at' => '2026-03-10 18:00:00',
+        ]);
+        Idea::factory()->create([
+            'score_demand' => 4,
+            'target_audience' => 'freelance designers',
+            'existing_competitors' => ['notion'],
+            'created_at' => '2026-03-11 08:00:00',
+        ]);
+
+        $query = http_build_query([
+            'score_field' => 'demand',
+            'score' => 4,
+            'target_audience' => 'freelance designers',
+            'competitor' => 'notion',
+            'date_from' => '2026-03-09',
+            'date_to' => '2026-03-10',
+        ]);
+        $response = $this->getJson(route('api.ideas.all').'?'.$query);
+
+        $response->assertOk();
+        $response->assertJsonCount(1, 'ideas');
+        $response->assertJsonPath('ideas.0.id', $match->id);
+    }
+
+    public function test_score_drilldown_requires_both_field_and_score(): void
+    {
+        $this->getJson(route('api.ideas.all').'?score=4')
+            ->assertStatus(422)
+            ->assertJsonValidationErrors(['score_field']);
+    }
+
+    public function test_all_ideas_page_loads(): void
+    {
+        $this->withoutVite();
+
+        $response = $this->get(route('ideas.all'));
+
+        $response->assertOk();
+        $response->assertSee('"component":"Ideas"');
+    }
+
+    public function test_group_similar_returns_one_idea_per_cluster(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+        $make = fn (array $attributes = []) => Idea::factory()->create([
+            'post_id' => $post->id,
+            'scan_id' => $scan->id,
+            ...$attributes,
+        ]);
+
+        $first = $make(['score_overall' => 2]);
+        $second = $make(['score_overall' => 5]);
+        $third = $make(['score_overall' => 4]);
+        Idea::whereIn('id', [$first->id, $second->id, $third->id])->update(['cluster_id' => $first->id, 'cluster_size' => 3]);
+        $alone = $make(['score_overall' => 3]);
+
+        $response = $this->getJson(route('ideas.index', $subreddit).'?group_similar=true&sort_by=cluster_size');
+
+        $response->assertOk();
+        $response->assertJsonCount(2, 'ideas');
+        $response->assertJsonPath('pagination.total', 2);
+        $response->assertJsonPath('ideas.0.id', $first->id);
+        $response->assertJsonPath('ideas.0.cluster_size', 3);
+        $response->assertJsonPath('ideas.1.id', $alone->id);
+
+        // The oldest idea that still matches the filters stands in for the cluster
+        $filtered = $this->getJson(route('ideas.index', $subreddit).'?group_similar=true&min_score=4');
+
+        $filtered->assertJsonCount(1, 'ideas');
+        $filtered->assertJsonPath('ideas.0.id', $second->id);
+    }
+
+    public function test_cluster_endpoint_lists_members_with_their_posts(): void
+    {
+        $first = Idea::factory()->create();
+        $second = Idea::factory()->create();
+        Idea::whereIn('id', [$first->id, $second->id])->update(['cluster_id' => $first->id, 'cluster_size' => 2]);
+        $alone = Idea::factory()->create();
+
+        $response = $this->getJson(route('ideas.cluster', $second));
+
+        $response->assertOk();
+        $response->assertJsonCount(2, 'ideas');
+        $response->assertJsonPath('ideas.0.id', $first->id);
+        $response->assertJsonPath('subreddits', 2);
+        $response->assertJsonStructure(['ideas' => [['post' => ['permalink', 'subreddit' => ['name']]]]]);
+
+        $this->getJson(route('ideas.cluster', $alone))
+            ->assertJsonCount(1, 'ideas')
+            ->assertJsonPath('ideas.0.id', $alone->id);
+    }
 }
@@ -0,0 +1,165 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use App\Models\Classification;
+use App\Models\ClassificationLabel;
+use App\Models\ClassificationResult;
+use App\Models\Idea;
+use App\Models\Post;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ProviderAnalyticsControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    /**
+     * @param array<string, string> $verdicts provider name => keep|skip
+     */
+    private function classify(Scan $scan, array $verdicts): Classification
+    {
+        $post = Post::factory()->create(['subreddit_id' => $scan->subreddit_id, 'scan_id' => $scan->id]);
+        $classification = Classification::factory()->create([
+            'post_id' => $post->id,
+            'scan_id' => $scan->id,
+            'final_decision' => Classification::DECISION_BORDERLINE,
+            'expected_provider_count' => count($verdicts),
+            'classified_at' => now(),
+        ]);
+
+        foreach ($verdicts as $provider => $verdict) {
+            ClassificationResult::factory()->{$verdict}()->forProvider($provider)->create([
+                'classification_id' => $classification->id,
+            ]);
+        }
+
+        return $classification;
+    }
+
+    public function test_splits_disagreements_into_buckets(): void
+    {
+        $scan = Scan::factory()->create();
+        $this->classify($scan, ['a' => 'keep', 'b' => 'keep']);
+        $this->classify($scan, ['a' => 'keep', 'b' => 'skip']);
+        $this->classify($scan, ['a' => 'keep', 'b' => 'skip']);
+        $this->classify($scan, ['a' => 'skip', 'b' => 'keep']);
+
+        $response = $this->getJson(route('provider-analytics.show', $scan->subreddit_id));
+
+        $response->assertOk()
+            ->assertJsonPath('classification.agreement.both_disagree', 3)
+            ->assertJsonPath('classification.agreement.disagreement_buckets', [
+                ['keep' => ['a'], 'skip' => ['b'], 'count' => 2],
+                ['keep' => ['b'], 'skip' => ['a'], 'count' => 1],
+            ]);
+    }
+
+    public function test_lists_the_posts_in_a_disagreement_bucket(): void
+    {
+        $scan = Scan::factory()->create();
+        $this->classify($scan, ['a' => 'skip', 'b' => 'keep']);
+        $split = $this->classify($scan, ['a' => 'keep', 'b' => 'skip']);
+        $idea = Idea::factory()->create(['post_id' => $split->post_id]);
+
+        $response = $this->getJson(route('provider-analytics.subreddit-disagreements', [
+            'subreddit' => $scan->subreddit_id,
+            'keep' => 'a',
+            'skip' => 'b',
+        ]));
+
+        $response->assertOk()
+            ->assertJsonCount(1, 'data')
+            ->assertJsonPath('data.0.id', $split->id)
+            ->assertJsonPath('data.0.idea_id', $idea->id)
+            ->assertJsonPath('data.0.post.id', $split->post_id)
+            ->assertJsonCount(2, 'data.0.providers');
+    }
+
+    public function test_scores_providers_against_reviewer_decisions(): void
+    {
+        $scan = Scan::factory()->create();
+        $kept = $this->classify($scan, ['a' => 'keep', 'b' => 'skip']);
+        $discarded = $this->classify($scan, ['a' => 'keep', 'b' => 'skip']);
+        $unanimous = $this->classify($scan, ['a' => 'keep', 'b' => 'keep']);
+        ClassificationLabel::factory()->create(['classification_id' => $kept->id]);
+        ClassificationLabel::factory()->create(['classification_id' => $unanimous->id]);
+        ClassificationLabel::factory()->discard()->create(['classification_id' => $discarded->id]);
+
+        $response = $this->getJson(route('provider-analytics.show', $scan->subreddit_id));
+
+        $response->assertOk()
+            ->assertJsonPath('classification.human_agreement.labelled', 3)
+            ->assertJsonPath('classification.human_agreement.consensus.agreed', 2)
+            ->assertJsonPath('classification.human_agreement.providers.0.name', 'a')
+            ->assertJsonPath('classification.human_agreement.providers.0.rate', 0.667)
+            ->assertJsonPath('classification.human_agreement.providers.1.name', 'b')
+            ->assertJsonPath('classification.human_agreement.providers.1.rate', 0.333);
+    }
+
+    public function test_plots_agreement_and_keep_rate_per_scan(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $first = Scan::factory()->create(['subreddit_id' => $subreddit->id, 'completed_at' => '2026-03-01 10:00:00']);
+        $second = Scan::factory()->create(['subreddit_id' => $subreddit->id, 'completed_at' => '2026-03-08 10:00:00']);
+
+        $this->classify($first, ['a' => 'keep', 'b' => 'keep']);
+        $this->classify($first, ['a' => 'keep', 'b' => 'skip']);
+        $this->classify($second, ['a' => 'skip', 'b' => 'skip']);
+
+        $response = $this->getJson(route('provider-analytics.show', $subreddit));
+
+        $response->assertOk()
+            ->assertJsonPath('trend.scans.0.id', $first->id)
+            ->assertJsonPath('trend.scans.0.agreement_rate', 0.5)
+            ->assertJsonPath('trend.scans.1.agreement_rate', 1.0)
+            ->assertJsonPath('trend.providers.0.name', 'a')
+            ->assertJsonPath('trend.providers.0.keep_rates', [1.0, 0.0])
+            ->assertJsonPath('trend.providers.1.keep_rates', [0.5, 0.0]);
+    }
+
+    public function test_trend_keeps_classifications_with_the_scan_that_made_them(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $first = Scan::factory()->create(['subreddit_id' => $subreddit->id, 'completed_at' => '2026-03-01 10:00:00']);
+        $second = Scan::factory()->create(['subreddit_id' => $subreddit->id, 'completed_at' => '2026-03-08 10:00:00']);
+
+        $this->classify($first, ['a' => 'keep', 'b' => 'skip']);
+        $refetched = $this->classify($first, ['a' => 'keep', 'b' => 'keep']);
+        $this->classify($second, ['a' => 'skip', 'b' => 'skip']);
+
+        // The second scan refetched the post but did not classify it again
+        $refetched->post->update(['scan_id' => $second->id]);
+
+        $this->getJson(route('provider-analytics.show', $subreddit))
+            ->assertOk()
+            ->assertJsonPath('trend.scans.0.compared', 2)
+            ->assertJsonPath('trend.scans.0.agreement_rate', 0.5)
+            ->assertJsonPath('trend.scans.1.compared', 1)
+            ->assertJsonPath('trend.providers.0.keep_rates', [1.0, 0.0]);
+    }
+
+    public function test_all_subreddits_scope_includes_every_subreddit(): void
+    {
+        $this->classify(Scan::factory()->create(), ['a' => 'keep', 'b' => 'skip']);
+        $this->classify(Scan::factory()->create(), ['a' => 'keep', 'b' => 'skip']);
+
+        $this->getJson(route('provider-analytics.index'))
+            ->assertOk()
+            ->assertJsonPath('classification.total_classified', 2)
+            ->assertJsonCount(2, 'trend.scans');
+
+        $this->getJson(route('provider-analytics.disagreements', ['keep' => 'a', 'skip' => 'b']))
+            ->assertOk()
+            ->assertJsonPath('total', 2);
+    }
+
+    public function test_disagreements_require_a_bucket(): void
+    {
+        $this->getJson(route('provider-analytics.disagreements'))
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['keep', 'skip']);
+    }
+}
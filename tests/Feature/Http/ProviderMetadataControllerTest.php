@@ -21,6 +21,7 @@ public function test_returns_all_configured_providers(): void
         $this->assertArrayHasKey('classification_providers', $data);
         $this->assertArrayHasKey('extraction_provider', $data);
         $this->assertArrayHasKey('extraction_filter_providers', $data);
+        $this->assertArrayHasKey('consensus_thresholds', $data);
 
         $configKeys = array_column($data['providers'], 'config_key');
         $this->assertContains('anthropic-haiku', $configKeys);
@@ -0,0 +1,143 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use App\Jobs\ReprocessPostsChunkJob;
+use App\Models\Classification;
+use App\Models\ClassificationLabel;
+use App\Models\Idea;
+use App\Models\Post;
+use App\Models\ReprocessRun;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Bus;
+use Tests\TestCase;
+
+class ReprocessControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function keptPost(Subreddit $subreddit, Scan $scan): Post
+    {
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+        Classification::factory()->keep()->create(['post_id' => $post->id]);
+
+        return $post;
+    }
+
+    public function test_can_start_re_extraction_for_a_subreddit(): void
+    {
+        Bus::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $kept = $this->keptPost($subreddit, $scan);
+        $discarded = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+        Classification::factory()->discard()->create(['post_id' => $discarded->id]);
+
+        $this->postJson(route('reprocess.subreddit', $subreddit), [
+            'operation' => 'extraction',
+            'provider' => 'anthropic-opus',
+        ])
+            ->assertOk()
+            ->assertJsonPath('message', 'Re-extraction started')
+            ->assertJsonPath('run.is_running', true)
+            ->assertJsonPath('run.posts_total', 1);
+
+        Bus::assertBatched(fn ($batch) => $batch->name === 'reprocess-run-'.ReprocessRun::first()->id
+            && $batch->jobs[0] instanceof ReprocessPostsChunkJob
+            && $batch->jobs[0]->postIds === [$kept->id]);
+    }
+
+    public function test_re_extraction_skips_posts_a_reviewer_discarded(): void
+    {
+        Bus::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $kept = $this->keptPost($subreddit, $scan);
+        $overruled = $this->keptPost($subreddit, $scan);
+        ClassificationLabel::factory()->discard()->create(['classification_id' => $overruled->classification->id]);
+
+        $this->postJson(route('reprocess.subreddit', $subreddit), [
+            'operation' => 'extraction',
+            'provider' => 'anthropic-opus',
+        ])
+            ->assertOk()
+            ->assertJsonPath('run.posts_total', 1);
+
+        Bus::assertBatched(fn ($batch) => $batch->jobs[0]->postIds === [$kept->id]);
+    }
+
+    public function test_idea_re_run_only_covers_the_ideas_post(): void
+    {
+        Bus::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $post = $this->keptPost($subreddit, $scan);
+        $this->keptPost($subreddit, $scan);
+        $idea = Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $scan->id]);
+
+        $this->postJson(route('reprocess.idea', $idea), [
+            'operation' => 'classification',
+            'provider' => 'anthropic-haiku',
+        ])
+            ->assertOk()
+            ->assertJsonPath('run.idea_id', $idea->id)
+            ->assertJsonPath('run.posts_total', 1);
+    }
+
+    public function test_start_validates_operation_and_provider_capability(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+
+        $this->postJson(route('reprocess.subreddit', $subreddit), ['operation' => 'refetch', 'provider' => 'anthropic-opus'])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('operation');
+
+        // anthropic-opus only supports extraction
+        $this->postJson(route('reprocess.subreddit', $subreddit), ['operation' => 'classification', 'provider' => 'anthropic-opus'])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('provider');
+    }
+
+    public function test_start_is_refused_while_a_run_is_active(): void
+    {
+        Bus::fake();
+
+        $subreddit = Subreddit::factory()->create(['name' => 'startups']);
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $this->keptPost($subreddit, $scan);
+        ReprocessRun::factory()->create(['subreddit_id' => $subreddit->id]);
+
+        $this->postJson(route('reprocess.scan', $scan), ['operation' => 'extraction', 'provider' => 'anthropic-opus'])
+            ->assertUnprocessable()
+            ->assertJsonPath('message', 'A re-run is already in progress for r/startups');
+
+        Bus::assertNothingBatched();
+    }
+
+    public function test_start_is_refused_when_no_posts_qualify(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+
+        $this->postJson(route('reprocess.subreddit', $subreddit), ['operation' => 'extraction', 'provider' => 'anthropic-opus'])
+            ->assertUnprocessable()
+            ->assertJsonPath('message', 'No kept posts to re-extract');
+
+        $this->assertEquals(0, ReprocessRun::count());
+    }
+
+    public function test_can_get_run_status(): void
+    {
+        $run = ReprocessRun::factory()->create(['status' => ReprocessRun::STATUS_COMPLETED, 'posts_processed' => 1]);
+
+        $this->getJson(route('reprocess.show', $run))
+            ->assertOk()
+            ->assertJsonPath('run.id', $run->id)
+            ->assertJsonPath('run.is_running', false)
+            ->assertJsonPath('run.posts_processed', 1);
+    }
+}
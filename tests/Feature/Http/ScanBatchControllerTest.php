@@ -0,0 +1,91 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use App\Models\ScanBatch;
+use App\Models\Subreddit;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Queue;
+use Tests\TestCase;
+
+class ScanBatchControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_can_start_batch_scan(): void
+    {
+        Queue::fake();
+        config(['reddit.batch.max_concurrent_scans' => 1]);
+
+        $subreddits = Subreddit::factory()->count(2)->create();
+
+        $response = $this->postJson(route('scan-batch.store'), [
+            'subreddit_ids' => $subreddits->pluck('id')->all(),
+            'date_from' => now()->subDays(2)->utc()->format('Y-m-d\TH:i:s.v\Z'),
+            'date_to' => now()->subMinute()->utc()->format('Y-m-d\TH:i:s.v\Z'),
+        ]);
+
+        $response->assertOk();
+        $response->assertJsonPath('message', 'Batch scan started');
+        $response->assertJsonPath('batch.is_running', true);
+        $response->assertJsonPath('batch.items.0.state', 'running');
+        $response->assertJsonPath('batch.items.1.state', 'queued');
+        $response->assertJsonPath('batch.items.1.subreddit_name', $subreddits[1]->name);
+    }
+
+    public function test_start_validates_subreddit_ids(): void
+    {
+        $this->postJson(route('scan-batch.store'), ['subreddit_ids' => []])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('subreddit_ids');
+
+        $this->postJson(route('scan-batch.store'), ['subreddit_ids' => [999]])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors('subreddit_ids.0');
+    }
+
+    public function test_start_rejects_second_batch_while_one_is_running(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        ScanBatch::factory()->create(['subreddit_ids' => [$subreddit->id]]);
+
+        $this->postJson(route('scan-batch.store'), ['subreddit_ids' => [$subreddit->id]])
+            ->assertUnprocessable()
+            ->assertJsonPath('message', 'A batch scan is already running. Cancel it or wait for it to finish.');
+    }
+
+    public function test_store_is_refused_when_a_subreddit_goes_over_a_blocking_budget(): void
+    {
+        Queue::fake();
+        config(['llm.budget.max_scan_cost_usd' => 0.01, 'llm.budget.mode' => 'block']);
+
+        $subreddit = Subreddit::factory()->create(['name' => 'startups']);
+
+        $this->postJson(route('scan-batch.store'), ['subreddit_ids' => [$subreddit->id]])
+            ->assertUnprocessable()
+            ->assertJsonPath('message', fn (string $message) => str_contains($message, 'for r/startups'));
+
+        $this->assertEquals(0, ScanBatch::count());
+    }
+
+    public function test_can_get_batch_status(): void
+    {
+        $batch = ScanBatch::factory()->completed()->create();
+
+        $this->getJson(route('scan-batch.show', $batch))
+            ->assertOk()
+            ->assertJsonPath('batch.id', $batch->id)
+            ->assertJsonPath('batch.is_running', false);
+    }
+
+    public function test_cancel_rejects_finished_batch(): void
+    {
+        $batch = ScanBatch::factory()->completed()->create();
+
+        $this->postJson(route('scan-batch.cancel', $batch))
+            ->assertUnprocessable()
+            ->assertJsonPath('message', 'Can only cancel a running batch');
+    }
+}
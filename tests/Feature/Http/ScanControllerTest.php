@@ -3,10 +3,12 @@
 namespace Tests\Feature\Http;
 
 use App\Jobs\StartScanJob;
+use App\Models\Idea;
 use App\Models\Scan;
 use App\Models\Subreddit;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Sleep;
 use Tests\TestCase;
 
 class ScanControllerTest extends TestCase
@@ -53,6 +55,112 @@ public function test_returns_existing_scan_when_already_in_progress(): void
         Queue::assertNotPushed(StartScanJob::class);
     }
 
+    public function test_can_estimate_scan_cost(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+
+        $response = $this->getJson(route('scan.estimate', [
+            'subreddit' => $subreddit,
+            'date_from' => now()->subWeek()->utc()->format('Y-m-d\TH:i:s.v\Z'),
+            'date_to' => now()->subMinute()->utc()->format('Y-m-d\TH:i:s.v\Z'),
+        ]));
+
+        $response->assertOk();
+        $response->assertJsonStructure(['estimate' => [
+            'posts', 'posts_to_extract', 'basis', 'classification', 'extraction', 'cost_usd', 'budget',
+        ]]);
+        $response->assertJsonPath('estimate.basis', 'default');
+    }
+
+    public function test_started_scan_stores_its_cost_estimate(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+
+        $response = $this->postJson(route('scan.start', $subreddit));
+
+        $response->assertOk();
+        $this->assertNotNull(Scan::sole()->cost_estimate);
+        $response->assertJsonStructure(['scan' => ['cost_estimate' => ['posts', 'cost_usd'], 'usage' => ['calls', 'cost_usd']]]);
+    }
+
+    public function test_start_is_refused_over_a_blocking_budget(): void
+    {
+        Queue::fake();
+        config(['llm.budget.max_scan_cost_usd' => 0.01, 'llm.budget.mode' => 'block']);
+
+        $subreddit = Subreddit::factory()->create();
+
+        $response = $this->postJson(route('scan.start', $subreddit));
+
+        $response->assertUnprocessable();
+        $this->assertStringContainsString('exceeds the per-scan budget of $0.01', $response->json('message'));
+        $this->assertEquals(0, Scan::count());
+        Queue::assertNotPushed(StartScanJob::class);
+    }
+
+    public function test_start_only_warns_over_a_budget_in_warn_mode(): void
+    {
+        Queue::fake();
+        config(['llm.budget.max_scan_cost_usd' => 0.01, 'llm.budget.mode' => 'warn']);
+
+        $subreddit = Subreddit::factory()->create();
+
+        $this->postJson(route('scan.start', $subreddit))->assertOk();
+
+        Queue::assertPushed(StartScanJob::class);
+    }
+
+    public function test_start_stores_per_scan_provider_overrides(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+
+        $response = $this->postJson(route('scan.start', $subreddit), [
+            'classification_providers' => ['anthropic-haiku'],
+            'extraction_provider' => 'anthropic-opus',
+            'consensus_threshold_keep' => 0.7,
+            'consensus_threshold_discard' => 0.3,
+        ]);
+
+        $response->assertOk();
+        $response->assertJsonPath('scan.llm_settings.custom', true);
+
+        $scan = Scan::sole();
+        $this->assertEquals(['anthropic-haiku'], $scan->classificationProviderNames());
+        $this->assertEquals('anthropic-opus', $scan->extractionProviderName());
+        $this->assertEquals(['keep' => 0.7, 'discard' => 0.3], $scan->consensusThresholds());
+    }
+
+    public function test_start_rejects_providers_without_the_capability(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+
+        $this->postJson(route('scan.start', $subreddit), [
+            'classification_providers' => ['anthropic-opus'],
+            'extraction_provider' => 'anthropic-haiku',
+        ])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['classification_providers.0', 'extraction_provider']);
+
+        $this->assertEquals(0, Scan::count());
+    }
+
+    public function test_start_rejects_discard_threshold_above_keep(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+
+        $this->postJson(route('scan.start', $subreddit), ['consensus_threshold_discard' => 0.8])
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['consensus_threshold_discard']);
+    }
+
     public function test_can_get_scan_status(): void
     {
         $scan = Scan::factory()->create([
@@ -68,6 +176,105 @@ public function test_can_get_scan_status(): void
         $response->assertJsonPath('scan.posts_fetched', 25);
     }
 
+    public function test_lists_scans_finished_since_the_last_check(): void
+    {
+        $this->travelTo(now()->startOfSecond());
+        $subreddit = Subreddit::factory()->create(['name' => 'SaaS']);
+        Scan::factory()->for($subreddit)->create(['status' => Scan::STATUS_COMPLETED, 'completed_at' => now()->subHour()]);
+        $completed = Scan::factory()->for($subreddit)->create([
+            'status' => Scan::STATUS_COMPLETED,
+            'ideas_found' => 3,
+            'completed_at' => now()->subMinutes(5),
+        ]);
+        $failed = Scan::factory()->for($subreddit)->create([
+            'status' => Scan::STATUS_FAILED,
+            'error_message' => 'Reddit API rate limit',
+            'completed_at' => now()->subMinute(),
+        ]);
+        Scan::factory()->for($subreddit)->create(['status' => Scan::STATUS_EXTRACTING]);
+
+        $response = $this->getJson(route('api.scans.finished', ['since' => now()->subMinutes(10)->toIso8601String()]));
+
+        $response->assertOk()
+            ->assertJsonCount(2, 'scans')
+            ->assertJsonPath('scans.0.id', $completed->id)
+            ->assertJsonPath('scans.0.ideas_found', 3)
+            ->assertJsonPath('scans.0.subreddit', ['id' => $subreddit->id, 'name' => 'SaaS'])
+            ->assertJsonPath('scans.1.id', $failed->id)
+            ->assertJsonPath('scans.1.is_failed', true)
+            ->assertJsonPath('scans.1.error_message', 'Reddit API rate limit')
+            ->assertJsonPath('checked_at', now()->toIso8601String());
+    }
+
+    public function test_first_finished_scans_check_only_returns_the_cursor(): void
+    {
+        Scan::factory()->create(['status' => Scan::STATUS_COMPLETED, 'completed_at' => now()->subMinute()]);
+
+        $this->getJson(route('api.scans.finished'))
+            ->assertOk()
+            ->assertJsonCount(0, 'scans')
+            ->assertJsonStructure(['checked_at']);
+    }
+
+    public function test_stream_sends_recent_ideas_and_final_status_for_finished_scan(): void
+    {
+        Sleep::fake();
+
+        $scan = Scan::factory()->create([
+            'status' => Scan::STATUS_COMPLETED,
+            'ideas_found' => 7,
+        ]);
+        $ideas = Idea::factory()->count(7)->create(['scan_id' => $scan->id]);
+
+        $response = $this->get(route('scan.stream', $scan));
+
+        $response->assertOk();
+        $this->assertStringStartsWith('text/event-stream', $response->headers->get('Content-Type'));
+
+        $events = $this->parseEvents($response->streamedContent());
+
+        $this->assertSame(['ideas', 'status'], array_column($events, 'event'));
+        $this->assertSame(
+            $ideas->sortBy('id')->slice(-5)->pluck('id')->values()->all(),
+            array_column($events[0]['data']['ideas'], 'id')
+        );
+        $this->assertSame(Scan::STATUS_COMPLETED, $events[1]['data']['scan']['status']);
+        Sleep::assertNeverSlept();
+    }
+
+    public function test_stream_only_sends_ideas_after_cursor(): void
+    {
+        Sleep::fake();
+
+        $scan = Scan::factory()->create(['status' => Scan::STATUS_COMPLETED]);
+        $ideas = Idea::factory()->count(3)->create(['scan_id' => $scan->id])->sortBy('id')->values();
+
+        $response = $this->get(route('scan.stream', ['scan' => $scan, 'after' => $ideas[0]->id]));
+
+        $events = $this->parseEvents($response->streamedContent());
+
+        $this->assertSame('ideas', $events[0]['event']);
+        $this->assertSame([$ideas[1]->id, $ideas[2]->id], array_column($events[0]['data']['ideas'], 'id'));
+    }
+
+    public function test_stream_asks_client_to_reconnect_while_scan_is_running(): void
+    {
+        Sleep::fake();
+
+        $scan = Scan::factory()->create([
+            'status' => Scan::STATUS_CLASSIFYING,
+            'posts_fetched' => 40,
+        ]);
+
+        $response = $this->get(route('scan.stream', $scan));
+
+        $events = $this->parseEvents($response->streamedContent());
+
+        // Unchanged status is only sent once per connection
+        $this->assertSame(['status', 'reconnect'], array_column($events, 'event'));
+        $this->assertSame(40, $events[0]['data']['scan']['posts_fetched']);
+    }
+
     public function test_can_cancel_in_progress_scan(): void
     {
         $scan = Scan::factory()->create([
@@ -116,6 +323,25 @@ public function test_can_retry_failed_scan(): void
         Queue::assertPushed(StartScanJob::class);
     }
 
+    public function test_retry_is_refused_over_a_blocking_budget(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $failedScan = Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_FAILED,
+        ]);
+        config(['llm.budget.max_scan_cost_usd' => 0.01, 'llm.budget.mode' => 'block']);
+
+        $response = $this->postJson(route('scan.retry', $failedScan));
+
+        $response->assertUnprocessable();
+        $this->assertStringContainsString('exceeds the per-scan budget of $0.01', $response->json('message'));
+        $this->assertEquals(1, Scan::count());
+        Queue::assertNotPushed(StartScanJob::class);
+    }
+
     public function test_returns_422_when_retrying_non_failed_scan(): void
     {
         $subreddit = Subreddit::factory()->create();
@@ -148,4 +374,33 @@ public function test_start_scan_accepts_date_range_parameters(): void
         $this->assertNotNull($scan->date_from);
         $this->assertNotNull($scan->date_to);
     }
+
+    /**
+     * Split an SSE body into [event, data] pairs, skipping comments.
+     *
+     * @return array<int, array{event: string, data: array}>
+     */
+    private function parseEvents(string $body): array
+    {
+        $events = [];
+
+        foreach (preg_split('/\n\n/', trim($body)) as $block) {
+            $event = null;
+            $data = null;
+
+            foreach (explode("\n", $block) as $line) {
+                if (str_starts_with($line, 'event: ')) {
+                    $event = substr($line, 7);
+                } elseif (str_starts_with($line, 'data: ')) {
+                    $data = json_decode(substr($line, 6), true);
+                }
+            }
+
+            if ($event !== null) {
+                $events[] = ['event' => $event, 'data' => $data];
+            }
+        }
+
+        return $events;
+    }
 }
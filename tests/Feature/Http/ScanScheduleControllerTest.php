@@ -0,0 +1,108 @@
+<?php
+
+namespace Tests\Feature\Http;
+
+use App\Jobs\RunScheduledScanJob;
+use App\Models\ScanSchedule;
+use App\Models\Subreddit;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Queue;
+use Tests\TestCase;
+
+class ScanScheduleControllerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_can_save_weekly_schedule(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 08:00:00', 'UTC')); // Monday
+
+        $subreddit = Subreddit::factory()->create();
+
+        $response = $this->putJson(route('scan-schedule.update', $subreddit), [
+            'frequency' => 'weekly',
+            'time' => '07:30',
+            'day_of_week' => 5,
+            'timezone' => 'UTC',
+            'window_hours' => 168,
+        ]);
+
+        $response->assertOk();
+        $response->assertJsonPath('schedule.cron_expression', '30 7 * * 5');
+        $response->assertJsonPath('schedule.window_hours', 168);
+        $response->assertJsonPath('schedule.next_run_at', '2026-03-06T07:30:00+00:00');
+
+        $this->assertDatabaseCount('scan_schedules', 1);
+        Queue::assertPushed(RunScheduledScanJob::class);
+    }
+
+    public function test_saving_again_replaces_the_existing_schedule(): void
+    {
+        Queue::fake();
+
+        $schedule = ScanSchedule::factory()->create();
+
+        $this->putJson(route('scan-schedule.update', $schedule->subreddit_id), [
+            'frequency' => 'cron',
+            'cron_expression' => '0 */6 * * *',
+            'timezone' => 'UTC',
+        ])->assertOk()->assertJsonPath('schedule.window_hours', null);
+
+        $this->assertDatabaseCount('scan_schedules', 1);
+        $this->assertEquals('0 */6 * * *', $schedule->fresh()->cron_expression);
+    }
+
+    public function test_rejects_invalid_or_too_frequent_cron_expressions(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+
+        $this->putJson(route('scan-schedule.update', $subreddit), [
+            'frequency' => 'cron',
+            'cron_expression' => 'not a cron',
+            'timezone' => 'UTC',
+        ])->assertUnprocessable()->assertJsonValidationErrors('cron_expression');
+
+        $this->putJson(route('scan-schedule.update', $subreddit), [
+            'frequency' => 'cron',
+            'cron_expression' => '*/5 * * * *',
+            'timezone' => 'UTC',
+        ])->assertUnprocessable()->assertJsonValidationErrors('cron_expression');
+
+        $this->putJson(route('scan-schedule.update', $subreddit), [
+            'frequency' => 'cron',
+            'cron_expression' => '0 0 30 2 *',
+            'timezone' => 'UTC',
+        ])->assertUnprocessable()->assertJsonValidationErrors('cron_expression');
+
+        $this->assertDatabaseCount('scan_schedules', 0);
+    }
+
+    public function test_can_pause_and_resume_schedule(): void
+    {
+        Queue::fake();
+
+        $schedule = ScanSchedule::factory()->create(['next_run_at' => now()->addHour()]);
+
+        $this->postJson(route('scan-schedule.pause', $schedule->subreddit_id), ['paused' => true])
+            ->assertOk()
+            ->assertJsonPath('schedule.is_paused', true)
+            ->assertJsonPath('schedule.next_run_at', null);
+
+        $this->postJson(route('scan-schedule.pause', $schedule->subreddit_id), ['paused' => false])
+            ->assertOk()
+            ->assertJsonPath('schedule.is_paused', false);
+
+        $this->assertNotNull($schedule->fresh()->next_run_at);
+    }
+
+    public function test_can_remove_schedule(): void
+    {
+        $schedule = ScanSchedule::factory()->create();
+
+        $this->deleteJson(route('scan-schedule.destroy', $schedule->subreddit_id))->assertOk();
+
+        $this->assertDatabaseCount('scan_schedules', 0);
+    }
+}
@@ -2,6 +2,8 @@
 
 namespace Tests\Feature\Http;
 
+use App\Models\Scan;
+use App\Models\ScanSchedule;
 use App\Models\Subreddit;
 use Illuminate\Foundation\Testing\RefreshDatabase;
 use Inertia\Testing\AssertableInertia as Assert;
@@ -94,6 +96,53 @@ public function test_subreddit_page_contains_subreddit_data(): void
         );
     }
 
+    public function test_subreddit_page_contains_schedule(): void
+    {
+        $schedule = ScanSchedule::factory()->paused()->create(['cron_expression' => '30 7 * * 1']);
+
+        $response = $this->get(route('subreddit.show', $schedule->subreddit_id));
+
+        $response->assertInertia(fn (Assert $page) => $page
+            ->where('schedule.cron_expression', '30 7 * * 1')
+            ->where('schedule.is_paused', true)
+            ->where('schedule.next_run_at', null)
+        );
+    }
+
+    public function test_scan_history_page_lists_every_scan_newest_first(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $completed = Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'started_at' => now()->subDays(2),
+            'completed_at' => now()->subDays(2)->addSeconds(185),
+            'created_at' => now()->subDays(2),
+        ]);
+        $failed = Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_FAILED,
+            'error_message' => 'Reddit API rate limit exceeded',
+            'ideas_found' => 0,
+            'created_at' => now()->subDay(),
+        ]);
+        Scan::factory()->create();
+
+        $response = $this->get(route('subreddit.scans', $subreddit));
+
+        $response->assertOk();
+        $response->assertInertia(fn (Assert $page) => $page
+            ->component('Subreddit/Scans')
+            ->where('subreddit.id', $subreddit->id)
+            ->has('scans', 2)
+            ->where('scans.0.id', $failed->id)
+            ->where('scans.0.is_failed', true)
+            ->where('scans.0.error_message', 'Reddit API rate limit exceeded')
+            ->where('scans.1.id', $completed->id)
+            ->where('scans.1.duration_seconds', 185)
+            ->where('has_active_scan', false)
+        );
+    }
+
     public function test_store_validates_name_is_required(): void
     {
         $response = $this->post(route('subreddit.store'), []);
@@ -112,6 +112,59 @@ public function test_store_classification_creates_classification_and_results():
         $this->assertSame(8, $storedResult?->details['points']['total']);
     }
 
+    public function test_uses_the_scans_providers_and_thresholds(): void
+    {
+        Queue::fake();
+
+        config([
+            'llm.classification.providers' => ['test-provider-1', 'test-provider-2'],
+            'llm.classification.consensus_threshold_keep' => 0.6,
+            'llm.classification.consensus_threshold_discard' => 0.4,
+            'llm.classification.shortcut_confidence' => 0.8,
+        ]);
+
+        $subreddit = Subreddit::factory()->create(['name' => 'test']);
+        $scan = Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_CLASSIFYING,
+            'llm_settings' => Scan::resolveLlmSettings([
+                'classification_providers' => ['test-provider-1'],
+                'consensus_threshold_keep' => 0.9,
+                'consensus_threshold_discard' => 0.2,
+            ]),
+        ]);
+        $post = Post::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'scan_id' => $scan->id,
+        ]);
+
+        // 0.7 is a keep under the default 0.6 threshold, borderline under this scan's 0.9
+        $provider = Mockery::mock(LLMProviderInterface::class);
+        $provider->shouldReceive('classify')->andReturn(new ClassificationResponse(
+            verdict: 'keep',
+            confidence: 0.7,
+            category: Classification::CATEGORY_GENUINE_PROBLEM,
+            reasoning: 'Plausible',
+            details: [],
+            rawResponse: [],
+        ));
+        $provider->shouldReceive('getModelName')->andReturn('test-model-1');
+
+        $factory = Mockery::mock(LLMProviderFactory::class);
+        $factory->shouldReceive('classificationProviders')
+            ->once()
+            ->with(['test-provider-1'])
+            ->andReturn(['test-provider-1' => $provider]);
+
+        (new ClassifyPostsChunkJob($scan->id, [$post->id]))->handle($factory);
+
+        $this->assertDatabaseHas('classifications', [
+            'post_id' => $post->id,
+            'expected_provider_count' => 1,
+            'final_decision' => Classification::DECISION_BORDERLINE,
+        ]);
+    }
+
     public function test_all_providers_succeed_triggers_process_results(): void
     {
         Queue::fake();
@@ -2,12 +2,14 @@
 
 namespace Tests\Feature\Jobs;
 
+use App\Jobs\ClusterIdeasJob;
 use App\Jobs\FinalizeExtractionJob;
 use App\Models\Classification;
 use App\Models\Post;
 use App\Models\Scan;
 use App\Models\Subreddit;
 use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Queue;
 use Tests\TestCase;
 
 class FinalizeExtractionJobTest extends TestCase
@@ -45,4 +47,18 @@ public function test_reconciles_posts_extracted_using_keep_and_borderline_posts(
         $this->assertSame(2, $scan->posts_extracted);
         $this->assertSame(Scan::STATUS_COMPLETED, $scan->status);
     }
+
+    public function test_reclusters_ideas_only_when_the_scan_found_some(): void
+    {
+        Queue::fake();
+
+        $withIdeas = Scan::factory()->create(['status' => Scan::STATUS_EXTRACTING, 'ideas_found' => 3]);
+        $withoutIdeas = Scan::factory()->create(['status' => Scan::STATUS_EXTRACTING, 'ideas_found' => 0]);
+
+        (new FinalizeExtractionJob($withoutIdeas->id))->handle();
+        Queue::assertNotPushed(ClusterIdeasJob::class);
+
+        (new FinalizeExtractionJob($withIdeas->id))->handle();
+        Queue::assertPushed(ClusterIdeasJob::class, 1);
+    }
 }
@@ -0,0 +1,171 @@
+<?php
+
+namespace Tests\Feature\Jobs;
+
+use App\Jobs\ReprocessPostsChunkJob;
+use App\Models\Classification;
+use App\Models\ClassificationLabel;
+use App\Models\ClassificationResult;
+use App\Models\Idea;
+use App\Models\Post;
+use App\Models\ReprocessRun;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use App\Services\LLM\DTOs\ClassificationResponse;
+use App\Services\LLM\DTOs\ExtractionResponse;
+use App\Services\LLM\LLMProviderFactory;
+use App\Services\LLM\LLMProviderInterface;
+use Illuminate\Database\UniqueConstraintViolationException;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Queue;
+use Mockery;
+use Tests\TestCase;
+
+class ReprocessPostsChunkJobTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private function keptPost(): Post
+    {
+        $subreddit = Subreddit::factory()->create();
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id, 'ideas_found' => 1]);
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+        Classification::factory()->keep()->create(['post_id' => $post->id]);
+
+        return $post;
+    }
+
+    public function test_re_extraction_stores_tagged_ideas_next_to_the_scans_own(): void
+    {
+        Queue::fake();
+
+        $post = $this->keptPost();
+        Idea::factory()->create(['post_id' => $post->id, 'scan_id' => $post->scan_id, 'extraction_provider' => 'anthropic-sonnet']);
+        $run = ReprocessRun::factory()->create(['subreddit_id' => $post->subreddit_id, 'provider' => 'anthropic-opus']);
+
+        $provider = Mockery::mock(LLMProviderInterface::class);
+        $provider->shouldReceive('extract')->once()->andReturn(ExtractionResponse::fromJson([
+            ['idea_title' => 'Invoice chaser', 'problem_statement' => 'Freelancers wait months to get paid'],
+        ]));
+        $provider->shouldReceive('getProviderName')->andReturn('anthropic-opus');
+        $provider->shouldReceive('getModelName')->andReturn('claude-opus-test');
+
+        $factory = Mockery::mock(LLMProviderFactory::class);
+        $factory->shouldReceive('extractionProvider')->with('anthropic-opus')->andReturn($provider);
+
+        $job = new ReprocessPostsChunkJob($run->id, [$post->id]);
+        $job->handle($factory);
+        // A second pass over the same post is a no-op
+        $job->handle($factory);
+
+        $this->assertEquals(2, Idea::where('post_id', $post->id)->count());
+        $this->assertDatabaseHas('ideas', [
+            'post_id' => $post->id,
+            'idea_title' => 'Invoice chaser',
+            'extraction_provider' => 'anthropic-opus',
+            'reprocess_run_id' => $run->id,
+            // The scan did not find it, so it stays out of the scan's ideas
+            'scan_id' => null,
+        ]);
+        $this->assertEquals(1, Idea::fromScan($post->scan_id)->count());
+
+        $run->refresh();
+        $this->assertEquals(1, $run->ideas_found);
+        $this->assertEquals(1, $post->scan->fresh()->ideas_found);
+    }
+
+    public function test_forced_extraction_stores_the_ideas_as_kept(): void
+    {
+        Queue::fake();
+
+        $post = $this->keptPost();
+        $post->classification->update(['final_decision' => Classification::DECISION_DISCARD]);
+        ClassificationLabel::factory()->create(['classification_id' => $post->classification->id]);
+        $run = ReprocessRun::factory()->create(['subreddit_id' => $post->subreddit_id, 'provider' => 'anthropic-opus']);
+
+        $provider = Mockery::mock(LLMProviderInterface::class);
+        $provider->shouldReceive('extract')->once()->andReturn(ExtractionResponse::fromJson([
+            ['idea_title' => 'Invoice chaser', 'problem_statement' => 'Freelancers wait months to get paid'],
+        ]));
+        $provider->shouldReceive('getProviderName')->andReturn('anthropic-opus');
+        $provider->shouldReceive('getModelName')->andReturn('claude-opus-test');
+
+        $factory = Mockery::mock(LLMProviderFactory::class);
+        $factory->shouldReceive('extractionProvider')->with('anthropic-opus')->andReturn($provider);
+
+        (new ReprocessPostsChunkJob($run->id, [$post->id]))->handle($factory);
+
+        $this->assertDatabaseHas('ideas', [
+            'post_id' => $post->id,
+            'reprocess_run_id' => $run->id,
+            'classification_status' => 'keep',
+        ]);
+    }
+
+    public function test_re_classification_keeps_the_final_decision(): void
+    {
+        Queue::fake();
+
+        $post = $this->keptPost();
+        $run = ReprocessRun::factory()->classification('anthropic-sonnet')->create(['subreddit_id' => $post->subreddit_id]);
+
+        $provider = Mockery::mock(LLMProviderInterface::class);
+        $provider->shouldReceive('classify')->once()->andReturn(new ClassificationResponse(
+            verdict: 'skip',
+            confidence: 0.95,
+            category: Classification::CATEGORY_RANT,
+            reasoning: 'Just venting',
+            details: [],
+            rawResponse: [],
+        ));
+        $provider->shouldReceive('getModelName')->andReturn('claude-sonnet-test');
+
+        $factory = Mockery::mock(LLMProviderFactory::class);
+        $factory->shouldReceive('classificationProviders')->with(['anthropic-sonnet'])->andReturn([
+            'anthropic-sonnet' => $provider,
+        ]);
+
+        (new ReprocessPostsChunkJob($run->id, [$post->id]))->handle($factory);
+
+        $classification = $post->classification->fresh();
+        $this->assertEquals(Classification::DECISION_KEEP, $classification->final_decision);
+        $this->assertCount(2, $classification->scanResults);
+        $this->assertCount(1, $classification->rerunResults);
+        $this->assertCount(3, $classification->results);
+
+        $this->assertDatabaseHas('classification_results', [
+            'classification_id' => $classification->id,
+            'provider_name' => 'anthropic-sonnet',
+            'reprocess_run_id' => $run->id,
+            'verdict' => 'skip',
+            'completed' => true,
+        ]);
+        $this->assertEquals(1, ClassificationResult::whereNotNull('reprocess_run_id')->count());
+        $this->assertEquals(1, $run->fresh()->posts_processed);
+    }
+
+    public function test_scan_results_stay_unique_per_provider_next_to_re_run_results(): void
+    {
+        $post = $this->keptPost();
+        $classification = $post->classification;
+        $run = ReprocessRun::factory()->classification('test-provider-1')->create(['subreddit_id' => $post->subreddit_id]);
+
+        ClassificationResult::factory()->keep()->forProvider('test-provider-1')->create([
+            'classification_id' => $classification->id,
+            'reprocess_run_id' => $run->id,
+        ]);
+
+        // The pipeline's gap-fill lookup finds the scan's own result, not the re-run's
+        $scanResult = ClassificationResult::whereNull('reprocess_run_id')->firstOrCreate(
+            ['classification_id' => $classification->id, 'provider_name' => 'test-provider-1'],
+            ['verdict' => 'skip', 'completed' => false],
+        );
+        $this->assertNull($scanResult->reprocess_run_id);
+        $this->assertFalse($scanResult->wasRecentlyCreated);
+
+        $this->expectException(UniqueConstraintViolationException::class);
+        ClassificationResult::factory()->keep()->forProvider('test-provider-1')->create([
+            'classification_id' => $classification->id,
+        ]);
+    }
+}
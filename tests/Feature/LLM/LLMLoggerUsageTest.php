@@ -0,0 +1,100 @@
+<?php
+
+namespace Tests\Feature\LLM;
+
+use App\Models\LlmUsage;
+use App\Models\Post;
+use App\Models\ReprocessRun;
+use App\Services\LLM\LLMLogger;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Context;
+use Tests\TestCase;
+
+class LLMLoggerUsageTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_records_anthropic_usage_against_the_posts_scan(): void
+    {
+        $post = Post::factory()->create();
+
+        app(LLMLogger::class)->logResponse(
+            'req-1', 'anthropic-haiku', 'claude-haiku-4-5-20251001', 'classification',
+            [], 120.0, true, postId: $post->id,
+            usage: ['input_tokens' => 800, 'cache_creation_input_tokens' => 100, 'cache_read_input_tokens' => 100, 'output_tokens' => 200],
+        );
+
+        $usage = LlmUsage::sole();
+        $this->assertEquals($post->scan_id, $usage->scan_id);
+        $this->assertEquals(1000, $usage->input_tokens);
+        $this->assertEquals(200, $usage->output_tokens);
+        // 800 × $1/M + 100 × $1.25/M written + 100 × $0.10/M read + 200 × $5/M
+        $this->assertEqualsWithDelta(0.001935, $usage->cost_usd, 0.000001);
+    }
+
+    public function test_records_openai_usage_and_totals_per_scan(): void
+    {
+        $post = Post::factory()->create();
+        $logger = app(LLMLogger::class);
+
+        foreach ([1, 2] as $call) {
+            $logger->logResponse(
+                "req-{$call}", 'openai-gpt5-mini', 'gpt-5-mini-2025-08-07', 'classification',
+                [], 80.0, true, postId: $post->id,
+                usage: ['prompt_tokens' => 1000, 'completion_tokens' => 500],
+            );
+        }
+
+        $totals = LlmUsage::totalsForScan($post->scan_id);
+
+        $this->assertEquals(2, $totals['calls']);
+        $this->assertEquals(2000, $totals['input_tokens']);
+        $this->assertEquals(1000, $totals['output_tokens']);
+        $this->assertEqualsWithDelta(0.0025, $totals['cost_usd'], 0.00001);
+    }
+
+    public function test_prices_openai_cached_prompt_tokens_at_the_cache_rate(): void
+    {
+        $post = Post::factory()->create();
+
+        app(LLMLogger::class)->logResponse(
+            'req-1', 'openai-gpt5-mini', 'gpt-5-mini-2025-08-07', 'classification',
+            [], 80.0, true, postId: $post->id,
+            usage: ['prompt_tokens' => 1000, 'prompt_tokens_details' => ['cached_tokens' => 800], 'completion_tokens' => 500],
+        );
+
+        $usage = LlmUsage::sole();
+        $this->assertEquals(1000, $usage->input_tokens);
+        // 200 × $0.25/M + 800 × $0.025/M read + 500 × $2/M
+        $this->assertEqualsWithDelta(0.00107, $usage->cost_usd, 0.000001);
+    }
+
+    public function test_bills_a_re_runs_calls_to_the_run_instead_of_the_scan(): void
+    {
+        $post = Post::factory()->create();
+        $run = ReprocessRun::factory()->create(['subreddit_id' => $post->subreddit_id]);
+
+        Context::add('reprocess_run_id', $run->id);
+
+        app(LLMLogger::class)->logResponse(
+            'req-1', 'anthropic-opus', 'claude-opus-4-6', 'extraction',
+            [], 300.0, true, postId: $post->id,
+            usage: ['input_tokens' => 2000, 'output_tokens' => 800],
+        );
+
+        $usage = LlmUsage::sole();
+        $this->assertNull($usage->scan_id);
+        $this->assertEquals($run->id, $usage->reprocess_run_id);
+        $this->assertEquals(0, LlmUsage::totalsForScan($post->scan_id)['calls']);
+    }
+
+    public function test_skips_responses_without_usage(): void
+    {
+        app(LLMLogger::class)->logResponse(
+            'req-1', 'anthropic-sonnet', 'claude-sonnet-4-5-20250929', 'extraction',
+            [], 50.0, false, 'HTTP 500',
+        );
+
+        $this->assertEquals(0, LlmUsage::count());
+    }
+}
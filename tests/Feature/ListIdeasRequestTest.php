@@ -29,5 +29,17 @@ public function test_ideas_index_accepts_true_false_query_params_for_boolean_fil
                 ],
             ]);
     }
-}
 
+    public function test_ideas_index_accepts_a_provider_keep_agreement_filter(): void
+    {
+        $idea = Idea::factory()->create();
+        $subreddit = $idea->post->subreddit;
+
+        $this->getJson("/subreddits/{$subreddit->id}/ideas?classification_agreement=provider_keep:anthropic-haiku")
+            ->assertOk();
+
+        $this->getJson("/subreddits/{$subreddit->id}/ideas?classification_agreement=provider_keep:unknown")
+            ->assertUnprocessable()
+            ->assertJsonValidationErrors(['classification_agreement']);
+    }
+}
@@ -0,0 +1,135 @@
+<?php
+
+namespace Tests\Feature\Services;
+
+use App\Models\Classification;
+use App\Models\ClassificationResult;
+use App\Models\Idea;
+use App\Models\Post;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use App\Services\IdeaAnalyticsService;
+use Carbon\CarbonImmutable;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class IdeaAnalyticsServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private IdeaAnalyticsService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->service = app(IdeaAnalyticsService::class);
+    }
+
+    private function ideaIn(Subreddit $subreddit, string $createdAt, array $attributes = []): Idea
+    {
+        $scan = Scan::factory()->create(['subreddit_id' => $subreddit->id]);
+        $post = Post::factory()->create(['subreddit_id' => $subreddit->id, 'scan_id' => $scan->id]);
+
+        return Idea::factory()->create([
+            'post_id' => $post->id,
+            'scan_id' => $scan->id,
+            'created_at' => $createdAt,
+            ...$attributes,
+        ]);
+    }
+
+    public function test_counts_ideas_per_subreddit_per_week(): void
+    {
+        $startups = Subreddit::factory()->create(['name' => 'startups']);
+        $saas = Subreddit::factory()->create(['name' => 'saas']);
+
+        // 2026-03-02 is a Monday
+        $this->ideaIn($startups, '2026-03-03 10:00:00');
+        $this->ideaIn($startups, '2026-03-08 23:30:00');
+        $this->ideaIn($startups, '2026-03-10 09:00:00');
+        $this->ideaIn($saas, '2026-03-11 12:00:00');
+        $this->ideaIn($saas, '2026-04-20 12:00:00');
+
+        $summary = $this->service->summarize(CarbonImmutable::parse('2026-03-04'), CarbonImmutable::parse('2026-03-15'));
+
+        $this->assertEquals(['2026-03-02', '2026-03-09'], $summary['ideas_per_week']['weeks']);
+        $this->assertEquals('startups', $summary['ideas_per_week']['series'][0]['name']);
+        $this->assertEquals([1, 1], $summary['ideas_per_week']['series'][0]['counts']);
+        $this->assertEquals([0, 1], $summary['ideas_per_week']['series'][1]['counts']);
+        $this->assertEquals(3, $summary['totals']['ideas']);
+        $this->assertEquals(2, $summary['totals']['subreddits']);
+    }
+
+    public function test_score_distributions_cover_every_score(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $this->ideaIn($subreddit, '2026-03-03', ['score_overall' => 4, 'score_demand' => 2]);
+        $this->ideaIn($subreddit, '2026-03-04', ['score_overall' => 4, 'score_demand' => 5]);
+
+        $summary = $this->service->summarize(CarbonImmutable::parse('2026-03-01'), CarbonImmutable::parse('2026-03-31'));
+
+        $this->assertCount(5, $summary['score_distributions']['overall']);
+        $this->assertEquals(['score' => 4, 'ideas' => 2], $summary['score_distributions']['overall'][3]);
+        $this->assertEquals(0, $summary['score_distributions']['overall'][0]['ideas']);
+        $this->assertEquals(1, $summary['score_distributions']['demand'][1]['ideas']);
+        $this->assertEquals(4.0, $summary['totals']['avg_score']);
+    }
+
+    public function test_groups_audiences_case_insensitively(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $this->ideaIn($subreddit, '2026-03-03', ['target_audience' => 'Freelance designers']);
+        $this->ideaIn($subreddit, '2026-03-04', ['target_audience' => ' freelance designers ']);
+        $this->ideaIn($subreddit, '2026-03-05', ['target_audience' => 'Dentists']);
+        $this->ideaIn($subreddit, '2026-03-06', ['target_audience' => '']);
+
+        $summary = $this->service->summarize(CarbonImmutable::parse('2026-03-01'), CarbonImmutable::parse('2026-03-31'));
+
+        $this->assertCount(2, $summary['target_audiences']);
+        $this->assertEquals('freelance designers', $summary['target_audiences'][0]['value']);
+        $this->assertEquals(2, $summary['target_audiences'][0]['ideas']);
+    }
+
+    public function test_counts_each_competitor_once_per_idea(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $this->ideaIn($subreddit, '2026-03-03', ['existing_competitors' => ['Notion', 'notion', 'Airtable']]);
+        $this->ideaIn($subreddit, '2026-03-04', ['existing_competitors' => ['Notion']]);
+        $this->ideaIn($subreddit, '2026-03-05', ['existing_competitors' => []]);
+
+        $summary = $this->service->summarize(CarbonImmutable::parse('2026-03-01'), CarbonImmutable::parse('2026-03-31'));
+
+        $this->assertEquals(['value' => 'notion', 'label' => 'Notion', 'ideas' => 2], $summary['competitors'][0]);
+        $this->assertEquals('airtable', $summary['competitors'][1]['value']);
+    }
+
+    public function test_categories_count_verdicts_and_linked_ideas(): void
+    {
+        $idea = $this->ideaIn(Subreddit::factory()->create(), '2026-03-03');
+        $classification = Classification::factory()->create([
+            'post_id' => $idea->post_id,
+            'classified_at' => '2026-03-03 09:00:00',
+        ]);
+        ClassificationResult::factory()->keep()->forProvider('a')->create([
+            'classification_id' => $classification->id,
+            'category' => Classification::CATEGORY_TOOL_REQUEST,
+        ]);
+        ClassificationResult::factory()->skip()->forProvider('b')->create([
+            'classification_id' => $classification->id,
+            'category' => Classification::CATEGORY_TOOL_REQUEST,
+        ]);
+
+        $unused = Classification::factory()->create(['classified_at' => '2026-03-04 09:00:00']);
+        ClassificationResult::factory()->skip()->create([
+            'classification_id' => $unused->id,
+            'category' => Classification::CATEGORY_SPAM,
+        ]);
+
+        $summary = $this->service->summarize(CarbonImmutable::parse('2026-03-01'), CarbonImmutable::parse('2026-03-31'));
+
+        $this->assertEquals([
+            ['category' => Classification::CATEGORY_TOOL_REQUEST, 'results' => 2, 'keep' => 1, 'ideas' => 1],
+            ['category' => Classification::CATEGORY_SPAM, 'results' => 1, 'keep' => 0, 'ideas' => 0],
+        ], $summary['categories']);
+    }
+}
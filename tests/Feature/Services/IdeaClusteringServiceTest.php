@@ -0,0 +1,116 @@
+<?php
+
+namespace Tests\Feature\Services;
+
+use App\Models\Idea;
+use App\Models\ReprocessRun;
+use App\Services\IdeaClusteringService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class IdeaClusteringServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private IdeaClusteringService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->service = app(IdeaClusteringService::class);
+    }
+
+    private function idea(string $title, string $problem, string $audience): Idea
+    {
+        return Idea::factory()->create([
+            'idea_title' => $title,
+            'problem_statement' => $problem,
+            'target_audience' => $audience,
+        ]);
+    }
+
+    public function test_groups_near_duplicates_under_the_oldest_idea(): void
+    {
+        $first = $this->idea(
+            'Invoice reminder tool for freelancers',
+            'Freelancers forget to chase late invoices and lose money on unpaid work.',
+            'Freelance designers'
+        );
+        $second = $this->idea(
+            'Automatic late invoice reminders',
+            'Freelance designers waste hours chasing clients about unpaid invoices.',
+            'Freelancers'
+        );
+        $unrelated = $this->idea(
+            'Dental clinic appointment scheduler',
+            'Small dental practices double-book patients because scheduling lives on paper.',
+            'Dentists'
+        );
+
+        $result = $this->service->cluster();
+
+        $this->assertEquals(['ideas' => 3, 'clusters' => 1, 'clustered_ideas' => 2], $result);
+        $this->assertSame($first->id, $first->fresh()->cluster_id);
+        $this->assertSame($first->id, $second->fresh()->cluster_id);
+        $this->assertSame(2, $second->fresh()->cluster_size);
+        $this->assertNull($unrelated->fresh()->cluster_id);
+        $this->assertSame(1, $unrelated->fresh()->cluster_size);
+    }
+
+    public function test_cluster_size_counts_distinct_posts(): void
+    {
+        $first = $this->idea(
+            'Invoice reminder tool for freelancers',
+            'Freelancers forget to chase late invoices and lose money on unpaid work.',
+            'Freelance designers'
+        );
+        // A second idea from the same post and a re-run's copy of it
+        Idea::factory()->create([
+            'post_id' => $first->post_id,
+            'idea_title' => 'Late invoice reminders for freelancers',
+            'problem_statement' => 'Freelancers lose money chasing unpaid invoices.',
+            'target_audience' => 'Freelancers',
+        ]);
+        Idea::factory()->create([
+            'post_id' => $first->post_id,
+            'reprocess_run_id' => ReprocessRun::factory()->create()->id,
+            'idea_title' => $first->idea_title,
+            'problem_statement' => $first->problem_statement,
+            'target_audience' => $first->target_audience,
+        ]);
+        $otherPost = $this->idea(
+            'Automatic late invoice reminders',
+            'Freelance designers waste hours chasing clients about unpaid invoices.',
+            'Freelancers'
+        );
+
+        $result = $this->service->cluster();
+
+        $this->assertSame(4, $result['clustered_ideas']);
+        $this->assertSame(2, $first->fresh()->cluster_size);
+        $this->assertSame(2, $otherPost->fresh()->cluster_size);
+    }
+
+    public function test_recomputing_clears_clusters_that_no_longer_hold(): void
+    {
+        $lonely = $this->idea('Podcast transcript search', 'Podcasters cannot search old episodes.', 'Podcasters');
+        $other = $this->idea('Greenhouse humidity alerts', 'Growers lose plants to humidity spikes overnight.', 'Hobby growers');
+        Idea::whereIn('id', [$lonely->id, $other->id])->update(['cluster_id' => $lonely->id, 'cluster_size' => 2]);
+
+        $this->service->cluster();
+
+        $this->assertNull($lonely->fresh()->cluster_id);
+        $this->assertNull($other->fresh()->cluster_id);
+        $this->assertSame(1, $other->fresh()->cluster_size);
+    }
+
+    public function test_ideas_without_text_stand_alone(): void
+    {
+        $this->idea('', '', '');
+        $this->idea('The', 'and for with', '');
+
+        $result = $this->service->cluster();
+
+        $this->assertSame(0, $result['clusters']);
+    }
+}
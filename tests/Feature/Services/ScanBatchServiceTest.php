@@ -0,0 +1,202 @@
+<?php
+
+namespace Tests\Feature\Services;
+
+use App\Jobs\AdvanceScanBatchJob;
+use App\Jobs\StartScanJob;
+use App\Models\ReprocessRun;
+use App\Models\Scan;
+use App\Models\ScanBatch;
+use App\Models\Subreddit;
+use App\Services\ScanBatchService;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Cache;
+use Illuminate\Support\Facades\Queue;
+use Illuminate\Support\Sleep;
+use Tests\TestCase;
+
+class ScanBatchServiceTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private ScanBatchService $service;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        config(['reddit.batch.max_concurrent_scans' => 2]);
+        $this->service = app(ScanBatchService::class);
+    }
+
+    public function test_start_launches_only_up_to_the_concurrency_limit(): void
+    {
+        Queue::fake();
+
+        $subreddits = Subreddit::factory()->count(3)->create();
+
+        $batch = $this->service->start($subreddits->pluck('id')->all(), now()->subDay(), now());
+
+        $this->assertEquals(2, $batch->scans()->count());
+        $this->assertEquals([$subreddits[2]->id], $batch->queuedSubredditIds());
+        Queue::assertPushed(StartScanJob::class, 2);
+    }
+
+    public function test_finished_scan_launches_next_queued_subreddit(): void
+    {
+        Queue::fake();
+
+        $subreddits = Subreddit::factory()->count(3)->create();
+        $batch = $this->service->start($subreddits->pluck('id')->all());
+
+        $batch->scans()->first()->markAsCompleted();
+        Queue::assertPushed(AdvanceScanBatchJob::class, fn ($job) => $job->batchId === $batch->id);
+
+        (new AdvanceScanBatchJob($batch->id))->handle($this->service);
+
+        $this->assertEquals(3, $batch->scans()->count());
+        $this->assertEmpty($batch->queuedSubredditIds());
+        $this->assertTrue($batch->fresh()->isRunning());
+    }
+
+    public function test_advance_skips_a_subreddit_that_went_over_a_blocking_budget(): void
+    {
+        Queue::fake();
+
+        $subreddits = Subreddit::factory()->count(3)->create();
+        $batch = $this->service->start($subreddits->pluck('id')->all());
+        config(['llm.budget.max_scan_cost_usd' => 0.01, 'llm.budget.mode' => 'block']);
+
+        $batch->scans()->first()->markAsCompleted();
+        $this->service->advance($batch);
+
+        $this->assertEquals(2, $batch->scans()->count());
+        $this->assertNotContains($subreddits[2]->id, $batch->fresh()->subreddit_ids);
+        $this->assertTrue($batch->fresh()->isRunning());
+    }
+
+    public function test_subreddit_waits_for_a_re_run_and_launches_when_it_finishes(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $run = ReprocessRun::factory()->create(['subreddit_id' => $subreddit->id]);
+
+        $batch = $this->service->start([$subreddit->id]);
+
+        $this->assertEquals(0, $batch->scans()->count());
+        $this->assertEquals([$subreddit->id], $batch->queuedSubredditIds());
+        $this->assertTrue($batch->isRunning());
+
+        $run->markAsCompleted();
+        Queue::assertPushed(AdvanceScanBatchJob::class, fn ($job) => $job->batchId === $batch->id);
+
+        (new AdvanceScanBatchJob($batch->id))->handle($this->service);
+
+        $this->assertEquals(1, $batch->scans()->count());
+        Queue::assertPushed(StartScanJob::class, 1);
+    }
+
+    public function test_batch_completes_when_nothing_is_queued_or_running(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $batch = $this->service->start([$subreddit->id]);
+
+        $batch->scans()->first()->markAsFailed('Reddit API error');
+        $this->service->advance($batch);
+
+        $batch->refresh();
+        $this->assertEquals(ScanBatch::STATUS_COMPLETED, $batch->status);
+        $this->assertNotNull($batch->completed_at);
+
+        $status = $this->service->getBatchStatus($batch);
+        $this->assertEquals('failed', $status['items'][0]['state']);
+        $this->assertEquals('Reddit API error', $status['items'][0]['scan']['error_message']);
+    }
+
+    public function test_batch_adopts_scan_already_running_for_a_subreddit(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $running = Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_CLASSIFYING,
+        ]);
+
+        $batch = $this->service->start([$subreddit->id]);
+
+        $this->assertEquals($batch->id, $running->fresh()->scan_batch_id);
+        $this->assertEquals([$running->id], $batch->adopted_scan_ids);
+        Queue::assertNotPushed(StartScanJob::class);
+    }
+
+    public function test_cancel_leaves_an_adopted_scan_running(): void
+    {
+        Queue::fake();
+
+        $subreddits = Subreddit::factory()->count(2)->create();
+        $running = Scan::factory()->create([
+            'subreddit_id' => $subreddits[0]->id,
+            'status' => Scan::STATUS_CLASSIFYING,
+        ]);
+        $batch = $this->service->start($subreddits->pluck('id')->all());
+
+        $this->service->cancel($batch);
+
+        $this->assertEquals(Scan::STATUS_CLASSIFYING, $running->fresh()->status);
+        $this->assertEquals(Scan::STATUS_FAILED, $batch->scans()->where('subreddit_id', $subreddits[1]->id)->value('status'));
+    }
+
+    public function test_cancel_stops_running_scans_and_skips_queued_ones(): void
+    {
+        Queue::fake();
+
+        $subreddits = Subreddit::factory()->count(3)->create();
+        $batch = $this->service->start($subreddits->pluck('id')->all());
+
+        $this->service->cancel($batch);
+
+        $this->assertEquals(ScanBatch::STATUS_CANCELLED, $batch->fresh()->status);
+        $this->assertEquals(2, $batch->scans()->where('status', Scan::STATUS_FAILED)->count());
+
+        // Advancing a cancelled batch launches nothing
+        $this->service->advance($batch);
+        $this->assertEquals(2, $batch->scans()->count());
+
+        $status = $this->service->getBatchStatus($batch);
+        $this->assertEquals(['failed' => 2, 'skipped' => 1], $status['counts']);
+    }
+
+    public function test_only_one_batch_may_run_at_a_time(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $this->service->start([$subreddit->id]);
+
+        $this->expectException(\RuntimeException::class);
+        $this->service->start([$subreddit->id]);
+    }
+
+    public function test_start_is_refused_while_another_request_holds_the_batch_lock(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        $lock = Cache::lock('scan-batches', 30);
+        $lock->get();
+        // Waiting for the lock moves the clock instead of sleeping
+        Sleep::fake(syncWithCarbon: true);
+
+        try {
+            $this->service->start([$subreddit->id]);
+            $this->fail('The batch started without the lock');
+        } catch (\RuntimeException $e) {
+            $this->assertEquals('Another batch scan is starting. Try again in a moment.', $e->getMessage());
+        } finally {
+            $lock->release();
+        }
+
+        $this->assertEquals(0, ScanBatch::count());
+    }
+}
@@ -0,0 +1,132 @@
+<?php
+
+namespace Tests\Feature\Services;
+
+use App\Models\LlmUsage;
+use App\Models\Scan;
+use App\Models\Subreddit;
+use App\Services\ScanCostEstimator;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ScanCostEstimatorTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private ScanCostEstimator $estimator;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        config([
+            'llm.classification.providers' => ['anthropic-haiku', 'openai-gpt5-mini'],
+            'llm.extraction.provider' => 'anthropic-sonnet',
+            'llm.estimate.posts_per_day' => 20,
+            'llm.estimate.extraction_rate' => 0.2,
+            'llm.budget.max_scan_cost_usd' => null,
+        ]);
+        $this->estimator = app(ScanCostEstimator::class);
+    }
+
+    public function test_falls_back_to_config_without_any_history(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+
+        $estimate = $this->estimator->estimate($subreddit, now()->subWeek(), now());
+
+        $this->assertEquals('default', $estimate['basis']);
+        $this->assertEquals(140, $estimate['posts']);
+        $this->assertEquals(28, $estimate['posts_to_extract']);
+        $this->assertCount(2, $estimate['classification']);
+        $this->assertEquals(140, $estimate['classification'][0]['calls']);
+        $this->assertEquals(210000, $estimate['classification'][0]['input_tokens']);
+        $this->assertEquals('anthropic-sonnet', $estimate['extraction']['provider']);
+        $this->assertEquals(28, $estimate['extraction']['calls']);
+        // haiku 0.35 + gpt5-mini 0.1085 + sonnet 0.924
+        $this->assertEqualsWithDelta(1.3825, $estimate['cost_usd'], 0.0001);
+    }
+
+    public function test_uses_the_subreddit_post_rate_from_completed_scans(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_COMPLETED,
+            'date_from' => now()->subDays(3),
+            'date_to' => now()->subDay(),
+            'posts_fetched' => 96,
+            'posts_extracted' => 24,
+            'completed_at' => now()->subDay(),
+        ]);
+
+        $estimate = $this->estimator->estimate($subreddit, now()->subDay(), now());
+
+        $this->assertEquals('subreddit', $estimate['basis']);
+        $this->assertEquals(1, $estimate['history_scans']);
+        $this->assertEquals(48, $estimate['posts']);
+        $this->assertEquals(12, $estimate['posts_to_extract']);
+    }
+
+    public function test_uses_other_subreddits_when_this_one_has_no_history(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        Scan::factory()->create([
+            'status' => Scan::STATUS_COMPLETED,
+            'date_from' => now()->subDays(2),
+            'date_to' => now()->subDay(),
+            'posts_fetched' => 24,
+            'posts_extracted' => 6,
+            'completed_at' => now()->subDay(),
+        ]);
+
+        $estimate = $this->estimator->estimate($subreddit, now()->subDays(2), now());
+
+        $this->assertEquals('global', $estimate['basis']);
+        $this->assertEquals(48, $estimate['posts']);
+    }
+
+    public function test_recorded_usage_replaces_default_token_counts(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        foreach ([800, 1200] as $inputTokens) {
+            LlmUsage::create([
+                'provider' => 'anthropic-haiku',
+                'model' => 'claude-haiku-4-5-20251001',
+                'operation' => 'classification',
+                'input_tokens' => $inputTokens,
+                'output_tokens' => 100,
+                'cost_usd' => 0,
+            ]);
+        }
+
+        $estimate = $this->estimator->estimate($subreddit, now()->subDay(), now());
+        $haiku = collect($estimate['classification'])->firstWhere('provider', 'anthropic-haiku');
+        $gpt = collect($estimate['classification'])->firstWhere('provider', 'openai-gpt5-mini');
+
+        $this->assertEquals(20 * 1000, $haiku['input_tokens']);
+        $this->assertEquals(20 * 100, $haiku['output_tokens']);
+        $this->assertEquals(20 * 1500, $gpt['input_tokens']);
+    }
+
+    public function test_reports_budget_and_blocks_only_in_block_mode(): void
+    {
+        $subreddit = Subreddit::factory()->create();
+        config(['llm.budget.max_scan_cost_usd' => 0.5, 'llm.budget.mode' => 'warn']);
+
+        $estimate = $this->estimator->estimate($subreddit, now()->subWeek(), now());
+
+        $this->assertTrue($estimate['budget']['exceeded']);
+        $this->assertNull($this->estimator->budgetViolation($estimate));
+
+        config(['llm.budget.mode' => 'block']);
+        $estimate = $this->estimator->estimate($subreddit, now()->subWeek(), now());
+
+        $this->assertStringContainsString(
+            'exceeds the per-scan budget of $0.50',
+            $this->estimator->budgetViolation($estimate, 'startups'),
+        );
+
+        $cheap = $this->estimator->estimate($subreddit, now()->subHours(6), now());
+        $this->assertFalse($cheap['budget']['exceeded']);
+    }
+}
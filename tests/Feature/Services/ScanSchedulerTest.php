@@ -0,0 +1,239 @@
+<?php
+
+namespace Tests\Feature\Services;
+
+use App\Jobs\RecoverScheduledScansJob;
+use App\Jobs\RunScheduledScanJob;
+use App\Jobs\StartScanJob;
+use App\Models\Scan;
+use App\Models\ScanSchedule;
+use App\Models\Subreddit;
+use App\Services\ScanScheduler;
+use App\Services\ScanService;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Illuminate\Support\Facades\Queue;
+use RuntimeException;
+use Tests\TestCase;
+
+class ScanSchedulerTest extends TestCase
+{
+    use RefreshDatabase;
+
+    private ScanScheduler $scheduler;
+
+    protected function setUp(): void
+    {
+        parent::setUp();
+        $this->scheduler = app(ScanScheduler::class);
+    }
+
+    public function test_save_queues_delayed_job_for_next_run_in_schedule_timezone(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 08:00:00', 'UTC'));
+
+        $subreddit = Subreddit::factory()->create();
+
+        // 10:00 in Berlin (UTC+1 in early March) is 09:00 UTC, later the same day
+        $schedule = $this->scheduler->save($subreddit, [
+            'frequency' => ScanSchedule::FREQUENCY_DAILY,
+            'cron_expression' => '0 10 * * *',
+            'timezone' => 'Europe/Berlin',
+            'window_hours' => null,
+        ]);
+
+        $expected = Carbon::parse('2026-03-02 09:00:00', 'UTC');
+        $this->assertTrue($schedule->next_run_at->equalTo($expected));
+
+        Queue::assertPushed(RunScheduledScanJob::class, fn (RunScheduledScanJob $job) => $job->runAt->equalTo($expected)
+            && $job->delay->equalTo($expected));
+        Queue::assertPushed(RecoverScheduledScansJob::class, 1);
+    }
+
+    public function test_run_starts_incremental_scan_since_last_completed_scan_and_queues_next_run(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_COMPLETED,
+            'date_from' => '2026-02-20 00:00:00',
+            'date_to' => '2026-03-01 12:00:00',
+            'completed_at' => '2026-03-01 12:30:00',
+        ]);
+        $schedule = ScanSchedule::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'cron_expression' => '0 9 * * *',
+            'next_run_at' => '2026-03-02 09:00:00',
+        ]);
+
+        $this->travelTo(Carbon::parse('2026-03-02 09:00:00', 'UTC'));
+
+        (new RunScheduledScanJob($schedule, $schedule->next_run_at))->handle($this->scheduler);
+
+        $scan = Scan::where('subreddit_id', $subreddit->id)->where('status', Scan::STATUS_PENDING)->firstOrFail();
+        $this->assertEquals('2026-03-01 12:00:00', $scan->date_from->utc()->toDateTimeString());
+        $this->assertEquals('2026-03-02 09:00:00', $scan->date_to->utc()->toDateTimeString());
+        Queue::assertPushed(StartScanJob::class);
+
+        $schedule->refresh();
+        $this->assertEquals($scan->id, $schedule->last_scan_id);
+        $this->assertEquals('2026-03-03 09:00:00', $schedule->next_run_at->utc()->toDateTimeString());
+        Queue::assertPushed(RunScheduledScanJob::class, fn (RunScheduledScanJob $job) => $job->runAt->equalTo($schedule->next_run_at));
+    }
+
+    public function test_run_uses_fixed_window_when_configured(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 09:00:00', 'UTC'));
+
+        $schedule = ScanSchedule::factory()->create(['window_hours' => 24]);
+
+        $scan = $this->scheduler->run($schedule);
+
+        $this->assertEquals('2026-03-01 09:00:00', $scan->date_from->utc()->toDateTimeString());
+        $this->assertEquals('2026-03-02 09:00:00', $scan->date_to->utc()->toDateTimeString());
+    }
+
+    public function test_incremental_window_is_capped_at_twelve_weeks(): void
+    {
+        $now = Carbon::parse('2026-06-01 00:00:00', 'UTC');
+        $subreddit = Subreddit::factory()->create();
+        Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_COMPLETED,
+            'date_to' => '2025-01-01 00:00:00',
+        ]);
+        $schedule = ScanSchedule::factory()->create(['subreddit_id' => $subreddit->id]);
+
+        [$dateFrom] = $this->scheduler->windowFor($schedule, $now);
+
+        $this->assertEquals($now->copy()->subWeeks(12)->toDateTimeString(), $dateFrom->toDateTimeString());
+    }
+
+    public function test_next_run_is_queued_even_when_starting_the_scan_throws(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 09:00:00', 'UTC'));
+
+        $this->mock(ScanService::class)
+            ->shouldReceive('startScan')
+            ->andThrow(new RuntimeException('Reddit unavailable'));
+        $schedule = ScanSchedule::factory()->create([
+            'cron_expression' => '0 9 * * *',
+            'window_hours' => 24,
+            'next_run_at' => '2026-03-02 09:00:00',
+        ]);
+
+        try {
+            app(ScanScheduler::class)->run($schedule);
+            $this->fail('The startScan exception should propagate so the job is marked failed');
+        } catch (RuntimeException $e) {
+            $this->assertSame('Reddit unavailable', $e->getMessage());
+        }
+
+        $schedule->refresh();
+        $this->assertEquals('2026-03-02 09:00:00', $schedule->last_run_at->utc()->toDateTimeString());
+        $this->assertEquals('2026-03-03 09:00:00', $schedule->next_run_at->utc()->toDateTimeString());
+        Queue::assertPushed(RunScheduledScanJob::class, fn (RunScheduledScanJob $job) => $job->runAt->equalTo($schedule->next_run_at));
+    }
+
+    public function test_run_over_a_blocking_budget_starts_no_scan_but_queues_next_run(): void
+    {
+        Queue::fake();
+        config(['llm.budget.max_scan_cost_usd' => 0.01, 'llm.budget.mode' => 'block']);
+        $this->travelTo(Carbon::parse('2026-03-02 09:00:00', 'UTC'));
+
+        $schedule = ScanSchedule::factory()->create(['window_hours' => 24, 'next_run_at' => '2026-03-02 09:00:00']);
+
+        $this->assertNull($this->scheduler->run($schedule));
+
+        $this->assertDatabaseCount('scans', 0);
+        Queue::assertNotPushed(StartScanJob::class);
+        $this->assertEquals('2026-03-03 09:00:00', $schedule->fresh()->next_run_at->utc()->toDateTimeString());
+        Queue::assertPushed(RunScheduledScanJob::class, 1);
+    }
+
+    public function test_run_overdue_starts_schedules_whose_job_was_lost(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 12:00:00', 'UTC'));
+
+        $lost = ScanSchedule::factory()->create([
+            'cron_expression' => '0 9 * * *',
+            'window_hours' => 24,
+            'next_run_at' => '2026-03-02 09:00:00',
+        ]);
+        // Within the grace period — its job may still be waiting for a worker
+        $late = ScanSchedule::factory()->create(['window_hours' => 24, 'next_run_at' => '2026-03-02 11:50:00']);
+        $paused = ScanSchedule::factory()->create(['window_hours' => 24, 'is_paused' => true, 'next_run_at' => '2026-03-01 09:00:00']);
+
+        $this->assertSame(1, $this->scheduler->runOverdue());
+
+        $this->assertDatabaseHas('scans', ['subreddit_id' => $lost->subreddit_id]);
+        $this->assertDatabaseMissing('scans', ['subreddit_id' => $late->subreddit_id]);
+        $this->assertDatabaseMissing('scans', ['subreddit_id' => $paused->subreddit_id]);
+        $this->assertEquals('2026-03-03 09:00:00', $lost->fresh()->next_run_at->utc()->toDateTimeString());
+    }
+
+    public function test_watchdog_recovers_lost_runs_and_queues_itself_again(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 12:00:00', 'UTC'));
+
+        $lost = ScanSchedule::factory()->create([
+            'cron_expression' => '0 9 * * *',
+            'window_hours' => 24,
+            'next_run_at' => '2026-03-02 09:00:00',
+        ]);
+
+        (new RecoverScheduledScansJob)->handle($this->scheduler);
+
+        $this->assertDatabaseHas('scans', ['subreddit_id' => $lost->subreddit_id]);
+        Queue::assertPushed(RecoverScheduledScansJob::class, fn (RecoverScheduledScansJob $job) => $job->delay->equalTo(now()->addMinutes(RecoverScheduledScansJob::INTERVAL_MINUTES)));
+        Queue::assertPushed(RecoverScheduledScansJob::class, 1);
+    }
+
+    public function test_watchdog_stops_once_no_schedule_is_active(): void
+    {
+        Queue::fake();
+
+        ScanSchedule::factory()->paused()->create();
+
+        (new RecoverScheduledScansJob)->handle($this->scheduler);
+
+        Queue::assertNotPushed(RecoverScheduledScansJob::class);
+    }
+
+    public function test_stale_job_does_not_start_a_scan(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 09:00:00', 'UTC'));
+
+        // The schedule was edited after this job was queued for 09:00
+        $schedule = ScanSchedule::factory()->create(['next_run_at' => '2026-03-02 18:00:00']);
+
+        (new RunScheduledScanJob($schedule, Carbon::parse('2026-03-02 09:00:00', 'UTC')))->handle($this->scheduler);
+
+        $this->assertDatabaseCount('scans', 0);
+        Queue::assertNothingPushed();
+    }
+
+    public function test_pausing_clears_next_run_and_resuming_requeues(): void
+    {
+        Queue::fake();
+        $this->travelTo(Carbon::parse('2026-03-02 08:00:00', 'UTC'));
+
+        $schedule = ScanSchedule::factory()->create(['next_run_at' => '2026-03-02 09:00:00']);
+
+        $this->scheduler->setPaused($schedule, true);
+        $this->assertNull($schedule->fresh()->next_run_at);
+        Queue::assertNothingPushed();
+
+        $this->scheduler->setPaused($schedule, false);
+        $this->assertEquals('2026-03-02 09:00:00', $schedule->fresh()->next_run_at->utc()->toDateTimeString());
+        Queue::assertPushed(RunScheduledScanJob::class, 1);
+    }
+}
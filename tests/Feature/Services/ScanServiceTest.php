@@ -2,7 +2,9 @@
 
 namespace Tests\Feature\Services;
 
+use App\Exceptions\ReprocessInProgressException;
 use App\Jobs\StartScanJob;
+use App\Models\ReprocessRun;
 use App\Models\Scan;
 use App\Models\Subreddit;
 use App\Services\ScanService;
@@ -74,6 +76,24 @@ public function test_returns_existing_scan_if_in_progress(): void
         Queue::assertNotPushed(StartScanJob::class);
     }
 
+    public function test_refuses_to_start_while_a_re_run_is_in_progress(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        ReprocessRun::factory()->create(['subreddit_id' => $subreddit->id]);
+
+        try {
+            $this->service->startScan($subreddit);
+            $this->fail('Expected the scan to be refused while the re-run is in progress');
+        } catch (ReprocessInProgressException $e) {
+            $this->assertStringContainsString('re-run is in progress', $e->getMessage());
+        }
+
+        $this->assertDatabaseCount('scans', 0);
+        Queue::assertNotPushed(StartScanJob::class);
+    }
+
     public function test_get_scan_status_returns_correct_data(): void
     {
         $scan = Scan::factory()->create([
@@ -133,6 +153,41 @@ public function test_can_retry_failed_scan(): void
         Queue::assertPushed(StartScanJob::class);
     }
 
+    public function test_retry_keeps_the_failed_scans_provider_settings(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $failedScan = Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_FAILED,
+            'llm_settings' => Scan::resolveLlmSettings(['extraction_provider' => 'anthropic-opus']),
+        ]);
+
+        $newScan = $this->service->retryScan($failedScan);
+
+        $this->assertEquals('anthropic-opus', $newScan->extractionProviderName());
+        $this->assertTrue($newScan->llm_settings['custom']);
+    }
+
+    public function test_retry_keeps_the_failed_scans_date_range(): void
+    {
+        Queue::fake();
+
+        $subreddit = Subreddit::factory()->create();
+        $failedScan = Scan::factory()->create([
+            'subreddit_id' => $subreddit->id,
+            'status' => Scan::STATUS_FAILED,
+            'date_from' => '2026-03-01 09:00:00',
+            'date_to' => '2026-03-02 09:00:00',
+        ]);
+
+        $newScan = $this->service->retryScan($failedScan);
+
+        $this->assertEquals('2026-03-01 09:00:00', $newScan->date_from->utc()->toDateTimeString());
+        $this->assertEquals('2026-03-02 09:00:00', $newScan->date_to->utc()->toDateTimeString());
+    }
+
     public function test_cannot_retry_non_failed_scan(): void
     {
         $subreddit = Subreddit::factory()->create();
@@ -0,0 +1,60 @@
+<?php
+
+namespace Tests\Unit\Models;
+
+use App\Models\ScanSchedule;
+use Carbon\Carbon;
+use Illuminate\Foundation\Testing\RefreshDatabase;
+use Tests\TestCase;
+
+class ScanScheduleTest extends TestCase
+{
+    use RefreshDatabase;
+
+    public function test_expression_for_daily_and_weekly(): void
+    {
+        $this->assertEquals('30 7 * * *', ScanSchedule::expressionFor(ScanSchedule::FREQUENCY_DAILY, '07:30'));
+        $this->assertEquals('0 18 * * 1', ScanSchedule::expressionFor(ScanSchedule::FREQUENCY_WEEKLY, '18:00', 1));
+    }
+
+    public function test_next_run_after_is_strictly_later(): void
+    {
+        $schedule = ScanSchedule::factory()->make(['cron_expression' => '0 9 * * *']);
+
+        $next = $schedule->nextRunAfter(Carbon::parse('2026-03-02 09:00:00', 'UTC'));
+
+        $this->assertEquals('2026-03-03 09:00:00', $next->toDateTimeString());
+    }
+
+    public function test_next_run_after_uses_schedule_timezone(): void
+    {
+        $schedule = ScanSchedule::factory()->make([
+            'cron_expression' => '0 9 * * *',
+            'timezone' => 'America/New_York',
+        ]);
+
+        // 09:00 in New York is 14:00 UTC during standard time
+        $next = $schedule->nextRunAfter(Carbon::parse('2026-01-10 12:00:00', 'UTC'));
+
+        $this->assertEquals('UTC', $next->getTimezone()->getName());
+        $this->assertEquals('2026-01-10 14:00:00', $next->toDateTimeString());
+    }
+
+    public function test_shortest_interval_covers_the_whole_cycle(): void
+    {
+        $this->assertSame(360, ScanSchedule::shortestIntervalMinutes('0 */6 * * *'));
+        $this->assertSame(45, ScanSchedule::shortestIntervalMinutes('0,45 9 * * *'));
+        $this->assertSame(600, ScanSchedule::shortestIntervalMinutes('0 9,23 * * *'));
+        $this->assertSame(7 * 24 * 60, ScanSchedule::shortestIntervalMinutes('30 7 * * 5'));
+        // 23:00 Monday to 00:00 Tuesday
+        $this->assertSame(60, ScanSchedule::shortestIntervalMinutes('0 0,23 * * 1,2'));
+        // Feb 28 and 29 only follow each other in leap years
+        $this->assertSame(24 * 60, ScanSchedule::shortestIntervalMinutes('0 1 28,29 2 *'));
+    }
+
+    public function test_is_incremental_without_fixed_window(): void
+    {
+        $this->assertTrue(ScanSchedule::factory()->make()->isIncremental());
+        $this->assertFalse(ScanSchedule::factory()->make(['window_hours' => 24])->isIncremental());
+    }
+}
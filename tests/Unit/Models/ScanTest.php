@@ -178,4 +178,38 @@ public function test_update_status_with_progress_updates_both_status_and_counter
         $this->assertEquals(Scan::STATUS_CLASSIFYING, $scan->status);
         $this->assertEquals(30, $scan->posts_classified);
     }
+
+    public function test_resolve_llm_settings_merges_overrides_over_config(): void
+    {
+        config([
+            'llm.classification.providers' => ['anthropic-haiku', 'openai-gpt5-mini'],
+            'llm.extraction.provider' => 'anthropic-sonnet',
+            'llm.classification.consensus_threshold_keep' => 0.6,
+            'llm.classification.consensus_threshold_discard' => 0.4,
+        ]);
+
+        $defaults = Scan::resolveLlmSettings(['extraction_provider' => null]);
+        $this->assertFalse($defaults['custom']);
+        $this->assertEquals('anthropic-sonnet', $defaults['extraction_provider']);
+
+        $custom = Scan::resolveLlmSettings([
+            'extraction_provider' => 'anthropic-opus',
+            'consensus_threshold_keep' => '0.75',
+        ]);
+        $this->assertTrue($custom['custom']);
+        $this->assertEquals('anthropic-opus', $custom['extraction_provider']);
+        $this->assertSame(0.75, $custom['consensus_threshold_keep']);
+        $this->assertEquals(['anthropic-haiku', 'openai-gpt5-mini'], $custom['classification_providers']);
+    }
+
+    public function test_scans_without_stored_settings_use_config(): void
+    {
+        config(['llm.extraction.provider' => 'anthropic-sonnet']);
+
+        $scan = Scan::factory()->create(['llm_settings' => null]);
+        $this->assertEquals('anthropic-sonnet', $scan->extractionProviderName());
+
+        $scan->update(['llm_settings' => Scan::resolveLlmSettings(['extraction_provider' => 'openai-gpt5-2'])]);
+        $this->assertEquals('openai-gpt5-2', $scan->fresh()->extractionProviderName());
+    }
 }